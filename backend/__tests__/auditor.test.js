@@ -0,0 +1,159 @@
+const { runAudit, formatMarkdown, formatYears, CHECKS } = require('../auditor');
+
+const check = id => CHECKS.find(c => c.id === id);
+
+/**
+ * Stand-in for a pg client answering each query with the rows of the first
+ * pattern it matches (no match: no rows).
+ */
+function fakeClient(answers) {
+  return {
+    async query(text) {
+      const match = answers.find(([pattern]) => pattern.test(text));
+      return { rows: match ? match[1] : [] };
+    },
+  };
+}
+
+describe('data audit', () => {
+  test('year lists are shown as ranges', () => {
+    expect(formatYears([2020, 2021, 2022, 2024, 2026, 2027])).toBe('2020-2022, 2024, 2026-2027');
+    expect(formatYears([])).toBe('');
+  });
+
+  test('year-coverage reports empty tables and gaps', async () => {
+    const client = fakeClient([
+      [/FROM fact_cases_weekly/, [{ year: 2020 }, { year: 2023 }, { year: 2021 }]],
+      [/FROM fact_population_state_year/, [{ year: 2020 }]],
+      [/FROM (fact_nndss_weekly|fact_population_state_demo_year|fact_flu_rsv_covid_deaths|fact_deaths)/, [{ year: 2022 }]],
+    ]);
+
+    const { problems, notes } = await check('year-coverage').run(client);
+
+    expect(problems).toEqual(['fact_cases_weekly has no rows for 2022']);
+    expect(notes[0]).toBe('fact_cases_weekly: 2020-2021, 2023');
+  });
+
+  test('states-missing-population names the states and years', async () => {
+    const client = fakeClient([[/FROM dim_region r/, [
+      { state_name: 'Alabama', missing_years: [], missing_demographic_years: [], state_year_count: '4', demo_year_count: '4' },
+      { state_name: 'Texas', missing_years: [2022], missing_demographic_years: [2020, 2021, 2022, 2023], state_year_count: '4', demo_year_count: '4' },
+    ]]]);
+
+    const { problems } = await check('states-missing-population').run(client);
+
+    expect(problems).toEqual([
+      'Texas: no state population estimate for 2022',
+      'Texas: no demographic population estimates',
+    ]);
+  });
+
+  test('invalid-counts fails negative and missing counts but only notes unavailable case counts', async () => {
+    const client = fakeClient([
+      [/FROM fact_cases_weekly/, [{ negative: '0', missing: '12' }]],
+      [/FROM fact_flu_rsv_covid_deaths/, [{ negative: '2', missing: '1' }]],
+      [/FROM/, [{ negative: '0', missing: '0' }]],
+    ]);
+
+    const { problems, notes } = await check('invalid-counts').run(client);
+
+    expect(problems).toEqual(['fact_flu_rsv_covid_deaths.deaths: 2 negative', 'fact_flu_rsv_covid_deaths.deaths: 1 missing']);
+    expect(notes).toEqual(['fact_cases_weekly.current_week_cases: 12 not available (NNDSS N, NN, NP or U flag)']);
+  });
+
+  test('orphaned-keys lists example ids', async () => {
+    const client = fakeClient([
+      [/FROM fact_nndss_weekly f\s+WHERE NOT EXISTS \(SELECT 1 FROM dim_region_ndss/, [{ orphans: '40', ids: [3, 4, 5, 6, 7, 8] }]],
+      [/FROM/, [{ orphans: '0', ids: null }]],
+    ]);
+
+    const { problems } = await check('orphaned-keys').run(client);
+
+    expect(problems).toEqual([
+      'fact_nndss_weekly.region_id: 40 rows reference missing dim_region_ndss ids (3, 4, 5, 6, 7 and 1 more)',
+    ]);
+  });
+
+  test('unlinked-pathogens warns about pathogens no disease is linked to', async () => {
+    const client = fakeClient([
+      [/FROM dim_pathogen p/, [{ pathogen: 'RSV' }]],
+      [/FROM dim_disease d/, [{ disease_name: 'Lyme disease' }, { disease_name: 'Respiratory syncytial virus' }]],
+    ]);
+
+    const { problems, notes } = await check('unlinked-pathogens').run(client);
+
+    expect(problems).toEqual([
+      '1 pathogens with deaths data have no disease in disease_pathogen, so no disease profile reports their deaths: RSV',
+    ]);
+    expect(notes).toEqual([
+      '2 diseases with case data have no pathogen link (expected for diseases outside the deaths data): Lyme disease, Respiratory syncytial virus',
+    ]);
+  });
+
+  test('embedding-models fails when embeddings of several models are stored', async () => {
+    const client = fakeClient([[/FROM disease_symptom_embeddings/, [
+      { model: 'text-embedding-3-small', dimensions: 1536, diseases: '6' },
+      { model: 'hash-bag-of-words-v1', dimensions: 1536, diseases: '2' },
+    ]]]);
+
+    const { problems, notes } = await check('embedding-models').run(client);
+
+    expect(problems).toEqual(['embeddings come from 2 models; regenerate them with one provider']);
+    expect(notes).toEqual([
+      'text-embedding-3-small (1536 dimensions): 6 diseases',
+      'hash-bag-of-words-v1 (1536 dimensions): 2 diseases',
+    ]);
+  });
+
+  describe('runAudit', () => {
+    const checks = [
+      { id: 'ok', title: 'OK', level: 'error', run: async () => ({ problems: [], notes: ['fine'] }) },
+      { id: 'soft', title: 'Soft', level: 'warning', run: async () => ({ problems: ['meh'], notes: [] }) },
+    ];
+
+    test('passes with warnings unless strict', async () => {
+      const report = await runAudit(fakeClient([]), { checks });
+      const strict = await runAudit(fakeClient([]), { checks, strict: true });
+
+      expect(report.status).toBe('warn');
+      expect(report.counts).toEqual({ pass: 1, warn: 1, fail: 0 });
+      expect(strict.status).toBe('fail');
+    });
+
+    test('a failing or crashing check fails the audit without stopping the others', async () => {
+      const failing = [
+        { id: 'broken', title: 'Broken', level: 'warning', run: async () => { throw new Error('relation "x" does not exist'); } },
+        { id: 'bad', title: 'Bad', level: 'error', run: async () => ({ problems: ['wrong'], notes: [] }) },
+        ...checks,
+      ];
+
+      const report = await runAudit(fakeClient([]), { checks: failing });
+
+      expect(report.status).toBe('fail');
+      expect(report.checks.map(c => c.status)).toEqual(['fail', 'fail', 'pass', 'warn']);
+      expect(report.checks[0].problems).toEqual(['check could not run: relation "x" does not exist']);
+    });
+
+    test('every check of the suite runs against an empty database', async () => {
+      const report = await runAudit(fakeClient([[/negative/, [{ negative: '0', missing: '0' }]], [/orphans/, [{ orphans: '0' }]]]));
+
+      expect(report.checks.map(c => c.id)).toEqual(CHECKS.map(c => c.id));
+      expect(report.checks.find(c => c.id === 'year-coverage').problems).toContain('fact_cases_weekly is empty');
+      expect(report.checks.find(c => c.id === 'states-missing-population').problems).toEqual(['dim_region has no states']);
+      expect(report.status).toBe('fail');
+    });
+  });
+
+  test('the markdown report summarizes every check', async () => {
+    const report = await runAudit(fakeClient([]), {
+      checks: [{ id: 'many', title: 'Many', level: 'error', run: async () => ({ problems: Array.from({ length: 25 }, (_, i) => `p${i}`), notes: ['n'] }) }],
+    });
+
+    const markdown = formatMarkdown(report);
+
+    expect(markdown).toMatch(/^# Data audit\n\n\*\*FAIL\*\*: 0 passed, 0 warnings, 1 failed/);
+    expect(markdown).toContain('| many | error | FAIL | 25 |');
+    expect(markdown).toContain('- p19\n- ... and 5 more');
+    expect(markdown).toContain('Notes:\n\n- n');
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+
+const REQUIRED = {
+  DB_HOST: 'db.example.com',
+  DB_USER: 'app',
+  DB_PASSWORD: 'pw',
+  DB_NAME: 'disease_app',
+};
+
+// an empty CONFIG_FILE stands in for "no config file" so a developer's local
+// backend/config.json cannot leak into these tests
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+let files = 0;
+
+function writeConfigFile(values) {
+  const file = path.join(dir, `config-${files++}.json`);
+  fs.writeFileSync(file, JSON.stringify(values));
+  return file;
+}
+
+const noFile = writeConfigFile({});
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('config.load', () => {
+  test('applies defaults when only the required settings are given', () => {
+    const { values, problems } = config.load({ ...REQUIRED, CONFIG_FILE: noFile });
+
+    expect(problems).toEqual([]);
+    expect(values).toMatchObject({
+      serverPort: 3000,
+      dbHost: 'db.example.com',
+      dbPort: 5432,
+      dbSslMode: 'require',
+      dbPoolMax: 10,
+      queryCacheTtlSeconds: 3600,
+      embeddingProvider: 'openai',
+      openaiApiKey: null,
+    });
+  });
+
+  test('reports every missing required setting', () => {
+    const { problems } = config.load({ CONFIG_FILE: noFile });
+
+    expect(problems).toEqual([
+      'DB_HOST is required',
+      'DB_USER is required',
+      'DB_PASSWORD is required',
+      'DB_NAME is required',
+    ]);
+  });
+
+  test('rejects malformed values with the variable name', () => {
+    const { problems } = config.load({
+      ...REQUIRED,
+      CONFIG_FILE: noFile,
+      PORT: 'eighty',
+      DB_SSL_MODE: 'sometimes',
+      DB_POOL_MAX: '0',
+    });
+
+    expect(problems).toEqual([
+      'PORT must be an integer (got "eighty")',
+      'DB_SSL_MODE must be one of: disable, require, verify-full (got "sometimes")',
+      'DB_POOL_MAX must be at least 1',
+    ]);
+  });
+
+  test('reads the config file and lets environment variables override it', () => {
+    const file = writeConfigFile({
+      rds_host: 'file-host',
+      rds_user: 'u',
+      rds_password: 'p',
+      rds_db: 'd',
+      server_port: '8080',
+      query_cache_ttl_seconds: 60,
+    });
+
+    const { values, problems } = config.load({ CONFIG_FILE: file, DB_HOST: 'env-host' });
+
+    expect(problems).toEqual([]);
+    expect(values).toMatchObject({ dbHost: 'env-host', dbUser: 'u', serverPort: 8080, queryCacheTtlSeconds: 60 });
+  });
+
+  test('reports a config file that cannot be read', () => {
+    const { problems } = config.load({ ...REQUIRED, CONFIG_FILE: '/nonexistent/config.json' });
+
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatch(/^config file \/nonexistent\/config.json could not be read/);
+  });
+
+  test('ConfigError lists each problem on its own line', () => {
+    const err = new config.ConfigError(['DB_HOST is required', 'PORT must be an integer (got "x")']);
+
+    expect(err.message).toBe('Invalid configuration:\n  - DB_HOST is required\n  - PORT must be an integer (got "x")');
+  });
+});
+
+describe('getEmbedding without an API key', () => {
+  test('rejects with 503 EMBEDDINGS_UNAVAILABLE instead of failing at require time', async () => {
+    jest.resetModules();
+    jest.doMock('../config', () => ({ embeddingProvider: 'openai', openaiApiKey: null }));
+    const getEmbedding = require('../utils/getEmbedding');
+
+    expect(getEmbedding.isAvailable()).toBe(false);
+    await expect(getEmbedding('fever')).rejects.toMatchObject({ status: 503, code: 'EMBEDDINGS_UNAVAILABLE' });
+  });
+
+  test('EMBEDDING_PROVIDER=local embeds offline', async () => {
+    jest.resetModules();
+    jest.doMock('../config', () => ({ embeddingProvider: 'local', openaiApiKey: null }));
+    const getEmbedding = require('../utils/getEmbedding');
+
+    const embedding = await getEmbedding('fever and chills');
+
+    expect(getEmbedding.isAvailable()).toBe(true);
+    expect(getEmbedding.provider).toMatchObject({ name: 'local', model: 'hash-bag-of-words-v1', dimensions: 1536 });
+    expect(embedding).toHaveLength(1536);
+    expect(embedding).toEqual(await getEmbedding('Chills and fever'));
+  });
+});
@@ -0,0 +1,34 @@
+const { createParser, formatRow } = require('../utils/csv');
+
+function parseChunks(chunks) {
+  const parser = createParser();
+  const rows = chunks.flatMap(chunk => parser.push(chunk));
+  return rows.concat(parser.end());
+}
+
+describe('CSV parser', () => {
+  test('splits rows and cells, accepting CRLF, LF and a byte order mark', () => {
+    expect(parseChunks(['\uFEFFa,b\r\n1,2\n3,\r\n'])).toEqual([['a', 'b'], ['1', '2'], ['3', '']]);
+  });
+
+  test('handles quoted delimiters, escaped quotes and line breaks', () => {
+    expect(parseChunks(['Label,n\n"Flu, seasonal",1\n"say ""hi""\nthere",2'])).toEqual([
+      ['Label', 'n'],
+      ['Flu, seasonal', '1'],
+      ['say "hi"\nthere', '2'],
+    ]);
+  });
+
+  test('gives the same rows however the input is chunked', () => {
+    const text = 'a,"b ""c""",d\r\n"e\r\nf",g,\r\n';
+    const whole = parseChunks([text]);
+
+    expect(parseChunks(text.split(''))).toEqual(whole);
+    expect(whole).toEqual([['a', 'b "c"', 'd'], ['e\r\nf', 'g', '']]);
+  });
+
+  test('reads back what formatRow writes', () => {
+    const values = ['Texas', 'Flu, seasonal', 'a "quoted" word', 12];
+    expect(parseChunks([formatRow(values)])).toEqual([values.map(String)]);
+  });
+});
@@ -0,0 +1,148 @@
+const { EventEmitter } = require('events');
+
+jest.mock('pg', () => {
+  const pending = [];
+  const client = {
+    processID: 7,
+    // API queries hang until pg_cancel_backend is issued for them; setting
+    // the server-side statement limit answers at once
+    query: jest.fn((text) => (text.includes('set_config')
+      ? Promise.resolve({ rows: [], rowCount: 1 })
+      : new Promise((resolve, reject) => pending.push(reject)))),
+    release: jest.fn(),
+  };
+  const mPool = {
+    query: jest.fn(async () => ({ rows: [{ ok: true }], rowCount: 1 })),
+    connect: jest.fn(async () => client),
+    on: jest.fn(),
+    end: jest.fn(),
+  };
+  // the non-pooled connection cancels are issued on
+  const cancelClient = {
+    connect: jest.fn(async () => {}),
+    query: jest.fn(async () => {
+      const error = Object.assign(new Error('canceling statement due to user request'), { code: '57014' });
+      pending.splice(0).forEach(reject => reject(error));
+      return { rows: [{ pg_cancel_backend: true }], rowCount: 1 };
+    }),
+    end: jest.fn(async () => {}),
+    on: jest.fn(),
+  };
+  return {
+    Pool: jest.fn(() => mPool),
+    Client: jest.fn(() => cancelClient),
+    types: { setTypeParser: jest.fn() },
+    client,
+    cancelClient,
+  };
+});
+
+const { Pool, Client, client, cancelClient } = require('pg');
+const { query } = require('../db');
+const { requestScope, routeContext } = require('../requestContext');
+const { DatabaseError, RequestCancelledError } = require('../errors');
+
+const pool = new Pool();
+
+/**
+ * Run `fn` as if inside an API request for `route`; returns its promise and
+ * the response emitter so tests can simulate a disconnect.
+ */
+function inRequest(route, fn) {
+  const req = { id: 'req-1' };
+  const res = new EventEmitter();
+  res.writableFinished = false;
+  let promise;
+  requestScope(req, res, () => {
+    routeContext({ query: {}, cacheTtl: 0, ...route })(req, res, () => {
+      promise = fn();
+    });
+  });
+  return { promise, res };
+}
+
+describe('db.query', () => {
+  beforeEach(() => {
+    pool.query.mockClear();
+    pool.connect.mockClear();
+    client.query.mockClear();
+    client.release.mockClear();
+    Client.mockClear();
+    cancelClient.query.mockClear();
+    cancelClient.end.mockClear();
+  });
+
+  test('queries outside a request go straight to the pool', async () => {
+    const result = await query('SELECT 1');
+
+    expect(result.rows).toEqual([{ ok: true }]);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('cancels a query that exceeds the route statementTimeout', async () => {
+    const { promise } = inRequest({ path: '/api/slow', statementTimeout: 20 }, () => query('SELECT pg_sleep(10)'));
+
+    const err = await promise.catch(e => e);
+
+    expect(err).toBeInstanceOf(DatabaseError);
+    expect(err.status).toBe(504);
+    expect(err.details).toMatchObject({ statementTimeoutMs: 20, retryable: true, retryAfterSeconds: 30 });
+    expect(cancelClient.query).toHaveBeenCalledWith('SELECT pg_cancel_backend($1)', [7]);
+    // the connection is discarded rather than returned to the pool
+    expect(client.release).toHaveBeenCalledWith(true);
+  });
+
+  test('cancels the running query when the client disconnects', async () => {
+    const { promise, res } = inRequest({ path: '/api/slow', statementTimeout: 60000 }, () => query('SELECT pg_sleep(10)'));
+
+    await new Promise(resolve => setImmediate(resolve));
+    res.emit('close');
+    const err = await promise.catch(e => e);
+
+    expect(err).toBeInstanceOf(RequestCancelledError);
+    expect(cancelClient.query).toHaveBeenCalledWith('SELECT pg_cancel_backend($1)', [7]);
+  });
+
+  test('cancels on a connection outside the pool, so a saturated pool cannot delay it', async () => {
+    const { promise } = inRequest({ path: '/api/slow', statementTimeout: 20 }, () => query('SELECT pg_sleep(10)'));
+
+    await promise.catch(e => e);
+
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(pool.connect).toHaveBeenCalledTimes(1);
+    // same server and credentials as the pool
+    const { max, ...connection } = Pool.mock.calls[0][0];
+    expect(Client).toHaveBeenCalledWith(connection);
+    expect(cancelClient.end).toHaveBeenCalled();
+  });
+
+  test('sets the server-side statement limit on API connections only, once per connection', async () => {
+    // scripts share the pool, so it must not carry the limit itself
+    expect(Pool.mock.calls[0][0]).not.toHaveProperty('statement_timeout');
+
+    // a connection no earlier test has used
+    const fresh = { ...client, query: jest.fn(client.query.getMockImplementation()) };
+    pool.connect.mockResolvedValueOnce(fresh).mockResolvedValueOnce(fresh);
+
+    await query('SELECT 1');
+    for (let i = 0; i < 2; i++) {
+      await inRequest({ path: '/api/slow', statementTimeout: 20 }, () => query('SELECT pg_sleep(10)')).promise.catch(e => e);
+    }
+
+    const limits = fresh.query.mock.calls.filter(([sql]) => sql.includes('set_config'));
+    expect(limits).toEqual([["SELECT set_config('statement_timeout', $1, false)", ['120000']]]);
+  });
+
+  test('does not start a query for a client that already disconnected', async () => {
+    const { promise, res } = inRequest({ path: '/api/slow' }, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      return query('SELECT 1');
+    });
+
+    res.emit('close');
+    const err = await promise.catch(e => e);
+
+    expect(err).toBeInstanceOf(RequestCancelledError);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,158 @@
+const { ingestDeaths, IngestError } = require('../ingest/deaths');
+
+/**
+ * Stand-in for a pg client holding the deaths dimensions, the facts and
+ * data_loads in memory, with the upsert semantics of the ingestion SQL.
+ */
+function fakeClient() {
+  const db = {
+    pathogens: [{ pathogen_id: 1, pathogen: 'COVID-19' }],
+    weeks: [{ mmwr_week_id: 1, year: 2025, week: 1 }],
+    groups: [{ demographic_group_id: 1, demographic_type: 'Sex', demographic_value: 'Female' }],
+    deaths: new Map(),
+    loads: new Map(),
+    statements: [],
+  };
+
+  db.query = async (text, params) => {
+    const sql = text.trim();
+    db.statements.push(sql.split(/\s+/).slice(0, 3).join(' '));
+    if (sql.startsWith('SELECT pathogen_id')) return { rows: db.pathogens };
+    if (sql.startsWith('SELECT mmwr_week_id')) return { rows: db.weeks };
+    if (sql.startsWith('SELECT demographic_group_id')) return { rows: db.groups };
+    if (sql.startsWith('INSERT INTO dim_pathogen')) {
+      const rows = params[0].map((pathogen, i) => ({ pathogen_id: db.pathogens.length + i + 1, pathogen }));
+      db.pathogens.push(...rows);
+      return { rows };
+    }
+    if (sql.startsWith('INSERT INTO dim_mmwr_week')) {
+      const rows = params[0].map((year, i) => ({
+        mmwr_week_id: db.weeks.length + i + 1, year, week: params[1][i], week_ending_date: params[2][i],
+      }));
+      db.weeks.push(...rows);
+      return { rows };
+    }
+    if (sql.startsWith('INSERT INTO dim_demographic_group')) {
+      const rows = params[0].map((demographic_type, i) => ({
+        demographic_group_id: db.groups.length + i + 1, demographic_type, demographic_value: params[1][i],
+      }));
+      db.groups.push(...rows);
+      return { rows };
+    }
+    if (sql.startsWith('INSERT INTO fact_flu_rsv_covid_deaths')) {
+      const rows = [];
+      params[0].forEach((_, i) => {
+        const key = params.slice(0, 3).map(column => column[i]).join('|');
+        const value = params[3][i];
+        if (!db.deaths.has(key)) rows.push({ inserted: true });
+        else if (db.deaths.get(key) !== value) rows.push({ inserted: false });
+        db.deaths.set(key, value);
+      });
+      return { rows };
+    }
+    if (sql.startsWith('INSERT INTO data_loads')) {
+      db.loads.set(params[0], params[1]);
+      return { rows: [] };
+    }
+    return { rows: [] };
+  };
+  return db;
+}
+
+const HEADER = 'data_as_of,jurisdiction_residence,mmwr_year,mmwr_week,week_ending_date,pathogen,demographic_type,demographic_values,deaths\n';
+
+const EXPORT = HEADER +
+  '2025-10-09T00:00:00.000,United States,2025,1,2025-01-04,COVID-19,Sex,Female,1210\n' +
+  '2025-10-09T00:00:00.000,United States,2025,1,2025-01-04,COVID-19,Age Group,65+ years,1876\n' +
+  '2025-10-09T00:00:00.000,United States,2025,1,2025-01-04,Influenza,Race/Ethnicity,Non-Hispanic White,"1,035"\n' +
+  '2025-10-09T00:00:00.000,United States,2025,1,2025-01-04,RSV,Race/Ethnicity,Non-Hispanic Asian,\n' +
+  '2025-10-09T00:00:00.000,United States,2025,1,2025-01-04,COVID-19,Overall,Overall,2431\n' +
+  '2025-10-09T00:00:00.000,Region 1,2025,1,2025-01-04,COVID-19,Sex,Female,98\n';
+
+describe('flu / RSV / COVID-19 deaths ingestion', () => {
+  test('loads national rows, adding missing dimensions and recording the data-as-of date', async () => {
+    const client = fakeClient();
+
+    const summary = await ingestDeaths(client, [EXPORT]);
+
+    expect(summary).toEqual({
+      rows: 4,
+      weeks: ['2025-01'],
+      dataAsOf: '2025-10-09',
+      deaths: { inserted: 3, updated: 0, unchanged: 0 },
+      suppressed: 1,
+      skipped: { jurisdiction: 1, overall: 1 },
+      newPathogens: ['Influenza'],
+      newWeeks: 0,
+      newDemographicGroups: ['Age Group: 65+ years', 'Race/Ethnicity: White'],
+    });
+    // CDC's race names map onto the values the API filters on
+    expect([...client.deaths]).toEqual([['1|1|1', 1210], ['1|1|2', 1876], ['2|1|3', 1035]]);
+    expect(client.loads.get('flu_rsv_covid_deaths')).toBe('2025-10-09');
+    expect(client.statements[client.statements.length - 1]).toBe('COMMIT');
+  });
+
+  test('a monthly refresh only updates revised counts and adds new weeks', async () => {
+    const client = fakeClient();
+    await ingestDeaths(client, [EXPORT]);
+
+    const refresh = EXPORT.replace(/2025-10-09/g, '2025-11-06').replace(',Female,1210', ',Female,1290') +
+      '11/06/2025,United States,2025,2,2025-01-11,COVID-19,Sex,Female,1180\n';
+    const summary = await ingestDeaths(client, [refresh]);
+
+    expect(summary.deaths).toEqual({ inserted: 1, updated: 1, unchanged: 2 });
+    expect(summary.newWeeks).toBe(1);
+    expect(client.weeks[1]).toEqual({ mmwr_week_id: 2, year: 2025, week: 2, week_ending_date: '2025-01-11' });
+    expect(client.loads.get('flu_rsv_covid_deaths')).toBe('2025-11-06');
+  });
+
+  test('rejects the whole file when a row is invalid', async () => {
+    const client = fakeClient();
+    const csv = EXPORT +
+      '2025-10-09,United States,2025,1,,COVID-19,Sex,Unknown,4\n' +
+      '2025-10-09,United States,2025,1,,COVID-19,Income,Low,4\n' +
+      '2025-10-09,United States,2025,1,,Pneumonia,Sex,Male,4\n' +
+      '2025-02-30,United States,2025,1,,COVID-19,Sex,Male,4\n' +
+      '2025-10-09,United States,2025,1,,COVID-19,Sex,female,4\n';
+
+    const err = await ingestDeaths(client, [csv]).catch(e => e);
+
+    expect(err).toBeInstanceOf(IngestError);
+    expect(err.errors).toEqual([
+      'row 8: "Unknown" is not a Sex value',
+      'row 9: unknown demographic type "Income"',
+      'row 10: unknown pathogen "Pneumonia"',
+      'row 11: invalid data as of date "2025-02-30"',
+      'row 12: duplicate row for COVID-19, 2025 week 1, Sex Female',
+    ]);
+    expect(client.statements).toContain('ROLLBACK');
+    expect(client.deaths.size).toBe(0);
+  });
+
+  test('reads the CSV download layout, which has no jurisdiction column', async () => {
+    const client = fakeClient();
+    const csv = 'Data As Of,MMWR Year,MMWR Week,Pathogen,Demographic Type,Demographic Values,Deaths\n' +
+      '10/09/2025,2025,1,COVID-19,Sex,Female,1210\n';
+
+    const summary = await ingestDeaths(client, [csv]);
+
+    expect(summary.dataAsOf).toBe('2025-10-09');
+    expect(client.deaths.get('1|1|1')).toBe(1210);
+  });
+
+  test('rejects files that are not deaths exports', async () => {
+    const err = await ingestDeaths(fakeClient(), ['States,Year,Week,Label,m1\n']).catch(e => e);
+
+    expect(err).toBeInstanceOf(IngestError);
+    expect(err.message).toMatch(/missing columns: data_as_of \/ Data As Of, pathogen \/ Pathogen/);
+  });
+
+  test('a dry run validates and counts, then rolls back', async () => {
+    const client = fakeClient();
+
+    const summary = await ingestDeaths(client, [EXPORT], { dryRun: true });
+
+    expect(summary.deaths.inserted).toBe(3);
+    expect(client.statements[client.statements.length - 1]).toBe('ROLLBACK');
+  });
+});
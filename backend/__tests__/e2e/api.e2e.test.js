@@ -0,0 +1,395 @@
+/**
+ * End-to-end API tests against a real Postgres loaded with the synthetic demo
+ * dataset (see seeder.js). They migrate the database, replace its data with
+ * a fresh seed and run real SQL for every route, so they only run with E2E=1
+ * against a local database:
+ *
+ *   DB_HOST=localhost DB_USER=... DB_PASSWORD=... DB_NAME=disease_demo npm run test:e2e
+ */
+
+// symptom search embeds queries with the local provider the seed used for the
+// stored vectors, so no API key is needed
+process.env.EMBEDDING_PROVIDER = 'local';
+
+const request = require('supertest');
+const config = require('../../config');
+const { clearVocabularies } = require('../../validation/reference');
+
+const enabled = process.env.E2E === '1';
+const describeE2E = enabled ? describe : describe.skip;
+
+// the analytic routes scan the full seeded fact tables
+jest.setTimeout(30000);
+
+describeE2E('API against the seeded demo database', () => {
+  let app;
+  let pool;
+  let diseaseIds;
+
+  beforeAll(async () => {
+    config.assertValid();
+    const { isLocalHost, seedDatabase } = require('../../seeder');
+    if (!isLocalHost(config.dbHost)) {
+      throw new Error(`E2E tests replace all data; refusing to run against ${config.dbHost}`);
+    }
+
+    ({ pool } = require('../../db'));
+    const migrator = require('../../migrator');
+    const client = await pool.connect();
+    try {
+      await migrator.up(client);
+      await seedDatabase(client, { reset: true });
+    } finally {
+      client.release();
+    }
+
+    app = require('../../server');
+    const diseases = await request(app).get('/api/diseases');
+    diseaseIds = Object.fromEntries(diseases.body.map(d => [d.diseaseName, d.diseaseId]));
+  }, 300000);
+
+  afterAll(async () => {
+    if (pool) await pool.end();
+  });
+
+  test('GET /api/states lists every state and DC', async () => {
+    const res = await request(app).get('/api/states');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveLength(51);
+    expect(res.body.map(s => s.stateName)).toContain('District of Columbia');
+  });
+
+  test('GET /api/diseases?year filters to diseases with cases that year', async () => {
+    const res = await request(app).get('/api/diseases?year=2024');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map(d => d.diseaseName)).toEqual(expect.arrayContaining(['COVID-19', 'Influenza', 'Lyme disease']));
+  });
+
+  test('GET /api/demographic-options lists the census categories', async () => {
+    const res = await request(app).get('/api/demographic-options');
+
+    expect(res.body.sexes).toEqual(['Female', 'Male']);
+    expect(res.body.races).toContain('White');
+    expect(res.body.ageGroups).toContain('75+');
+  });
+
+  test('GET /api/state-yearly-percapita ranks every state by rate', async () => {
+    const res = await request(app).get(`/api/state-yearly-percapita?year=2024&diseaseId=${diseaseIds.Influenza}`);
+    const rates = res.body.map(r => r.perCapitaYearlyCases);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveLength(51);
+    expect(rates.every(rate => rate > 0)).toBe(true);
+    expect(rates).toEqual([...rates].sort((a, b) => b - a));
+    // the seed has populations for 2020-2023, so 2024 is projected
+    expect(res.body.every(r => r.populationMethod === 'projected')).toBe(true);
+  });
+
+  test('GET /api/state-weekly-percapita reports the week against its 52-week max', async () => {
+    const ids = [diseaseIds['COVID-19'], diseaseIds.Influenza].join(',');
+    const res = await request(app).get(`/api/state-weekly-percapita?year=2024&week=5&diseaseIds=${ids}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveLength(102);
+    for (const row of res.body) {
+      expect(Number(row.perCapita52WeekMax)).toBeGreaterThanOrEqual(Number(row.perCapitaWeeklyCases));
+    }
+  });
+
+  test('GET /api/estimated-demographic-cases projects the population for later years', async () => {
+    const res = await request(app).get(
+      '/api/estimated-demographic-cases?stateName=California&diseaseName=COVID-19&year=2024&race=White&sex=Male&ageGroup=25-44'
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.popYear).toBe(2024);
+    expect(res.body.populationMethod).toBe('projected');
+    expect(res.body.population).toBeGreaterThan(0);
+    expect(res.body.estimatedDemographicCases).toBeGreaterThan(0);
+    expect(res.body.estimatedDemographicCases).toBeLessThan(res.body.totalYearlyCases);
+  });
+
+  test('GET /api/deaths-by-pathogen-demographic gives the group share of deaths', async () => {
+    const res = await request(app).get('/api/deaths-by-pathogen-demographic?pathogen=COVID-19&year=2023&ageGroup=65%2B%20years');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.totalDeaths).toBeGreaterThan(0);
+    expect(res.body.percentDeaths).toBeGreaterThan(50);
+    expect(res.body.percentDeaths).toBeLessThan(100);
+  });
+
+  test('GET /api/estimated-deaths-by-state estimates deaths from national age rates', async () => {
+    const res = await request(app).get('/api/estimated-deaths-by-state?pathogen=COVID-19&year=2023&state=Texas');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.estimated_deaths).toBeGreaterThan(0);
+  });
+
+  test('GET /api/diseases/:id profiles a disease consistently with the other routes', async () => {
+    const covid = await request(app).get(`/api/diseases/${diseaseIds['COVID-19']}`);
+    const lyme = await request(app).get(`/api/diseases/${diseaseIds['Lyme disease']}`);
+    const ranked = await request(app).get(`/api/state-yearly-percapita?year=2025&diseaseId=${diseaseIds['COVID-19']}`);
+    const shares = await request(app).get('/api/deaths-by-pathogen-demographic?pathogen=COVID-19&year=2023&ageGroup=65%2B%20years');
+
+    expect(covid.statusCode).toBe(200);
+    expect(covid.body).toMatchObject({ diseaseName: 'COVID-19', hasEmbedding: true });
+    expect(covid.body.coverage.map(c => c.year)).toEqual([2020, 2021, 2022, 2023, 2024, 2025]);
+    expect(covid.body.coverage[0]).toEqual({ year: 2020, weeks: 53, firstWeek: 1, lastWeek: 53 });
+    expect(covid.body.nationalRates).toHaveLength(6);
+    expect(covid.body.topStates.year).toBe(2025);
+    expect(covid.body.topStates.states.map(s => s.stateName)).toEqual(ranked.body.slice(0, 5).map(r => r.stateName));
+    expect(covid.body.deaths.byYear.find(d => d.year === 2023).deaths).toBe(shares.body.sumOfTotalDeaths);
+
+    expect(lyme.body.symptoms).toMatch(/bullseye rash/);
+    expect(lyme.body.deaths).toBeNull();
+  });
+
+  test('GET /api/diseases/:id finds the deaths of a pathogen named differently from the disease', async () => {
+    const inserted = await pool.query(
+      "INSERT INTO dim_disease (disease_name) VALUES ('Influenza-associated pediatric mortality') RETURNING disease_id"
+    );
+    const id = inserted.rows[0].disease_id;
+    // the disease id vocabulary was loaded before the insert
+    clearVocabularies();
+    try {
+      await pool.query(
+        "INSERT INTO disease_pathogen (disease_id, pathogen_id) SELECT $1, pathogen_id FROM dim_pathogen WHERE pathogen = 'Influenza'",
+        [id]
+      );
+
+      const linked = await request(app).get(`/api/diseases/${id}`);
+      const influenza = await request(app).get(`/api/diseases/${diseaseIds.Influenza}`);
+
+      expect(linked.statusCode).toBe(200);
+      expect(linked.body.deaths.pathogen).toBe('Influenza');
+      expect(linked.body.deaths).toEqual(influenza.body.deaths);
+    } finally {
+      await pool.query('DELETE FROM dim_disease WHERE disease_id = $1', [id]);
+      clearVocabularies();
+    }
+  });
+
+  test('GET /api/states/:stateName/profile agrees with the routes it summarizes', async () => {
+    const profile = await request(app).get('/api/states/Maine/profile?year=2024');
+    const lyme = profile.body.diseases.find(d => d.diseaseName === 'Lyme disease');
+    const ranked = await request(app).get(`/api/state-yearly-percapita?year=2024&diseaseId=${diseaseIds['Lyme disease']}`);
+    const outliers = await request(app).get('/api/states-high-outliers?diseaseName=Lyme%20disease&year=2024');
+    const deaths = await request(app).get('/api/estimated-deaths-by-state?pathogen=COVID-19&year=2024&state=Maine');
+
+    expect(profile.statusCode).toBe(200);
+    expect(profile.body.population.total).toBeGreaterThan(0);
+    expect(profile.body.population.bySex.map(s => s.value)).toEqual(['Female', 'Male']);
+    expect(profile.body.diseases).toHaveLength(8);
+
+    const maine = ranked.body.findIndex(r => r.stateName === 'Maine');
+    expect(lyme.casesPer100k).toBe(ranked.body[maine].perCapitaYearlyCases);
+    expect(lyme.rank).toBe(maine + 1);
+    expect(lyme.highOutlier).toBe(outliers.body.some(o => o.stateName === 'Maine'));
+    expect(profile.body.estimatedDeaths.find(d => d.pathogen === 'COVID-19').estimatedDeaths).toBe(deaths.body.estimated_deaths);
+  });
+
+  test('GET /api/state-demographic-overunder covers every demographic cell', async () => {
+    const res = await request(app).get('/api/state-demographic-overunder?stateName=California&diseaseName=Influenza&year=2023');
+    const populationShare = res.body.reduce((sum, row) => sum + row.shareOfPopulation, 0);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveLength(6 * 2 * 7);
+    expect(populationShare).toBeCloseTo(1, 1);
+  });
+
+  test('GET /api/top-states-by-disease returns one disease per state, defaulting the year', async () => {
+    const res = await request(app).get('/api/top-states-by-disease');
+
+    expect(res.statusCode).toBe(200);
+    expect(new Set(res.body.map(r => r.stateName)).size).toBe(res.body.length);
+    expect(res.body).toHaveLength(51);
+  });
+
+  test('GET /api/states-rising-4years finds states with a growing trend', async () => {
+    const res = await request(app).get('/api/states-rising-4years?diseaseName=Lyme%20disease&startYear=2020&endYear=2023');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.length).toBeGreaterThan(0);
+  });
+
+  test('GET /api/states-high-outliers only returns states above mean + 1 SD', async () => {
+    const res = await request(app).get('/api/states-high-outliers?diseaseName=Influenza&year=2023');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.length).toBeGreaterThan(0);
+    for (const row of res.body) {
+      expect(row.perCapita).toBeGreaterThan(row.avgRate + row.stdRate);
+    }
+  });
+
+  test('GET /api/states-below-national-all-races returns a subset of states', async () => {
+    const res = await request(app).get('/api/states-below-national-all-races?diseaseName=COVID-19&year=2022');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.length).toBeGreaterThan(0);
+    expect(res.body.length).toBeLessThan(51);
+  });
+
+  test('GET /api/state-vs-national-trend returns one row per year', async () => {
+    const res = await request(app).get(
+      '/api/state-vs-national-trend?diseaseName=COVID-19&stateName=California&startYear=2020&endYear=2024'
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map(r => r.year)).toEqual([2020, 2021, 2022, 2023, 2024]);
+  });
+
+  test('GET /api/state-vs-national-trend puts the national rate among the state rates', async () => {
+    const trend = await request(app).get(
+      '/api/state-vs-national-trend?diseaseName=COVID-19&stateName=California&startYear=2022&endYear=2022'
+    );
+    const states = await request(app).get(`/api/state-yearly-percapita?year=2022&diseaseId=${diseaseIds['COVID-19']}`);
+    const rates = states.body.map(r => r.perCapitaYearlyCases);
+
+    expect(trend.body[0].nationalCasesPer100k).toBeGreaterThan(Math.min(...rates));
+    expect(trend.body[0].nationalCasesPer100k).toBeLessThan(Math.max(...rates));
+  });
+
+  test('GET /api/state-vs-national-trend-weekly returns every MMWR week', async () => {
+    const res = await request(app).get('/api/state-vs-national-trend-weekly?stateName=Texas&diseaseName=Influenza');
+
+    expect(res.statusCode).toBe(200);
+    // 2020 and 2025 have 53 MMWR weeks
+    expect(res.body).toHaveLength(6 * 52 + 2);
+    expect(res.body[0]).toMatchObject({ year: 2020, week: 1, state_name: 'Texas' });
+  });
+
+  test('GET /api/similar-symptoms ranks the matching disease first', async () => {
+    const res = await request(app).get('/api/similar-symptoms?text=bullseye%20rash%20after%20a%20tick%20bite');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.results[0].disease_name).toBe('Lyme disease');
+  });
+
+  test('GET /api/similar-symptoms reports the matched terms and honours the mode and threshold', async () => {
+    const text = await request(app).get('/api/similar-symptoms?text=Bullseye%20rash&mode=text');
+    const vector = await request(app).get('/api/similar-symptoms?text=bullseye%20rash&mode=vector&minSimilarity=0.2');
+
+    expect(text.body.results.map(r => [r.disease_name, r.matched_terms])).toEqual([
+      ['Lyme disease', ['bullseye', 'rash']],
+      ['Measles', ['rash']],
+    ]);
+    expect(text.body.results[0].distance).toBeNull();
+    expect(vector.body.results.map(r => r.disease_name)).toEqual(['Lyme disease']);
+    expect(Number(vector.body.results[0].similarity)).toBeGreaterThanOrEqual(0.2);
+  });
+
+  test('GET /api/similar-symptoms weighs the ranking by incidence in the state and season', async () => {
+    const text = encodeURIComponent('bullseye rash, fever, joint aches');
+    const maineJuly = await request(app).get(`/api/similar-symptoms?text=${text}&stateName=Maine&year=2024&week=28`);
+    const arizonaJanuary = await request(app).get(`/api/similar-symptoms?text=${text}&stateName=Arizona&year=2024&week=2`);
+    const lyme = body => body.results.find(r => r.disease_name === 'Lyme disease');
+
+    expect(maineJuly.body.results[0].disease_name).toBe('Lyme disease');
+    expect(arizonaJanuary.body.results[0].disease_name).not.toBe('Lyme disease');
+    // the raw similarity does not depend on the state
+    expect(lyme(arizonaJanuary.body).similarity).toBe(lyme(maineJuly.body).similarity);
+    expect(Number(lyme(arizonaJanuary.body).prior)).toBeLessThan(Number(lyme(maineJuly.body).prior));
+    const posteriors = maineJuly.body.results.map(r => Number(r.adjusted_score));
+    expect(posteriors.reduce((a, b) => a + b)).toBeCloseTo(1, 3);
+  });
+
+  test('GET /api/similar-symptoms ranks diseases without the negated symptom first', async () => {
+    const res = await request(app).get('/api/similar-symptoms?text=cough%2C%20no%20fever');
+
+    expect(res.body.parsed).toEqual({ present: ['cough'], absent: ['fever'] });
+    expect(res.body.results[0]).toMatchObject({ disease_name: 'Pertussis', matched_terms: ['cough'], negated_terms: [] });
+    expect(res.body.results.find(r => r.disease_name === 'Influenza').negated_terms).toEqual(['fever']);
+  });
+
+  test('GET /api/similar-symptoms leaves stop words out of the vector ranking', async () => {
+    const stopWords = await request(app).get('/api/similar-symptoms?text=the');
+    const negated = await request(app).get('/api/similar-symptoms?text=rash%2C%20no%20the');
+
+    expect(stopWords.statusCode).toBe(200);
+    expect(stopWords.body.results).toEqual([]);
+    expect(negated.statusCode).toBe(200);
+    expect(negated.body.results[0]).toMatchObject({ matched_terms: ['rash'], negated_similarity: null });
+  });
+
+  test('the symptom vocabulary suggests symptoms and finds the diseases mentioning them', async () => {
+    const vocabulary = await request(app).get('/api/symptom-vocabulary');
+    const suggestions = await request(app).get('/api/symptom-suggestions?q=fevr&limit=2');
+    const diseases = await request(app).get('/api/diseases-with-symptom?symptom=rashes');
+
+    expect(vocabulary.body[0]).toEqual({ symptom: 'fever', diseaseCount: 7 });
+    expect(suggestions.body).toEqual([
+      { symptom: 'fever', diseaseCount: 7, match: 'fuzzy' },
+      { symptom: 'high fever', diseaseCount: 2, match: 'fuzzy' },
+    ]);
+    expect(diseases.body.map(d => d.diseaseName)).toEqual(['Lyme disease', 'Measles']);
+  });
+
+  test('unknown names and years without data use the reference vocabularies', async () => {
+    const state = await request(app).get('/api/state-vs-national-trend-weekly?stateName=Atlantis&diseaseName=Influenza');
+    const year = await request(app).get(`/api/state-yearly-percapita?year=2019&diseaseId=${diseaseIds.Influenza}`);
+
+    expect(state.statusCode).toBe(404);
+    expect(state.body.code).toBe('UNKNOWN_STATE');
+    expect(year.statusCode).toBe(404);
+    expect(year.body.code).toBe('NO_DATA_FOR_YEAR');
+  });
+
+  test('health endpoints report a ready, populated database', async () => {
+    const ready = await request(app).get('/api/health/ready');
+    const data = await request(app).get('/api/health/data');
+
+    expect(ready.statusCode).toBe(200);
+    expect(ready.body.checks.pgvector.status).toBe('ok');
+    expect(data.body.population.latestYear).toBe(2023);
+    expect(ready.body.checks.embeddings).toEqual({ status: 'ok', provider: 'local', model: 'hash-bag-of-words-v1' });
+    expect(data.body.embeddings).toEqual({
+      diseasesWithEmbeddings: 8,
+      totalDiseases: 8,
+      queryModel: 'hash-bag-of-words-v1',
+      models: [{ model: 'hash-bag-of-words-v1', dimensions: 1536, diseases: 8 }],
+    });
+  });
+
+  test('a refresh brings the rate cubes up to date with the case facts', async () => {
+    const { refreshRateCubes } = require('../../rateCubes');
+    const client = await pool.connect();
+    const cubeCases = async () => (await client.query(
+      'SELECT total_cases FROM rate_state_disease_year WHERE region_id = 1 AND disease_id = $1 AND year = 2023',
+      [diseaseIds.Influenza]
+    )).rows[0].total_cases;
+    try {
+      await client.query('BEGIN');
+      const before = await cubeCases();
+      await client.query(
+        'UPDATE fact_cases_weekly SET current_week_cases = current_week_cases + 1000 WHERE region_id = 1 AND disease_id = $1 AND year = 2023 AND week = 10',
+        [diseaseIds.Influenza]
+      );
+      expect(await cubeCases()).toBe(before);
+
+      await refreshRateCubes(client);
+
+      expect(await cubeCases()).toBe(before + 1000);
+    } finally {
+      await client.query('ROLLBACK');
+      client.release();
+    }
+  });
+
+  test('the seeded data passes the data audit', async () => {
+    const { runAudit } = require('../../auditor');
+    const client = await pool.connect();
+    let report;
+    try {
+      report = await runAudit(client);
+    } finally {
+      client.release();
+    }
+
+    expect(report.checks.filter(c => c.status === 'fail')).toEqual([]);
+    // the seed's populations end in 2023, before its case data does
+    expect(report.checks.find(c => c.id === 'case-population-overlap').status).toBe('warn');
+  });
+});
@@ -0,0 +1,176 @@
+const { generateEmbeddings, contentHash, withRetry } = require('../embeddings/generate');
+
+const DISEASES = [
+  { id: 1, name: 'Measles', symptoms: 'fever, rash, cough' },
+  { id: 2, name: 'Lyme disease', symptoms: 'bullseye rash, fatigue' },
+  { id: 3, name: 'Pertussis', symptoms: 'whooping cough' },
+];
+
+/** disease_symptoms, dim_disease and disease_symptom_embeddings in memory */
+function fakeClient(embeddings = new Map()) {
+  return {
+    embeddings,
+    async query(text, params) {
+      if (/^SELECT disease_id, disease_name FROM dim_disease$/.test(text)) {
+        return { rows: DISEASES.map(d => ({ disease_id: d.id, disease_name: d.name })) };
+      }
+      if (/FROM disease_symptoms s/.test(text)) {
+        const [ids] = params;
+        return {
+          rows: DISEASES.filter(d => ids === null || ids.includes(d.id)).map((d) => {
+            const e = embeddings.get(d.id);
+            return {
+              disease_id: d.id,
+              disease_name: d.name,
+              symptoms: d.symptoms,
+              embedded: e !== undefined,
+              content_hash: e ? e.hash : null,
+              embedding_model: e ? e.model : null,
+              embedding_dimensions: e ? e.dimensions : null,
+            };
+          }),
+        };
+      }
+      if (/^\s*INSERT INTO disease_symptom_embeddings/.test(text)) {
+        const [ids, vectors, model, dimensions, hashes] = params;
+        ids.forEach((id, i) => embeddings.set(id, { vector: vectors[i], model, dimensions, hash: hashes[i] }));
+        return { rows: [] };
+      }
+      throw new Error(`unexpected query: ${text}`);
+    },
+  };
+}
+
+function fakeProvider({ model = 'test-model', failures = [] } = {}) {
+  const requests = [];
+  return {
+    name: 'test',
+    model,
+    dimensions: 2,
+    requests,
+    async embed(texts) {
+      requests.push(texts);
+      if (failures.length > 0) throw failures.shift();
+      return texts.map(t => [t.length, 1]);
+    },
+  };
+}
+
+function embedded(id, overrides = {}) {
+  const disease = DISEASES.find(d => d.id === id);
+  return [id, { vector: '[0,0]', model: 'test-model', dimensions: 2, hash: contentHash(disease.symptoms), ...overrides }];
+}
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+const noSleep = { sleep: async () => {} };
+
+describe('embedding generation', () => {
+  test('embeds every symptom text in batches on the first run', async () => {
+    const client = fakeClient();
+    const provider = fakeProvider();
+
+    const summary = await generateEmbeddings(client, provider, { batchSize: 2 });
+
+    expect(provider.requests).toEqual([['fever, rash, cough', 'bullseye rash, fatigue'], ['whooping cough']]);
+    expect(summary).toMatchObject({ current: 0, stale: { new: 3, changed: 0, model: 0 }, embedded: 3, batches: 2 });
+    expect(client.embeddings.get(3)).toEqual({
+      vector: '[14,1]', model: 'test-model', dimensions: 2, hash: contentHash('whooping cough'),
+    });
+  });
+
+  test('only re-embeds texts that changed, are new, or came from another model', async () => {
+    const client = fakeClient(new Map([
+      embedded(1),
+      embedded(2, { hash: contentHash('old symptoms') }),
+    ]));
+    const provider = fakeProvider();
+
+    const summary = await generateEmbeddings(client, provider);
+
+    expect(provider.requests).toEqual([['bullseye rash, fatigue', 'whooping cough']]);
+    expect(summary).toMatchObject({ current: 1, stale: { new: 1, changed: 1, model: 0 }, diseases: ['Lyme disease', 'Pertussis'] });
+
+    const again = await generateEmbeddings(client, fakeProvider());
+    expect(again).toMatchObject({ current: 3, embedded: 0, batches: 0 });
+
+    const switched = await generateEmbeddings(client, fakeProvider({ model: 'other-model' }));
+    expect(switched.stale).toEqual({ new: 0, changed: 0, model: 3 });
+  });
+
+  test('a dry run reports without calling the provider or writing', async () => {
+    const client = fakeClient();
+    const provider = fakeProvider();
+
+    const summary = await generateEmbeddings(client, provider, { dryRun: true });
+
+    expect(summary).toMatchObject({ stale: { new: 3 }, embedded: 0, diseases: ['Measles', 'Lyme disease', 'Pertussis'] });
+    expect(provider.requests).toEqual([]);
+    expect(client.embeddings.size).toBe(0);
+  });
+
+  test('limits the run to diseases given by name or id', async () => {
+    const client = fakeClient();
+
+    const summary = await generateEmbeddings(client, fakeProvider(), { diseases: ['lyme DISEASE', '3'] });
+
+    expect(summary.diseases).toEqual(['Lyme disease', 'Pertussis']);
+    expect([...client.embeddings.keys()]).toEqual([2, 3]);
+    await expect(generateEmbeddings(client, fakeProvider(), { diseases: ['Measles', 'Ebola', '99'] }))
+      .rejects.toThrow('Unknown diseases: "Ebola", "99"');
+  });
+
+  test('retries rate limits and resumes after a failed run', async () => {
+    const client = fakeClient();
+    const delays = [];
+    const retry = { retries: 1, sleep: async ms => delays.push(ms) };
+
+    // the second batch fails twice: the retry is exhausted and the run stops
+    const provider = fakeProvider();
+    const embed = provider.embed.bind(provider);
+    let calls = 0;
+    provider.embed = async (texts) => {
+      calls += 1;
+      if (calls > 1) throw httpError(503);
+      return embed(texts);
+    };
+    await expect(generateEmbeddings(client, provider, { batchSize: 2, retry })).rejects.toThrow('HTTP 503');
+    expect(delays).toEqual([1000]);
+    expect([...client.embeddings.keys()]).toEqual([1, 2]);
+
+    const resumed = fakeProvider({ failures: [httpError(429)] });
+    const summary = await generateEmbeddings(client, resumed, { batchSize: 2, retry: noSleep });
+    expect(resumed.requests).toEqual([['whooping cough'], ['whooping cough']]);
+    expect(summary).toMatchObject({ current: 2, embedded: 1 });
+  });
+});
+
+describe('withRetry', () => {
+  test('backs off exponentially on transient errors', async () => {
+    const delays = [];
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(429))
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockRejectedValueOnce(httpError(500))
+      .mockResolvedValue('ok');
+
+    await expect(withRetry(fn, { sleep: async ms => delays.push(ms) })).resolves.toBe('ok');
+    expect(delays).toEqual([1000, 2000, 4000]);
+  });
+
+  test('does not retry client errors', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(400));
+
+    await expect(withRetry(fn, noSleep)).rejects.toThrow('HTTP 400');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after the last retry', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(429));
+
+    await expect(withRetry(fn, { ...noSleep, retries: 2 })).rejects.toThrow('HTTP 429');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+});
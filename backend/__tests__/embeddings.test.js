@@ -0,0 +1,52 @@
+jest.mock('openai', () => jest.fn().mockImplementation(() => ({
+  embeddings: {
+    // answers out of order, as the API may
+    create: jest.fn(async ({ input, dimensions }) => ({
+      data: input.map((text, index) => ({ index, embedding: new Array(dimensions).fill(text.length) })).reverse(),
+    })),
+  },
+})));
+
+const OpenAI = require('openai');
+const { createProvider, EMBEDDING_DIMENSIONS } = require('../embeddings');
+
+describe('embedding providers', () => {
+  test('the openai provider batches texts and keeps their order', async () => {
+    const provider = createProvider('openai', { openaiApiKey: 'sk-test' });
+
+    const vectors = await provider.embed(['a', 'abc']);
+
+    expect(provider).toMatchObject({ name: 'openai', model: 'text-embedding-3-small', dimensions: EMBEDDING_DIMENSIONS });
+    expect(vectors.map(v => v[0])).toEqual([1, 3]);
+    const client = OpenAI.mock.results[0].value;
+    expect(client.embeddings.create).toHaveBeenCalledTimes(1);
+    expect(client.embeddings.create).toHaveBeenCalledWith({ model: 'text-embedding-3-small', input: ['a', 'abc'], dimensions: 1536 });
+  });
+
+  test('the openai provider is unavailable without a key', () => {
+    expect(createProvider('openai').isAvailable()).toBe(false);
+  });
+
+  test('the local provider is deterministic and unit length', async () => {
+    const provider = createProvider('local');
+
+    const [fever, again, rash] = await provider.embed(['high fever', 'High fever!', 'bullseye rash']);
+
+    expect(fever).toHaveLength(EMBEDDING_DIMENSIONS);
+    expect(fever).toEqual(again);
+    expect(fever).not.toEqual(rash);
+    expect(Math.hypot(...fever)).toBeCloseTo(1);
+  });
+
+  test('the local provider rejects text without words to embed', async () => {
+    const provider = createProvider('local');
+
+    // a zero vector has no direction: its cosine distance to anything is NaN
+    await expect(provider.embed(['the, and!'])).rejects.toThrow(RangeError);
+    await expect(provider.embed([''])).rejects.toThrow('Cannot embed ""');
+  });
+
+  test('rejects an unknown provider', () => {
+    expect(() => createProvider('word2vec')).toThrow('Unknown embedding provider "word2vec" (expected one of: openai, local)');
+  });
+});
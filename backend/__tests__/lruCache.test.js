@@ -0,0 +1,33 @@
+const LruCache = require('../utils/lruCache');
+
+describe('LruCache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('evicts the least recently used entry when full', () => {
+    const cache = new LruCache({ maxEntries: 2 });
+    cache.set('a', 1, 1000);
+    cache.set('b', 2, 1000);
+    cache.get('a');
+    cache.set('c', 3, 1000);
+
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('c')).toBe(3);
+    expect(cache.evictions).toBe(1);
+  });
+
+  test('expires entries after their TTL', () => {
+    jest.useFakeTimers();
+    const cache = new LruCache({ maxEntries: 10 });
+    cache.set('a', 1, 1000);
+
+    jest.advanceTimersByTime(999);
+    expect(cache.get('a')).toBe(1);
+
+    jest.advanceTimersByTime(1);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.size).toBe(0);
+  });
+});
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const migrator = require('../migrator');
+
+/**
+ * Stand-in for a pg client: keeps schema_migrations in memory, records every
+ * other statement and fails any statement containing "FAIL".
+ */
+function fakeClient() {
+  const client = {
+    recorded: [],
+    rows: [],
+    async query(text, params) {
+      const sql = text.trim();
+      if (/^SELECT version, name, checksum/.test(sql)) {
+        return { rows: [...client.rows].sort((a, b) => a.version.localeCompare(b.version)) };
+      }
+      if (/^INSERT INTO schema_migrations/.test(sql)) {
+        const [version, name, checksum] = params;
+        client.rows.push({ version, name, checksum, applied_at: new Date('2026-01-01') });
+        return { rows: [] };
+      }
+      if (/^DELETE FROM schema_migrations/.test(sql)) {
+        client.rows = client.rows.filter(row => row.version !== params[0]);
+        return { rows: [] };
+      }
+      if (/pg_advisory|CREATE TABLE IF NOT EXISTS schema_migrations/.test(sql)) {
+        return { rows: [] };
+      }
+      if (sql.includes('FAIL')) throw new Error('syntax error at or near "FAIL"');
+      client.recorded.push(sql);
+      return { rows: [] };
+    },
+  };
+  return client;
+}
+
+function migrationsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-test-'));
+  for (const [file, sql] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), sql);
+  }
+  return dir;
+}
+
+const dirs = [];
+function load(files) {
+  const dir = migrationsDir(files);
+  dirs.push(dir);
+  return migrator.loadMigrations(dir);
+}
+
+afterAll(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const THREE = {
+  '0001_a.up.sql': 'CREATE TABLE a ()',
+  '0001_a.down.sql': 'DROP TABLE a',
+  '0002_b.up.sql': 'CREATE TABLE b ()',
+  '0002_b.down.sql': 'DROP TABLE b',
+  '0003_c.up.sql': 'CREATE TABLE c ()',
+  '0003_c.down.sql': 'DROP TABLE c',
+};
+
+describe('migrator', () => {
+  test('applies pending migrations in order and only once', async () => {
+    const client = fakeClient();
+    const migrations = load(THREE);
+
+    expect(await migrator.up(client, { migrations })).toEqual(['0001', '0002', '0003']);
+    expect(await migrator.up(client, { migrations })).toEqual([]);
+
+    expect(client.recorded).toEqual([
+      'BEGIN', 'CREATE TABLE a ()', 'COMMIT',
+      'BEGIN', 'CREATE TABLE b ()', 'COMMIT',
+      'BEGIN', 'CREATE TABLE c ()', 'COMMIT',
+    ]);
+  });
+
+  test('stops at a failing migration and rolls it back', async () => {
+    const client = fakeClient();
+    const migrations = load({ ...THREE, '0002_b.up.sql': 'CREATE FAIL' });
+
+    const err = await migrator.up(client, { migrations }).catch(e => e);
+
+    expect(err).toBeInstanceOf(migrator.MigrationError);
+    expect(err.message).toBe('0002_b (up) failed: syntax error at or near "FAIL"');
+    expect(client.recorded).toContain('ROLLBACK');
+    expect(client.rows.map(row => row.version)).toEqual(['0001']);
+  });
+
+  test('up --to stops at the given version; down reverts newest first', async () => {
+    const client = fakeClient();
+    const migrations = load(THREE);
+
+    await migrator.up(client, { migrations, to: '0002' });
+    expect(client.rows.map(row => row.version)).toEqual(['0001', '0002']);
+
+    client.recorded = [];
+    expect(await migrator.down(client, { migrations, steps: 2 })).toEqual(['0002', '0001']);
+    expect(client.recorded).toEqual(['BEGIN', 'DROP TABLE b', 'COMMIT', 'BEGIN', 'DROP TABLE a', 'COMMIT']);
+    expect(client.rows).toEqual([]);
+  });
+
+  test('refuses to run when an applied migration was edited', async () => {
+    const client = fakeClient();
+    await migrator.up(client, { migrations: load(THREE) });
+
+    const edited = load({ ...THREE, '0001_a.up.sql': 'CREATE TABLE a (id INT)' });
+
+    await expect(migrator.up(client, { migrations: edited })).rejects.toThrow(/Applied migrations were modified: 0001_a/);
+    expect((await migrator.status(client, edited)).map(row => row.state)).toEqual(['changed', 'applied', 'applied']);
+  });
+
+  test('rejects a migration without its down script', () => {
+    expect(() => load({ '0001_a.up.sql': 'CREATE TABLE a ()' })).toThrow('0001_a: missing down.sql');
+  });
+
+  test('the shipped migrations create every table the routes query', () => {
+    const migrations = migrator.loadMigrations();
+    const created = new Set();
+    for (const { up } of migrations) {
+      for (const [, table] of up.matchAll(/CREATE TABLE (\w+)/g)) created.add(table);
+    }
+
+    const referenced = new Set();
+    const sources = ['routes', 'validation', 'scripts'].flatMap(dir =>
+      fs.readdirSync(path.join(__dirname, '..', dir))
+        .filter(file => file.endsWith('.js'))
+        .map(file => fs.readFileSync(path.join(__dirname, '..', dir, file), 'utf8')));
+    for (const source of sources) {
+      const ctes = new Set([...source.matchAll(/(\w+) AS \(/g)].map(([, name]) => name));
+      for (const [, table] of source.matchAll(/(?:FROM|JOIN|INTO)\s+((?:dim|fact|disease)_\w+)/g)) {
+        if (!ctes.has(table)) referenced.add(table);
+      }
+    }
+
+    expect([...referenced].filter(table => !created.has(table))).toEqual([]);
+    expect(migrations[0].up).toMatch(/CREATE EXTENSION IF NOT EXISTS vector/);
+  });
+});
@@ -0,0 +1,27 @@
+const { mmwrWeekOf, weekStart, weeksInYear, weeksSince } = require('../utils/mmwr');
+
+describe('MMWR weeks', () => {
+  test('week 1 is the Sunday-to-Saturday week containing January 4th', () => {
+    expect(weekStart(2025, 1).toISOString().slice(0, 10)).toBe('2024-12-29');
+    expect(weekStart(2021, 1).toISOString().slice(0, 10)).toBe('2021-01-03');
+  });
+
+  test('dates at a year boundary belong to the right MMWR year', () => {
+    expect(mmwrWeekOf(new Date('2024-12-29T12:00:00Z'))).toEqual({ year: 2025, week: 1 });
+    expect(mmwrWeekOf(new Date('2021-01-02T12:00:00Z'))).toEqual({ year: 2020, week: 53 });
+    expect(mmwrWeekOf(new Date('2015-12-31T12:00:00Z'))).toEqual({ year: 2015, week: 52 });
+  });
+
+  test('weeksInYear is 53 for years whose week 1 starts late enough', () => {
+    expect(weeksInYear(2020)).toBe(53);
+    expect(weeksInYear(2024)).toBe(52);
+    expect(weeksInYear(2025)).toBe(53);
+  });
+
+  test('weeksSince counts whole weeks back from the current week', () => {
+    const now = new Date('2026-10-19T12:00:00Z'); // 2026 week 42
+    expect(weeksSince(2026, 42, now)).toBe(0);
+    expect(weeksSince(2026, 40, now)).toBe(2);
+    expect(weeksSince(2025, 52, now)).toBe(43); // 2025 has 53 MMWR weeks
+  });
+});
@@ -0,0 +1,156 @@
+const { ingestNndss, normalizeReportingArea, IngestError } = require('../ingest/nndss');
+
+/**
+ * Stand-in for a pg client holding the NNDSS dimensions and both fact tables
+ * in memory, with the upsert semantics of the ingestion SQL.
+ */
+function fakeClient() {
+  const db = {
+    areas: [{ region_id: 1, reporting_area: 'New England' }, { region_id: 2, reporting_area: 'US RESIDENTS' }],
+    diseases: [{ disease_id: 1, disease_name: 'Pertussis' }],
+    states: [{ region_id: 7, state_name: 'Connecticut' }],
+    nndss: new Map(),
+    cases: new Map(),
+    statements: [],
+  };
+
+  const upsert = (facts, params) => {
+    const rows = [];
+    params[0].forEach((_, i) => {
+      const key = params.slice(0, 4).map(column => column[i]).join('|');
+      const value = params[4][i];
+      if (!facts.has(key)) {
+        facts.set(key, value);
+        rows.push({ inserted: true });
+      } else if (facts.get(key) !== value) {
+        facts.set(key, value);
+        rows.push({ inserted: false });
+      }
+    });
+    return { rows };
+  };
+
+  db.query = async (text, params) => {
+    const sql = text.trim();
+    db.statements.push(sql.split(/\s+/).slice(0, 3).join(' '));
+    if (sql.startsWith('SELECT region_id, reporting_area')) return { rows: db.areas };
+    if (sql.startsWith('SELECT disease_id')) return { rows: db.diseases };
+    if (sql.startsWith('SELECT region_id, state_name')) return { rows: db.states };
+    if (sql.startsWith('INSERT INTO dim_region_ndss')) {
+      const rows = params[0].map((reporting_area, i) => ({ region_id: db.areas.length + i + 1, reporting_area }));
+      db.areas.push(...rows);
+      return { rows };
+    }
+    if (sql.startsWith('INSERT INTO dim_disease')) {
+      const rows = params[0].map((disease_name, i) => ({ disease_id: db.diseases.length + i + 1, disease_name }));
+      db.diseases.push(...rows);
+      return { rows };
+    }
+    if (sql.startsWith('INSERT INTO fact_nndss_weekly')) return upsert(db.nndss, params);
+    if (sql.startsWith('INSERT INTO fact_cases_weekly')) return upsert(db.cases, params);
+    return { rows: [] };
+  };
+  return db;
+}
+
+const HEADER = 'States,Year,Week,Label,m1,m1_flag,m2,m2_flag,location1\n';
+
+const WEEK_40 = HEADER +
+  'NEW ENGLAND,2025,40,Pertussis,12,,30,,\n' +
+  'Connecticut,2025,40,Pertussis,,-,8,,\n' +
+  'Connecticut,2025,40,"Lyme disease, Confirmed",,N,,N,\n' +
+  'U.S. Residents,2025,40,Pertussis,310,,540,,\n';
+
+describe('NNDSS weekly ingestion', () => {
+  test('maps areas and labels, treating "-" as zero and "N" as unknown', async () => {
+    const client = fakeClient();
+
+    const summary = await ingestNndss(client, [WEEK_40]);
+
+    expect(summary).toMatchObject({
+      rows: 4,
+      weeks: ['2025-40'],
+      notAvailable: 1,
+      nndss: { inserted: 4, updated: 0, unchanged: 0 },
+      cases: { inserted: 2, updated: 0, unchanged: 0 },
+      newReportingAreas: ['CONNECTICUT'],
+      newDiseases: ['Lyme disease, Confirmed'],
+    });
+    // existing areas are reused whatever their spelling; Connecticut is new as area 3
+    expect([...client.nndss]).toEqual([
+      ['1|1|2025|40', 12],
+      ['3|1|2025|40', 0],
+      ['3|2|2025|40', null],
+      ['2|1|2025|40', 310],
+    ]);
+    // only the state row reaches the case facts, under its dim_region id
+    expect([...client.cases]).toEqual([['7|1|2025|40', 0], ['7|2|2025|40', null]]);
+    expect(client.statements[0]).toBe('BEGIN');
+    expect(client.statements[client.statements.length - 1]).toBe('COMMIT');
+  });
+
+  test('loading a week again only updates revised counts', async () => {
+    const client = fakeClient();
+    await ingestNndss(client, [WEEK_40]);
+
+    const again = await ingestNndss(client, [WEEK_40]);
+    const revised = await ingestNndss(client, [WEEK_40.replace('NEW ENGLAND,2025,40,Pertussis,12', 'NEW ENGLAND,2025,40,Pertussis,14')]);
+
+    expect(again.nndss).toEqual({ inserted: 0, updated: 0, unchanged: 4 });
+    expect(again.newDiseases).toEqual([]);
+    expect(revised.nndss).toEqual({ inserted: 0, updated: 1, unchanged: 3 });
+    expect(client.nndss.get('1|1|2025|40')).toBe(14);
+  });
+
+  test('reads the older export layout', async () => {
+    const client = fakeClient();
+    const csv = 'Reporting Area,MMWR Year,MMWR Week,Label,Current week,"Current week, flag"\n' +
+      'NEW ENGLAND,2020,53,Pertussis,3,\n';
+
+    const summary = await ingestNndss(client, [csv]);
+
+    expect(summary.weeks).toEqual(['2020-53']);
+    expect(client.nndss.get('1|1|2020|53')).toBe(3);
+  });
+
+  test('rejects the whole file when a row is invalid', async () => {
+    const client = fakeClient();
+    const csv = WEEK_40 +
+      'NEW ENGLAND,2024,53,Pertussis,1,,,,\n' +
+      'NEW ENGLAND,2025,41,Pertussis,,X,,,\n' +
+      'New England,2025,40,Pertussis,12,,,,\n';
+
+    const err = await ingestNndss(client, [csv]).catch(e => e);
+
+    expect(err).toBeInstanceOf(IngestError);
+    expect(err.errors).toEqual([
+      'row 6: invalid MMWR week "53" for 2024',
+      'row 7: unknown current week flag "X"',
+      'row 8: duplicate row for NEW ENGLAND, Pertussis, 2025 week 40',
+    ]);
+    expect(client.statements).toContain('ROLLBACK');
+    expect(client.statements).not.toContain('COMMIT');
+  });
+
+  test('rejects files that are not NNDSS exports', async () => {
+    const err = await ingestNndss(fakeClient(), ['state,year,cases\nTexas,2025,3\n']).catch(e => e);
+
+    expect(err).toBeInstanceOf(IngestError);
+    expect(err.message).toMatch(/missing columns: States \/ Reporting Area, Week \/ MMWR Week, Label/);
+  });
+
+  test('a dry run validates and counts, then rolls back', async () => {
+    const client = fakeClient();
+
+    const summary = await ingestNndss(client, [WEEK_40], { dryRun: true });
+
+    expect(summary.nndss.inserted).toBe(4);
+    expect(client.statements[client.statements.length - 1]).toBe('ROLLBACK');
+  });
+
+  test('historical names of rollup areas are unified', () => {
+    expect(normalizeReportingArea(' u.s. residents, excluding  U.S. territories ')).toBe('U.S. RESIDENTS');
+    expect(normalizeReportingArea('US RESIDENTS')).toBe('U.S. RESIDENTS');
+    expect(normalizeReportingArea('Mountain')).toBe('MOUNTAIN');
+  });
+});
@@ -0,0 +1,27 @@
+const parseSymptomQuery = require('../utils/parseSymptomQuery');
+
+describe('parseSymptomQuery', () => {
+  test.each([
+    ['fever, rash and joint pain', ['fever', 'rash', 'joint pain'], []],
+    ['cough, no fever', ['cough'], ['fever']],
+    ['Cough without fever or chills', ['cough'], ['fever', 'chills']],
+    ['not coughing but feverish', ['feverish'], ['coughing']],
+    ["I don't have a fever, just a headache", ['headache'], ['fever']],
+    ['runny nose with no fever and no cough', ['runny nose'], ['fever', 'cough']],
+    ['no signs of any rash; free of vomiting, diarrhea', ['diarrhea'], ['rash', 'vomiting']],
+    ['neither fever nor chills', [], ['fever', 'chills']],
+    ['no fever nor chills', [], ['fever', 'chills']],
+    ['no fever no rash', [], ['fever', 'rash']],
+    ['bullseye rash after a tick bite', ['bullseye rash after a tick bite'], []],
+  ])('%s', (text, present, absent) => {
+    expect(parseSymptomQuery(text)).toEqual({ present, absent });
+  });
+
+  test('a symptom named as both present and absent counts as present', () => {
+    expect(parseSymptomQuery('fever, no fever')).toEqual({ present: ['fever'], absent: [] });
+  });
+
+  test('a text without symptoms parses to nothing', () => {
+    expect(parseSymptomQuery('no, none')).toEqual({ present: [], absent: [] });
+  });
+});
@@ -0,0 +1,159 @@
+const { ingestPopulation, ageGroupsByAge, IngestError, DEFAULT_AGE_GROUPS } = require('../ingest/population');
+
+/**
+ * Stand-in for a pg client holding dim_region and both population fact
+ * tables in memory, with the upsert semantics of the ingestion SQL.
+ */
+function fakeClient({ ageGroups = [] } = {}) {
+  const db = {
+    states: [{ region_id: 1, state_name: 'Alabama' }, { region_id: 2, state_name: 'Rhode Island' }],
+    ageGroups,
+    stateYear: new Map(),
+    demoYear: new Map(),
+    statements: [],
+  };
+
+  const upsert = (facts, params) => {
+    const rows = [];
+    const keyColumns = params.length - 1;
+    params[0].forEach((_, i) => {
+      const key = params.slice(0, keyColumns).map(column => column[i]).join('|');
+      const value = params[keyColumns][i];
+      if (!facts.has(key)) {
+        facts.set(key, value);
+        rows.push({ inserted: true });
+      } else if (facts.get(key) !== value) {
+        facts.set(key, value);
+        rows.push({ inserted: false });
+      }
+    });
+    return { rows };
+  };
+
+  db.query = async (text, params) => {
+    const sql = text.trim();
+    db.statements.push(sql.split(/\s+/).slice(0, 3).join(' '));
+    if (sql.startsWith('SELECT region_id, state_name')) return { rows: db.states };
+    if (sql.startsWith('SELECT DISTINCT age_group')) return { rows: db.ageGroups.map(age_group => ({ age_group })) };
+    if (sql.startsWith('INSERT INTO fact_population_state_year')) return upsert(db.stateYear, params);
+    if (sql.startsWith('INSERT INTO fact_population_state_demo_year')) return upsert(db.demoYear, params);
+    return { rows: [] };
+  };
+  return db;
+}
+
+const STATE_TOTALS =
+  'SUMLEV,REGION,DIVISION,STATE,NAME,ESTIMATESBASE2020,POPESTIMATE2020,POPESTIMATE2021\n' +
+  '010,0,0,00,United States,331449520,331511512,332031554\n' +
+  '040,3,6,01,Alabama,5024356,5031864,5050380\n' +
+  '040,1,1,44,Rhode Island,1097371,1096444,1096985\n' +
+  '040,X,X,72,Puerto Rico,3285874,3281557,3262693\n';
+
+const CHARACTERISTICS_HEADER = 'SUMLEV,REGION,DIVISION,STATE,NAME,SEX,ORIGIN,RACE,AGE,ESTIMATESBASE2020,POPESTIMATE2020,POPESTIMATE2021\n';
+
+const CHARACTERISTICS = CHARACTERISTICS_HEADER +
+  '040,3,6,01,Alabama,0,0,1,0,9000,9000,9100\n' +
+  '040,3,6,01,Alabama,1,1,1,3,100,100,110\n' +
+  '040,3,6,01,Alabama,1,1,1,4,120,120,130\n' +
+  '040,3,6,01,Alabama,1,1,1,5,90,90,95\n' +
+  '040,3,6,01,Alabama,2,2,2,85,40,40,42\n' +
+  '040,3,6,01,Alabama,2,2,4,30,1,1,1\n';
+
+describe('Census population ingestion', () => {
+  test('loads state totals for every estimate year and skips other areas', async () => {
+    const client = fakeClient();
+
+    const summary = await ingestPopulation(client, [STATE_TOTALS]);
+
+    expect(summary).toEqual({
+      kind: 'state',
+      years: [2020, 2021],
+      rows: 2,
+      population: { inserted: 4, updated: 0, unchanged: 0 },
+      skippedAreas: ['Puerto Rico'],
+    });
+    expect([...client.stateYear]).toEqual([
+      ['1|2020', 5031864], ['1|2021', 5050380], ['2|2020', 1096444], ['2|2021', 1096985],
+    ]);
+    expect(client.statements[client.statements.length - 1]).toBe('COMMIT');
+  });
+
+  test('a newer vintage only updates revised years', async () => {
+    const client = fakeClient();
+    await ingestPopulation(client, [STATE_TOTALS]);
+
+    const revised = await ingestPopulation(client, [STATE_TOTALS.replace('5031864,5050380', '5031864,5050999')]);
+
+    expect(revised.population).toEqual({ inserted: 0, updated: 1, unchanged: 3 });
+    expect(client.stateYear.get('1|2021')).toBe(5050999);
+  });
+
+  test('sums single years of age into the age groups already in use', async () => {
+    const client = fakeClient({ ageGroups: ['0-4', '5-17', '18-24', '25-44', '45-64', '65-74', '75+'] });
+
+    const summary = await ingestPopulation(client, [CHARACTERISTICS]);
+
+    expect(summary).toMatchObject({ kind: 'demographic', rows: 5, population: { inserted: 8 } });
+    // totals rows (SEX or ORIGIN 0) are skipped; Hispanic origin is its own race
+    expect([...client.demoYear]).toEqual([
+      ['1|2020|White|Male|0-4', 220],
+      ['1|2021|White|Male|0-4', 240],
+      ['1|2020|White|Male|5-17', 90],
+      ['1|2021|White|Male|5-17', 95],
+      ['1|2020|Hispanic|Female|75+', 40],
+      ['1|2021|Hispanic|Female|75+', 42],
+      ['1|2020|Hispanic|Female|25-44', 1],
+      ['1|2021|Hispanic|Female|25-44', 1],
+    ]);
+  });
+
+  test('uses 5-year age groups for an empty table', () => {
+    const byAge = ageGroupsByAge(DEFAULT_AGE_GROUPS);
+
+    expect([byAge[0], byAge[4], byAge[5], byAge[84], byAge[85]]).toEqual(['0-4', '0-4', '5-9', '80-84', '85+']);
+  });
+
+  test('rejects age groups that do not fit the census ages', () => {
+    expect(() => ageGroupsByAge(['0-64', '65-90'])).toThrow(/splits the census 85\+ age/);
+    expect(() => ageGroupsByAge(['0-4', '10+'])).toThrow(/No age group contains age 5/);
+    expect(() => ageGroupsByAge(['0-17', '15+'])).toThrow(/overlap/);
+    expect(() => ageGroupsByAge(['Under 5', '5+'])).toThrow(IngestError);
+  });
+
+  test('rejects the whole file when a row is invalid', async () => {
+    const client = fakeClient();
+    const csv = CHARACTERISTICS_HEADER +
+      '040,3,6,01,Alabama,1,1,7,3,100,100,110\n' +
+      '040,3,6,01,Alabama,1,1,1,3,100,100,\n' +
+      '040,3,6,01,Alabama,1,1,1,4,100,100,110\n' +
+      '040,3,6,01,Alabama,1,1,1,4,100,100,110\n';
+
+    const err = await ingestPopulation(client, [csv]).catch(e => e);
+
+    expect(err).toBeInstanceOf(IngestError);
+    expect(err.errors).toEqual([
+      'row 2: invalid RACE "7"',
+      'row 3: invalid POPESTIMATE2021 ""',
+      'row 5: duplicate row for Alabama',
+    ]);
+    expect(client.statements).toContain('ROLLBACK');
+    expect(client.demoYear.size).toBe(0);
+  });
+
+  test('rejects files that are not population estimates', async () => {
+    const noEstimates = await ingestPopulation(fakeClient(), ['NAME,CENSUS2010POP\nAlabama,4779736\n']).catch(e => e);
+    const noName = await ingestPopulation(fakeClient(), ['STATE,POPESTIMATE2020\n01,5031864\n']).catch(e => e);
+
+    expect(noEstimates.message).toMatch(/no POPESTIMATE<year> columns/);
+    expect(noName.message).toMatch(/missing columns: NAME/);
+  });
+
+  test('a dry run validates and counts, then rolls back', async () => {
+    const client = fakeClient();
+
+    const summary = await ingestPopulation(client, [STATE_TOTALS], { dryRun: true });
+
+    expect(summary.population.inserted).toBe(4);
+    expect(client.statements[client.statements.length - 1]).toBe('ROLLBACK');
+  });
+});
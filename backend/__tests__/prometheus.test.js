@@ -0,0 +1,50 @@
+const { Counter, Gauge, Histogram, Registry } = require('../utils/prometheus');
+
+describe('Prometheus exposition', () => {
+  test('counters accumulate per label combination', () => {
+    const counter = new Counter('requests_total', 'Requests', ['route']);
+    counter.inc({ route: '/a' });
+    counter.inc({ route: '/a' });
+    counter.inc({ route: '/b' }, 5);
+
+    expect(counter.render()).toBe(
+      '# HELP requests_total Requests\n' +
+      '# TYPE requests_total counter\n' +
+      'requests_total{route="/a"} 2\n' +
+      'requests_total{route="/b"} 5\n'
+    );
+  });
+
+  test('histogram buckets are cumulative and end with +Inf', () => {
+    const histogram = new Histogram('latency_seconds', 'Latency', ['route'], [0.1, 1]);
+    histogram.observe({ route: '/a' }, 0.05);
+    histogram.observe({ route: '/a' }, 0.5);
+    histogram.observe({ route: '/a' }, 3);
+
+    const lines = histogram.render().split('\n');
+    expect(lines).toContain('latency_seconds_bucket{route="/a",le="0.1"} 1');
+    expect(lines).toContain('latency_seconds_bucket{route="/a",le="1"} 2');
+    expect(lines).toContain('latency_seconds_bucket{route="/a",le="+Inf"} 3');
+    expect(lines).toContain('latency_seconds_sum{route="/a"} 3.55');
+    expect(lines).toContain('latency_seconds_count{route="/a"} 3');
+  });
+
+  test('label values are escaped', () => {
+    const gauge = new Gauge('g', 'Gauge', ['name']);
+    gauge.set({ name: 'say "hi"\\n' }, 1);
+    expect(gauge.render()).toContain('g{name="say \\"hi\\"\\\\n"} 1');
+  });
+
+  test('a registry renders and resets all of its metrics', () => {
+    const registry = new Registry();
+    const a = registry.register(new Counter('a_total', 'A'));
+    const b = registry.register(new Gauge('b', 'B'));
+    a.inc();
+    b.set({}, 7);
+
+    expect(registry.render()).toMatch(/a_total 1\n[\s\S]*b 7\n/);
+
+    registry.resetAll();
+    expect(registry.render()).not.toMatch(/a_total 1/);
+  });
+});
@@ -0,0 +1,37 @@
+const { refreshRateCubes, RATE_CUBES } = require('../rateCubes');
+
+function fakeClient() {
+  const statements = [];
+  return {
+    statements,
+    async query(text) {
+      statements.push(text);
+      return { rows: text.startsWith('SELECT COUNT') ? [{ rows: '51' }] : [] };
+    },
+  };
+}
+
+describe('rate cube refresh', () => {
+  test('refreshes every cube concurrently, state cubes before the national one', async () => {
+    const client = fakeClient();
+
+    const refreshed = await refreshRateCubes(client);
+
+    expect(refreshed.map(r => r.view)).toEqual(RATE_CUBES);
+    expect(refreshed[0].rows).toBe(51);
+    expect(client.statements.filter(s => s.startsWith('REFRESH'))).toEqual([
+      'REFRESH MATERIALIZED VIEW CONCURRENTLY rate_state_disease_year',
+      'REFRESH MATERIALIZED VIEW CONCURRENTLY rate_state_disease_week',
+      'REFRESH MATERIALIZED VIEW CONCURRENTLY rate_national_disease_year',
+    ]);
+    expect(client.statements).toContain('ANALYZE rate_national_disease_year');
+  });
+
+  test('can skip the concurrent refresh', async () => {
+    const client = fakeClient();
+
+    await refreshRateCubes(client, { concurrently: false });
+
+    expect(client.statements[0]).toBe('REFRESH MATERIALIZED VIEW rate_state_disease_year');
+  });
+});
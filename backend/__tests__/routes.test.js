@@ -8,6 +8,16 @@ jest.mock('pg', () => {
     query: jest.fn(),
     on: jest.fn(),
     end: jest.fn(),
+    // API queries run on a dedicated client (so they can be cancelled); it
+    // delegates to pool.query so tests mock results in one place, apart from
+    // setting the connection's statement limit
+    connect: async () => ({
+      processID: 4242,
+      query: (text, ...args) => (text.includes('set_config')
+        ? Promise.resolve({ rows: [], rowCount: 1 })
+        : mPool.query(text, ...args)),
+      release: () => {},
+    }),
   };
   return { 
     Pool: jest.fn(() => mPool),
@@ -17,12 +27,40 @@ jest.mock('pg', () => {
   };
 });
 
+// Reference vocabularies resolve to undefined by default, which skips the
+// known-value checks; individual tests provide sets where they need them.
+jest.mock('../validation/reference', () => ({
+  getVocabulary: jest.fn(),
+  clearVocabularies: jest.fn(),
+}));
+
+jest.mock('../utils/getEmbedding', () => Object.assign(jest.fn(), {
+  isAvailable: () => true,
+  provider: { name: 'local', model: 'test-model', dimensions: 1536 },
+}));
+
 const { Pool } = require('pg');
 const pool = new Pool();
+const { getVocabulary } = require('../validation/reference');
+const queryCache = require('../queryCache');
+const getEmbedding = require('../utils/getEmbedding');
+const logger = require('../logger');
+const config = require('../config');
+
+// parse the JSON lines the logger writes to a stream during a test
+function captureLog(stream) {
+  const lines = [];
+  jest.spyOn(stream, 'write').mockImplementation((chunk) => {
+    lines.push(JSON.parse(chunk));
+    return true;
+  });
+  return lines;
+}
 
 describe('Backend Routes Integration Tests', () => {
   beforeEach(() => {
     jest.resetAllMocks();
+    queryCache.flush();
   });
 
   // --- 1. Basic Endpoints ---
@@ -54,7 +92,48 @@ describe('Backend Routes Integration Tests', () => {
     const res = await request(app).get('/api/states');
     
     expect(res.statusCode).toBe(500);
-    expect(res.body).toHaveProperty('error', 'Internal server error');
+    expect(res.body).toEqual({
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error',
+      details: null,
+      requestId: expect.any(String),
+    });
+  });
+
+  test('GET /api/states maps database timeouts to DATABASE_TIMEOUT', async () => {
+    pool.query.mockRejectedValueOnce(Object.assign(new Error('canceling statement due to statement timeout'), { code: '57014' }));
+
+    const res = await request(app).get('/api/states');
+
+    expect(res.statusCode).toBe(504);
+    expect(res.body.code).toBe('DATABASE_TIMEOUT');
+    expect(res.headers['retry-after']).toBe('30');
+    expect(res.body.details).toMatchObject({ retryable: true, retryAfterSeconds: 30 });
+  });
+
+  test('GET /api/states maps connection failures to DATABASE_UNAVAILABLE', async () => {
+    pool.query.mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    const res = await request(app).get('/api/states');
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.code).toBe('DATABASE_UNAVAILABLE');
+    expect(res.headers['retry-after']).toBe('5');
+  });
+
+  test('error responses echo the X-Request-Id header', async () => {
+    pool.query.mockRejectedValueOnce(new Error('DB Error'));
+
+    const res = await request(app).get('/api/states').set('X-Request-Id', 'abc-123');
+
+    expect(res.headers['x-request-id']).toBe('abc-123');
+    expect(res.body.requestId).toBe('abc-123');
+  });
+
+  test('unknown /api paths return NOT_FOUND', async () => {
+    const res = await request(app).get('/api/does-not-exist');
+    expect(res.statusCode).toBe(404);
+    expect(res.body.code).toBe('NOT_FOUND');
   });
 
   // --- 3. Complex Queries ---
@@ -98,6 +177,79 @@ describe('Backend Routes Integration Tests', () => {
     expect(res.body).toEqual({ status: 'ok' });
   });
 
+  test('GET /api/health/ready reports ready when Postgres and pgvector answer', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] })
+      .mockResolvedValueOnce({ rows: [{ extversion: '0.7.0' }] });
+
+    const res = await request(app).get('/api/health/ready');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe('ready');
+    expect(res.body.checks.database.status).toBe('ok');
+    expect(res.body.checks.pgvector).toMatchObject({ status: 'ok', version: '0.7.0' });
+    expect(res.body.checks.embeddings).toEqual({ status: 'ok', provider: 'local', model: 'test-model' });
+  });
+
+  test('GET /api/health/ready returns 503 when the database is down', async () => {
+    pool.query.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    const res = await request(app).get('/api/health/ready');
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.status).toBe('unavailable');
+    expect(res.body.checks.database).toMatchObject({ status: 'failed', error: 'connect ECONNREFUSED' });
+    expect(res.body.checks.pgvector.status).toBe('skipped');
+  });
+
+  test('GET /api/health/ready returns 503 when pgvector is missing', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app).get('/api/health/ready');
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.checks.pgvector.error).toMatch(/pgvector/);
+  });
+
+  test('GET /api/health/data reports the latest loaded data', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ year: 2025, week: 38 }] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ year: 2025, week: 36, data_as_of: '2025-10-09' }] })
+      .mockResolvedValueOnce({ rows: [{ latest_year: 2023, latest_demographic_year: 2022 }] })
+      .mockResolvedValueOnce({ rows: [{
+        with_embeddings: '120',
+        total_diseases: '134',
+        models: [{ model: 'test-model', dimensions: 1536, diseases: 100 }, { model: 'text-embedding-3-small', dimensions: 1536, diseases: 20 }],
+      }] });
+
+    const res = await request(app).get('/api/health/data');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.casesWeekly).toMatchObject({ year: 2025, week: 38 });
+    expect(res.body.casesWeekly.weeksBehind).toBeGreaterThan(0);
+    expect(res.body.nndssWeekly).toBeNull();
+    expect(res.body.deathsWeekly).toMatchObject({ year: 2025, week: 36, dataAsOf: '2025-10-09' });
+    expect(res.body.population).toEqual({ latestYear: 2023, latestDemographicYear: 2022 });
+    expect(res.body.embeddings).toEqual({
+      diseasesWithEmbeddings: 120,
+      totalDiseases: 134,
+      queryModel: 'test-model',
+      models: [{ model: 'test-model', dimensions: 1536, diseases: 100 }, { model: 'text-embedding-3-small', dimensions: 1536, diseases: 20 }],
+    });
+  });
+
+  test('GET /api/health/data returns 503 when the database is down', async () => {
+    pool.query.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    const res = await request(app).get('/api/health/data');
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.code).toBe('DATABASE_UNAVAILABLE');
+  });
+
   // --- 6. Estimated Demographic Cases ---
   test('GET /api/estimated-demographic-cases calculates rates correctly', async () => {
     // The route runs ONE complex query returning all necessary columns
@@ -192,10 +344,98 @@ describe('Backend Routes Integration Tests', () => {
 
   // --- Error Handling & Validation Tests ---
   
-  test('GET /api/state-weekly-percapita returns 500 for missing params (throws error)', async () => {
-    // Current implementation throws 500 on missing params
+  test('GET /api/state-weekly-percapita returns 400 for missing params', async () => {
     const res = await request(app).get('/api/state-weekly-percapita');
-    expect(res.statusCode).toBe(500);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details.map(d => d.field)).toEqual(['year', 'week', 'diseaseIds']);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/state-weekly-percapita returns 400 for non-integer diseaseIds', async () => {
+    const res = await request(app).get('/api/state-weekly-percapita?year=2023&week=1&diseaseIds=1,abc');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details).toEqual([
+      expect.objectContaining({ field: 'diseaseIds', reason: 'type' }),
+    ]);
+  });
+
+  test('GET /api/state-yearly-percapita lists every invalid field', async () => {
+    const res = await request(app).get('/api/state-yearly-percapita?year=abc');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.message).toBe('Invalid query parameters');
+    expect(res.body.details).toEqual([
+      { field: 'year', reason: 'type', message: 'year must be an integer' },
+      { field: 'diseaseId', reason: 'required', message: 'diseaseId is required' },
+    ]);
+  });
+
+  test('GET /api/state-weekly-percapita rejects out-of-range week', async () => {
+    const res = await request(app).get('/api/state-weekly-percapita?year=2023&week=60&diseaseIds=1');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details[0]).toMatchObject({ field: 'week', reason: 'range' });
+  });
+
+  test('GET /api/state-vs-national-trend rejects unknown state names', async () => {
+    getVocabulary.mockImplementation(async (name) => (
+      name === 'states' ? new Set(['California', 'Texas']) : null
+    ));
+    const res = await request(app).get('/api/state-vs-national-trend?diseaseName=Flu&stateName=Narnia&startYear=2020&endYear=2023');
+    expect(res.statusCode).toBe(404);
+    expect(res.body.code).toBe('UNKNOWN_STATE');
+    expect(res.body.details).toEqual([
+      expect.objectContaining({ field: 'stateName', reason: 'unknown' }),
+    ]);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/states-high-outliers reports UNKNOWN_DISEASE', async () => {
+    getVocabulary.mockImplementation(async (name) => (
+      name === 'diseases' ? new Set(['Flu']) : null
+    ));
+    const res = await request(app).get('/api/states-high-outliers?diseaseName=Plague&year=2023');
+    expect(res.statusCode).toBe(404);
+    expect(res.body.code).toBe('UNKNOWN_DISEASE');
+  });
+
+  test('GET /api/states-high-outliers reports NO_DATA_FOR_YEAR', async () => {
+    getVocabulary.mockImplementation(async (name) => (
+      name === 'caseYears' ? new Set([2022, 2023]) : null
+    ));
+    const res = await request(app).get('/api/states-high-outliers?diseaseName=Flu&year=2019');
+    expect(res.statusCode).toBe(404);
+    expect(res.body.code).toBe('NO_DATA_FOR_YEAR');
+    expect(res.body.message).toBe('No data available for year 2019');
+  });
+
+  test('malformed input wins over unknown values', async () => {
+    getVocabulary.mockImplementation(async (name) => (
+      name === 'states' ? new Set(['Texas']) : null
+    ));
+    const res = await request(app).get('/api/state-vs-national-trend?diseaseName=Flu&stateName=Narnia&startYear=abc&endYear=2023');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.details.map(d => d.field)).toEqual(['stateName', 'startYear']);
+  });
+
+  test('GET /api/estimated-demographic-cases passes parsed values to the query', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    await request(app).get('/api/estimated-demographic-cases?stateName=Texas&diseaseName=Flu&year=2023&race=White&sex=M&ageGroup=18-64');
+    expect(pool.query).toHaveBeenCalledWith(expect.any(String), ['Texas', 2023, 'Flu', 'White', 'M', '18-64']);
+  });
+
+  test('rate routes read the rate cubes', async () => {
+    pool.query.mockResolvedValueOnce({
+      rows: [{ stateName: 'Texas', diseaseName: 'Flu', perCapitaYearlyCases: 12.5, populationMethod: 'projected' }],
+    });
+    const res = await request(app).get('/api/state-yearly-percapita?year=2025&diseaseId=1');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body[0].populationMethod).toBe('projected');
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('FROM rate_state_disease_year');
+    expect(sql).not.toContain('fact_cases_weekly');
+    expect(params).toEqual([2025, 1]);
   });
 
   test('GET /api/estimated-demographic-cases returns 400 for invalid/missing params', async () => {
@@ -203,10 +443,12 @@ describe('Backend Routes Integration Tests', () => {
     expect(res.statusCode).toBe(400);
   });
   
-  test('GET /api/estimated-demographic-cases returns 404 for no data', async () => {
+  test('GET /api/estimated-demographic-cases returns 404 without a population for the group', async () => {
       pool.query.mockResolvedValueOnce({ rows: [] });
       const res = await request(app).get('/api/estimated-demographic-cases?stateName=Texas&diseaseName=Flu&year=2023&race=White&sex=M&ageGroup=18-64');
       expect(res.statusCode).toBe(404);
+      expect(res.body.code).toBe('NO_POPULATION_DATA');
+      expect(res.body.details).toEqual({ stateName: 'Texas', year: 2023, race: 'White', sex: 'M', ageGroup: '18-64' });
   });
 
   test('GET /api/states-rising-4years returns 400 for invalid params', async () => {
@@ -224,6 +466,12 @@ describe('Backend Routes Integration Tests', () => {
       expect(res.statusCode).toBe(400);
   });
 
+  test('GET /api/deaths-by-pathogen-demographic returns 400 when no demo filter is given', async () => {
+      const res = await request(app).get('/api/deaths-by-pathogen-demographic?pathogen=X&year=2023');
+      expect(res.statusCode).toBe(400);
+      expect(res.body.details[0]).toMatchObject({ field: 'race|sex|ageGroup', reason: 'exclusive' });
+  });
+
   test('GET /api/state-demographic-overunder returns 400 for missing params', async () => {
     const res = await request(app).get('/api/state-demographic-overunder');
     expect(res.statusCode).toBe(400);
@@ -318,4 +566,644 @@ describe('Backend Routes Integration Tests', () => {
   });
 
 
+  // --- Query Cache ---
+
+  test('repeated requests are served from the query cache', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ regionId: 1, stateName: 'Texas' }] });
+
+    const first = await request(app).get('/api/states');
+    const second = await request(app).get('/api/states');
+
+    expect(second.statusCode).toBe(200);
+    expect(second.body).toEqual(first.body);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('different parameters are cached separately', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ stateName: 'A' }] })
+      .mockResolvedValueOnce({ rows: [{ stateName: 'B' }] });
+
+    const a = await request(app).get('/api/states-rising-4years?diseaseName=X&startYear=2020&endYear=2023');
+    const b = await request(app).get('/api/states-rising-4years?diseaseName=Y&startYear=2020&endYear=2023');
+
+    expect(a.body).toEqual([{ stateName: 'A' }]);
+    expect(b.body).toEqual([{ stateName: 'B' }]);
+  });
+
+  test('failed queries are not cached', async () => {
+    pool.query
+      .mockRejectedValueOnce(new Error('DB Error'))
+      .mockResolvedValueOnce({ rows: [] });
+
+    expect((await request(app).get('/api/states')).statusCode).toBe(500);
+    expect((await request(app).get('/api/states')).statusCode).toBe(200);
+  });
+
+  test('responses carry an ETag and honour If-None-Match', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ regionId: 1, stateName: 'Texas' }] });
+
+    const first = await request(app).get('/api/states');
+    expect(first.headers.etag).toBeDefined();
+    expect(first.headers['cache-control']).toBe('no-cache');
+
+    const second = await request(app).get('/api/states').set('If-None-Match', first.headers.etag);
+    expect(second.statusCode).toBe(304);
+  });
+
+  test('POST /api/admin/cache/flush requires the admin token', async () => {
+    config.adminToken = 'secret';
+    const res = await request(app).post('/api/admin/cache/flush').set('Authorization', 'Bearer wrong');
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('UNAUTHORIZED');
+    config.adminToken = null;
+  });
+
+  test('POST /api/admin/cache/flush empties the cache', async () => {
+    config.adminToken = 'secret';
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ stateName: 'Old' }] })
+      .mockResolvedValueOnce({ rows: [{ stateName: 'New' }] });
+
+    await request(app).get('/api/states');
+    const flush = await request(app).post('/api/admin/cache/flush').set('Authorization', 'Bearer secret');
+    const after = await request(app).get('/api/states');
+
+    expect(flush.statusCode).toBe(200);
+    expect(flush.body.flushed).toBe(1);
+    expect(after.body).toEqual([{ stateName: 'New' }]);
+    config.adminToken = null;
+  });
+
+  // --- Response Formats ---
+
+  test('?format=csv streams CSV with a descriptive filename', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [
+      { stateName: 'New York', diseaseName: 'Flu, seasonal', perCapitaYearlyCases: 100.5 },
+      { stateName: 'Texas', diseaseName: 'Flu, seasonal', perCapitaYearlyCases: null },
+    ] });
+
+    const res = await request(app).get('/api/state-yearly-percapita?year=2023&diseaseId=1&format=csv');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toBe(
+      'attachment; filename="state-yearly-percapita_year-2023_diseaseId-1.csv"'
+    );
+    expect(res.text).toBe(
+      'stateName,diseaseName,perCapitaYearlyCases\r\n' +
+      'New York,"Flu, seasonal",100.5\r\n' +
+      'Texas,"Flu, seasonal",\r\n'
+    );
+  });
+
+  test('Accept: application/x-ndjson returns one JSON object per line', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ stateName: 'A' }, { stateName: 'B' }] });
+
+    const res = await request(app)
+      .get('/api/states-rising-4years?diseaseName=X&startYear=2020&endYear=2023')
+      .set('Accept', 'application/x-ndjson');
+
+    expect(res.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    expect(res.text).toBe('{"stateName":"A"}\n{"stateName":"B"}\n');
+  });
+
+  test('an empty CSV export still has the header row of the declared columns', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app).get('/api/state-yearly-percapita?year=2023&diseaseId=1&format=csv');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toBe('stateName,diseaseName,perCapitaYearlyCases,populationMethod\r\n');
+  });
+
+  test('single-object responses export as one CSV record', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ estimated_deaths: 12.4, population_method: 'census' }] });
+
+    const res = await request(app)
+      .get('/api/estimated-deaths-by-state?pathogen=COVID-19&year=2023&state=Texas')
+      .set('Accept', 'text/csv');
+
+    expect(res.text).toBe('state,year,pathogen,estimated_deaths,populationMethod\r\nTexas,2023,COVID-19,12,census\r\n');
+  });
+
+  test('GET /api/estimated-deaths-by-state reports null without data, as the state profile does', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app).get('/api/estimated-deaths-by-state?pathogen=RSV&year=2023&state=Texas');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ state: 'Texas', year: 2023, pathogen: 'RSV', estimated_deaths: null, populationMethod: null });
+    expect(pool.query.mock.calls[0][1]).toEqual([['RSV'], 2023, 'Texas']);
+  });
+
+  test('errors stay JSON when CSV is requested', async () => {
+    const res = await request(app).get('/api/state-yearly-percapita?year=abc&format=csv');
+    expect(res.statusCode).toBe(400);
+    expect(res.headers['content-type']).toMatch(/json/);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+  });
+
+  test('unsupported formats are rejected', async () => {
+    const res = await request(app).get('/api/states?format=xml');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details[0]).toMatchObject({ field: 'format', reason: 'enum' });
+  });
+
+  // --- OpenAPI ---
+
+  test('GET /api/openapi.json documents every mounted data route', async () => {
+    const routes = require('../routes/definitions');
+    const { openApiPath } = require('../openapi');
+
+    const res = await request(app).get('/api/openapi.json');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.openapi).toMatch(/^3\./);
+    for (const route of routes) {
+      expect(res.body.paths[openApiPath(route.path)]).toHaveProperty('get');
+    }
+    expect(res.body.paths).not.toHaveProperty('/disease');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('OpenAPI parameters mirror the validation schemas', async () => {
+    const res = await request(app).get('/api/openapi.json');
+    const op = res.body.paths['/api/state-weekly-percapita'].get;
+    const param = name => op.parameters.find(p => p.name === name);
+
+    expect(param('week')).toMatchObject({ required: true, schema: { type: 'integer', minimum: 1, maximum: 53 } });
+    expect(param('diseaseIds')).toMatchObject({ style: 'form', explode: false, schema: { type: 'array' } });
+    expect(param('format').schema.enum).toEqual(['json', 'csv', 'ndjson']);
+    expect(op.responses).toHaveProperty('400');
+    expect(op.responses).toHaveProperty('404');
+
+    const rising = res.body.paths['/api/states-rising-4years'].get;
+    expect(rising.description).toContain('endYear must equal startYear + 3');
+  });
+
+  test('GET /api/docs serves the interactive documentation page', async () => {
+    const res = await request(app).get('/api/docs');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/html/);
+    expect(res.text).toContain('/api/openapi.json');
+  });
+
+  // --- Logging ---
+
+  describe('structured logging', () => {
+    beforeEach(() => {
+      logger.setLevel('debug');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      logger.setLevel('silent');
+    });
+
+    test('each request is logged once with its ID, status and SQL timing', async () => {
+      const out = captureLog(process.stdout);
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await request(app).get('/api/states').set('X-Request-Id', 'trace-1');
+
+      const queryLog = out.find(e => e.msg === 'query');
+      expect(queryLog).toMatchObject({ requestId: 'trace-1', route: '/api/states', rows: 0 });
+      expect(queryLog.sql).toMatch(/^SELECT region_id/);
+      expect(typeof queryLog.durationMs).toBe('number');
+
+      const requestLogs = out.filter(e => e.msg === 'request completed');
+      expect(requestLogs).toHaveLength(1);
+      expect(requestLogs[0]).toMatchObject({
+        level: 'info',
+        requestId: 'trace-1',
+        method: 'GET',
+        route: '/api/states',
+        status: 200,
+        dbQueries: 1,
+      });
+    });
+
+    test('client errors are logged as warnings', async () => {
+      const err = captureLog(process.stderr);
+      captureLog(process.stdout);
+
+      await request(app).get('/api/state-yearly-percapita?year=abc');
+
+      expect(err.find(e => e.msg === 'request completed')).toMatchObject({ level: 'warn', status: 400 });
+    });
+
+    test('failed queries are logged with their SQL and error', async () => {
+      const err = captureLog(process.stderr);
+      pool.query.mockRejectedValueOnce(new Error('relation does not exist'));
+
+      await request(app).get('/api/diseases');
+
+      expect(err.find(e => e.msg === 'query failed')).toMatchObject({
+        level: 'error',
+        err: { message: 'relation does not exist' },
+      });
+    });
+
+    test('sensitive parameters never reach the log', async () => {
+      const out = captureLog(process.stdout);
+      getEmbedding.mockResolvedValueOnce(new Array(1536).fill(0.1));
+      pool.query.mockResolvedValueOnce({ rows: [{ disease_name: 'Flu', distance: '0.1' }], rowCount: 1 });
+
+      await request(app).get('/api/similar-symptoms?text=private%20symptoms');
+
+      const logged = out.map(e => JSON.stringify(e)).join('\n');
+      expect(logged).not.toContain('private symptoms');
+      expect(out.find(e => e.msg === 'request completed').query.text).toBe(logger.REDACTED);
+      expect(out.find(e => e.msg === 'query').params).toEqual(
+        ['[1536 items]', logger.REDACTED, 1536, logger.REDACTED, logger.REDACTED, null, 15, null, null, null, null, null]
+      );
+    });
+  });
+
+  test('GET /api/similar-symptoms answers 503 EMBEDDINGS_UNAVAILABLE without an embedding key', async () => {
+    const { ServiceUnavailableError, ErrorCodes } = require('../errors');
+    getEmbedding.mockRejectedValueOnce(
+      new ServiceUnavailableError(ErrorCodes.EMBEDDINGS_UNAVAILABLE, 'Symptom search is unavailable')
+    );
+
+    const res = await request(app).get('/api/similar-symptoms?text=fever');
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body).toMatchObject({ code: 'EMBEDDINGS_UNAVAILABLE', details: { retryable: false } });
+    expect(res.headers['retry-after']).toBeUndefined();
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/similar-symptoms falls back to the text ranking without an embedding provider', async () => {
+    const { isAvailable } = getEmbedding;
+    getEmbedding.isAvailable = () => false;
+    try {
+      pool.query.mockResolvedValueOnce({ rows: [{ disease_name: 'Lyme disease', text_rank: '0.1' }] });
+
+      const res = await request(app).get('/api/similar-symptoms?text=rash');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ mode: 'text', fallback: 'EMBEDDINGS_UNAVAILABLE' });
+      expect(res.body.results).toEqual([{ disease_name: 'Lyme disease', text_rank: '0.1' }]);
+      expect(getEmbedding).not.toHaveBeenCalled();
+      expect(pool.query.mock.calls[0][1][4]).toBe('text');
+    } finally {
+      getEmbedding.isAvailable = isAvailable;
+    }
+  });
+
+  test('GET /api/similar-symptoms only compares embeddings of the query model', async () => {
+    getEmbedding.mockResolvedValueOnce(new Array(1536).fill(0.1));
+    pool.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ model: 'text-embedding-3-small', dimensions: 1536 }] });
+
+    const res = await request(app).get('/api/similar-symptoms?text=fever');
+
+    expect(pool.query.mock.calls[0][1].slice(1, 3)).toEqual(['test-model', 1536]);
+    expect(res.statusCode).toBe(503);
+    expect(res.body.code).toBe('EMBEDDINGS_MODEL_MISMATCH');
+    expect(res.body.message).toBe(
+      'Symptom embeddings were generated with text-embedding-3-small (1536), but queries are embedded with test-model (1536); regenerate the embeddings'
+    );
+  });
+
+  test('GET /api/similar-symptoms passes the mode, threshold and limit to the ranking', async () => {
+    getEmbedding.mockResolvedValueOnce(new Array(1536).fill(0.1));
+    pool.query.mockResolvedValueOnce({
+      rows: [{ disease_name: 'Lyme disease', distance: '0.3', matched_terms: ['rash'] }],
+    });
+
+    const res = await request(app).get('/api/similar-symptoms?text=rash&mode=vector&minSimilarity=0.5&limit=3');
+
+    expect(res.statusCode).toBe(200);
+    expect(pool.query.mock.calls[0][1].slice(1, 7)).toEqual(['test-model', 1536, 'rash', 'vector', 0.5, 3]);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('GET /api/similar-symptoms text mode ranks without embeddings', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app).get('/api/similar-symptoms?text=rash&mode=text');
+
+    expect(res.statusCode).toBe(200);
+    expect(getEmbedding).not.toHaveBeenCalled();
+    expect(pool.query.mock.calls[0][1][0]).toBeNull();
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('GET /api/similar-symptoms skips the vector ranking for symptoms with nothing to embed', async () => {
+    getEmbedding
+      .mockRejectedValueOnce(new RangeError('Cannot embed "the"'))
+      .mockResolvedValueOnce(new Array(1536).fill(0.2));
+    pool.query.mockResolvedValueOnce({ rows: [{ disease_name: 'Pertussis', distance: null, text_rank: '0.1' }] });
+
+    const res = await request(app).get('/api/similar-symptoms?text=' + encodeURIComponent('the, no fever'));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.results).toEqual([{ disease_name: 'Pertussis', distance: null, text_rank: '0.1' }]);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(params[0]).toBeNull();
+    expect(sql).toMatch(/\$1::float4\[\] IS NOT NULL/);
+    // no stored-model check: the vector ranking was not asked for
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('GET /api/similar-symptoms embeds present and absent symptoms separately', async () => {
+    getEmbedding
+      .mockResolvedValueOnce(new Array(1536).fill(0.1))
+      .mockResolvedValueOnce(new Array(1536).fill(0.2));
+    pool.query.mockResolvedValueOnce({ rows: [{ disease_name: 'Pertussis', distance: '0.2' }] });
+
+    const res = await request(app).get('/api/similar-symptoms?text=' + encodeURIComponent('Cough and a runny nose, no fever or rash'));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      mode: 'hybrid',
+      fallback: null,
+      parsed: { present: ['cough', 'runny nose'], absent: ['fever', 'rash'] },
+      prevalence: null,
+      results: [{ disease_name: 'Pertussis', distance: '0.2' }],
+    });
+    expect(getEmbedding.mock.calls).toEqual([['cough, runny nose'], ['fever, rash']]);
+    const params = pool.query.mock.calls[0][1];
+    expect(params[3]).toBe('cough, runny nose');
+    expect(params[7]).toBe('fever, rash');
+    expect(params[8][0]).toBe(0.2);
+  });
+
+  test('GET /api/similar-symptoms weighs by incidence in the four weeks up to year/week', async () => {
+    getEmbedding.mockResolvedValueOnce(new Array(1536).fill(0.1));
+    pool.query.mockResolvedValueOnce({ rows: [{ disease_name: 'Lyme disease', adjusted_score: '0.9' }] });
+
+    const res = await request(app).get('/api/similar-symptoms?text=rash&stateName=Maine&year=2024&week=2');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.prevalence).toEqual({ stateName: 'Maine', year: 2024, week: 2, weeks: 4 });
+    // the window reaches back into the previous MMWR year
+    expect(pool.query.mock.calls[0][1].slice(9)).toEqual(['Maine', [2024, 2024, 2023, 2023], [2, 1, 52, 51]]);
+  });
+
+  test('GET /api/similar-symptoms takes the latest week with data when no year/week is given', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ year: 2025, week: 10 }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app).get('/api/similar-symptoms?text=rash&mode=text&stateName=Maine');
+
+    expect(res.body.prevalence).toEqual({ stateName: 'Maine', year: 2025, week: 10, weeks: 4 });
+    expect(pool.query.mock.calls[1][1].slice(9)).toEqual(['Maine', [2025, 2025, 2025, 2025], [10, 9, 8, 7]]);
+  });
+
+  test('GET /api/similar-symptoms needs year and week together, and a stateName with them', async () => {
+    const yearOnly = await request(app).get('/api/similar-symptoms?text=rash&stateName=Maine&year=2024');
+    const noState = await request(app).get('/api/similar-symptoms?text=rash&year=2024&week=2');
+
+    expect(yearOnly.statusCode).toBe(400);
+    expect(yearOnly.body.details).toEqual([{ field: 'week', reason: 'required', message: 'week is required with year' }]);
+    expect(noState.body.details).toEqual([
+      { field: 'stateName', reason: 'required', message: 'stateName is required with year, week' },
+    ]);
+  });
+
+  test('GET /api/similar-symptoms rejects a text naming only absent symptoms', async () => {
+    const res = await request(app).get('/api/similar-symptoms?text=no%20fever');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details).toEqual([
+      { field: 'text', reason: 'format', message: 'text must name at least one symptom that is present' },
+    ]);
+    expect(getEmbedding).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/similar-symptoms rejects an out-of-range threshold', async () => {
+    const res = await request(app).get('/api/similar-symptoms?text=rash&minSimilarity=1.5&mode=fuzzy');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details.map(d => d.field)).toEqual(['mode', 'minSimilarity']);
+  });
+
+  // --- Disease Profile ---
+
+  test('GET /api/diseases/:id combines the profile queries', async () => {
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM dim_disease d')) {
+        return { rows: [{ disease_id: 1, disease_name: 'COVID-19', symptoms: 'Fever', has_embedding: true, embedding_model: 'm', pathogen: 'COVID-19' }] };
+      }
+      if (sql.includes('FROM fact_cases_weekly')) return { rows: [{ year: 2023, weeks: '52', first_week: 1, last_week: 52 }] };
+      if (sql.includes('FROM rate_national_disease_year')) {
+        return { rows: [{ year: 2023, total_cases: '10', population: 1000, cases_per_100k: '1000', method: 'census' }] };
+      }
+      if (sql.includes('FROM rate_state_disease_year')) {
+        return { rows: [{ year: 2023, state_name: 'Texas', total_cases: 5, cases_per_100k: 2000, method: 'census' }] };
+      }
+      return { rows: [{ year: 2022, deaths: '3' }, { year: 2023, deaths: '4' }] };
+    });
+
+    const res = await request(app).get('/api/diseases/1');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      diseaseId: 1,
+      diseaseName: 'COVID-19',
+      symptoms: 'Fever',
+      hasEmbedding: true,
+      embeddingModel: 'm',
+      coverage: [{ year: 2023, weeks: 52, firstWeek: 1, lastWeek: 52 }],
+      nationalRates: [{ year: 2023, totalCases: 10, population: 1000, casesPer100k: 1000, populationMethod: 'census' }],
+      topStates: {
+        year: 2023,
+        states: [{ stateName: 'Texas', totalCases: 5, casesPer100k: 2000, populationMethod: 'census' }],
+      },
+      deaths: { pathogen: 'COVID-19', totalDeaths: 7, byYear: [{ year: 2022, deaths: 3 }, { year: 2023, deaths: 4 }] },
+    });
+    expect(pool.query.mock.calls.every(([, params]) => params[0] === 1)).toBe(true);
+  });
+
+  test('GET /api/diseases/:id links a disease to its pathogen through disease_pathogen, not by name', async () => {
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM dim_disease d')) {
+        return { rows: [{ disease_id: 9, disease_name: 'Influenza-associated pediatric mortality', pathogen: 'Influenza' }] };
+      }
+      if (sql.includes('FROM fact_flu_rsv_covid_deaths')) return { rows: [{ year: 2023, deaths: '5' }] };
+      return { rows: [] };
+    });
+
+    const res = await request(app).get('/api/diseases/9');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.deaths).toEqual({ pathogen: 'Influenza', totalDeaths: 5, byYear: [{ year: 2023, deaths: 5 }] });
+    const [diseaseSql, deathsSql] = ['FROM dim_disease d', 'FROM fact_flu_rsv_covid_deaths']
+      .map(text => pool.query.mock.calls.find(([sql]) => sql.includes(text))[0]);
+    for (const sql of [diseaseSql, deathsSql]) {
+      expect(sql).toMatch(/JOIN disease_pathogen dp/);
+      expect(sql).not.toMatch(/disease_name\s*=|=\s*\w+\.disease_name/);
+    }
+  });
+
+  test('GET /api/diseases/:id validates the id and answers 404 for unknown diseases', async () => {
+    pool.query.mockResolvedValue({ rows: [] });
+
+    const malformed = await request(app).get('/api/diseases/abc');
+    const missing = await request(app).get('/api/diseases/99');
+
+    expect(malformed.statusCode).toBe(400);
+    expect(malformed.body.details).toEqual([{ field: 'id', reason: 'type', message: 'id must be an integer' }]);
+    expect(missing.statusCode).toBe(404);
+    expect(missing.body).toMatchObject({ code: 'UNKNOWN_DISEASE', message: 'Unknown disease id 99' });
+  });
+
+  test('OpenAPI documents path parameters', async () => {
+    const res = await request(app).get('/api/openapi.json');
+    const op = res.body.paths['/api/diseases/{id}'].get;
+
+    expect(op.parameters[0]).toMatchObject({ name: 'id', in: 'path', required: true, schema: { type: 'integer' } });
+  });
+
+  // --- State Profile ---
+
+  test('GET /api/states/:stateName/profile combines the state metrics', async () => {
+    pool.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM dim_pathogen')) return { rows: [{ pathogen: 'COVID-19' }, { pathogen: 'RSV' }] };
+      if (sql.includes('resolve_population_state_year')) return { rows: [{ population: 1000, method: 'census' }] };
+      if (sql.includes('age_group_deaths')) {
+        return { rows: [{ pathogen: 'COVID-19', estimated_deaths: '12.6', population_method: 'census' }] };
+      }
+      if (sql.includes('resolve_population_state_demo_year')) {
+        return {
+          rows: [
+            { race: 'White', sex: 'Female', age_group: '18-24', population: 300 },
+            { race: 'White', sex: 'Male', age_group: '5-17', population: 500 },
+            { race: 'Asian', sex: 'Male', age_group: '75+', population: 200 },
+          ],
+        };
+      }
+      return {
+        rows: [
+          {
+            disease_id: 5, disease_name: 'Lyme disease', per_capita: 80, method: 'census', rank: '2', states_ranked: '51',
+            national_per_capita: '50', high_outlier: true, rate: '80', previous_rate: '70',
+          },
+          {
+            disease_id: 8, disease_name: 'Measles', per_capita: 0, method: 'census', rank: '40', states_ranked: '51',
+            national_per_capita: '0.5', high_outlier: false, rate: null, previous_rate: '0.1',
+          },
+        ],
+      };
+    });
+
+    const res = await request(app).get('/api/states/Maine/profile?year=2024');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.population).toEqual({
+      total: 1000,
+      populationMethod: 'census',
+      byRace: [{ value: 'Asian', population: 200, share: 0.2 }, { value: 'White', population: 800, share: 0.8 }],
+      bySex: [{ value: 'Female', population: 300, share: 0.3 }, { value: 'Male', population: 700, share: 0.7 }],
+      byAgeGroup: [
+        { value: '5-17', population: 500, share: 0.5 },
+        { value: '18-24', population: 300, share: 0.3 },
+        { value: '75+', population: 200, share: 0.2 },
+      ],
+    });
+    expect(res.body.diseases[0]).toEqual({
+      diseaseId: 5,
+      diseaseName: 'Lyme disease',
+      casesPer100k: 80,
+      nationalCasesPer100k: 50,
+      rank: 2,
+      statesRanked: 51,
+      highOutlier: true,
+      populationMethod: 'census',
+    });
+    expect(res.body.rising).toEqual([{ diseaseName: 'Lyme disease', previousCasesPer100k: 70, casesPer100k: 80 }]);
+    expect(res.body.estimatedDeaths).toEqual([
+      { pathogen: 'COVID-19', estimatedDeaths: 13, populationMethod: 'census' },
+      { pathogen: 'RSV', estimatedDeaths: null, populationMethod: null },
+    ]);
+    const deathsCalls = pool.query.mock.calls.filter(([sql]) => sql.includes('age_group_deaths'));
+    expect(deathsCalls).toHaveLength(1);
+    expect(deathsCalls[0][1]).toEqual([['COVID-19', 'RSV'], 2024, 'Maine']);
+  });
+
+  test('GET /api/states/:stateName/profile requires a year and a known state', async () => {
+    getVocabulary.mockImplementation(async (name) => (name === 'states' ? new Set(['Maine']) : undefined));
+
+    const noYear = await request(app).get('/api/states/Maine/profile');
+    const unknown = await request(app).get('/api/states/Atlantis/profile?year=2024');
+
+    expect(noYear.body.details).toEqual([{ field: 'year', reason: 'required', message: 'year is required' }]);
+    expect(unknown.statusCode).toBe(404);
+    expect(unknown.body.code).toBe('UNKNOWN_STATE');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  // --- Symptom Vocabulary ---
+
+  const symptomRows = [
+    { disease_id: 1, disease_name: 'Influenza', symptoms: 'High fever, cough and muscle aches.' },
+    { disease_id: 2, disease_name: 'Measles', symptoms: 'Fever, cough and a red rash.' },
+  ];
+
+  test('GET /api/symptom-vocabulary counts the diseases mentioning each symptom', async () => {
+    pool.query.mockResolvedValueOnce({ rows: symptomRows });
+
+    const res = await request(app).get('/api/symptom-vocabulary?minDiseases=2');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual([{ symptom: 'cough', diseaseCount: 2 }, { symptom: 'fever', diseaseCount: 2 }]);
+  });
+
+  test('GET /api/symptom-suggestions completes prefixes and typing errors', async () => {
+    pool.query.mockResolvedValue({ rows: symptomRows });
+
+    const prefix = await request(app).get('/api/symptom-suggestions?q=Mus');
+    const fuzzy = await request(app).get('/api/symptom-suggestions?q=fevr&limit=1');
+    const missing = await request(app).get('/api/symptom-suggestions');
+
+    expect(prefix.body).toEqual([{ symptom: 'muscle aches', diseaseCount: 1, match: 'prefix' }]);
+    expect(fuzzy.body).toEqual([{ symptom: 'fever', diseaseCount: 2, match: 'fuzzy' }]);
+    expect(missing.statusCode).toBe(400);
+    expect(missing.body.details[0]).toMatchObject({ field: 'q', reason: 'required' });
+  });
+
+  test('GET /api/diseases-with-symptom lists the diseases mentioning the symptom', async () => {
+    pool.query.mockResolvedValueOnce({ rows: symptomRows });
+
+    const res = await request(app).get('/api/diseases-with-symptom?symptom=muscle%20ache');
+
+    expect(res.body).toEqual([{ diseaseId: 1, diseaseName: 'Influenza', symptoms: 'High fever, cough and muscle aches.' }]);
+  });
+
+  // --- Metrics ---
+
+  test('GET /api/metrics exposes request, error, pool and cache metrics', async () => {
+    const metrics = require('../metrics');
+    metrics.reset();
+    pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+    await request(app).get('/api/states');
+    await request(app).get('/api/states');
+    await request(app).get('/api/state-yearly-percapita?year=abc');
+    await request(app).get('/api/no-such-route');
+
+    const res = await request(app).get('/api/metrics');
+    const lines = res.text.split('\n');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.headers['content-type']).toContain('version=0.0.4');
+    expect(lines).toContain('http_requests_total{method="GET",route="/api/states",status="200"} 2');
+    expect(lines).toContain('http_request_errors_total{route="/api/state-yearly-percapita",status="400"} 1');
+    expect(lines).toContain('http_request_errors_total{route="unmatched",status="404"} 1');
+    expect(lines).toContain('http_request_duration_seconds_count{method="GET",route="/api/states"} 2');
+    expect(lines).toContain('db_query_duration_seconds_count{route="/api/states"} 1');
+    expect(res.text).toMatch(/pg_pool_clients\{state="waiting"\} \d+/);
+    // cache counters run since startup, so only their presence is checked
+    expect(res.text).toMatch(/^query_cache_hits_total \d+$/m);
+    expect(res.text).toMatch(/^query_cache_misses_total \d+$/m);
+    expect(res.text).toMatch(/^query_cache_hit_ratio (0|1|0\.\d+)$/m);
+  });
+
 });
@@ -0,0 +1,87 @@
+const {
+  buildSymptomVocabulary,
+  vocabularyOf,
+  suggestSymptoms,
+  diseasesWithSymptom,
+  extractSymptoms,
+} = require('../utils/symptomVocabulary');
+
+const rows = [
+  { disease_id: 1, symptoms: 'Fever, cough, muscle aches and fatigue.' },
+  { disease_id: 2, symptoms: 'High fever, cough and a red rash that spreads from the face.' },
+  { disease_id: 3, symptoms: 'Expanding rash at the site of a tick bite, fever and headache; later joint swelling.' },
+];
+
+describe('extractSymptoms', () => {
+  test('splits at connectors and clause breaks and cuts off qualifiers', () => {
+    expect(extractSymptoms(rows[2].symptoms)).toEqual(['expanding rash', 'fever', 'headache', 'joint swelling']);
+    expect(extractSymptoms(rows[1].symptoms)).toEqual(['high fever', 'cough', 'red rash']);
+  });
+
+  test('drops lead-in words, treats parentheses as clause breaks and skips long descriptions', () => {
+    expect(extractSymptoms('Diarrhea (sometimes bloody), followed by one very long unusual kind of description'))
+      .toEqual(['diarrhea', 'bloody']);
+  });
+});
+
+describe('diseasesWithSymptom', () => {
+  test.each([
+    ['fever', [1, 2, 3]],
+    ['Rashes', [2, 3]],
+    ['muscle ache', [1]],
+    ['red rash', [2]],
+    ['ash', []],
+    ['', []],
+  ])('%s', (symptom, ids) => {
+    expect(diseasesWithSymptom(rows, symptom)).toEqual(ids);
+  });
+});
+
+describe('buildSymptomVocabulary', () => {
+  const vocabulary = buildSymptomVocabulary(rows);
+
+  test('counts each symptom once per disease, most frequent first', () => {
+    expect(vocabulary.slice(0, 4).map(v => [v.symptom, v.diseaseIds])).toEqual([
+      ['fever', [1, 2, 3]],
+      ['cough', [1, 2]],
+      ['expanding rash', [3]],
+      ['fatigue', [1]],
+    ]);
+  });
+
+  test('groups wordings of the same symptom', () => {
+    const aches = vocabulary.filter(v => v.key === 'muscle ache');
+    expect(aches).toHaveLength(1);
+    expect(aches[0].symptom).toBe('muscle aches');
+  });
+});
+
+describe('vocabularyOf', () => {
+  test('builds the vocabulary once per query result', () => {
+    const first = vocabularyOf(rows);
+
+    expect(vocabularyOf(rows)).toBe(first);
+    expect(first).toEqual(buildSymptomVocabulary(rows));
+    // a new query result (the cache expired or was flushed) gets a new vocabulary
+    expect(vocabularyOf([...rows])).not.toBe(first);
+  });
+});
+
+describe('suggestSymptoms', () => {
+  const vocabulary = buildSymptomVocabulary(rows);
+  const suggest = (text, limit = 10) => suggestSymptoms(vocabulary, text, limit).map(s => [s.symptom, s.match]);
+
+  test('symptoms starting with the text come before ones with a later word starting with it', () => {
+    expect(suggest('fe')).toEqual([['fever', 'prefix'], ['high fever', 'prefix']]);
+  });
+
+  test('suggests symptoms a typing error away once enough is typed', () => {
+    expect(suggest('fevr')).toEqual([['fever', 'fuzzy'], ['high fever', 'fuzzy']]);
+    expect(suggest('haedache')).toEqual([['headache', 'fuzzy']]);
+    expect(suggest('fv')).toEqual([]);
+  });
+
+  test('honours the limit', () => {
+    expect(suggest('f', 1)).toEqual([['fever', 'prefix']]);
+  });
+});
@@ -0,0 +1,409 @@
+/**
+ * Data-Quality Audit
+ *
+ * A suite of checks run against the loaded data, meant to gate every load
+ * (`npm run ingest:... && npm run data-audit`):
+ *
+ *   year-coverage               every fact table has data, without gaps between its first and last year
+ *   case-population-overlap     case years have Census estimates rather than projected populations
+ *   states-missing-population   every state has state and demographic estimates for every estimate year
+ *   invalid-counts              no negative counts, and no missing populations or deaths
+ *   orphaned-keys               fact and symptom rows only reference existing dimension rows
+ *   diseases-without-embeddings diseases with case data can be found by symptom search
+ *   embedding-models            every symptom embedding comes from the same model
+ *   ndss-state-join             every state has the NNDSS reporting area the demographic routes join on
+ *
+ * Each check lists its problems, plus notes that describe the data without
+ * being a problem. A check at the "error" level fails the audit when it finds
+ * problems; a "warning" check only flags them (unless the audit is strict).
+ *
+ * Run through scripts/dataAudit.js (`npm run data-audit`).
+ *
+ * @module auditor
+ */
+
+const MAX_EXAMPLES = 5;
+const MAX_MARKDOWN_PROBLEMS = 20;
+
+/** Year column of each fact table */
+const FACT_YEARS = [
+  ['fact_cases_weekly', 'SELECT DISTINCT year FROM fact_cases_weekly'],
+  ['fact_nndss_weekly', 'SELECT DISTINCT current_mmwr_year AS year FROM fact_nndss_weekly'],
+  ['fact_population_state_year', 'SELECT DISTINCT year FROM fact_population_state_year'],
+  ['fact_population_state_demo_year', 'SELECT DISTINCT year FROM fact_population_state_demo_year'],
+  ['fact_flu_rsv_covid_deaths', `SELECT DISTINCT w.year
+                                 FROM fact_flu_rsv_covid_deaths f
+                                 JOIN dim_mmwr_week w ON f.mmwr_week_id = w.mmwr_week_id`],
+  ['fact_deaths', 'SELECT DISTINCT year FROM fact_deaths'],
+];
+
+/**
+ * Count columns: [table, column, may be NULL]. NULL weekly case counts are
+ * NNDSS "not available" flags (see ingest/nndss), not missing data.
+ */
+const COUNT_COLUMNS = [
+  ['fact_cases_weekly', 'current_week_cases', true],
+  ['fact_nndss_weekly', 'current_week', true],
+  ['fact_population_state_year', 'population', false],
+  ['fact_population_state_demo_year', 'population', false],
+  ['fact_flu_rsv_covid_deaths', 'deaths', false],
+  ['fact_deaths', 'deaths', false],
+];
+
+/** Dimension references: [table, column, dimension table, dimension column] */
+const REFERENCES = [
+  ['fact_cases_weekly', 'region_id', 'dim_region', 'region_id'],
+  ['fact_cases_weekly', 'disease_id', 'dim_disease', 'disease_id'],
+  ['fact_nndss_weekly', 'region_id', 'dim_region_ndss', 'region_id'],
+  ['fact_nndss_weekly', 'disease_id', 'dim_disease', 'disease_id'],
+  ['fact_population_state_year', 'region_id', 'dim_region', 'region_id'],
+  ['fact_population_state_demo_year', 'region_id', 'dim_region', 'region_id'],
+  ['disease_pathogen', 'disease_id', 'dim_disease', 'disease_id'],
+  ['disease_pathogen', 'pathogen_id', 'dim_pathogen', 'pathogen_id'],
+  ['fact_flu_rsv_covid_deaths', 'pathogen_id', 'dim_pathogen', 'pathogen_id'],
+  ['fact_flu_rsv_covid_deaths', 'mmwr_week_id', 'dim_mmwr_week', 'mmwr_week_id'],
+  ['fact_flu_rsv_covid_deaths', 'demographic_group_id', 'dim_demographic_group', 'demographic_group_id'],
+  ['fact_deaths', 'region_id', 'dim_region', 'region_id'],
+  ['disease_symptoms', 'disease_id', 'dim_disease', 'disease_id'],
+  ['disease_symptom_embeddings', 'disease_id', 'dim_disease', 'disease_id'],
+];
+
+/**
+ * @param {Array<number>} years - Sorted years
+ * @returns {string} e.g. "2020-2023, 2025"
+ */
+function formatYears(years) {
+  const ranges = [];
+  for (const year of years) {
+    const last = ranges[ranges.length - 1];
+    if (last && year === last[1] + 1) last[1] = year;
+    else ranges.push([year, year]);
+  }
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+}
+
+/** @returns {string} The first few values, and how many more there are */
+function examples(values) {
+  const shown = values.slice(0, MAX_EXAMPLES).join(', ');
+  return values.length > MAX_EXAMPLES ? `${shown} and ${values.length - MAX_EXAMPLES} more` : shown;
+}
+
+async function distinctYears(client, sql) {
+  const result = await client.query(sql);
+  return result.rows.map(r => Number(r.year)).sort((a, b) => a - b);
+}
+
+/**
+ * The checks, in report order. `run` receives a connected pg client and
+ * resolves to { problems, notes }, both arrays of strings.
+ */
+const CHECKS = [
+  {
+    id: 'year-coverage',
+    title: 'Year coverage per fact table',
+    level: 'error',
+    async run(client) {
+      const problems = [];
+      const notes = [];
+      for (const [table, sql] of FACT_YEARS) {
+        const years = await distinctYears(client, sql);
+        if (years.length === 0) {
+          problems.push(`${table} is empty`);
+          continue;
+        }
+        notes.push(`${table}: ${formatYears(years)}`);
+        const missing = [];
+        for (let year = years[0]; year <= years[years.length - 1]; year += 1) {
+          if (!years.includes(year)) missing.push(year);
+        }
+        if (missing.length > 0) problems.push(`${table} has no rows for ${formatYears(missing)}`);
+      }
+      return { problems, notes };
+    },
+  },
+  {
+    id: 'case-population-overlap',
+    title: 'Case years with Census population estimates',
+    level: 'warning',
+    async run(client) {
+      const caseYears = await distinctYears(client, FACT_YEARS[0][1]);
+      const populationYears = await distinctYears(client, FACT_YEARS[2][1]);
+      const uncovered = caseYears.filter(year => !populationYears.includes(year));
+      const notes = [
+        `Case years: ${formatYears(caseYears) || 'none'}`,
+        `Population estimate years: ${formatYears(populationYears) || 'none'}`,
+      ];
+      const problems = uncovered.length > 0 && populationYears.length > 0
+        ? [`Case years ${formatYears(uncovered)} have no Census estimates; their rates use interpolated or projected populations`]
+        : [];
+      if (caseYears.length > 0 && populationYears.length === 0) {
+        problems.push('There are case data but no population estimates, so no per-capita rate can be computed');
+      }
+      return { problems, notes };
+    },
+  },
+  {
+    id: 'states-missing-population',
+    title: 'States missing population estimates',
+    level: 'error',
+    async run(client) {
+      const result = await client.query(`
+        WITH state_years AS (SELECT DISTINCT year FROM fact_population_state_year),
+             demo_years AS (SELECT DISTINCT year FROM fact_population_state_demo_year)
+        SELECT
+          r.state_name,
+          ARRAY(
+            SELECT y.year FROM state_years y
+            WHERE NOT EXISTS (
+              SELECT 1 FROM fact_population_state_year p WHERE p.region_id = r.region_id AND p.year = y.year
+            )
+            ORDER BY y.year
+          ) AS missing_years,
+          ARRAY(
+            SELECT y.year FROM demo_years y
+            WHERE NOT EXISTS (
+              SELECT 1 FROM fact_population_state_demo_year p WHERE p.region_id = r.region_id AND p.year = y.year
+            )
+            ORDER BY y.year
+          ) AS missing_demographic_years,
+          (SELECT COUNT(*) FROM state_years) AS state_year_count,
+          (SELECT COUNT(*) FROM demo_years) AS demo_year_count
+        FROM dim_region r
+        ORDER BY r.state_name
+      `);
+      if (result.rows.length === 0) return { problems: ['dim_region has no states'], notes: [] };
+
+      const problems = [];
+      for (const row of result.rows) {
+        const missing = row.missing_years.map(Number);
+        const missingDemographic = row.missing_demographic_years.map(Number);
+        if (Number(row.state_year_count) === 0 || missing.length === Number(row.state_year_count)) {
+          problems.push(`${row.state_name}: no state population estimates`);
+        } else if (missing.length > 0) {
+          problems.push(`${row.state_name}: no state population estimate for ${formatYears(missing)}`);
+        }
+        if (Number(row.demo_year_count) === 0 || missingDemographic.length === Number(row.demo_year_count)) {
+          problems.push(`${row.state_name}: no demographic population estimates`);
+        } else if (missingDemographic.length > 0) {
+          problems.push(`${row.state_name}: no demographic population estimates for ${formatYears(missingDemographic)}`);
+        }
+      }
+      return { problems, notes: [`${result.rows.length} states in dim_region`] };
+    },
+  },
+  {
+    id: 'invalid-counts',
+    title: 'Negative or missing counts',
+    level: 'error',
+    async run(client) {
+      const problems = [];
+      const notes = [];
+      for (const [table, column, nullable] of COUNT_COLUMNS) {
+        const result = await client.query(`
+          SELECT
+            COUNT(*) FILTER (WHERE ${column} < 0) AS negative,
+            COUNT(*) FILTER (WHERE ${column} IS NULL) AS missing
+          FROM ${table}
+        `);
+        const negative = Number(result.rows[0].negative);
+        const missing = Number(result.rows[0].missing);
+        if (negative > 0) problems.push(`${table}.${column}: ${negative} negative`);
+        if (missing > 0 && !nullable) problems.push(`${table}.${column}: ${missing} missing`);
+        if (missing > 0 && nullable) notes.push(`${table}.${column}: ${missing} not available (NNDSS N, NN, NP or U flag)`);
+      }
+      return { problems, notes };
+    },
+  },
+  {
+    id: 'orphaned-keys',
+    title: 'Orphaned dimension keys',
+    level: 'error',
+    async run(client) {
+      const problems = [];
+      for (const [table, column, dimension, key] of REFERENCES) {
+        const result = await client.query(`
+          SELECT COUNT(*) AS orphans, (ARRAY_AGG(DISTINCT f.${column} ORDER BY f.${column}))[1:${MAX_EXAMPLES + 1}] AS ids
+          FROM ${table} f
+          WHERE NOT EXISTS (SELECT 1 FROM ${dimension} d WHERE d.${key} = f.${column})
+        `);
+        const orphans = Number(result.rows[0].orphans);
+        if (orphans > 0) {
+          problems.push(`${table}.${column}: ${orphans} rows reference missing ${dimension} ids (${examples(result.rows[0].ids)})`);
+        }
+      }
+      return { problems, notes: [] };
+    },
+  },
+  {
+    id: 'diseases-without-embeddings',
+    title: 'Diseases with case data but no symptom embedding',
+    level: 'warning',
+    async run(client) {
+      const result = await client.query(`
+        SELECT d.disease_name
+        FROM dim_disease d
+        WHERE (EXISTS (SELECT 1 FROM fact_cases_weekly f WHERE f.disease_id = d.disease_id)
+               OR EXISTS (SELECT 1 FROM fact_nndss_weekly f WHERE f.disease_id = d.disease_id))
+          AND NOT EXISTS (SELECT 1 FROM disease_symptom_embeddings e WHERE e.disease_id = d.disease_id)
+        ORDER BY d.disease_name
+      `);
+      const names = result.rows.map(r => r.disease_name);
+      return {
+        problems: names.length > 0 ? [`${names.length} diseases cannot be found by symptom search: ${examples(names)}`] : [],
+        notes: [],
+      };
+    },
+  },
+  {
+    id: 'unlinked-pathogens',
+    title: 'Deaths pathogens not linked to a disease',
+    level: 'warning',
+    async run(client) {
+      // the ingests add diseases and pathogens but cannot tell which belong
+      // together; the disease profile only reports deaths through disease_pathogen
+      const pathogens = await client.query(`
+        SELECT p.pathogen
+        FROM dim_pathogen p
+        WHERE EXISTS (SELECT 1 FROM fact_flu_rsv_covid_deaths f WHERE f.pathogen_id = p.pathogen_id)
+          AND NOT EXISTS (SELECT 1 FROM disease_pathogen dp WHERE dp.pathogen_id = p.pathogen_id)
+        ORDER BY p.pathogen
+      `);
+      const diseases = await client.query(`
+        SELECT d.disease_name
+        FROM dim_disease d
+        WHERE (EXISTS (SELECT 1 FROM fact_cases_weekly f WHERE f.disease_id = d.disease_id)
+               OR EXISTS (SELECT 1 FROM fact_nndss_weekly f WHERE f.disease_id = d.disease_id))
+          AND NOT EXISTS (SELECT 1 FROM disease_pathogen dp WHERE dp.disease_id = d.disease_id)
+        ORDER BY d.disease_name
+      `);
+      const names = pathogens.rows.map(r => r.pathogen);
+      const unlinked = diseases.rows.map(r => r.disease_name);
+      return {
+        problems: names.length > 0
+          ? [`${names.length} pathogens with deaths data have no disease in disease_pathogen, so no disease profile reports their deaths: ${examples(names)}`]
+          : [],
+        notes: unlinked.length > 0
+          ? [`${unlinked.length} diseases with case data have no pathogen link (expected for diseases outside the deaths data): ${examples(unlinked)}`]
+          : [],
+      };
+    },
+  },
+  {
+    id: 'embedding-models',
+    title: 'Symptom embeddings from more than one model',
+    level: 'error',
+    async run(client) {
+      const result = await client.query(`
+        SELECT embedding_model AS model, embedding_dimensions AS dimensions, COUNT(*) AS diseases
+        FROM disease_symptom_embeddings
+        GROUP BY embedding_model, embedding_dimensions
+        ORDER BY COUNT(*) DESC, embedding_model
+      `);
+      const models = result.rows.map(r => `${r.model} (${r.dimensions} dimensions): ${r.diseases} diseases`);
+      return {
+        // symptom search only compares embeddings of the model it embeds the query with
+        problems: models.length > 1 ? [`embeddings come from ${models.length} models; regenerate them with one provider`] : [],
+        notes: models,
+      };
+    },
+  },
+  {
+    id: 'ndss-state-join',
+    title: 'States without a matching NNDSS reporting area',
+    level: 'error',
+    async run(client) {
+      const result = await client.query(`
+        SELECT r.state_name
+        FROM dim_region r
+        WHERE NOT EXISTS (
+          SELECT 1 FROM dim_region_ndss n WHERE UPPER(n.reporting_area) = UPPER(r.state_name)
+        )
+        ORDER BY r.state_name
+      `);
+      const names = result.rows.map(r => r.state_name);
+      return {
+        problems: names.length > 0
+          ? [`${names.length} states have no NNDSS reporting area named UPPER(state_name), so the demographic routes return nothing for them: ${examples(names)}`]
+          : [],
+        notes: [],
+      };
+    },
+  },
+];
+
+/**
+ * Run the audit.
+ *
+ * A check that throws (a missing table, say) is reported as failed with the
+ * error as its problem; the other checks still run.
+ *
+ * @param {Object} client - Connected pg client
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Warnings fail the audit too
+ * @param {Array<Object>} [options.checks=CHECKS]
+ * @returns {Promise<Object>} Report: { status: 'pass' | 'warn' | 'fail', generatedAt, strict,
+ *   counts: { pass, warn, fail }, checks: [{ id, title, level, status, problems, notes }] }
+ */
+async function runAudit(client, { strict = false, checks = CHECKS } = {}) {
+  const results = [];
+  for (const check of checks) {
+    let outcome;
+    try {
+      outcome = await check.run(client);
+    } catch (err) {
+      outcome = { problems: [`check could not run: ${err.message}`], notes: [], crashed: true };
+    }
+    let status = 'pass';
+    if (outcome.problems.length > 0) {
+      status = check.level === 'error' || strict || outcome.crashed ? 'fail' : 'warn';
+    }
+    results.push({
+      id: check.id,
+      title: check.title,
+      level: check.level,
+      status,
+      problems: outcome.problems,
+      notes: outcome.notes,
+    });
+  }
+
+  const counts = { pass: 0, warn: 0, fail: 0 };
+  for (const result of results) counts[result.status] += 1;
+  let status = 'pass';
+  if (counts.fail > 0) status = 'fail';
+  else if (counts.warn > 0) status = 'warn';
+
+  return { status, generatedAt: new Date().toISOString(), strict, counts, checks: results };
+}
+
+/**
+ * @param {Object} report - From runAudit()
+ * @returns {string} The report as markdown
+ */
+function formatMarkdown(report) {
+  const lines = [
+    '# Data audit',
+    '',
+    `**${report.status.toUpperCase()}**: ${report.counts.pass} passed, ${report.counts.warn} warnings, ` +
+      `${report.counts.fail} failed (${report.generatedAt}${report.strict ? ', strict' : ''})`,
+    '',
+    '| Check | Level | Status | Problems |',
+    '| --- | --- | --- | --- |',
+    ...report.checks.map(c => `| ${c.id} | ${c.level} | ${c.status.toUpperCase()} | ${c.problems.length} |`),
+  ];
+
+  for (const check of report.checks) {
+    lines.push('', `## ${check.title} (\`${check.id}\`): ${check.status.toUpperCase()}`, '');
+    const shown = check.problems.slice(0, MAX_MARKDOWN_PROBLEMS);
+    for (const problem of shown) lines.push(`- ${problem}`);
+    if (check.problems.length > shown.length) lines.push(`- ... and ${check.problems.length - shown.length} more`);
+    if (check.problems.length === 0) lines.push('No problems.');
+    if (check.notes.length > 0) {
+      lines.push('', 'Notes:', '');
+      for (const note of check.notes) lines.push(`- ${note}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { runAudit, formatMarkdown, formatYears, CHECKS };
@@ -0,0 +1,183 @@
+/**
+ * Configuration
+ *
+ * Single source of settings for the server and every script. Each setting is
+ * read from, in order of precedence:
+ *
+ * 1. its environment variable (a backend/.env file is loaded first);
+ * 2. an optional JSON config file: CONFIG_FILE, or backend/config.json when it
+ *    exists (git-ignored; see config.example.json for the keys);
+ * 3. its default.
+ *
+ * Values are parsed and checked against the schema below when this module is
+ * loaded. Entry points call validateOrExit() before doing any work so a missing
+ * or malformed setting stops them immediately with a message naming every
+ * problem, instead of failing later on the first database query. Modules only
+ * read the exported values, so they can be required (e.g. in tests) without a
+ * complete configuration.
+ *
+ * @module config
+ * @requires dotenv
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '.env'), quiet: true });
+
+/**
+ * Setting definitions. `env` is the environment variable, `file` the key in
+ * the JSON config file (the legacy config.json names where one existed).
+ */
+const SCHEMA = {
+  serverPort: { env: 'PORT', file: 'server_port', type: 'integer', default: 3000, min: 1, max: 65535 },
+
+  dbHost: { env: 'DB_HOST', file: 'rds_host', type: 'string', required: true },
+  dbPort: { env: 'DB_PORT', file: 'rds_port', type: 'integer', default: 5432, min: 1, max: 65535 },
+  dbUser: { env: 'DB_USER', file: 'rds_user', type: 'string', required: true },
+  dbPassword: { env: 'DB_PASSWORD', file: 'rds_password', type: 'string', required: true, secret: true },
+  dbName: { env: 'DB_NAME', file: 'rds_db', type: 'string', required: true },
+  // disable: plain TCP; require: TLS without certificate checks (RDS default
+  // certificates); verify-full: TLS with certificate and hostname checks
+  dbSslMode: { env: 'DB_SSL_MODE', file: 'db_ssl_mode', type: 'enum', values: ['disable', 'require', 'verify-full'], default: 'require' },
+  dbPoolMax: { env: 'DB_POOL_MAX', file: 'db_pool_max', type: 'integer', default: 10, min: 1 },
+  dbConnectTimeoutMs: { env: 'DB_CONNECT_TIMEOUT_MS', file: 'db_connect_timeout_ms', type: 'integer', default: 5000, min: 1 },
+  dbStatementTimeoutMs: { env: 'DB_STATEMENT_TIMEOUT_MS', file: 'db_statement_timeout_ms', type: 'integer', default: 30000, min: 1 },
+  dbMaxStatementTimeoutMs: { env: 'DB_MAX_STATEMENT_TIMEOUT_MS', file: 'db_max_statement_timeout_ms', type: 'integer', default: 120000, min: 1 },
+
+  // model behind symptom search (see embeddings/); local needs no key or network
+  embeddingProvider: { env: 'EMBEDDING_PROVIDER', file: 'embedding_provider', type: 'enum', values: ['openai', 'local'], default: 'openai' },
+  // without a key the openai provider is disabled instead of crashing the server
+  openaiApiKey: { env: 'OPENAI_API_KEY', file: 'openai_api_key', type: 'string', secret: true },
+  adminToken: { env: 'ADMIN_TOKEN', file: 'admin_token', type: 'string', secret: true },
+
+  queryCacheTtlSeconds: { env: 'QUERY_CACHE_TTL_SECONDS', file: 'query_cache_ttl_seconds', type: 'integer', default: 3600, min: 0 },
+  queryCacheMaxEntries: { env: 'QUERY_CACHE_MAX_ENTRIES', file: 'query_cache_max_entries', type: 'integer', default: 500, min: 1 },
+  healthCheckTimeoutMs: { env: 'HEALTH_CHECK_TIMEOUT_MS', file: 'health_check_timeout_ms', type: 'integer', default: 2000, min: 1 },
+  logLevel: { env: 'LOG_LEVEL', file: 'log_level', type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'] },
+  logSlowQueryMs: { env: 'LOG_SLOW_QUERY_MS', file: 'log_slow_query_ms', type: 'integer', default: 1000, min: 0 },
+};
+
+/** Thrown by assertValid() when the configuration is incomplete or malformed. */
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function readFile(env) {
+  const file = env.CONFIG_FILE || path.join(__dirname, 'config.json');
+  if (!env.CONFIG_FILE && !fs.existsSync(file)) return { values: {}, problems: [] };
+
+  try {
+    return { values: JSON.parse(fs.readFileSync(file, 'utf8')), problems: [] };
+  } catch (err) {
+    return { values: {}, problems: [`config file ${file} could not be read: ${err.message}`] };
+  }
+}
+
+function parse(def, raw) {
+  const source = def.env;
+  const text = String(raw).trim();
+
+  if (def.type === 'integer') {
+    if (!/^[+-]?\d+$/.test(text)) return { problem: `${source} must be an integer (got "${text}")` };
+    const value = parseInt(text, 10);
+    if (def.min !== undefined && value < def.min) return { problem: `${source} must be at least ${def.min}` };
+    if (def.max !== undefined && value > def.max) return { problem: `${source} must be at most ${def.max}` };
+    return { value };
+  }
+  if (def.type === 'enum') {
+    const value = text.toLowerCase();
+    if (!def.values.includes(value)) {
+      return { problem: `${source} must be one of: ${def.values.join(', ')} (got "${text}")` };
+    }
+    return { value };
+  }
+  return { value: text };
+}
+
+/**
+ * Build the configuration from an environment and the optional config file.
+ *
+ * @param {Object} [env=process.env]
+ * @returns {{ values: Object, problems: Array<string> }}
+ */
+function load(env = process.env) {
+  const file = readFile(env);
+  const values = {};
+  const problems = [...file.problems];
+
+  for (const [name, def] of Object.entries(SCHEMA)) {
+    let raw = env[def.env];
+    if (raw === undefined || raw === '') raw = file.values[def.file];
+
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      if (def.required) problems.push(`${def.env} is required`);
+      values[name] = def.default !== undefined ? def.default : null;
+      continue;
+    }
+
+    const parsed = parse(def, raw);
+    if (parsed.problem) {
+      problems.push(parsed.problem);
+      values[name] = def.default !== undefined ? def.default : null;
+    } else {
+      values[name] = parsed.value;
+    }
+  }
+
+  return { values, problems };
+}
+
+const { values, problems } = load();
+
+/**
+ * Stop with a ConfigError listing every missing or malformed setting.
+ * Call at the start of every entry point (server, scripts).
+ *
+ * @throws {ConfigError}
+ */
+function assertValid() {
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+}
+
+/**
+ * assertValid() for command-line entry points: print the problems and exit
+ * with status 1 instead of throwing a stack trace at the user.
+ */
+function validateOrExit() {
+  try {
+    assertValid();
+  } catch (err) {
+    process.stderr.write(`${err.message}\nSet these as environment variables, in backend/.env, or in a config file (see config.example.json).\n`);
+    process.exit(1);
+  }
+}
+
+/**
+ * The effective configuration with secrets masked, for logging at startup.
+ *
+ * @returns {Object}
+ */
+function describe() {
+  const shown = {};
+  for (const [name, def] of Object.entries(SCHEMA)) {
+    shown[name] = def.secret && values[name] ? '[set]' : values[name];
+  }
+  return shown;
+}
+
+module.exports = {
+  ...values,
+  assertValid,
+  validateOrExit,
+  describe,
+  load,
+  ConfigError,
+  SCHEMA,
+};
@@ -9,37 +9,70 @@
  * 
  * @module db
  * @requires pg
- * @requires dotenv
+ * @requires config
+ * @requires queryCache
+ * @requires requestContext
+ * @requires logger
+ * @requires metrics
+ * @requires errors
  */
 
-require('dotenv').config();
-const { Pool, types } = require('pg');
-const config = require('./config.json');
+const { Pool, Client, types } = require('pg');
+const config = require('./config');
+const queryCache = require('./queryCache');
+const { getContext } = require('./requestContext');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { RequestCancelledError, fromDatabaseError } = require('./errors');
 
 types.setTypeParser(20, (val) => parseInt(val, 10));
 
+/**
+ * SSL options for each DB_SSL_MODE. "require" encrypts without verifying the
+ * certificate, which is what RDS needs without its CA bundle installed.
+ */
+const SSL_OPTIONS = {
+  disable: false,
+  require: { rejectUnauthorized: false },
+  'verify-full': { rejectUnauthorized: true },
+};
+
 /**
  * PostgreSQL Connection Pool
  * 
- * Creates a connection pool using environment variables for configuration.
- * Connection parameters are read from .env file:
- * - DB_HOST: Database hostname
- * - DB_PORT: Database port (default: 5432)
- * - DB_USER: Database username
- * - DB_PASSWORD: Database password
- * - DB_NAME: Database name
- * 
- * Note: The application also supports config.json for RDS connections (see routes.js)
+ * Creates a connection pool from the validated settings in config.js:
+ * - DB_HOST, DB_PORT (default 5432), DB_USER, DB_PASSWORD, DB_NAME
+ * - DB_SSL_MODE: disable | require | verify-full (default: require)
+ * - DB_POOL_MAX: Maximum number of clients (default: 10)
+ * - DB_CONNECT_TIMEOUT_MS: How long a query waits for a free client before
+ *   failing with 503 DATABASE_UNAVAILABLE (default: 5000)
+ * - DB_STATEMENT_TIMEOUT_MS: Time limit for API queries on routes without
+ *   their own `statementTimeout` (default: 30000)
+ * - DB_MAX_STATEMENT_TIMEOUT_MS: Server-side statement_timeout set on a
+ *   connection the first time an API query uses it (default: 120000). Scripts
+ *   share the pool but never run API queries, so long refreshes, seeds and
+ *   migrations are not cut off by it.
  */
+const defaultStatementTimeoutMs = config.dbStatementTimeoutMs;
+
+const connectionConfig = {
+  host: config.dbHost,
+  port: config.dbPort,
+  user: config.dbUser,
+  password: config.dbPassword,
+  database: config.dbName,
+  ssl: SSL_OPTIONS[config.dbSslMode],
+  connectionTimeoutMillis: config.dbConnectTimeoutMs,
+};
+
 const pool = new Pool({
-  host: process.env.DB_HOST || config.rds_host,
-  port: process.env.DB_PORT || config.rds_port,
-  user: process.env.DB_USER || config.rds_user,
-  password: process.env.DB_PASSWORD || config.rds_password,
-  database: process.env.DB_NAME || config.rds_db,
-  ssl: { rejectUnauthorized: false }, // same as you had before for RDS
+  ...connectionConfig,
+  max: config.dbPoolMax,
 });
 
+// pool clients that already carry the server-side limit for API queries
+const limitedClients = new WeakSet();
+
 /**
  * Error Handler for Connection Pool
  * 
@@ -47,15 +80,171 @@ const pool = new Pool({
  * This prevents the application from crashing due to database connection issues.
  */
 pool.on('error', (err) => {
-  console.error('Unexpected PG client error', err);
+  logger.error('unexpected pg client error', { err });
 });
 
+// queries slower than this are logged at warn level instead of debug
+const slowQueryMs = config.logSlowQueryMs;
+
+const MAX_SQL_LENGTH = 500;
+const MAX_PARAM_LENGTH = 100;
+
+function compactSql(text) {
+  const sql = text.replace(/\s+/g, ' ').trim();
+  return sql.length > MAX_SQL_LENGTH ? `${sql.slice(0, MAX_SQL_LENGTH)}…` : sql;
+}
+
+/**
+ * Make query parameters safe and short enough to log: values of routes with
+ * sensitive parameters are hidden, long arrays (e.g. embedding vectors) are
+ * summarized and long strings truncated.
+ */
+function loggableParams(params, sensitive) {
+  return (params || []).map((value) => {
+    if (Array.isArray(value) && value.length > 10) return `[${value.length} items]`;
+    if (typeof value === 'string') {
+      if (sensitive) return logger.REDACTED;
+      if (value.length > MAX_PARAM_LENGTH) return `${value.slice(0, MAX_PARAM_LENGTH)}…`;
+    }
+    return value;
+  });
+}
+
+/**
+ * Cancel the query running on a backend. The cancel goes over a connection
+ * of its own, outside the pool: a saturated pool is when queries need
+ * cancelling, and a cancel queued behind them would come too late.
+ *
+ * @param {number} processID - Backend process id of the client to cancel
+ * @returns {Promise<void>}
+ */
+async function cancelBackend(processID) {
+  const client = new Client(connectionConfig);
+  client.on('error', err => logger.warn('cancel connection error', { err }));
+  await client.connect();
+  try {
+    await client.query('SELECT pg_cancel_backend($1)', [processID]);
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Run an API query on its own pool client so it can be cancelled with
+ * pg_cancel_backend: when it exceeds the route's time limit (504
+ * DATABASE_TIMEOUT), or when the HTTP client disconnects (the request's
+ * AbortSignal fires) so abandoned analyses stop holding a connection.
+ *
+ * @param {string} text
+ * @param {Array} params
+ * @param {number} timeoutMs
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object>} Query result
+ */
+async function cancellableQuery(text, params, timeoutMs, signal) {
+  if (signal && signal.aborted) {
+    throw new RequestCancelledError();
+  }
+
+  const client = await pool.connect();
+  let reason = null;
+  let cancelling = null;
+
+  const cancel = (why) => {
+    if (reason) return;
+    reason = why;
+    cancelling = cancelBackend(client.processID)
+      .catch(err => logger.warn('could not cancel query', { err }));
+  };
+  const onAbort = () => cancel('disconnected');
+  const timer = setTimeout(() => cancel('timeout'), timeoutMs);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    if (!limitedClients.has(client)) {
+      await client.query("SELECT set_config('statement_timeout', $1, false)", [String(config.dbMaxStatementTimeoutMs)]);
+      limitedClients.add(client);
+    }
+    return await client.query(text, params);
+  } catch (err) {
+    if (reason === 'disconnected') throw new RequestCancelledError(err);
+    if (reason === 'timeout') throw fromDatabaseError(err, { statementTimeoutMs: timeoutMs }) || err;
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+    if (cancelling) await cancelling;
+    // a cancel that lands after the query finished would hit whatever runs
+    // next on this connection, so a client we tried to cancel is discarded
+    client.release(Boolean(reason));
+  }
+}
+
+/**
+ * Run a query, logging its duration and adding it to the current request's
+ * totals (reported in the request log line). Queries issued while handling an
+ * API route are cancellable (see cancellableQuery); others use the pool directly.
+ */
+async function timedQuery(text, params) {
+  const context = getContext();
+  const start = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - start) / 1e6;
+
+  try {
+    const result = context.route
+      ? await cancellableQuery(text, params, context.statementTimeout || defaultStatementTimeoutMs, context.signal)
+      : await pool.query(text, params);
+    const durationMs = elapsed();
+    metrics.observeQuery(context.route, durationMs / 1000);
+    if (context.db) {
+      context.db.queries += 1;
+      context.db.durationMs += durationMs;
+    }
+
+    const level = durationMs >= slowQueryMs ? 'warn' : 'debug';
+    if (logger.isEnabled(level)) {
+      logger[level](level === 'warn' ? 'slow query' : 'query', {
+        sql: compactSql(text),
+        params: loggableParams(params, context.sensitive),
+        rows: result.rowCount,
+        durationMs: Math.round(durationMs),
+      });
+    }
+    return result;
+  } catch (err) {
+    const durationMs = elapsed();
+    metrics.observeQuery(context.route, durationMs / 1000);
+
+    const cancelled = err instanceof RequestCancelledError;
+    logger[cancelled ? 'info' : 'error'](cancelled ? 'query cancelled' : 'query failed', {
+      sql: compactSql(text),
+      params: loggableParams(params, context.sensitive),
+      durationMs: Math.round(durationMs),
+      err: cancelled ? undefined : err,
+      reason: cancelled ? 'client disconnected' : undefined,
+    });
+    throw err;
+  }
+}
+
 /**
  * Execute a Database Query
  * 
  * Wrapper function for pool.query that provides a clean interface
  * for executing parameterized SQL queries.
  * 
+ * When called while handling an API route, the result is served from the
+ * query cache (see queryCache.js) using the route's cacheTtl, falling back to
+ * the default TTL. A cacheTtl of 0 disables caching for that route. Outside a
+ * request (scripts), queries always go to the database. Every query that
+ * reaches the database is timed and logged (see logger.js); queries slower
+ * than LOG_SLOW_QUERY_MS (default 1000) are logged as warnings.
+ * 
+ * API queries are limited to the route's `statementTimeout` (falling back to
+ * DB_STATEMENT_TIMEOUT_MS) and cancelled when the HTTP client disconnects.
+ * Their connections also get DB_MAX_STATEMENT_TIMEOUT_MS as a server-side
+ * backstop; script queries run without it.
+ * 
  * @param {string} text - SQL query string (can contain $1, $2, etc. for parameters)
  * @param {Array} params - Array of parameter values to substitute in the query
  * @returns {Promise<Object>} Query result object with 'rows' array and 'rowCount'
@@ -65,7 +254,24 @@ pool.on('error', (err) => {
  * console.log(result.rows);
  */
 async function query(text, params) {
-  return pool.query(text, params);
+  const { route, cacheTtl, signal } = getContext();
+  const ttl = cacheTtl === undefined ? queryCache.defaultTtlSeconds : cacheTtl;
+
+  if (!route || ttl <= 0) {
+    return timedQuery(text, params);
+  }
+
+  const run = () => queryCache.cached(text, params, ttl, () => timedQuery(text, params));
+  try {
+    return await run();
+  } catch (err) {
+    // concurrent identical requests share one in-flight query; if it was
+    // cancelled because another client went away, run it again for this one
+    if (err instanceof RequestCancelledError && !(signal && signal.aborted)) {
+      return run();
+    }
+    throw err;
+  }
 }
 
 module.exports = { pool, query };
@@ -0,0 +1,199 @@
+/**
+ * Symptom Embedding Generation
+ *
+ * Keeps disease_symptom_embeddings in step with disease_symptoms for one
+ * embedding provider, re-embedding only what is out of date:
+ *
+ *   new      the disease has symptoms but no embedding
+ *   changed  its symptom text no longer matches the stored content_hash
+ *   model    the embedding comes from another model or dimension
+ *
+ * Stale texts are embedded in batches of BATCH_SIZE, one provider request per
+ * batch, and each batch is written as soon as it is embedded. An interrupted
+ * run therefore keeps the batches it finished, and the next run picks up the
+ * rest. Failed provider requests are retried with exponential backoff when
+ * the error is transient (rate limits, server errors, dropped connections).
+ *
+ * Run through scripts/generateEmbeddings.js (`npm run generate-embeddings`).
+ *
+ * @module embeddings/generate
+ */
+
+const crypto = require('crypto');
+
+const BATCH_SIZE = 100;
+const MAX_RETRIES = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+
+// HTTP statuses worth retrying: timeouts, conflicts, rate limits, server errors
+const RETRYABLE_STATUSES = new Set([408, 409, 429]);
+
+/**
+ * @param {string} text - Symptom text
+ * @returns {string} SHA-256 of the text, hex encoded (disease_symptom_embeddings.content_hash)
+ */
+function contentHash(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/** @returns {boolean} Whether a provider error may succeed when retried */
+function isRetryable(err) {
+  if (err.status === undefined || err.status === null) return true; // no response: network error
+  return RETRYABLE_STATUSES.has(err.status) || err.status >= 500;
+}
+
+/**
+ * Call `fn`, retrying transient failures after 1 s, 2 s, 4 s, ...
+ *
+ * @param {Function} fn - Async function to call
+ * @param {Object} [options]
+ * @param {number} [options.retries=MAX_RETRIES]
+ * @param {number} [options.baseDelayMs=RETRY_BASE_DELAY_MS]
+ * @param {Function} [options.sleep] - Resolves after the given milliseconds
+ * @param {Function} [options.onRetry] - Called with (err, attempt, delayMs) before each retry
+ */
+async function withRetry(fn, {
+  retries = MAX_RETRIES,
+  baseDelayMs = RETRY_BASE_DELAY_MS,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  onRetry = () => {},
+} = {}) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt > retries || !isRetryable(err)) throw err;
+      const delayMs = baseDelayMs * 2 ** (attempt - 1);
+      onRetry(err, attempt, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Resolve --disease values (names, any case, or ids) to disease ids.
+ *
+ * @param {Object} client - Connected pg client
+ * @param {Array<string>} diseases
+ * @returns {Promise<Array<number>>}
+ * @throws {Error} Naming every value that matches no disease
+ */
+async function resolveDiseases(client, diseases) {
+  const result = await client.query('SELECT disease_id, disease_name FROM dim_disease');
+  const byName = new Map(result.rows.map(r => [r.disease_name.toLowerCase(), r.disease_id]));
+  const ids = new Set(result.rows.map(r => r.disease_id));
+
+  const resolved = [];
+  const unknown = [];
+  for (const value of diseases) {
+    const id = /^\d+$/.test(value) ? Number(value) : byName.get(value.trim().toLowerCase());
+    if (id !== undefined && ids.has(id)) resolved.push(id);
+    else unknown.push(value);
+  }
+  if (unknown.length > 0) {
+    throw new Error(`Unknown diseases: ${unknown.map(v => `"${v}"`).join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * The symptom texts whose embedding is missing or out of date.
+ *
+ * @param {Object} client - Connected pg client
+ * @param {{model: string, dimensions: number}} provider
+ * @param {Array<number>|null} diseaseIds - Only these diseases (null: all)
+ * @returns {Promise<{stale: Array<{diseaseId, diseaseName, symptoms, hash, reason}>, current: number}>}
+ */
+async function findStale(client, provider, diseaseIds) {
+  const result = await client.query(`
+    SELECT s.disease_id, d.disease_name, s.symptoms,
+           e.disease_id IS NOT NULL AS embedded, e.content_hash, e.embedding_model, e.embedding_dimensions
+    FROM disease_symptoms s
+    JOIN dim_disease d ON d.disease_id = s.disease_id
+    LEFT JOIN disease_symptom_embeddings e ON e.disease_id = s.disease_id
+    WHERE $1::int[] IS NULL OR s.disease_id = ANY($1::int[])
+    ORDER BY s.disease_id
+  `, [diseaseIds]);
+
+  const stale = [];
+  let current = 0;
+  for (const row of result.rows) {
+    const hash = contentHash(row.symptoms);
+    let reason = null;
+    if (!row.embedded) reason = 'new';
+    else if (row.content_hash !== hash) reason = 'changed';
+    else if (row.embedding_model !== provider.model || row.embedding_dimensions !== provider.dimensions) reason = 'model';
+
+    if (reason) {
+      stale.push({ diseaseId: row.disease_id, diseaseName: row.disease_name, symptoms: row.symptoms, hash, reason });
+    } else {
+      current += 1;
+    }
+  }
+  return { stale, current };
+}
+
+async function storeBatch(client, provider, batch, vectors) {
+  // node-postgres cannot send vector[] parameters, so vectors travel as text
+  await client.query(`
+    INSERT INTO disease_symptom_embeddings
+      (disease_id, symptom_embedding, embedding_model, embedding_dimensions, content_hash)
+    SELECT t.disease_id, t.embedding::vector, $3, $4, t.content_hash
+    FROM unnest($1::int[], $2::text[], $5::text[]) AS t (disease_id, embedding, content_hash)
+    ON CONFLICT (disease_id) DO UPDATE
+      SET symptom_embedding = EXCLUDED.symptom_embedding,
+          embedding_model = EXCLUDED.embedding_model,
+          embedding_dimensions = EXCLUDED.embedding_dimensions,
+          content_hash = EXCLUDED.content_hash
+  `, [
+    batch.map(item => item.diseaseId),
+    vectors.map(vector => `[${vector.join(',')}]`),
+    provider.model,
+    provider.dimensions,
+    batch.map(item => item.hash),
+  ]);
+}
+
+/**
+ * Embed the missing and out-of-date symptom texts.
+ *
+ * @param {Object} client - Connected pg client
+ * @param {import('./index').EmbeddingProvider} provider
+ * @param {Object} [options]
+ * @param {Array<string>} [options.diseases] - Disease names or ids to limit the run to
+ * @param {boolean} [options.dryRun=false] - Only report what would be embedded
+ * @param {number} [options.batchSize=BATCH_SIZE]
+ * @param {Function} [options.onBatch] - Called with (batch, done, total) after each stored batch
+ * @param {Object} [options.retry] - withRetry options
+ * @returns {Promise<Object>} Summary: { model, current, stale: {new, changed, model}, embedded, batches, diseases }
+ *   where diseases lists the names that were (or, in a dry run, would be) embedded
+ */
+async function generateEmbeddings(client, provider, {
+  diseases = [], dryRun = false, batchSize = BATCH_SIZE, onBatch = () => {}, retry = {},
+} = {}) {
+  const diseaseIds = diseases.length > 0 ? await resolveDiseases(client, diseases) : null;
+  const { stale, current } = await findStale(client, provider, diseaseIds);
+
+  const summary = {
+    model: provider.model,
+    current,
+    stale: { new: 0, changed: 0, model: 0 },
+    embedded: 0,
+    batches: 0,
+    diseases: stale.map(item => item.diseaseName),
+  };
+  for (const item of stale) summary.stale[item.reason] += 1;
+  if (dryRun) return summary;
+
+  for (let start = 0; start < stale.length; start += batchSize) {
+    const batch = stale.slice(start, start + batchSize);
+    const vectors = await withRetry(() => provider.embed(batch.map(item => item.symptoms)), retry);
+    await storeBatch(client, provider, batch, vectors);
+    summary.embedded += batch.length;
+    summary.batches += 1;
+    onBatch(batch, summary.embedded, stale.length);
+  }
+  return summary;
+}
+
+module.exports = { generateEmbeddings, contentHash, withRetry, BATCH_SIZE };
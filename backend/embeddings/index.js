@@ -0,0 +1,56 @@
+/**
+ * Embedding Providers
+ *
+ * Symptom search compares a query's embedding with the stored symptom
+ * embeddings, so both must come from the same model. Each provider turns texts
+ * into vectors with one model:
+ *
+ *   openai  OpenAI text-embedding-3-small; needs OPENAI_API_KEY
+ *   local   deterministic hashed bag of words (utils/hashEmbedding); works
+ *           offline and in tests, but matches words rather than meaning
+ *
+ * EMBEDDING_PROVIDER selects the provider for the server and
+ * scripts/generateEmbeddings.js. Every stored vector records the model and
+ * dimensions that produced it (disease_symptom_embeddings.embedding_model /
+ * embedding_dimensions), so vectors from another provider are never compared
+ * with the query's.
+ *
+ * @module embeddings
+ */
+
+const { createOpenAIProvider } = require('./openai');
+const { createLocalProvider } = require('./local');
+
+/** Size of disease_symptom_embeddings.symptom_embedding; every provider must produce it */
+const EMBEDDING_DIMENSIONS = 1536;
+
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} name - Provider name (EMBEDDING_PROVIDER value)
+ * @property {string} model - Model identifier stored with each vector
+ * @property {number} dimensions - Length of the vectors
+ * @property {function(): boolean} isAvailable - Whether embed() can be called (e.g. an API key is configured)
+ * @property {function(Array<string>): Promise<Array<Array<number>>>} embed - One vector per text, in order
+ */
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+};
+
+/**
+ * @param {string} name - One of the provider names
+ * @param {Object} [options]
+ * @param {string|null} [options.openaiApiKey] - For the openai provider
+ * @returns {EmbeddingProvider}
+ * @throws {Error} For unknown provider names
+ */
+function createProvider(name, { openaiApiKey = null } = {}) {
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${name}" (expected one of: ${Object.keys(FACTORIES).join(', ')})`);
+  }
+  return factory({ apiKey: openaiApiKey, dimensions: EMBEDDING_DIMENSIONS });
+}
+
+module.exports = { createProvider, EMBEDDING_DIMENSIONS, PROVIDERS: Object.keys(FACTORIES) };
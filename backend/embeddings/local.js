@@ -0,0 +1,37 @@
+/**
+ * Local Embedding Provider
+ *
+ * The hashed bag-of-words embedding of utils/hashEmbedding, computed in
+ * process: no network, no key, and the same vector for the same text on every
+ * machine.
+ *
+ * @module embeddings/local
+ * @requires utils/hashEmbedding
+ */
+
+const hashEmbedding = require('../utils/hashEmbedding');
+
+// bump when hashEmbedding changes, so vectors of the old version are detected
+const MODEL = 'hash-bag-of-words-v1';
+
+/**
+ * Offline embeddings from utils/hashEmbedding. Always available; the seed
+ * stores vectors of this model.
+ *
+ * @param {Object} options
+ * @param {number} options.dimensions
+ * @returns {import('./index').EmbeddingProvider}
+ */
+function createLocalProvider({ dimensions }) {
+  return {
+    name: 'local',
+    model: MODEL,
+    dimensions,
+    isAvailable: () => true,
+    async embed(texts) {
+      return texts.map(text => hashEmbedding(text, dimensions));
+    },
+  };
+}
+
+module.exports = { createLocalProvider, MODEL };
@@ -0,0 +1,42 @@
+/**
+ * OpenAI Embedding Provider
+ *
+ * text-embedding-3-small through the OpenAI API. Texts are sent in one
+ * request per embed() call.
+ *
+ * @module embeddings/openai
+ * @requires openai
+ */
+
+const OpenAI = require('openai');
+
+const MODEL = 'text-embedding-3-small';
+
+/**
+ * OpenAI embeddings. Without an API key the provider exists but is not
+ * available, so the server still starts and only symptom search is disabled.
+ *
+ * @param {Object} options
+ * @param {string|null} options.apiKey
+ * @param {number} options.dimensions
+ * @returns {import('./index').EmbeddingProvider}
+ */
+function createOpenAIProvider({ apiKey, dimensions }) {
+  const client = apiKey ? new OpenAI({ apiKey }) : null;
+
+  return {
+    name: 'openai',
+    model: MODEL,
+    dimensions,
+    isAvailable: () => client !== null,
+    async embed(texts) {
+      const response = await client.embeddings.create({ model: MODEL, input: texts, dimensions });
+      // the API tags each vector with the index of its input
+      const vectors = new Array(texts.length);
+      for (const item of response.data) vectors[item.index] = item.embedding;
+      return vectors;
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider, MODEL };
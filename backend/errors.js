@@ -0,0 +1,167 @@
+/**
+ * API Error Types
+ *
+ * Every error response from the API uses the same envelope:
+ *
+ *   { code, message, details, requestId }
+ *
+ * `code` is a stable, machine-readable identifier from ErrorCodes so clients
+ * can tell "bad input" from "no data" from "server down" without parsing
+ * messages. Route handlers throw ApiError (or one of its subclasses) and the
+ * central handler in middleware/errorHandler.js turns it into the response.
+ *
+ * @module errors
+ */
+
+const ErrorCodes = {
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  UNKNOWN_STATE: 'UNKNOWN_STATE',
+  UNKNOWN_DISEASE: 'UNKNOWN_DISEASE',
+  NO_DATA_FOR_YEAR: 'NO_DATA_FOR_YEAR',
+  NO_POPULATION_DATA: 'NO_POPULATION_DATA',
+  NOT_FOUND: 'NOT_FOUND',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  DATABASE_TIMEOUT: 'DATABASE_TIMEOUT',
+  DATABASE_UNAVAILABLE: 'DATABASE_UNAVAILABLE',
+  REQUEST_CANCELLED: 'REQUEST_CANCELLED',
+  EMBEDDINGS_UNAVAILABLE: 'EMBEDDINGS_UNAVAILABLE',
+  EMBEDDINGS_MODEL_MISMATCH: 'EMBEDDINGS_MODEL_MISMATCH',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+// how long clients should wait before retrying after a 503 / 504
+const UNAVAILABLE_RETRY_AFTER_SECONDS = 5;
+const TIMEOUT_RETRY_AFTER_SECONDS = 30;
+
+/**
+ * Base class for errors that map directly onto an API response.
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - One of ErrorCodes
+   * @param {string} message - Human readable description
+   * @param {*} [details=null] - Extra structured information (e.g. invalid fields)
+   */
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/** 400 - one or more request parameters are invalid. */
+class ValidationError extends ApiError {
+  constructor(details, message = 'Invalid query parameters') {
+    super(400, ErrorCodes.VALIDATION_FAILED, message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+/** 404 - the request was well-formed but refers to something that does not exist. */
+class NotFoundError extends ApiError {
+  constructor(message, code = ErrorCodes.NOT_FOUND, details = null) {
+    super(404, code, message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/** 401 - the request lacks valid credentials for an admin endpoint. */
+class UnauthorizedError extends ApiError {
+  constructor(message = 'Missing or invalid admin token') {
+    super(401, ErrorCodes.UNAUTHORIZED, message);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/**
+ * 503/504 - the database did not answer in time or could not be reached.
+ * Both are transient, so the response carries a Retry-After hint.
+ */
+class DatabaseError extends ApiError {
+  constructor(status, code, message, cause, details = {}) {
+    const retryAfter = status === 504 ? TIMEOUT_RETRY_AFTER_SECONDS : UNAVAILABLE_RETRY_AFTER_SECONDS;
+    super(status, code, message, { retryable: true, retryAfterSeconds: retryAfter, ...details });
+    this.name = 'DatabaseError';
+    this.cause = cause;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * 499 - the client disconnected and its database query was cancelled. Nobody
+ * receives this response; it exists so the request is logged as cancelled
+ * rather than failed.
+ */
+class RequestCancelledError extends ApiError {
+  constructor(cause) {
+    super(499, ErrorCodes.REQUEST_CANCELLED, 'The client disconnected and the query was cancelled');
+    this.name = 'RequestCancelledError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * 503 - a feature depends on an optional service that is not configured
+ * (e.g. symptom search without an embedding API key). Retrying will not help
+ * until the server is reconfigured, so no Retry-After is sent.
+ */
+class ServiceUnavailableError extends ApiError {
+  constructor(code, message) {
+    super(503, code, message, { retryable: false });
+    this.name = 'ServiceUnavailableError';
+  }
+}
+
+// node-postgres connection failures that mean the database is unreachable
+const UNAVAILABLE_ERRNOS = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EHOSTUNREACH', 'ETIMEDOUT']);
+// SQLSTATEs: admin/crash shutdown, cannot connect now, too many connections
+const UNAVAILABLE_SQLSTATES = new Set(['57P01', '57P02', '57P03', '53300']);
+
+/**
+ * Classify a raw error thrown by pg into a DatabaseError, or return null when
+ * it is not a timeout/connectivity problem (e.g. a SQL syntax error).
+ *
+ * @param {Error} err
+ * @param {Object} [details] - Extra details for the response (e.g. the timeout that was hit)
+ * @returns {DatabaseError|null}
+ */
+function fromDatabaseError(err, details) {
+  const code = err && err.code;
+  const message = (err && err.message) || '';
+
+  if (code === '57014' || /query read timeout/i.test(message)) {
+    return new DatabaseError(
+      504,
+      ErrorCodes.DATABASE_TIMEOUT,
+      'The database query timed out; retry later or narrow the request',
+      err,
+      details
+    );
+  }
+
+  if (
+    UNAVAILABLE_ERRNOS.has(code) ||
+    UNAVAILABLE_SQLSTATES.has(code) ||
+    (typeof code === 'string' && code.startsWith('08')) ||
+    /timeout exceeded when trying to connect|connection terminated/i.test(message)
+  ) {
+    return new DatabaseError(503, ErrorCodes.DATABASE_UNAVAILABLE, 'The database is unavailable', err, details);
+  }
+
+  return null;
+}
+
+module.exports = {
+  ErrorCodes,
+  ApiError,
+  ValidationError,
+  NotFoundError,
+  UnauthorizedError,
+  DatabaseError,
+  RequestCancelledError,
+  ServiceUnavailableError,
+  fromDatabaseError,
+};
@@ -0,0 +1,161 @@
+/**
+ * Shared plumbing of the data file loaders in ingest/: reading CSV input,
+ * matching header columns, collecting row errors and upserting facts.
+ *
+ * Every loader follows the same contract: the whole file is validated and
+ * loaded in one transaction, any invalid row rejects the file with an
+ * IngestError listing the bad rows, and facts are upserted on their key so
+ * loading a file again is safe.
+ *
+ * @module ingest/common
+ * @requires utils/csv
+ */
+
+const { createParser } = require('../utils/csv');
+
+const BATCH_SIZE = 5000;
+const MAX_REPORTED_ERRORS = 20;
+
+/** The file could not be read or has invalid rows; nothing was loaded. */
+class IngestError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n  ${errors.join('\n  ')}` : message);
+    this.name = 'IngestError';
+    this.errors = errors;
+  }
+}
+
+/** Trim and collapse runs of whitespace */
+const collapse = value => value.trim().replace(/\s+/g, ' ');
+
+/**
+ * Parse CSV input into rows, skipping blank lines.
+ *
+ * @param {AsyncIterable<string>|Iterable<string>} input - CSV text in chunks, e.g. a utf8 file stream
+ * @yields {{ values: Array<string>, rowNumber: number }} rowNumber counts from 1 for the header
+ */
+async function* readRows(input) {
+  const parser = createParser();
+  let rowNumber = 0;
+  const rowsOf = function* (rows) {
+    for (const values of rows) {
+      rowNumber += 1;
+      if (values.length === 1 && values[0].trim() === '') continue;
+      yield { values, rowNumber };
+    }
+  };
+
+  for await (const chunk of input) yield* rowsOf(parser.push(chunk));
+  yield* rowsOf(parser.end());
+}
+
+/**
+ * Find the index of each column in a header row. Header names match ignoring
+ * case and spacing; each column lists the names it has had across file
+ * layouts.
+ *
+ * @param {Array<string>} header
+ * @param {Object<string, Array<string>>} columns - Accepted header names by key
+ * @param {string} kind - What the file should be, for the error message
+ * @param {Object<string, Array<string>>} [optional] - Columns the file may leave out
+ * @returns {Object<string, number>} Column index by key; absent optional columns have no key
+ * @throws {IngestError} When a required column is missing
+ */
+function mapColumns(header, columns, kind, optional = {}) {
+  const positions = new Map(header.map((name, i) => [collapse(name).toLowerCase(), i]));
+  const find = names => names.find(n => positions.has(n.toLowerCase()));
+  const indexes = {};
+  const missing = [];
+  for (const [key, names] of Object.entries(columns)) {
+    const name = find(names);
+    if (name === undefined) missing.push(names.join(' / '));
+    else indexes[key] = positions.get(name.toLowerCase());
+  }
+  if (missing.length > 0) {
+    throw new IngestError(`Not ${kind}; missing columns: ${missing.join(', ')}`);
+  }
+  for (const [key, names] of Object.entries(optional)) {
+    const name = find(names);
+    if (name !== undefined) indexes[key] = positions.get(name.toLowerCase());
+  }
+  return indexes;
+}
+
+/**
+ * @param {Array<string>} errors - One message per invalid row
+ * @throws {IngestError} Listing the first errors, when there are any
+ */
+function rejectInvalidRows(errors) {
+  if (errors.length === 0) return;
+  const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+  if (errors.length > shown.length) shown.push(`... and ${errors.length - shown.length} more`);
+  throw new IngestError(`${errors.length} invalid row(s); nothing was loaded`, shown);
+}
+
+/**
+ * Upsert a batch of facts on their key; rows whose values did not change are
+ * left alone.
+ *
+ * @param {Object} client - Connected pg client
+ * @param {Object} spec
+ * @param {string} spec.table
+ * @param {Array<string>} spec.columns - Columns of each row, key columns first
+ * @param {Array<string>} spec.types - Postgres type of each column
+ * @param {Array<string>} spec.key - The conflict (primary key) columns
+ * @param {Array<Array<*>>} rows
+ * @returns {Promise<{inserted: number, updated: number, unchanged: number}>}
+ */
+async function upsertFacts(client, { table, columns, types, key }, rows) {
+  if (rows.length === 0) return { inserted: 0, updated: 0, unchanged: 0 };
+  const values = columns.filter(column => !key.includes(column));
+  const result = await client.query(
+    `INSERT INTO ${table} (${columns.join(', ')})
+     SELECT * FROM unnest(${types.map((type, c) => `$${c + 1}::${type}[]`).join(', ')})
+     ON CONFLICT (${key.join(', ')})
+     DO UPDATE SET ${values.map(column => `${column} = EXCLUDED.${column}`).join(', ')}
+     WHERE (${values.map(column => `${table}.${column}`).join(', ')})
+       IS DISTINCT FROM (${values.map(column => `EXCLUDED.${column}`).join(', ')})
+     RETURNING (xmax = 0) AS inserted`,
+    columns.map((_, c) => rows.map(row => row[c]))
+  );
+  const inserted = result.rows.filter(row => row.inserted).length;
+  return { inserted, updated: result.rows.length - inserted, unchanged: rows.length - result.rows.length };
+}
+
+/** Add upsertFacts() counts into a running total */
+function addCounts(total, counts) {
+  for (const name of Object.keys(counts)) total[name] += counts[name];
+}
+
+/**
+ * Run a load in one transaction: committed when `load` succeeds, rolled back
+ * when it throws or for a dry run.
+ *
+ * @param {Object} client - Connected pg client
+ * @param {boolean} dryRun
+ * @param {function(): Promise<*>} load
+ * @returns {Promise<*>} What `load` returned
+ */
+async function inTransaction(client, dryRun, load) {
+  await client.query('BEGIN');
+  try {
+    const result = await load();
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+module.exports = {
+  IngestError,
+  BATCH_SIZE,
+  collapse,
+  readRows,
+  mapColumns,
+  rejectInvalidRows,
+  upsertFacts,
+  addCounts,
+  inTransaction,
+};
@@ -0,0 +1,369 @@
+/**
+ * Flu / RSV / COVID-19 Deaths Ingestion
+ *
+ * Loads a CDC provisional deaths CSV export (weekly COVID-19, influenza and
+ * RSV deaths by demographic group, data.cdc.gov) into the star schema:
+ *
+ * - pathogens are matched to dim_pathogen (COVID-19, Influenza, RSV) and
+ *   added when missing;
+ * - MMWR weeks are added to dim_mmwr_week when missing, with the Saturday the
+ *   week ends on;
+ * - each demographic_type / demographic_value pair is checked against the
+ *   breakdowns the API filters on (DEMOGRAPHICS) and added to
+ *   dim_demographic_group when missing;
+ * - the weekly count goes to fact_flu_rsv_covid_deaths, which
+ *   /api/deaths-by-pathogen-demographic and /api/estimated-deaths-by-state
+ *   read.
+ *
+ * The facts are national, so when the file has a jurisdiction column only the
+ * United States rows are loaded. Rows of the "Overall" breakdown (all groups
+ * together) are skipped, as are counts CDC suppresses (an empty cell, used for
+ * 1-9 deaths).
+ *
+ * The latest data-as-of date in the file is recorded in data_loads. Rows are
+ * upserted by pathogen, week and demographic group, so a monthly refresh only
+ * changes the counts CDC revised. The whole file is loaded in one
+ * transaction; any invalid row rejects the file.
+ *
+ * Run through scripts/ingestDeaths.js (`npm run ingest:deaths`).
+ *
+ * @module ingest/deaths
+ * @requires ingest/common
+ * @requires utils/mmwr
+ */
+
+const {
+  IngestError, BATCH_SIZE, collapse, readRows, mapColumns, rejectInvalidRows, upsertFacts, addCounts, inTransaction,
+} = require('./common');
+const { weekStart, weeksInYear } = require('../utils/mmwr');
+
+/** data_loads key of this dataset */
+const DATASET = 'flu_rsv_covid_deaths';
+
+/**
+ * Columns read from the export, with the header names of the API (SODA)
+ * export and of the CSV download. Headers match ignoring case.
+ */
+const COLUMNS = {
+  dataAsOf: ['data_as_of', 'Data As Of'],
+  pathogen: ['pathogen', 'Pathogen'],
+  year: ['mmwr_year', 'MMWR Year', 'year'],
+  week: ['mmwr_week', 'MMWR Week', 'week'],
+  demographicType: ['demographic_type', 'Demographic Type'],
+  demographicValue: ['demographic_values', 'demographic_value', 'Demographic Values', 'Demographic Value'],
+  deaths: ['deaths', 'Deaths'],
+};
+
+const OPTIONAL_COLUMNS = {
+  jurisdiction: ['jurisdiction_residence', 'jurisdiction', 'Jurisdiction of Residence', 'Jurisdiction'],
+};
+
+/** Jurisdictions of the national rows */
+const NATIONAL_JURISDICTIONS = new Set(['united states', 'us', 'u.s.', 'national']);
+
+/** Pathogens by the names CDC uses for them, lower case */
+const PATHOGENS = {
+  'covid-19': 'COVID-19',
+  covid: 'COVID-19',
+  influenza: 'Influenza',
+  flu: 'Influenza',
+  rsv: 'RSV',
+};
+
+/**
+ * Demographic breakdowns and their values, each with the other names CDC
+ * has used for it. Types and values match ignoring case.
+ */
+const DEMOGRAPHICS = {
+  'Age Group': {
+    '0-17 years': ['0-17'],
+    '18-64 years': ['18-64'],
+    '65+ years': ['65+', '65 years and over'],
+  },
+  Sex: {
+    Female: [],
+    Male: [],
+  },
+  'Race/Ethnicity': {
+    White: ['Non-Hispanic White'],
+    Black: ['Non-Hispanic Black'],
+    Hispanic: [],
+    Asian: ['Non-Hispanic Asian'],
+    'American Indian/Alaska Native': ['Non-Hispanic American Indian or Alaska Native'],
+    'Native Hawaiian/Pacific Islander': ['Non-Hispanic Native Hawaiian or Other Pacific Islander'],
+    Multiracial: ['Non-Hispanic Multiracial', 'Non-Hispanic more than one race'],
+  },
+};
+
+/** Other names of the demographic types */
+const TYPE_ALIASES = { age: 'Age Group', race: 'Race/Ethnicity', 'race and hispanic origin': 'Race/Ethnicity' };
+
+/** Breakdown of the rows that total every group */
+const OVERALL_TYPE = 'overall';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Key names are matched on */
+const key = name => collapse(name).toLowerCase();
+
+const DEMOGRAPHIC_TYPES = new Map([
+  ...Object.keys(DEMOGRAPHICS).map(type => [key(type), type]),
+  ...Object.entries(TYPE_ALIASES),
+]);
+
+const DEMOGRAPHIC_VALUES = new Map(Object.entries(DEMOGRAPHICS).map(([type, values]) => [
+  type,
+  new Map(Object.entries(values).flatMap(([value, aliases]) => [value, ...aliases].map(name => [key(name), value]))),
+]));
+
+/**
+ * @param {string} text - "2025-10-09", "2025-10-09T00:00:00.000" or "10/09/2025"
+ * @returns {?string} The date as YYYY-MM-DD, or null when it is not a valid date
+ */
+function parseDate(text) {
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+Z?)?$/);
+  let year, month, day;
+  if (match) [, year, month, day] = match.map(Number);
+  else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) [, month, day, year] = match.map(Number);
+  else return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Validate and normalize one data row.
+ *
+ * @param {Array<string>} values - Cells of the row
+ * @param {Object<string, number>} columns - Column indexes of COLUMNS (see ingest/common mapColumns)
+ * @returns {{skip: string}|{dataAsOf: string, pathogen: string, year: number, week: number,
+ *   demographicType: string, demographicValue: string, deaths: ?number}} A row to skip says
+ *   why ('jurisdiction' or 'overall'); deaths is null when CDC suppressed the count
+ * @throws {Error} With a message naming the invalid cell
+ */
+function parseRecord(values, columns) {
+  const cell = name => (values[columns[name]] || '').trim();
+
+  if (columns.jurisdiction !== undefined && !NATIONAL_JURISDICTIONS.has(key(cell('jurisdiction')))) {
+    return { skip: 'jurisdiction' };
+  }
+  const typeName = key(cell('demographicType'));
+  if (typeName === OVERALL_TYPE) return { skip: 'overall' };
+
+  const dataAsOf = parseDate(cell('dataAsOf'));
+  if (!dataAsOf) throw new Error(`invalid data as of date "${cell('dataAsOf')}"`);
+
+  const pathogen = PATHOGENS[key(cell('pathogen'))];
+  if (!pathogen) throw new Error(`unknown pathogen "${cell('pathogen')}"`);
+
+  const year = /^\d{4}$/.test(cell('year')) ? Number(cell('year')) : NaN;
+  if (Number.isNaN(year)) throw new Error(`invalid MMWR year "${cell('year')}"`);
+  const week = /^\d{1,2}$/.test(cell('week')) ? Number(cell('week')) : NaN;
+  if (!(week >= 1 && week <= weeksInYear(year))) {
+    throw new Error(`invalid MMWR week "${cell('week')}" for ${year}`);
+  }
+
+  const demographicType = DEMOGRAPHIC_TYPES.get(typeName);
+  if (!demographicType) throw new Error(`unknown demographic type "${cell('demographicType')}"`);
+  const demographicValue = DEMOGRAPHIC_VALUES.get(demographicType).get(key(cell('demographicValue')));
+  if (!demographicValue) {
+    throw new Error(`"${cell('demographicValue')}" is not a ${demographicType} value`);
+  }
+
+  const count = cell('deaths').replace(/,/g, '');
+  if (count !== '' && !/^\d+$/.test(count)) throw new Error(`invalid deaths "${count}"`);
+  const deaths = count === '' ? null : Number(count);
+
+  return { dataAsOf, pathogen, year, week, demographicType, demographicValue, deaths };
+}
+
+const DEATH_FACTS = {
+  table: 'fact_flu_rsv_covid_deaths',
+  columns: ['pathogen_id', 'mmwr_week_id', 'demographic_group_id', 'deaths'],
+  types: ['int', 'int', 'int', 'int'],
+  key: ['pathogen_id', 'mmwr_week_id', 'demographic_group_id'],
+};
+
+/** @returns {string} The Saturday an MMWR week ends on, as YYYY-MM-DD */
+function weekEndingDate(year, week) {
+  return new Date(weekStart(year, week).getTime() + 6 * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Look up the ids of the pathogens, weeks and demographic groups of the
+ * records, adding the ones the dimensions do not have yet.
+ *
+ * @returns {Promise<Object>} Id maps by pathogen name, "year|week" and "type|value",
+ *   plus the names of what was added
+ */
+async function resolveDimensions(client, records) {
+  const pathogenIds = new Map();
+  for (const row of (await client.query('SELECT pathogen_id, pathogen FROM dim_pathogen')).rows) {
+    pathogenIds.set(key(row.pathogen), row.pathogen_id);
+  }
+  const weekIds = new Map();
+  for (const row of (await client.query('SELECT mmwr_week_id, year, week FROM dim_mmwr_week')).rows) {
+    weekIds.set(`${row.year}|${row.week}`, row.mmwr_week_id);
+  }
+  const groupIds = new Map();
+  for (const row of (await client.query('SELECT demographic_group_id, demographic_type, demographic_value FROM dim_demographic_group')).rows) {
+    groupIds.set(`${key(row.demographic_type)}|${key(row.demographic_value)}`, row.demographic_group_id);
+  }
+
+  const pathogens = [...new Set(records.map(r => r.pathogen))].filter(p => !pathogenIds.has(key(p)));
+  if (pathogens.length > 0) {
+    const inserted = await client.query(
+      `INSERT INTO dim_pathogen (pathogen)
+       SELECT unnest($1::text[])
+       RETURNING pathogen_id, pathogen`,
+      [pathogens]
+    );
+    for (const row of inserted.rows) pathogenIds.set(key(row.pathogen), row.pathogen_id);
+  }
+
+  const weeks = new Map();
+  for (const { year, week } of records) {
+    if (!weekIds.has(`${year}|${week}`)) weeks.set(`${year}|${week}`, { year, week });
+  }
+  if (weeks.size > 0) {
+    const missing = [...weeks.values()];
+    const inserted = await client.query(
+      `INSERT INTO dim_mmwr_week (year, week, week_ending_date)
+       SELECT * FROM unnest($1::int[], $2::int[], $3::date[])
+       RETURNING mmwr_week_id, year, week`,
+      [
+        missing.map(w => w.year),
+        missing.map(w => w.week),
+        missing.map(w => weekEndingDate(w.year, w.week)),
+      ]
+    );
+    for (const row of inserted.rows) weekIds.set(`${row.year}|${row.week}`, row.mmwr_week_id);
+  }
+
+  const groups = new Map();
+  for (const { demographicType, demographicValue } of records) {
+    const groupKey = `${key(demographicType)}|${key(demographicValue)}`;
+    if (!groupIds.has(groupKey)) groups.set(groupKey, [demographicType, demographicValue]);
+  }
+  if (groups.size > 0) {
+    const missing = [...groups.values()];
+    const inserted = await client.query(
+      `INSERT INTO dim_demographic_group (demographic_type, demographic_value)
+       SELECT * FROM unnest($1::text[], $2::text[])
+       RETURNING demographic_group_id, demographic_type, demographic_value`,
+      [missing.map(g => g[0]), missing.map(g => g[1])]
+    );
+    for (const row of inserted.rows) {
+      groupIds.set(`${key(row.demographic_type)}|${key(row.demographic_value)}`, row.demographic_group_id);
+    }
+  }
+
+  return {
+    pathogenIds,
+    weekIds,
+    groupIds,
+    newPathogens: pathogens,
+    newWeeks: weeks.size,
+    newDemographicGroups: [...groups.values()].map(([type, value]) => `${type}: ${value}`),
+  };
+}
+
+/**
+ * Load a provisional flu / RSV / COVID-19 deaths export.
+ *
+ * @param {Object} client - Connected pg client (migrations already applied)
+ * @param {AsyncIterable<string>|Iterable<string>} input - CSV text in chunks, e.g. a utf8 file stream
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Validate and count, then roll back
+ * @returns {Promise<Object>} Summary: rows read, MMWR weeks, the data-as-of date, inserted /
+ *   updated / unchanged facts, suppressed and skipped rows, and the dimension rows added
+ * @throws {IngestError} When the file is not a deaths export or has invalid rows
+ */
+async function ingestDeaths(client, input, { dryRun = false } = {}) {
+  const summary = {
+    rows: 0,
+    weeks: [],
+    dataAsOf: null,
+    deaths: { inserted: 0, updated: 0, unchanged: 0 },
+    suppressed: 0,
+    skipped: { jurisdiction: 0, overall: 0 },
+    newPathogens: [],
+    newWeeks: 0,
+    newDemographicGroups: [],
+  };
+  const errors = [];
+  const seen = new Set();
+  const weeks = new Set();
+  const records = [];
+  let columns = null;
+
+  await inTransaction(client, dryRun, async () => {
+    for await (const { values, rowNumber } of readRows(input)) {
+      if (!columns) {
+        columns = mapColumns(values, COLUMNS, 'a flu / RSV / COVID-19 deaths export', OPTIONAL_COLUMNS);
+        continue;
+      }
+
+      let record;
+      try {
+        record = parseRecord(values, columns);
+      } catch (err) {
+        errors.push(`row ${rowNumber}: ${err.message}`);
+        continue;
+      }
+      if (record.skip) {
+        summary.skipped[record.skip] += 1;
+        continue;
+      }
+      const rowKey = `${record.pathogen}|${record.year}|${record.week}|${record.demographicType}|${record.demographicValue}`;
+      if (seen.has(rowKey)) {
+        errors.push(`row ${rowNumber}: duplicate row for ${record.pathogen}, ${record.year} week ${record.week}, ` +
+          `${record.demographicType} ${record.demographicValue}`);
+        continue;
+      }
+      seen.add(rowKey);
+      weeks.add(`${record.year}-${String(record.week).padStart(2, '0')}`);
+      summary.rows += 1;
+      if (!summary.dataAsOf || record.dataAsOf > summary.dataAsOf) summary.dataAsOf = record.dataAsOf;
+      if (record.deaths === null) summary.suppressed += 1;
+      else records.push(record);
+    }
+
+    if (!columns) throw new IngestError('The file is empty');
+    rejectInvalidRows(errors);
+    if (summary.rows === 0) throw new IngestError('The file has no national deaths rows');
+
+    const dimensions = await resolveDimensions(client, records);
+    summary.newPathogens = dimensions.newPathogens;
+    summary.newWeeks = dimensions.newWeeks;
+    summary.newDemographicGroups = dimensions.newDemographicGroups;
+
+    const facts = records.map(r => [
+      dimensions.pathogenIds.get(key(r.pathogen)),
+      dimensions.weekIds.get(`${r.year}|${r.week}`),
+      dimensions.groupIds.get(`${key(r.demographicType)}|${key(r.demographicValue)}`),
+      r.deaths,
+    ]);
+    for (let start = 0; start < facts.length; start += BATCH_SIZE) {
+      addCounts(summary.deaths, await upsertFacts(client, DEATH_FACTS, facts.slice(start, start + BATCH_SIZE)));
+    }
+
+    await client.query(
+      `INSERT INTO data_loads (dataset, data_as_of) VALUES ($1, $2)
+       ON CONFLICT (dataset) DO UPDATE SET data_as_of = EXCLUDED.data_as_of, loaded_at = now()`,
+      [DATASET, summary.dataAsOf]
+    );
+  });
+
+  summary.weeks = [...weeks].sort();
+  return summary;
+}
+
+module.exports = {
+  ingestDeaths,
+  parseRecord,
+  IngestError,
+  DATASET,
+  DEMOGRAPHICS,
+};
@@ -0,0 +1,261 @@
+/**
+ * NNDSS Weekly Tables Ingestion
+ *
+ * Loads a CDC NNDSS weekly tables CSV export (data.cdc.gov "NNDSS Weekly
+ * Data") into the star schema:
+ *
+ * - reporting areas are normalized (trimmed, upper case, historical spellings
+ *   of the national and territory rollups unified) and added to
+ *   dim_region_ndss when new;
+ * - labels are matched to dim_disease by name, ignoring case and spacing;
+ *   labels without a disease become new diseases;
+ * - the current-week count goes to fact_nndss_weekly, and for reporting areas
+ *   that are states also to fact_cases_weekly, which the per-capita and trend
+ *   routes read.
+ *
+ * NNDSS leaves the count empty and sets a flag instead when there is no
+ * number: "-" means no reported cases and is stored as 0; "N" (not
+ * reportable), "NN" (not nationally notifiable), "NP" (not published) and
+ * "U" (unavailable) are stored as NULL, so they do not count as zero cases.
+ *
+ * Rows are upserted by reporting area, disease and MMWR year/week, so loading
+ * the same file again changes nothing and a re-issued week replaces the
+ * earlier counts. The whole file is loaded in one transaction; any invalid
+ * row rejects the file.
+ *
+ * Run through scripts/ingestNndss.js (`npm run ingest:nndss`).
+ *
+ * @module ingest/nndss
+ * @requires ingest/common
+ * @requires utils/mmwr
+ */
+
+const {
+  IngestError, BATCH_SIZE, collapse, readRows, mapColumns, rejectInvalidRows, upsertFacts, addCounts, inTransaction,
+} = require('./common');
+const { weeksInYear } = require('../utils/mmwr');
+
+/** Reporting area of the national rollup row */
+const NATIONAL_REPORTING_AREA = 'U.S. RESIDENTS';
+
+/**
+ * Columns read from the export, with the header names used by the current
+ * (first) and the older data.cdc.gov layouts. Headers match ignoring case.
+ */
+const COLUMNS = {
+  reportingArea: ['States', 'Reporting Area'],
+  year: ['Year', 'MMWR Year'],
+  week: ['Week', 'MMWR Week'],
+  label: ['Label'],
+  currentWeek: ['m1', 'Current week'],
+  currentWeekFlag: ['m1_flag', 'Current week, flag'],
+};
+
+/** Names CDC has used for the same rollup areas over the years */
+const AREA_ALIASES = {
+  'US RESIDENTS': NATIONAL_REPORTING_AREA,
+  'U.S. RESIDENTS, EXCLUDING U.S. TERRITORIES': NATIONAL_REPORTING_AREA,
+  'US TERRITORIES': 'U.S. TERRITORIES',
+  'NON-US RESIDENTS': 'NON-U.S. RESIDENTS',
+};
+
+/** Flag stored as zero cases */
+const NO_CASES_FLAG = '-';
+
+/** Flags meaning the count is not available for the area */
+const NOT_AVAILABLE_FLAGS = new Set(['N', 'NN', 'NP', 'U']);
+
+/**
+ * @param {string} area - Reporting area as written in the export
+ * @returns {string} Canonical reporting area, e.g. "NEW ENGLAND"
+ */
+function normalizeReportingArea(area) {
+  const upper = collapse(area).toUpperCase();
+  return AREA_ALIASES[upper] || upper;
+}
+
+/** Key a disease name or NNDSS label is matched on */
+const diseaseKey = name => collapse(name).toLowerCase();
+
+/**
+ * Validate and normalize one data row.
+ *
+ * @param {Array<string>} values - Cells of the row
+ * @param {Object<string, number>} columns - Column indexes of COLUMNS (see ingest/common mapColumns)
+ * @returns {{reportingArea: string, label: string, year: number, week: number, cases: ?number}}
+ * @throws {Error} With a message naming the invalid cell
+ */
+function parseRecord(values, columns) {
+  const cell = key => (values[columns[key]] || '').trim();
+
+  const reportingArea = normalizeReportingArea(cell('reportingArea'));
+  const label = collapse(cell('label'));
+  if (!reportingArea) throw new Error('reporting area is empty');
+  if (!label) throw new Error('label is empty');
+
+  const year = /^\d{4}$/.test(cell('year')) ? Number(cell('year')) : NaN;
+  if (Number.isNaN(year)) throw new Error(`invalid MMWR year "${cell('year')}"`);
+  const week = /^\d{1,2}$/.test(cell('week')) ? Number(cell('week')) : NaN;
+  if (!(week >= 1 && week <= weeksInYear(year))) {
+    throw new Error(`invalid MMWR week "${cell('week')}" for ${year}`);
+  }
+
+  const count = cell('currentWeek').replace(/,/g, '');
+  const flag = cell('currentWeekFlag');
+  let cases;
+  if (count !== '') {
+    if (!/^\d+$/.test(count)) throw new Error(`invalid current week count "${count}"`);
+    cases = Number(count);
+  } else if (flag === NO_CASES_FLAG) {
+    cases = 0;
+  } else if (flag === '' || NOT_AVAILABLE_FLAGS.has(flag)) {
+    cases = null;
+  } else {
+    throw new Error(`unknown current week flag "${flag}"`);
+  }
+
+  return { reportingArea, label, year, week, cases };
+}
+
+const NNDSS_FACTS = {
+  table: 'fact_nndss_weekly',
+  columns: ['region_id', 'disease_id', 'current_mmwr_year', 'current_mmwr_week', 'current_week'],
+  types: ['int', 'int', 'int', 'int', 'int'],
+  key: ['region_id', 'disease_id', 'current_mmwr_year', 'current_mmwr_week'],
+};
+
+const CASE_FACTS = {
+  table: 'fact_cases_weekly',
+  columns: ['region_id', 'disease_id', 'year', 'week', 'current_week_cases'],
+  types: ['int', 'int', 'int', 'int', 'int'],
+  key: ['region_id', 'disease_id', 'year', 'week'],
+};
+
+/**
+ * Load an NNDSS weekly tables export.
+ *
+ * @param {Object} client - Connected pg client (migrations already applied)
+ * @param {AsyncIterable<string>|Iterable<string>} input - CSV text in chunks, e.g. a utf8 file stream
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Validate and count, then roll back
+ * @returns {Promise<Object>} Summary: rows read, MMWR weeks, per-table inserted / updated /
+ *   unchanged counts, rows without a count, and the reporting areas and diseases that were added
+ * @throws {IngestError} When the file is not an NNDSS export or has invalid rows
+ */
+async function ingestNndss(client, input, { dryRun = false } = {}) {
+  const summary = {
+    rows: 0,
+    weeks: [],
+    notAvailable: 0,
+    nndss: { inserted: 0, updated: 0, unchanged: 0 },
+    cases: { inserted: 0, updated: 0, unchanged: 0 },
+    newReportingAreas: [],
+    newDiseases: [],
+  };
+  const errors = [];
+  const seen = new Set();
+  const weeks = new Set();
+  let columns = null;
+  let batch = [];
+
+  await inTransaction(client, dryRun, async () => {
+    // existing names are matched on their normalized form, whatever their stored spelling
+    const areaIds = new Map();
+    for (const row of (await client.query('SELECT region_id, reporting_area FROM dim_region_ndss')).rows) {
+      areaIds.set(normalizeReportingArea(row.reporting_area), row.region_id);
+    }
+    const diseaseIds = new Map();
+    for (const row of (await client.query('SELECT disease_id, disease_name FROM dim_disease')).rows) {
+      diseaseIds.set(diseaseKey(row.disease_name), row.disease_id);
+    }
+    const stateIds = new Map();
+    for (const row of (await client.query('SELECT region_id, state_name FROM dim_region')).rows) {
+      stateIds.set(normalizeReportingArea(row.state_name), row.region_id);
+    }
+
+    const resolve = async (records) => {
+      const areas = [...new Set(records.map(r => r.reportingArea).filter(area => !areaIds.has(area)))];
+      if (areas.length > 0) {
+        const inserted = await client.query(
+          `INSERT INTO dim_region_ndss (reporting_area)
+           SELECT unnest($1::text[])
+           RETURNING region_id, reporting_area`,
+          [areas]
+        );
+        for (const row of inserted.rows) areaIds.set(row.reporting_area, row.region_id);
+        summary.newReportingAreas.push(...areas);
+      }
+
+      const labels = new Map();
+      for (const { label } of records) {
+        if (!diseaseIds.has(diseaseKey(label)) && !labels.has(diseaseKey(label))) labels.set(diseaseKey(label), label);
+      }
+      if (labels.size > 0) {
+        const inserted = await client.query(
+          `INSERT INTO dim_disease (disease_name)
+           SELECT unnest($1::text[])
+           RETURNING disease_id, disease_name`,
+          [[...labels.values()]]
+        );
+        for (const row of inserted.rows) diseaseIds.set(diseaseKey(row.disease_name), row.disease_id);
+        summary.newDiseases.push(...labels.values());
+      }
+    };
+
+    const flush = async () => {
+      // once a row is invalid nothing is loaded, so stop writing
+      if (errors.length === 0 && batch.length > 0) {
+        await resolve(batch);
+        const facts = batch.map(r => [areaIds.get(r.reportingArea), diseaseIds.get(diseaseKey(r.label)), r.year, r.week, r.cases]);
+        const stateFacts = batch
+          .filter(r => stateIds.has(r.reportingArea))
+          .map(r => [stateIds.get(r.reportingArea), diseaseIds.get(diseaseKey(r.label)), r.year, r.week, r.cases]);
+        addCounts(summary.nndss, await upsertFacts(client, NNDSS_FACTS, facts));
+        addCounts(summary.cases, await upsertFacts(client, CASE_FACTS, stateFacts));
+      }
+      batch = [];
+    };
+
+    for await (const { values, rowNumber } of readRows(input)) {
+      if (!columns) {
+        columns = mapColumns(values, COLUMNS, 'an NNDSS weekly tables export');
+        continue;
+      }
+
+      let record;
+      try {
+        record = parseRecord(values, columns);
+      } catch (err) {
+        errors.push(`row ${rowNumber}: ${err.message}`);
+        continue;
+      }
+      const key = `${record.reportingArea}|${diseaseKey(record.label)}|${record.year}|${record.week}`;
+      if (seen.has(key)) {
+        errors.push(`row ${rowNumber}: duplicate row for ${record.reportingArea}, ${record.label}, ${record.year} week ${record.week}`);
+        continue;
+      }
+      seen.add(key);
+      weeks.add(`${record.year}-${String(record.week).padStart(2, '0')}`);
+      summary.rows += 1;
+      if (record.cases === null) summary.notAvailable += 1;
+
+      batch.push(record);
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    if (!columns) throw new IngestError('The file is empty');
+    rejectInvalidRows(errors);
+  });
+
+  summary.weeks = [...weeks].sort();
+  return summary;
+}
+
+module.exports = {
+  ingestNndss,
+  parseRecord,
+  normalizeReportingArea,
+  IngestError,
+  NATIONAL_REPORTING_AREA,
+};
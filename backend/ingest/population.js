@@ -0,0 +1,263 @@
+/**
+ * Census Population Estimates Ingestion
+ *
+ * Loads a Census Bureau population estimates CSV into the population facts.
+ * Two file layouts are recognized from their header:
+ *
+ * - state totals (NST-EST<vintage>-ALLDATA / -POPCHG): one row per area with
+ *   NAME and a POPESTIMATE<year> column per year, loaded into
+ *   fact_population_state_year;
+ * - state characteristics (SC-EST<vintage>-ALLDATA6): one row per state, SEX,
+ *   ORIGIN, RACE and single year of AGE, loaded into
+ *   fact_population_state_demo_year. Hispanic origin is its own race
+ *   category (as in the deaths data), non-Hispanic rows use the census race,
+ *   and single years of age are summed into the age groups the table already
+ *   uses (5-year groups for an empty table).
+ *
+ * Only state-level rows (SUMLEV 040) of states in dim_region are loaded;
+ * other areas, such as Puerto Rico, are reported as skipped. Every
+ * POPESTIMATE year in the file is upserted, so loading a new vintage also
+ * replaces the revised estimates of earlier years. Years the file does not
+ * cover are resolved by the resolve_population_* database functions.
+ *
+ * Run through scripts/ingestPopulation.js (`npm run ingest:population`).
+ *
+ * @module ingest/population
+ * @requires ingest/common
+ */
+
+const {
+  IngestError, BATCH_SIZE, collapse, readRows, mapColumns, rejectInvalidRows, upsertFacts, addCounts, inTransaction,
+} = require('./common');
+
+const STATE_LEVEL = '040';
+const ESTIMATE_COLUMN = /^POPESTIMATE(\d{4})$/i;
+
+const NAME_COLUMNS = { name: ['NAME'] };
+const DEMOGRAPHIC_COLUMNS = { sex: ['SEX'], origin: ['ORIGIN'], race: ['RACE'], age: ['AGE'] };
+
+/** Census SEX codes (0 is both sexes) */
+const SEXES = { 1: 'Male', 2: 'Female' };
+
+/** Census RACE codes (race alone, or two or more races) of non-Hispanic rows */
+const RACES = {
+  1: 'White',
+  2: 'Black',
+  3: 'American Indian/Alaska Native',
+  4: 'Asian',
+  5: 'Native Hawaiian/Pacific Islander',
+  6: 'Multiracial',
+};
+
+/** Census ORIGIN codes (0 is both origins) */
+const NOT_HISPANIC = '1';
+const HISPANIC = '2';
+const HISPANIC_RACE = 'Hispanic';
+
+/** Single-year ages run to 85, which stands for 85 and over; 999 is the all-ages total */
+const TOP_AGE = 85;
+const ALL_AGES = '999';
+
+/** Age groups used when fact_population_state_demo_year is empty */
+const DEFAULT_AGE_GROUPS = [
+  '0-4', '5-9', '10-14', '15-19', '20-24', '25-29', '30-34', '35-39', '40-44',
+  '45-49', '50-54', '55-59', '60-64', '65-69', '70-74', '75-79', '80-84', '85+',
+];
+
+const STATE_FACTS = {
+  table: 'fact_population_state_year',
+  columns: ['region_id', 'year', 'population'],
+  types: ['int', 'int', 'bigint'],
+  key: ['region_id', 'year'],
+};
+
+const DEMOGRAPHIC_FACTS = {
+  table: 'fact_population_state_demo_year',
+  columns: ['region_id', 'year', 'race', 'sex', 'age_group', 'population'],
+  types: ['int', 'int', 'text', 'text', 'text', 'bigint'],
+  key: ['region_id', 'year', 'race', 'sex', 'age_group'],
+};
+
+/**
+ * Map every single year of age to one of the given age group labels
+ * ("0", "1-4", "85+", ...).
+ *
+ * @param {Array<string>} labels
+ * @returns {Array<string>} Age group label by age, for ages 0 to 85
+ * @throws {IngestError} When the groups do not split 0 to 85+ into disjoint ranges
+ */
+function ageGroupsByAge(labels) {
+  const byAge = new Array(TOP_AGE + 1).fill(null);
+  for (const label of labels) {
+    const match = label.trim().match(/^(\d+)(?:-(\d+)|(\+))?$/);
+    if (!match) throw new IngestError(`Cannot map census ages to the age group "${label}"`);
+    const from = Number(match[1]);
+    const to = match[3] ? TOP_AGE : Number(match[2] || match[1]);
+    for (let age = from; age <= Math.min(to, TOP_AGE); age += 1) {
+      if (byAge[age] !== null) throw new IngestError(`Age groups "${byAge[age]}" and "${label}" overlap`);
+      byAge[age] = label;
+    }
+    // 85 means 85 and over, so only an open-ended group can contain it
+    if (to >= TOP_AGE && !match[3]) throw new IngestError(`Age group "${label}" splits the census 85+ age`);
+  }
+  const missing = byAge.findIndex(label => label === null);
+  if (missing >= 0) throw new IngestError(`No age group contains age ${missing}`);
+  return byAge;
+}
+
+/**
+ * Recognize the file layout from its header.
+ *
+ * @param {Array<string>} header
+ * @returns {{demographic: boolean, columns: Object<string, number>, years: Array<{year: number, index: number}>}}
+ * @throws {IngestError} When the file is not a population estimates file
+ */
+function readHeader(header) {
+  const years = [];
+  header.forEach((name, index) => {
+    const match = collapse(name).match(ESTIMATE_COLUMN);
+    if (match) years.push({ year: Number(match[1]), index });
+  });
+  if (years.length === 0) {
+    throw new IngestError('Not a Census population estimates file; no POPESTIMATE<year> columns');
+  }
+
+  const upper = header.map(name => collapse(name).toUpperCase());
+  const demographic = Object.values(DEMOGRAPHIC_COLUMNS).some(([name]) => upper.includes(name));
+  const kind = 'a Census population estimates file';
+  const columns = mapColumns(
+    header, demographic ? { ...NAME_COLUMNS, ...DEMOGRAPHIC_COLUMNS } : NAME_COLUMNS, kind, { sumlev: ['SUMLEV'] }
+  );
+  return { demographic, columns, years };
+}
+
+/**
+ * @returns {number} The population estimate in a cell
+ * @throws {Error} When the cell is not a whole number
+ */
+function parseEstimate(text, year) {
+  const value = text.trim().replace(/,/g, '');
+  if (!/^\d+$/.test(value)) throw new Error(`invalid POPESTIMATE${year} "${text.trim()}"`);
+  return Number(value);
+}
+
+/**
+ * Validate one demographic row.
+ *
+ * @returns {?{race: string, sex: string, age: number}} null for total rows (both sexes, both origins, all ages)
+ * @throws {Error} With a message naming the invalid cell
+ */
+function parseDemographic(cell) {
+  const sex = cell('sex');
+  const origin = cell('origin');
+  const race = cell('race');
+  const age = cell('age');
+  if (sex === '0' || origin === '0' || age === ALL_AGES) return null;
+
+  if (!SEXES[sex]) throw new Error(`invalid SEX "${sex}"`);
+  if (origin !== NOT_HISPANIC && origin !== HISPANIC) throw new Error(`invalid ORIGIN "${origin}"`);
+  if (!RACES[race]) throw new Error(`invalid RACE "${race}"`);
+  if (!/^\d+$/.test(age) || Number(age) > TOP_AGE) throw new Error(`invalid AGE "${age}"`);
+
+  return { race: origin === HISPANIC ? HISPANIC_RACE : RACES[race], sex: SEXES[sex], age: Number(age) };
+}
+
+/**
+ * Load a Census state totals or state characteristics estimates file.
+ *
+ * @param {Object} client - Connected pg client (migrations already applied)
+ * @param {AsyncIterable<string>|Iterable<string>} input - CSV text in chunks, e.g. a utf8 file stream
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Validate and count, then roll back
+ * @returns {Promise<Object>} Summary: the file kind ('state' or 'demographic'), the years
+ *   loaded, rows read, inserted / updated / unchanged facts and the areas skipped
+ * @throws {IngestError} When the file is not an estimates file or has invalid rows
+ */
+async function ingestPopulation(client, input, { dryRun = false } = {}) {
+  const summary = {
+    kind: null,
+    years: [],
+    rows: 0,
+    population: { inserted: 0, updated: 0, unchanged: 0 },
+    skippedAreas: [],
+  };
+  const errors = [];
+  const seen = new Set();
+  const skipped = new Set();
+  // demographic rows are summed into age groups before they are written
+  const totals = new Map();
+  let layout = null;
+
+  await inTransaction(client, dryRun, async () => {
+    const stateIds = new Map();
+    for (const row of (await client.query('SELECT region_id, state_name FROM dim_region')).rows) {
+      stateIds.set(collapse(row.state_name).toLowerCase(), row.region_id);
+    }
+    let ageGroups = null;
+
+    for await (const { values, rowNumber } of readRows(input)) {
+      if (!layout) {
+        layout = readHeader(values);
+        summary.kind = layout.demographic ? 'demographic' : 'state';
+        summary.years = layout.years.map(({ year }) => year);
+        if (layout.demographic) {
+          const existing = await client.query('SELECT DISTINCT age_group FROM fact_population_state_demo_year');
+          ageGroups = ageGroupsByAge(existing.rows.length > 0 ? existing.rows.map(r => r.age_group) : DEFAULT_AGE_GROUPS);
+        }
+        continue;
+      }
+
+      const cell = key => (values[layout.columns[key]] || '').trim();
+      if (layout.columns.sumlev !== undefined && cell('sumlev').padStart(3, '0') !== STATE_LEVEL) continue;
+      const name = collapse(cell('name'));
+      const regionId = stateIds.get(name.toLowerCase());
+      if (regionId === undefined) {
+        skipped.add(name);
+        continue;
+      }
+
+      try {
+        const demographic = layout.demographic ? parseDemographic(cell) : null;
+        if (layout.demographic && !demographic) continue;
+
+        const key = demographic ? `${regionId}|${demographic.race}|${demographic.sex}|${demographic.age}` : `${regionId}`;
+        if (seen.has(key)) throw new Error(`duplicate row for ${name}`);
+        seen.add(key);
+
+        for (const { year, index } of layout.years) {
+          const population = parseEstimate(values[index] || '', year);
+          const group = demographic
+            ? [regionId, year, demographic.race, demographic.sex, ageGroups[demographic.age]]
+            : [regionId, year];
+          const groupKey = group.join('|');
+          const total = totals.get(groupKey);
+          if (total) total[total.length - 1] += population;
+          else totals.set(groupKey, [...group, population]);
+        }
+        summary.rows += 1;
+      } catch (err) {
+        errors.push(`row ${rowNumber}: ${err.message}`);
+      }
+    }
+
+    if (!layout) throw new IngestError('The file is empty');
+    rejectInvalidRows(errors);
+    if (summary.rows === 0) throw new IngestError('The file has no rows for states in dim_region');
+
+    const rows = [...totals.values()];
+    const facts = layout.demographic ? DEMOGRAPHIC_FACTS : STATE_FACTS;
+    for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+      addCounts(summary.population, await upsertFacts(client, facts, rows.slice(start, start + BATCH_SIZE)));
+    }
+  });
+
+  summary.skippedAreas = [...skipped];
+  return summary;
+}
+
+module.exports = {
+  ingestPopulation,
+  ageGroupsByAge,
+  IngestError,
+  DEFAULT_AGE_GROUPS,
+};
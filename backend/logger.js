@@ -0,0 +1,121 @@
+/**
+ * Structured Logger
+ *
+ * Writes one JSON object per line to stdout (warn and error to stderr):
+ *
+ *   {"time":"...","level":"info","msg":"request completed","requestId":"...","status":200,...}
+ *
+ * Entries written while a request is being handled automatically carry its
+ * requestId (and matched route), so every log line of a request, including
+ * the SQL timings from db.js, can be correlated with the X-Request-Id the
+ * client received.
+ *
+ * Values under sensitive keys (passwords, tokens, API keys, authorization
+ * headers, cookies) and strings that look like credentials are replaced with
+ * "[REDACTED]" before anything is written.
+ *
+ * Settings (see config.js):
+ * - LOG_LEVEL: debug | info | warn | error | silent
+ *              (default info; silent when NODE_ENV is "test")
+ *
+ * @module logger
+ * @requires config
+ * @requires requestContext
+ */
+
+const config = require('./config');
+const { getContext } = require('./requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /passw(or)?d|pwd|secret|token|authorization|api[-_]?key|cookie|credential/i;
+const SENSITIVE_VALUE = /^Bearer\s+\S+|\bsk-[A-Za-z0-9_-]{16,}|postgres(ql)?:\/\/[^:\s]+:[^@\s]+@/i;
+const MAX_DEPTH = 6;
+
+function defaultLevel() {
+  if (config.logLevel) return config.logLevel;
+  return process.env.NODE_ENV === 'test' ? 'silent' : 'info';
+}
+
+let threshold = LEVELS[defaultLevel()];
+
+/**
+ * Change the minimum level that is written.
+ *
+ * @param {string} level - debug | info | warn | error | silent
+ */
+function setLevel(level) {
+  if (LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level "${level}"`);
+  }
+  threshold = LEVELS[level];
+}
+
+/**
+ * @param {string} level
+ * @returns {boolean} Whether entries at this level are currently written
+ */
+function isEnabled(level) {
+  return LEVELS[level] >= threshold;
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    code: err.code,
+    stack: err.stack,
+  };
+}
+
+/**
+ * Copy a value with sensitive keys and credential-looking strings replaced.
+ *
+ * @param {*} value
+ * @returns {*} JSON-safe copy
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (typeof value === 'string') return SENSITIVE_VALUE.test(value) ? REDACTED : value;
+  if (typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Object]';
+
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+function write(level, msg, fields) {
+  if (!isEnabled(level)) return;
+
+  const { requestId, route } = getContext();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId,
+    route,
+    ...redact(fields || {}),
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+module.exports = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  isEnabled,
+  setLevel,
+  redact,
+  REDACTED,
+};
@@ -0,0 +1,138 @@
+/**
+ * API Metrics
+ *
+ * Prometheus metrics for the API, exposed at GET /api/metrics:
+ *
+ * - http_requests_total{method,route,status}
+ * - http_request_duration_seconds{method,route} (histogram)
+ * - http_request_errors_total{route,status}: responses with status >= 400
+ * - db_query_duration_seconds{route} (histogram): SQL queries sent to Postgres
+ * - pg_pool_clients{state}: total / idle / waiting clients in the db.js pool
+ * - query_cache_*: query cache hits, misses, evictions, entries and hit ratio
+ *
+ * `route` is the route path pattern (e.g. /api/state-yearly-percapita), never
+ * the raw URL, so label cardinality stays bounded; requests that match no
+ * route are labelled "unmatched". Database queries run outside a request
+ * (scripts) are labelled "none".
+ *
+ * @module metrics
+ * @requires utils/prometheus
+ */
+
+const { Counter, Gauge, Histogram, Registry, CONTENT_TYPE } = require('./utils/prometheus');
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = new Registry();
+
+const httpRequests = registry.register(new Counter(
+  'http_requests_total',
+  'HTTP requests handled, by method, route and status code',
+  ['method', 'route', 'status']
+));
+
+const httpDuration = registry.register(new Histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency in seconds, by method and route',
+  ['method', 'route'],
+  LATENCY_BUCKETS
+));
+
+const httpErrors = registry.register(new Counter(
+  'http_request_errors_total',
+  'HTTP responses with a 4xx or 5xx status, by route and status code',
+  ['route', 'status']
+));
+
+const dbDuration = registry.register(new Histogram(
+  'db_query_duration_seconds',
+  'Duration of SQL queries sent to Postgres in seconds, by route',
+  ['route'],
+  LATENCY_BUCKETS
+));
+
+const poolClients = registry.register(new Gauge(
+  'pg_pool_clients',
+  'Clients in the Postgres connection pool, by state (total, idle, waiting)',
+  ['state']
+));
+
+const cacheHits = registry.register(new Counter(
+  'query_cache_hits_total',
+  'Query results served from the query cache'
+));
+const cacheMisses = registry.register(new Counter(
+  'query_cache_misses_total',
+  'Queries that missed the query cache'
+));
+const cacheEvictions = registry.register(new Counter(
+  'query_cache_evictions_total',
+  'Query results evicted from the query cache to make room'
+));
+const cacheEntries = registry.register(new Gauge(
+  'query_cache_entries',
+  'Query results currently cached'
+));
+const cacheHitRatio = registry.register(new Gauge(
+  'query_cache_hit_ratio',
+  'Share of cacheable queries served from the cache since startup (0-1)'
+));
+
+/**
+ * Record a finished HTTP request.
+ *
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} [request.route] - Route path pattern; undefined when unmatched
+ * @param {number} request.status
+ * @param {number} request.durationSeconds
+ */
+function observeRequest({ method, route, status, durationSeconds }) {
+  const routeLabel = route || 'unmatched';
+  httpRequests.inc({ method, route: routeLabel, status });
+  httpDuration.observe({ method, route: routeLabel }, durationSeconds);
+  if (status >= 400) {
+    httpErrors.inc({ route: routeLabel, status });
+  }
+}
+
+/**
+ * Record a SQL query that reached the database.
+ *
+ * @param {string} [route] - Route path pattern of the request that issued it
+ * @param {number} durationSeconds
+ */
+function observeQuery(route, durationSeconds) {
+  dbDuration.observe({ route: route || 'none' }, durationSeconds);
+}
+
+/**
+ * Render every metric, sampling the pool and cache at scrape time.
+ *
+ * @param {Object} pool - pg Pool
+ * @param {Object} cacheStats - queryCache.getStats() result
+ * @returns {string} Prometheus text exposition
+ */
+function render(pool, cacheStats) {
+  poolClients.set({ state: 'total' }, pool.totalCount || 0);
+  poolClients.set({ state: 'idle' }, pool.idleCount || 0);
+  poolClients.set({ state: 'waiting' }, pool.waitingCount || 0);
+
+  const lookups = cacheStats.hits + cacheStats.misses;
+  cacheHits.set({}, cacheStats.hits);
+  cacheMisses.set({}, cacheStats.misses);
+  cacheEvictions.set({}, cacheStats.evictions);
+  cacheEntries.set({}, cacheStats.entries);
+  cacheHitRatio.set({}, lookups > 0 ? cacheStats.hits / lookups : 0);
+
+  return registry.render();
+}
+
+/**
+ * Clear every recorded series (tests).
+ */
+function reset() {
+  registry.resetAll();
+}
+
+module.exports = { observeRequest, observeQuery, render, reset, CONTENT_TYPE };
@@ -0,0 +1,21 @@
+/**
+ * HTTP Cache Headers
+ *
+ * Responses carry a strong ETag (see app.set('etag') in server.js), so
+ * clients can revalidate with If-None-Match and receive a 304 without the
+ * body. Cacheable routes tell clients to always revalidate (`no-cache`)
+ * rather than reuse a response blindly, so a cache flush after a data load is
+ * visible immediately. Routes with cacheTtl 0 are not stored at all.
+ *
+ * @module middleware/cacheHeaders
+ */
+
+function cacheHeaders(route) {
+  const value = route.cacheTtl === 0 ? 'no-store' : 'no-cache';
+  return (req, res, next) => {
+    res.set('Cache-Control', value);
+    next();
+  };
+}
+
+module.exports = cacheHeaders;
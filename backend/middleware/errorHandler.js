@@ -0,0 +1,71 @@
+/**
+ * Central Error Handling
+ *
+ * Converts anything thrown by a route (ApiError, pg errors, body-parser
+ * errors, unexpected bugs) into the standard error envelope:
+ *
+ *   { code, message, details, requestId }
+ *
+ * Express 5 forwards rejected promises from async handlers here, so route
+ * handlers simply throw.
+ *
+ * @module middleware/errorHandler
+ * @requires errors
+ * @requires logger
+ */
+
+const logger = require('../logger');
+const { ApiError, NotFoundError, ValidationError, ErrorCodes, fromDatabaseError } = require('../errors');
+
+/**
+ * Map any thrown value onto an ApiError.
+ *
+ * @param {*} err
+ * @returns {ApiError}
+ */
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+
+  // malformed JSON body from express.json()
+  if (err && err.type === 'entity.parse.failed') {
+    return new ValidationError(null, 'Malformed JSON request body');
+  }
+
+  const dbError = fromDatabaseError(err);
+  if (dbError) return dbError;
+
+  return new ApiError(500, ErrorCodes.INTERNAL_ERROR, 'Internal server error');
+}
+
+/**
+ * Fallback for /api paths that no route matched.
+ */
+function notFound(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.originalUrl}`));
+}
+
+// Express recognises error handlers by their four-argument signature
+function errorHandler(err, req, res, next) {
+  const apiError = toApiError(err);
+
+  if (apiError.status >= 500) {
+    logger.error('request failed', { method: req.method, path: req.path, code: apiError.code, err });
+  }
+
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  if (apiError.retryAfter) {
+    res.set('Retry-After', String(apiError.retryAfter));
+  }
+
+  res.status(apiError.status).json({
+    code: apiError.code,
+    message: apiError.message,
+    details: apiError.details,
+    requestId: req.id || null,
+  });
+}
+
+module.exports = { errorHandler, notFound, toApiError };
@@ -0,0 +1,23 @@
+/**
+ * Request ID Middleware
+ *
+ * Gives every request an identifier, stored on req.id and echoed back in the
+ * X-Request-Id response header. A well-formed X-Request-Id sent by the client
+ * (or a proxy) is reused so a request can be traced end to end.
+ *
+ * @module middleware/requestId
+ */
+
+const { randomUUID } = require('crypto');
+
+const HEADER = 'X-Request-Id';
+const VALID_ID = /^[A-Za-z0-9._-]{1,128}$/;
+
+function requestId(req, res, next) {
+  const incoming = req.get(HEADER);
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : randomUUID();
+  res.set(HEADER, req.id);
+  next();
+}
+
+module.exports = requestId;
@@ -0,0 +1,63 @@
+/**
+ * Request Logging Middleware
+ *
+ * Writes one structured log entry per request when the response is finished:
+ * method, path, matched route, query parameters, status, total duration and
+ * the number and total duration of the SQL queries it issued. 5xx responses
+ * are logged at error level, 4xx at warn, everything else at info. Requests
+ * the client abandons before the response is sent are logged as aborted.
+ *
+ * Must be mounted after requestScope so the database counters of the request
+ * are available.
+ *
+ * @module middleware/requestLogger
+ * @requires logger
+ * @requires requestContext
+ */
+
+const logger = require('../logger');
+const { getContext } = require('../requestContext');
+
+/**
+ * Query parameters as they should appear in the log: values of parameters
+ * flagged `sensitive` in the route schema (see routeContext) are hidden.
+ */
+function loggableQuery(req) {
+  const query = { ...req.query };
+  for (const field of req.sensitiveFields || []) {
+    if (query[field] !== undefined) query[field] = logger.REDACTED;
+  }
+  return query;
+}
+
+function requestLogger(req, res, next) {
+  const context = getContext();
+  const start = process.hrtime.bigint();
+
+  const entry = () => ({
+    method: req.method,
+    path: req.path,
+    query: loggableQuery(req),
+    status: res.statusCode,
+    durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+    dbQueries: context.db ? context.db.queries : 0,
+    dbDurationMs: context.db ? Math.round(context.db.durationMs) : 0,
+    route: req.route ? req.route.path : undefined,
+    requestId: req.id,
+  });
+
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger[level]('request completed', entry());
+  });
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      logger.warn('request aborted', entry());
+    }
+  });
+
+  next();
+}
+
+module.exports = requestLogger;
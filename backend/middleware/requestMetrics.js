@@ -0,0 +1,28 @@
+/**
+ * Request Metrics Middleware
+ *
+ * Records every finished request (method, matched route pattern, status and
+ * latency) in the Prometheus metrics served at /api/metrics.
+ *
+ * @module middleware/requestMetrics
+ * @requires metrics
+ */
+
+const metrics = require('../metrics');
+
+function requestMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    metrics.observeRequest({
+      method: req.method,
+      route: req.route ? req.route.path : undefined,
+      status: res.statusCode,
+      durationSeconds: Number(process.hrtime.bigint() - start) / 1e9,
+    });
+  });
+
+  next();
+}
+
+module.exports = requestMetrics;
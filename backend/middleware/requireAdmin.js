@@ -0,0 +1,34 @@
+/**
+ * Admin Authentication Middleware
+ *
+ * Protects /api/admin endpoints with a shared secret. Requests must send
+ * `Authorization: Bearer <ADMIN_TOKEN>`. When ADMIN_TOKEN is not configured
+ * the admin endpoints are disabled and every request is rejected.
+ *
+ * @module middleware/requireAdmin
+ * @requires config
+ * @requires errors
+ */
+
+const { timingSafeEqual } = require('crypto');
+const config = require('../config');
+const { UnauthorizedError } = require('../errors');
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function requireAdmin(req, res, next) {
+  const expected = config.adminToken;
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+
+  if (!expected || !match || !tokensMatch(match[1], expected)) {
+    return next(new UnauthorizedError());
+  }
+  next();
+}
+
+module.exports = requireAdmin;
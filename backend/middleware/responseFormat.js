@@ -0,0 +1,148 @@
+/**
+ * Response Format Negotiation
+ *
+ * Lets every data route answer as JSON (default), CSV or NDJSON. The format is
+ * taken from the `format` query parameter when present, otherwise from the
+ * Accept header. Handlers keep calling res.json(); for CSV and NDJSON this
+ * middleware replaces res.json for the request and streams the records
+ * instead. Array responses become one record per row; single-object responses
+ * become a single record. Error responses are always JSON.
+ *
+ * @module middleware/responseFormat
+ * @requires utils/csv
+ */
+
+const { formatRow, columnsOf } = require('../utils/csv');
+
+const MEDIA_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+};
+
+const FORMATS = Object.keys(MEDIA_TYPES);
+
+/**
+ * Pick the response format for a request.
+ *
+ * @param {Object} req - Express request (after validation)
+ * @returns {string} 'json', 'csv' or 'ndjson'
+ */
+function negotiate(req) {
+  const requested = req.validated && req.validated.format;
+  if (requested) return requested;
+
+  const accepted = req.accepts(FORMATS.map(f => MEDIA_TYPES[f]));
+  return FORMATS.find(f => MEDIA_TYPES[f] === accepted) || 'json';
+}
+
+/**
+ * Build a download filename from the route path and the request parameters,
+ * e.g. "state-yearly-percapita_year-2023_diseaseId-1.csv" or "diseases_id-5.csv".
+ *
+ * @param {string} path - Route path
+ * @param {Object} params - Validated parameters
+ * @param {string} extension
+ * @returns {string}
+ */
+function filenameFor(path, params, extension) {
+  // path parameters appear as key-value parts like the query parameters
+  const parts = [path.replace(/^\/api\//, '').replace(/\/:\w+/g, '')];
+  for (const [key, value] of Object.entries(params || {})) {
+    if (key === 'format' || value === null || value === undefined) continue;
+    const text = Array.isArray(value) ? value.join('-') : String(value);
+    parts.push(`${key}-${text}`);
+  }
+  const base = parts.join('_').replace(/[^A-Za-z0-9._-]+/g, '-').slice(0, 200);
+  return `${base}.${extension}`;
+}
+
+/**
+ * Write chunks to the response, waiting for 'drain' when the socket buffer
+ * is full so large exports do not pile up in memory.
+ */
+async function writeAll(res, chunks) {
+  for (const chunk of chunks) {
+    if (!res.write(chunk)) {
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+      if (res.destroyed) return;
+    }
+  }
+  res.end();
+}
+
+/**
+ * Column names of a route's declared response rows (see routes/definitions.js),
+ * in declaration order.
+ *
+ * @param {Object} route - Route definition
+ * @returns {Array<string>}
+ */
+function declaredColumns(route) {
+  const { response } = route;
+  const row = response && response.type === 'array' ? response.items : response;
+  return row && row.properties ? Object.keys(row.properties) : [];
+}
+
+/**
+ * @param {Array<Object>} records
+ * @param {Array<string>} declared - Columns of an empty result, so the file
+ *   still has its header row
+ */
+function* csvChunks(records, declared) {
+  const columns = records.length > 0 ? columnsOf(records) : declared;
+  if (columns.length > 0) yield formatRow(columns);
+  for (const record of records) {
+    yield formatRow(columns.map(c => record[c]));
+  }
+}
+
+function* ndjsonChunks(records) {
+  for (const record of records) {
+    yield `${JSON.stringify(record)}\n`;
+  }
+}
+
+/**
+ * Build the negotiation middleware for a route.
+ *
+ * @param {Object} route - Route definition
+ * @returns {Function} Express middleware
+ */
+function responseFormat(route) {
+  return (req, res, next) => {
+    res.vary('Accept');
+
+    const format = negotiate(req);
+    if (format === 'json') return next();
+
+    const sendJson = res.json.bind(res);
+
+    res.json = (body) => {
+      if (res.statusCode >= 400) return sendJson(body);
+
+      const records = Array.isArray(body) ? body : [body];
+      res.type(MEDIA_TYPES[format]);
+
+      if (format === 'csv') {
+        res.attachment(filenameFor(route.path, req.validated, 'csv'));
+        writeAll(res, csvChunks(records, declaredColumns(route)));
+      } else {
+        writeAll(res, ndjsonChunks(records));
+      }
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = { responseFormat, negotiate, filenameFor, FORMATS };
@@ -0,0 +1,2 @@
+-- pgvector stores the symptom embeddings searched by /api/similar-symptoms
+CREATE EXTENSION IF NOT EXISTS vector;
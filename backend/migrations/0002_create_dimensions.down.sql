@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS dim_demographic_group;
+DROP TABLE IF EXISTS dim_mmwr_week;
+DROP TABLE IF EXISTS dim_pathogen;
+DROP TABLE IF EXISTS dim_region_ndss;
+DROP TABLE IF EXISTS dim_disease;
+DROP TABLE IF EXISTS dim_region;
@@ -0,0 +1,44 @@
+-- Dimension tables of the star schema. Names are the natural keys the API
+-- filters on, so each is unique.
+
+-- US states (and DC), as used by the case and population facts
+CREATE TABLE dim_region (
+  region_id   SERIAL PRIMARY KEY,
+  state_name  TEXT NOT NULL UNIQUE,
+  state_code  CHAR(2) UNIQUE
+);
+
+CREATE TABLE dim_disease (
+  disease_id    SERIAL PRIMARY KEY,
+  disease_name  TEXT NOT NULL UNIQUE
+);
+
+-- NNDSS reporting areas: states plus regional and national rollups
+-- ("New England", "US Residents", ...); joined to dim_region by name
+CREATE TABLE dim_region_ndss (
+  region_id       SERIAL PRIMARY KEY,
+  reporting_area  TEXT NOT NULL UNIQUE
+);
+
+-- pathogens of the flu / RSV / COVID-19 deaths data
+CREATE TABLE dim_pathogen (
+  pathogen_id  SERIAL PRIMARY KEY,
+  pathogen     TEXT NOT NULL UNIQUE
+);
+
+CREATE TABLE dim_mmwr_week (
+  mmwr_week_id      SERIAL PRIMARY KEY,
+  year              INTEGER NOT NULL,
+  week              INTEGER NOT NULL CHECK (week BETWEEN 1 AND 53),
+  week_ending_date  DATE,
+  UNIQUE (year, week)
+);
+
+-- one row per value of each demographic breakdown of the deaths data,
+-- e.g. ('Age Group', '65+ years'), ('Sex', 'Female')
+CREATE TABLE dim_demographic_group (
+  demographic_group_id  SERIAL PRIMARY KEY,
+  demographic_type      TEXT NOT NULL,
+  demographic_value     TEXT NOT NULL,
+  UNIQUE (demographic_type, demographic_value)
+);
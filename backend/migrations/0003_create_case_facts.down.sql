@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS fact_nndss_weekly;
+DROP TABLE IF EXISTS fact_cases_weekly;
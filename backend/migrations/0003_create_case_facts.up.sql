@@ -0,0 +1,24 @@
+-- Weekly case counts by state and disease (per-capita, trend and outlier routes)
+CREATE TABLE fact_cases_weekly (
+  region_id           INTEGER NOT NULL REFERENCES dim_region (region_id),
+  disease_id          INTEGER NOT NULL REFERENCES dim_disease (disease_id),
+  year                INTEGER NOT NULL,
+  week                INTEGER NOT NULL CHECK (week BETWEEN 1 AND 53),
+  current_week_cases  INTEGER CHECK (current_week_cases >= 0),
+  PRIMARY KEY (region_id, disease_id, year, week)
+);
+
+CREATE INDEX fact_cases_weekly_disease_year_idx ON fact_cases_weekly (disease_id, year);
+CREATE INDEX fact_cases_weekly_year_week_idx ON fact_cases_weekly (year, week);
+
+-- NNDSS weekly tables by reporting area (demographic estimate routes)
+CREATE TABLE fact_nndss_weekly (
+  region_id          INTEGER NOT NULL REFERENCES dim_region_ndss (region_id),
+  disease_id         INTEGER NOT NULL REFERENCES dim_disease (disease_id),
+  current_mmwr_year  INTEGER NOT NULL,
+  current_mmwr_week  INTEGER NOT NULL CHECK (current_mmwr_week BETWEEN 1 AND 53),
+  current_week       INTEGER CHECK (current_week >= 0),
+  PRIMARY KEY (region_id, disease_id, current_mmwr_year, current_mmwr_week)
+);
+
+CREATE INDEX fact_nndss_weekly_disease_year_idx ON fact_nndss_weekly (disease_id, current_mmwr_year);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS fact_population_state_demo_year;
+DROP TABLE IF EXISTS fact_population_state_year;
@@ -0,0 +1,21 @@
+-- Census population estimates: state totals and the race / sex / age group
+-- breakdown used to distribute cases across demographics
+CREATE TABLE fact_population_state_year (
+  region_id   INTEGER NOT NULL REFERENCES dim_region (region_id),
+  year        INTEGER NOT NULL,
+  population  BIGINT NOT NULL CHECK (population >= 0),
+  PRIMARY KEY (region_id, year)
+);
+
+CREATE TABLE fact_population_state_demo_year (
+  region_id   INTEGER NOT NULL REFERENCES dim_region (region_id),
+  year        INTEGER NOT NULL,
+  race        TEXT NOT NULL,
+  sex         TEXT NOT NULL,
+  age_group   TEXT NOT NULL,
+  population  BIGINT NOT NULL CHECK (population >= 0),
+  PRIMARY KEY (region_id, year, race, sex, age_group)
+);
+
+CREATE INDEX fact_population_state_demo_year_year_idx
+  ON fact_population_state_demo_year (year, race, sex, age_group);
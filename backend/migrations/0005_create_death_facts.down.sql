@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS fact_deaths;
+DROP TABLE IF EXISTS fact_flu_rsv_covid_deaths;
@@ -0,0 +1,22 @@
+-- Weekly flu / RSV / COVID-19 deaths by demographic group
+CREATE TABLE fact_flu_rsv_covid_deaths (
+  pathogen_id           INTEGER NOT NULL REFERENCES dim_pathogen (pathogen_id),
+  mmwr_week_id          INTEGER NOT NULL REFERENCES dim_mmwr_week (mmwr_week_id),
+  demographic_group_id  INTEGER NOT NULL REFERENCES dim_demographic_group (demographic_group_id),
+  deaths                INTEGER NOT NULL CHECK (deaths >= 0),
+  PRIMARY KEY (pathogen_id, mmwr_week_id, demographic_group_id)
+);
+
+CREATE INDEX fact_flu_rsv_covid_deaths_week_idx ON fact_flu_rsv_covid_deaths (mmwr_week_id);
+
+-- Yearly deaths by disease, state and demographic (states-below-national-all-races)
+CREATE TABLE fact_deaths (
+  disease_name  TEXT NOT NULL,
+  year          INTEGER NOT NULL,
+  region_id     INTEGER NOT NULL REFERENCES dim_region (region_id),
+  race          TEXT NOT NULL,
+  sex           TEXT NOT NULL,
+  age_group     TEXT NOT NULL,
+  deaths        INTEGER NOT NULL CHECK (deaths >= 0),
+  PRIMARY KEY (disease_name, year, region_id, race, sex, age_group)
+);
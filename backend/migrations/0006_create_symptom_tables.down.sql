@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS disease_symptom_embeddings;
+DROP TABLE IF EXISTS disease_symptoms;
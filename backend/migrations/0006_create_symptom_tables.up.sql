@@ -0,0 +1,14 @@
+-- Symptom descriptions and their embeddings (scripts/generateEmbeddings.js)
+CREATE TABLE disease_symptoms (
+  disease_id  INTEGER PRIMARY KEY REFERENCES dim_disease (disease_id),
+  symptoms    TEXT NOT NULL
+);
+
+-- text-embedding-3-small vectors
+CREATE TABLE disease_symptom_embeddings (
+  disease_id         INTEGER PRIMARY KEY REFERENCES dim_disease (disease_id),
+  symptom_embedding  VECTOR(1536) NOT NULL
+);
+
+CREATE INDEX disease_symptom_embeddings_cosine_idx
+  ON disease_symptom_embeddings USING hnsw (symptom_embedding vector_cosine_ops);
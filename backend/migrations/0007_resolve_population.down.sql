@@ -0,0 +1,5 @@
+DROP FUNCTION IF EXISTS resolve_population_state_demo_year(INTEGER, INTEGER);
+DROP INDEX IF EXISTS fact_population_state_demo_year_group_idx;
+DROP FUNCTION IF EXISTS resolve_population_state_year(INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS linear_population(INTEGER, INTEGER, BIGINT, INTEGER, BIGINT);
+DROP TYPE IF EXISTS population_method;
@@ -0,0 +1,126 @@
+-- Population for any year, whether or not the Census has an estimate for it.
+-- Rate queries join these functions instead of the population facts so a year
+-- after the latest estimates is projected rather than silently using the
+-- latest year's population.
+
+-- How a population figure was obtained, from most to least direct. MAX() over
+-- several rows gives the least direct method behind an aggregate.
+--   census        the Census estimate for the year
+--   interpolated  linear between the nearest estimates before and after
+--   projected     linear trend of the two nearest estimates, past the last
+--                 (or before the first) year with an estimate
+--   nearest       the only estimate there is, used as is
+CREATE TYPE population_method AS ENUM ('census', 'interpolated', 'projected', 'nearest');
+
+-- Population at `year` on the line through (year_a, population_a) and
+-- (year_b, population_b), rounded and never negative
+CREATE FUNCTION linear_population(
+  year INTEGER, year_a INTEGER, population_a BIGINT, year_b INTEGER, population_b BIGINT
+) RETURNS BIGINT
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT GREATEST(0, ROUND(
+    population_a + (population_b - population_a)::NUMERIC * (year - year_a) / (year_b - year_a)
+  ))::BIGINT
+$$;
+
+-- State populations for every year from from_year to to_year. The two
+-- nearest estimates before and after each year are looked up as arrays
+-- (nearest first); element 1 is NULL when there is none.
+CREATE FUNCTION resolve_population_state_year(from_year INTEGER, to_year INTEGER)
+RETURNS TABLE (region_id INTEGER, year INTEGER, population BIGINT, method population_method)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    s.region_id,
+    y.year,
+    CASE
+      WHEN e.population IS NOT NULL THEN e.population
+      WHEN b.years[1] IS NOT NULL AND a.years[1] IS NOT NULL
+        THEN linear_population(y.year, b.years[1], b.pops[1], a.years[1], a.pops[1])
+      WHEN b.years[2] IS NOT NULL THEN linear_population(y.year, b.years[2], b.pops[2], b.years[1], b.pops[1])
+      WHEN a.years[2] IS NOT NULL THEN linear_population(y.year, a.years[1], a.pops[1], a.years[2], a.pops[2])
+      ELSE COALESCE(b.pops[1], a.pops[1])
+    END,
+    CASE
+      WHEN e.population IS NOT NULL THEN 'census'
+      WHEN b.years[1] IS NOT NULL AND a.years[1] IS NOT NULL THEN 'interpolated'
+      WHEN b.years[2] IS NOT NULL OR a.years[2] IS NOT NULL THEN 'projected'
+      ELSE 'nearest'
+    END::population_method
+  FROM (SELECT DISTINCT p.region_id FROM fact_population_state_year p) s
+  CROSS JOIN generate_series(from_year, to_year) AS y (year)
+  LEFT JOIN fact_population_state_year e ON e.region_id = s.region_id AND e.year = y.year
+  CROSS JOIN LATERAL (
+    SELECT ARRAY_AGG(n.year ORDER BY n.year DESC) AS years, ARRAY_AGG(n.population ORDER BY n.year DESC) AS pops
+    FROM (
+      SELECT p.year, p.population FROM fact_population_state_year p
+      WHERE p.region_id = s.region_id AND p.year < y.year
+      ORDER BY p.year DESC LIMIT 2
+    ) n
+  ) b
+  CROSS JOIN LATERAL (
+    SELECT ARRAY_AGG(n.year ORDER BY n.year) AS years, ARRAY_AGG(n.population ORDER BY n.year) AS pops
+    FROM (
+      SELECT p.year, p.population FROM fact_population_state_year p
+      WHERE p.region_id = s.region_id AND p.year > y.year
+      ORDER BY p.year LIMIT 2
+    ) n
+  ) a
+$$;
+
+CREATE INDEX fact_population_state_demo_year_group_idx
+  ON fact_population_state_demo_year (region_id, race, sex, age_group, year);
+
+-- The same for each race / sex / age group of each state
+CREATE FUNCTION resolve_population_state_demo_year(from_year INTEGER, to_year INTEGER)
+RETURNS TABLE (
+  region_id INTEGER, year INTEGER, race TEXT, sex TEXT, age_group TEXT,
+  population BIGINT, method population_method
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    g.region_id,
+    y.year,
+    g.race,
+    g.sex,
+    g.age_group,
+    CASE
+      WHEN e.population IS NOT NULL THEN e.population
+      WHEN b.years[1] IS NOT NULL AND a.years[1] IS NOT NULL
+        THEN linear_population(y.year, b.years[1], b.pops[1], a.years[1], a.pops[1])
+      WHEN b.years[2] IS NOT NULL THEN linear_population(y.year, b.years[2], b.pops[2], b.years[1], b.pops[1])
+      WHEN a.years[2] IS NOT NULL THEN linear_population(y.year, a.years[1], a.pops[1], a.years[2], a.pops[2])
+      ELSE COALESCE(b.pops[1], a.pops[1])
+    END,
+    CASE
+      WHEN e.population IS NOT NULL THEN 'census'
+      WHEN b.years[1] IS NOT NULL AND a.years[1] IS NOT NULL THEN 'interpolated'
+      WHEN b.years[2] IS NOT NULL OR a.years[2] IS NOT NULL THEN 'projected'
+      ELSE 'nearest'
+    END::population_method
+  FROM (SELECT DISTINCT p.region_id, p.race, p.sex, p.age_group FROM fact_population_state_demo_year p) g
+  CROSS JOIN generate_series(from_year, to_year) AS y (year)
+  LEFT JOIN fact_population_state_demo_year e
+    ON e.region_id = g.region_id AND e.race = g.race AND e.sex = g.sex AND e.age_group = g.age_group
+   AND e.year = y.year
+  CROSS JOIN LATERAL (
+    SELECT ARRAY_AGG(n.year ORDER BY n.year DESC) AS years, ARRAY_AGG(n.population ORDER BY n.year DESC) AS pops
+    FROM (
+      SELECT p.year, p.population FROM fact_population_state_demo_year p
+      WHERE p.region_id = g.region_id AND p.race = g.race AND p.sex = g.sex AND p.age_group = g.age_group
+        AND p.year < y.year
+      ORDER BY p.year DESC LIMIT 2
+    ) n
+  ) b
+  CROSS JOIN LATERAL (
+    SELECT ARRAY_AGG(n.year ORDER BY n.year) AS years, ARRAY_AGG(n.population ORDER BY n.year) AS pops
+    FROM (
+      SELECT p.year, p.population FROM fact_population_state_demo_year p
+      WHERE p.region_id = g.region_id AND p.race = g.race AND p.sex = g.sex AND p.age_group = g.age_group
+        AND p.year > y.year
+      ORDER BY p.year LIMIT 2
+    ) n
+  ) a
+$$;
@@ -0,0 +1,9 @@
+-- How current each loaded dataset is. CDC revises provisional counts for
+-- weeks after first publishing them, so the source's data-as-of date tells
+-- which revision the facts reflect. One row per dataset, replaced by each
+-- load (see ingest/).
+CREATE TABLE data_loads (
+  dataset     TEXT PRIMARY KEY,
+  data_as_of  DATE NOT NULL,
+  loaded_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
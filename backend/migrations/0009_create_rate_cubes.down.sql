@@ -0,0 +1,5 @@
+DROP MATERIALIZED VIEW IF EXISTS rate_national_disease_year;
+DROP MATERIALIZED VIEW IF EXISTS rate_state_disease_week;
+DROP MATERIALIZED VIEW IF EXISTS rate_state_disease_year;
+
+ALTER FUNCTION resolve_population_state_year(INTEGER, INTEGER) RESET search_path;
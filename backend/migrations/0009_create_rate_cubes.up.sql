@@ -0,0 +1,95 @@
+-- Rate cubes: per-capita rates aggregated once from fact_cases_weekly and the
+-- resolved populations, instead of on every request. They hold what the rate
+-- routes would compute themselves, so they go stale when cases or
+-- populations are loaded; rateCubes.js refreshes them (`npm run refresh:rates`,
+-- run by the ingestion commands and the seed).
+--
+-- Populations are resolved for every year from the first to the last year
+-- with cases, so each year gets the same population and method as
+-- resolve_population_state_year(year, year). Rows without a state population
+-- are left out, as the routes' inner joins did.
+
+-- Since PostgreSQL 17, materialized views are created and refreshed with
+-- search_path set to pg_catalog, which would hide the population tables from
+-- the function's body.
+ALTER FUNCTION resolve_population_state_year(INTEGER, INTEGER) SET search_path FROM CURRENT;
+
+-- Yearly cases and rate by state and disease. total_cases is NULL when no
+-- week of the year has a count.
+CREATE MATERIALIZED VIEW rate_state_disease_year AS
+WITH case_years AS (
+  SELECT MIN(year) AS from_year, MAX(year) AS to_year FROM fact_cases_weekly
+),
+population AS (
+  SELECT p.*
+  FROM case_years y
+  CROSS JOIN LATERAL resolve_population_state_year(y.from_year, y.to_year) p
+)
+SELECT
+  f.region_id,
+  f.disease_id,
+  f.year,
+  SUM(f.current_week_cases) AS total_cases,
+  p.population,
+  p.method,
+  SUM(f.current_week_cases)::NUMERIC / NULLIF(p.population, 0) * 100000 AS cases_per_100k
+FROM fact_cases_weekly f
+JOIN population p ON p.region_id = f.region_id AND p.year = f.year
+GROUP BY f.region_id, f.disease_id, f.year, p.population, p.method;
+
+-- unique, so the cube can be refreshed concurrently
+CREATE UNIQUE INDEX rate_state_disease_year_key ON rate_state_disease_year (region_id, disease_id, year);
+CREATE INDEX rate_state_disease_year_year_idx ON rate_state_disease_year (year, disease_id);
+CREATE INDEX rate_state_disease_year_disease_idx ON rate_state_disease_year (disease_id, year);
+
+-- Weekly cases and rate by state and disease, using the year's population
+CREATE MATERIALIZED VIEW rate_state_disease_week AS
+WITH case_years AS (
+  SELECT MIN(year) AS from_year, MAX(year) AS to_year FROM fact_cases_weekly
+),
+population AS (
+  SELECT p.*
+  FROM case_years y
+  CROSS JOIN LATERAL resolve_population_state_year(y.from_year, y.to_year) p
+)
+SELECT
+  f.region_id,
+  f.disease_id,
+  f.year,
+  f.week,
+  f.current_week_cases AS cases,
+  p.population,
+  p.method,
+  f.current_week_cases::NUMERIC / NULLIF(p.population, 0) * 100000 AS cases_per_100k
+FROM fact_cases_weekly f
+JOIN population p ON p.region_id = f.region_id AND p.year = f.year;
+
+CREATE UNIQUE INDEX rate_state_disease_week_key ON rate_state_disease_week (region_id, disease_id, year, week);
+CREATE INDEX rate_state_disease_week_year_week_idx ON rate_state_disease_week (year, week, disease_id);
+
+-- Yearly cases and rate by disease for the whole country: the cases of every
+-- state over the population of every state, so states reporting no cases of
+-- a disease still count towards its denominator. method is the least direct
+-- one behind any state's population.
+CREATE MATERIALIZED VIEW rate_national_disease_year AS
+WITH case_years AS (
+  SELECT MIN(year) AS from_year, MAX(year) AS to_year FROM fact_cases_weekly
+),
+national_population AS (
+  SELECT p.year, SUM(p.population) AS population, MAX(p.method) AS method
+  FROM case_years y
+  CROSS JOIN LATERAL resolve_population_state_year(y.from_year, y.to_year) p
+  GROUP BY p.year
+)
+SELECT
+  s.disease_id,
+  s.year,
+  SUM(s.total_cases) AS total_cases,
+  n.population,
+  n.method,
+  SUM(s.total_cases)::NUMERIC / NULLIF(n.population, 0) * 100000 AS cases_per_100k
+FROM rate_state_disease_year s
+JOIN national_population n ON n.year = s.year
+GROUP BY s.disease_id, s.year, n.population, n.method;
+
+CREATE UNIQUE INDEX rate_national_disease_year_key ON rate_national_disease_year (disease_id, year);
@@ -0,0 +1,4 @@
+ALTER TABLE disease_symptom_embeddings
+  DROP CONSTRAINT IF EXISTS disease_symptom_embeddings_dimensions_check,
+  DROP COLUMN IF EXISTS embedding_dimensions,
+  DROP COLUMN IF EXISTS embedding_model;
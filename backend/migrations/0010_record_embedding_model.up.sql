@@ -0,0 +1,17 @@
+-- The model and dimensions behind each symptom vector (see embeddings/).
+-- Vectors of different models are not comparable, so symptom search only
+-- ranks vectors of the model it embeds the query with, and mixed models are
+-- reported by /api/health/data and the data audit.
+--
+-- Rows stored before this migration came from scripts/generateEmbeddings.js,
+-- which always used OpenAI text-embedding-3-small. A demo database seeded
+-- before it holds local hash vectors instead: reseed it.
+ALTER TABLE disease_symptom_embeddings
+  ADD COLUMN embedding_model TEXT NOT NULL DEFAULT 'text-embedding-3-small',
+  ADD COLUMN embedding_dimensions INTEGER NOT NULL DEFAULT 1536;
+
+ALTER TABLE disease_symptom_embeddings
+  ALTER COLUMN embedding_model DROP DEFAULT,
+  ALTER COLUMN embedding_dimensions DROP DEFAULT,
+  ADD CONSTRAINT disease_symptom_embeddings_dimensions_check
+    CHECK (embedding_dimensions = vector_dims(symptom_embedding));
@@ -0,0 +1 @@
+ALTER TABLE disease_symptom_embeddings DROP COLUMN IF EXISTS content_hash;
@@ -0,0 +1,4 @@
+-- SHA-256 (hex) of the disease_symptoms text each vector was computed from,
+-- so scripts/generateEmbeddings.js only re-embeds symptom texts that changed.
+-- Existing rows have no hash and are re-embedded once.
+ALTER TABLE disease_symptom_embeddings ADD COLUMN content_hash TEXT;
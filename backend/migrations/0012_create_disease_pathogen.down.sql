@@ -0,0 +1 @@
+DROP TABLE IF EXISTS disease_pathogen;
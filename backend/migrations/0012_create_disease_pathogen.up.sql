@@ -0,0 +1,15 @@
+-- Which pathogen of the flu / RSV / COVID-19 deaths data each disease is.
+-- NNDSS disease labels ("Influenza-associated pediatric mortality", ...) and
+-- the deaths data's pathogen labels ("Influenza") are named independently,
+-- so the link is stored rather than inferred from the names.
+CREATE TABLE disease_pathogen (
+  disease_id   INTEGER PRIMARY KEY REFERENCES dim_disease (disease_id) ON DELETE CASCADE,
+  pathogen_id  INTEGER NOT NULL REFERENCES dim_pathogen (pathogen_id) ON DELETE CASCADE
+);
+
+-- Diseases were linked to pathogens by identical names until now; keep those
+-- links. Any other disease is linked with an explicit INSERT.
+INSERT INTO disease_pathogen (disease_id, pathogen_id)
+SELECT d.disease_id, p.pathogen_id
+FROM dim_disease d
+JOIN dim_pathogen p ON p.pathogen = d.disease_name;
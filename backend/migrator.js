@@ -0,0 +1,208 @@
+/**
+ * Schema Migrations
+ *
+ * Versioned DDL for the database, kept in migrations/ as pairs of SQL files:
+ *
+ *   NNNN_description.up.sql    applies the change
+ *   NNNN_description.down.sql  reverts it
+ *
+ * Applied versions are recorded in the schema_migrations table together with
+ * a checksum of their up script, so a migration that was edited after it ran
+ * is reported instead of silently diverging from the database. Each
+ * migration runs in its own transaction, and a session advisory lock keeps
+ * two deploys from migrating the same database at once.
+ *
+ * Run through scripts/migrate.js (`npm run migrate`).
+ *
+ * @module migrator
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// arbitrary constant identifying "a migration is running" for pg_advisory_lock
+const LOCK_KEY = 5500011;
+
+/** A migration could not be loaded, applied or reverted. */
+class MigrationError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'MigrationError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Read the migrations on disk, ordered by version.
+ *
+ * @param {string} [dir=MIGRATIONS_DIR]
+ * @returns {Array<{version: string, name: string, up: string, down: string, checksum: string}>}
+ * @throws {MigrationError} On misnamed files, duplicate versions or a missing up/down half
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.sql')).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) {
+      throw new MigrationError(`${file}: migration files must be named NNNN_description.up.sql / .down.sql`);
+    }
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name || migration[direction] !== undefined) {
+      throw new MigrationError(`${file}: version ${version} is used by more than one migration`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  return [...byVersion.values()].map((migration) => {
+    for (const direction of ['up', 'down']) {
+      if (migration[direction] === undefined) {
+        throw new MigrationError(`${migration.version}_${migration.name}: missing ${direction}.sql`);
+      }
+    }
+    const checksum = crypto.createHash('sha256').update(migration.up).digest('hex');
+    return { ...migration, checksum };
+  });
+}
+
+async function ensureTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     TEXT PRIMARY KEY,
+      name        TEXT NOT NULL,
+      checksum    TEXT NOT NULL,
+      applied_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+async function appliedMigrations(client) {
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+}
+
+async function withLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+  try {
+    await ensureTable(client);
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+  }
+}
+
+async function inTransaction(client, migration, direction, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw new MigrationError(
+      `${migration.version}_${migration.name} (${direction}) failed: ${err.message}`,
+      err
+    );
+  }
+}
+
+/**
+ * Compare the migrations on disk with the ones recorded in the database.
+ *
+ * @param {Object} client - Connected pg client
+ * @param {Array} [migrations=loadMigrations()]
+ * @returns {Promise<Array<{version, name, state: 'applied'|'pending'|'changed'|'missing', appliedAt}>>}
+ *   `changed`: applied, but its up script was edited since;
+ *   `missing`: recorded in the database but no longer on disk
+ */
+async function status(client, migrations = loadMigrations()) {
+  return withLock(client, async () => {
+    const applied = new Map((await appliedMigrations(client)).map(row => [row.version, row]));
+    const rows = migrations.map((migration) => {
+      const row = applied.get(migration.version);
+      applied.delete(migration.version);
+      let state = 'pending';
+      if (row) state = row.checksum === migration.checksum ? 'applied' : 'changed';
+      return { version: migration.version, name: migration.name, state, appliedAt: row ? row.applied_at : null };
+    });
+    for (const row of applied.values()) {
+      rows.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+    }
+    return rows.sort((a, b) => a.version.localeCompare(b.version));
+  });
+}
+
+/**
+ * Apply pending migrations in version order, stopping at the first failure
+ * (which is rolled back; earlier migrations stay applied).
+ *
+ * @param {Object} client - Connected pg client
+ * @param {Object} [options]
+ * @param {string} [options.to] - Last version to apply (default: all)
+ * @param {Array} [options.migrations=loadMigrations()]
+ * @returns {Promise<Array<string>>} Versions applied
+ * @throws {MigrationError} When an applied migration was edited, or one fails
+ */
+async function up(client, { to, migrations = loadMigrations() } = {}) {
+  return withLock(client, async () => {
+    const applied = new Map((await appliedMigrations(client)).map(row => [row.version, row]));
+
+    const changed = migrations.filter(m => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum);
+    if (changed.length > 0) {
+      throw new MigrationError(
+        `Applied migrations were modified: ${changed.map(m => `${m.version}_${m.name}`).join(', ')}. ` +
+        'Add a new migration instead of editing one that has run.'
+      );
+    }
+
+    const pending = migrations.filter(m => !applied.has(m.version) && (!to || m.version <= to));
+    for (const migration of pending) {
+      await inTransaction(client, migration, 'up', async () => {
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      });
+    }
+    return pending.map(m => m.version);
+  });
+}
+
+/**
+ * Revert the most recently applied migrations, newest first.
+ *
+ * @param {Object} client - Connected pg client
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - How many migrations to revert
+ * @param {Array} [options.migrations=loadMigrations()]
+ * @returns {Promise<Array<string>>} Versions reverted
+ * @throws {MigrationError} When an applied migration is no longer on disk, or one fails
+ */
+async function down(client, { steps = 1, migrations = loadMigrations() } = {}) {
+  return withLock(client, async () => {
+    const onDisk = new Map(migrations.map(m => [m.version, m]));
+    const targets = (await appliedMigrations(client)).reverse().slice(0, steps);
+
+    for (const row of targets) {
+      const migration = onDisk.get(row.version);
+      if (!migration) {
+        throw new MigrationError(`${row.version}_${row.name} is applied but its files are missing; cannot revert it`);
+      }
+      await inTransaction(client, migration, 'down', async () => {
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+    }
+    return targets.map(row => row.version);
+  });
+}
+
+module.exports = { loadMigrations, status, up, down, MigrationError, MIGRATIONS_DIR };
@@ -0,0 +1,419 @@
+/**
+ * OpenAPI Document
+ *
+ * Builds the OpenAPI 3 description of the API served at /api/openapi.json.
+ * Data routes are derived from routes/definitions.js: query parameters come
+ * from the same field definitions validate() enforces, cross-field rules are
+ * listed in the operation description, and responses from each route's
+ * `response` shape. The few operational endpoints mounted directly in
+ * server.js (health checks, admin) are described here.
+ *
+ * Response shapes are written with the `schema` helpers below, using short
+ * type names:
+ * - 'string', 'integer', 'number', 'boolean'
+ * - 'decimal': a PostgreSQL NUMERIC value, serialized as a string (BIGINT is
+ *   parsed to a number by db.js, so it is 'integer')
+ * - 'string[]': array of strings
+ * A trailing '?' marks a nullable property (e.g. 'number?').
+ *
+ * @module openapi
+ * @requires errors
+ */
+
+const { ErrorCodes } = require('./errors');
+const { version } = require('./package.json');
+
+const SCALARS = {
+  string: { type: 'string' },
+  integer: { type: 'integer' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  decimal: { type: 'string', format: 'decimal', description: 'Exact numeric value serialized as a string' },
+  'string[]': { type: 'array', items: { type: 'string' } },
+};
+
+/**
+ * Turn a short type name (see module docs) or a nested schema into a schema.
+ *
+ * @param {string|Object} type
+ * @returns {Object} OpenAPI schema
+ */
+function toSchema(type) {
+  if (typeof type !== 'string') return type;
+  const nullable = type.endsWith('?');
+  const base = SCALARS[nullable ? type.slice(0, -1) : type];
+  if (!base) {
+    throw new Error(`Unknown schema type "${type}"`);
+  }
+  return nullable ? { ...base, nullable: true } : { ...base };
+}
+
+const schema = {
+  /**
+   * A single JSON object with the given properties.
+   * @param {Object<string, string|Object>} properties
+   */
+  record(properties) {
+    const props = {};
+    for (const [name, type] of Object.entries(properties)) {
+      props[name] = toSchema(type);
+    }
+    return { type: 'object', properties: props, required: Object.keys(props) };
+  },
+
+  /**
+   * An array of rows with the given properties.
+   * @param {Object<string, string|Object>} properties
+   */
+  rows(properties) {
+    return { type: 'array', items: schema.record(properties) };
+  },
+};
+
+/**
+ * Describe one query or path parameter from its field definition.
+ *
+ * @param {string} name
+ * @param {Object} def - Field definition (see validation/fields.js)
+ * @param {string} [location='query'] - 'query' or 'path'
+ * @returns {Object} OpenAPI parameter object
+ */
+function parameterFor(name, def, location = 'query') {
+  const scalar = { type: def.type === 'integerList' ? 'integer' : def.type };
+  if (def.min !== undefined) scalar.minimum = def.min;
+  if (def.max !== undefined) scalar.maximum = def.max;
+  if (def.maxLength !== undefined) scalar.maxLength = def.maxLength;
+  if (def.enum) scalar.enum = def.enum;
+
+  const paramSchema = def.type === 'integerList' ? { type: 'array', items: scalar } : scalar;
+  if (def.default !== undefined) paramSchema.default = def.default;
+
+  const notes = [def.description];
+  if (def.known) {
+    notes.push(def.unknownCode
+      ? `Values missing from the database are rejected with 404 ${def.unknownCode}.`
+      : 'Values missing from the database are rejected with 400 VALIDATION_FAILED.');
+  }
+
+  const parameter = {
+    name,
+    in: location,
+    required: location === 'path' || Boolean(def.required),
+    description: notes.filter(Boolean).join('. '),
+    schema: paramSchema,
+  };
+  if (def.type === 'integerList') {
+    parameter.style = 'form';
+    parameter.explode = false;
+  }
+  return parameter;
+}
+
+/**
+ * Express path to OpenAPI path template: /api/diseases/:id -> /api/diseases/{id}
+ *
+ * @param {string} path
+ * @returns {string}
+ */
+function openApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+const errorResponse = name => ({ $ref: `#/components/responses/${name}` });
+
+/**
+ * Describe one data route from routes/definitions.js.
+ *
+ * @param {Object} route - Route definition
+ * @returns {Object} OpenAPI operation object
+ */
+function operationFor(route) {
+  const params = Object.entries(route.params || {});
+  const fields = [...params, ...Object.entries(route.query || {})];
+  const constraints = (route.rules || []).map(rule => `- ${rule.description}`);
+
+  const description = [route.description];
+  if (constraints.length > 0) {
+    description.push(`Constraints:\n${constraints.join('\n')}`);
+  }
+  if (route.statementTimeout) {
+    description.push(`Queries are cancelled after ${route.statementTimeout} ms (504 DATABASE_TIMEOUT).`);
+  }
+
+  const responses = {
+    200: {
+      description: 'Success. Also available as CSV or NDJSON (see the `format` parameter).',
+      content: {
+        'application/json': { schema: route.response || {} },
+        'text/csv': { schema: { type: 'string' } },
+        'application/x-ndjson': { schema: { type: 'string' } },
+      },
+    },
+  };
+  if (fields.length > 0) responses[400] = errorResponse('ValidationFailed');
+  if (fields.some(([, def]) => def.unknownCode)) {
+    responses[404] = errorResponse('NotFound');
+  }
+  responses[500] = errorResponse('InternalError');
+  responses[503] = errorResponse('DatabaseUnavailable');
+  responses[504] = errorResponse('DatabaseTimeout');
+
+  return {
+    operationId: route.handler.name,
+    summary: route.summary,
+    description: description.filter(Boolean).join('\n\n') || undefined,
+    tags: route.tags,
+    parameters: [
+      ...params.map(([name, def]) => parameterFor(name, def, 'path')),
+      ...Object.entries(route.query || {}).map(([name, def]) => parameterFor(name, def)),
+    ],
+    responses,
+  };
+}
+
+const checkSchema = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: ['ok', 'failed', 'skipped', 'disabled'] },
+    latencyMs: { type: 'integer' },
+    error: { type: 'string' },
+  },
+};
+
+const embeddingsCheckSchema = {
+  ...checkSchema,
+  properties: {
+    ...checkSchema.properties,
+    provider: { type: 'string', description: 'EMBEDDING_PROVIDER' },
+    model: { type: 'string', description: 'Model symptom search queries are embedded with' },
+  },
+};
+
+function readinessResponse(description) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: schema.record({
+          status: { type: 'string', enum: ['ready', 'unavailable'] },
+          checks: schema.record({ database: checkSchema, pgvector: checkSchema, embeddings: embeddingsCheckSchema }),
+        }),
+      },
+    },
+  };
+}
+
+const latestWeekSchema = {
+  ...schema.record({ year: 'integer', week: 'integer', weeksBehind: 'integer' }),
+  nullable: true,
+};
+
+const latestDeathsWeekSchema = {
+  ...schema.record({
+    year: 'integer',
+    week: 'integer',
+    weeksBehind: 'integer',
+    dataAsOf: { type: 'string', format: 'date', nullable: true, description: 'Data-as-of date of the last deaths load' },
+  }),
+  nullable: true,
+};
+
+// endpoints mounted directly in server.js rather than through the route table
+const operationalPaths = {
+  '/api/health': {
+    get: {
+      operationId: 'getHealth',
+      summary: 'Check that the server is running',
+      tags: ['Operations'],
+      responses: {
+        200: {
+          description: 'The server is up',
+          content: { 'application/json': { schema: schema.record({ status: 'string' }) } },
+        },
+      },
+    },
+  },
+  '/api/health/ready': {
+    get: {
+      operationId: 'getHealthReady',
+      summary: 'Check Postgres connectivity and pgvector availability',
+      description:
+        'The embeddings check reports "disabled" when the embedding provider has no API key configured; ' +
+        'symptom search then answers 503 EMBEDDINGS_UNAVAILABLE but the server is still ready.',
+      tags: ['Operations'],
+      responses: {
+        200: readinessResponse('Every check passed'),
+        503: readinessResponse('At least one check failed'),
+      },
+    },
+  },
+  '/api/health/data': {
+    get: {
+      operationId: 'getHealthData',
+      summary: 'Report how fresh the loaded surveillance data is',
+      tags: ['Operations'],
+      responses: {
+        200: {
+          description: 'Latest loaded MMWR weeks, population years and embedding coverage',
+          content: {
+            'application/json': {
+              schema: schema.record({
+                casesWeekly: latestWeekSchema,
+                nndssWeekly: latestWeekSchema,
+                deathsWeekly: latestDeathsWeekSchema,
+                population: schema.record({ latestYear: 'integer?', latestDemographicYear: 'integer?' }),
+                embeddings: schema.record({
+                  diseasesWithEmbeddings: 'integer',
+                  totalDiseases: 'integer',
+                  queryModel: 'string',
+                  models: schema.rows({ model: 'string', dimensions: 'integer', diseases: 'integer' }),
+                }),
+                checkedAt: { type: 'string', format: 'date-time' },
+              }),
+            },
+          },
+        },
+        503: errorResponse('DatabaseUnavailable'),
+        504: errorResponse('DatabaseTimeout'),
+      },
+    },
+  },
+  '/api/metrics': {
+    get: {
+      operationId: 'getMetrics',
+      summary: 'Prometheus metrics for requests, SQL queries, the pool and the query cache',
+      tags: ['Operations'],
+      responses: {
+        200: {
+          description: 'Metrics in the Prometheus text exposition format (version 0.0.4)',
+          content: { 'text/plain': { schema: { type: 'string' } } },
+        },
+      },
+    },
+  },
+  '/api/admin/cache/flush': {
+    post: {
+      operationId: 'flushCache',
+      summary: 'Flush the query cache after a data load',
+      tags: ['Operations'],
+      security: [{ adminToken: [] }],
+      responses: {
+        200: {
+          description: 'Number of flushed entries and the cache statistics afterwards',
+          content: {
+            'application/json': {
+              schema: schema.record({
+                flushed: 'integer',
+                cache: schema.record({
+                  entries: 'integer',
+                  maxEntries: 'integer',
+                  defaultTtlSeconds: 'integer',
+                  hits: 'integer',
+                  misses: 'integer',
+                  evictions: 'integer',
+                }),
+              }),
+            },
+          },
+        },
+        401: errorResponse('Unauthorized'),
+      },
+    },
+  },
+};
+
+function errorResponseFor(description, headers) {
+  return {
+    description,
+    headers,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+  };
+}
+
+const retryAfterHeader = {
+  'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } },
+};
+
+/**
+ * Build the OpenAPI document for a route table.
+ *
+ * @param {Array<Object>} routes - Route definitions (see routes/definitions.js)
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildSpec(routes) {
+  const paths = {};
+  for (const route of routes) {
+    paths[openApiPath(route.path)] = { get: operationFor(route) };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Disease Analytics Platform API',
+      version,
+      description:
+        'Disease surveillance analytics over CDC case, death and census population data. ' +
+        'Every error response uses the Error envelope.',
+    },
+    paths: { ...paths, ...operationalPaths },
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['code', 'message', 'details', 'requestId'],
+          properties: {
+            code: { type: 'string', enum: Object.values(ErrorCodes) },
+            message: { type: 'string' },
+            details: {
+              nullable: true,
+              description:
+                'For validation errors, one entry per invalid parameter; ' +
+                'for 503/504 errors, whether and when to retry (also sent as a Retry-After header)',
+              oneOf: [
+                {
+                  type: 'array',
+                  items: schema.record({ field: 'string', reason: 'string', message: 'string' }),
+                },
+                {
+                  type: 'object',
+                  properties: {
+                    retryable: { type: 'boolean' },
+                    retryAfterSeconds: { type: 'integer' },
+                    statementTimeoutMs: { type: 'integer' },
+                  },
+                },
+              ],
+            },
+            requestId: { type: 'string' },
+          },
+        },
+      },
+      responses: {
+        ValidationFailed: errorResponseFor('One or more query parameters are invalid (VALIDATION_FAILED)'),
+        NotFound: errorResponseFor('Unknown state or disease, or no data for the requested year'),
+        Unauthorized: errorResponseFor('Missing or invalid admin token (UNAUTHORIZED)'),
+        InternalError: errorResponseFor('Unexpected server error (INTERNAL_ERROR)'),
+        DatabaseUnavailable: errorResponseFor(
+          'The database cannot be reached or has no free connection (DATABASE_UNAVAILABLE), ' +
+          'or the feature needs a service the server is not configured for (EMBEDDINGS_UNAVAILABLE), ' +
+          'or the stored embeddings come from another model than the configured provider (EMBEDDINGS_MODEL_MISMATCH)',
+          retryAfterHeader
+        ),
+        DatabaseTimeout: errorResponseFor(
+          'The query exceeded the route\'s time limit and was cancelled (DATABASE_TIMEOUT)',
+          retryAfterHeader
+        ),
+      },
+      securitySchemes: {
+        adminToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'The ADMIN_TOKEN configured on the server',
+        },
+      },
+    },
+  };
+}
+
+module.exports = { buildSpec, schema, openApiPath };
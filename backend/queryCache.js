@@ -0,0 +1,97 @@
+/**
+ * Query Result Cache
+ *
+ * In-process cache for read-only query results, keyed by SQL text + params.
+ * The surveillance data behind the API only changes when a new load runs, so
+ * the heavy analytic CTEs are served from memory until their TTL expires or
+ * the cache is flushed through POST /api/admin/cache/flush after a data load.
+ *
+ * Settings (see config.js):
+ * - QUERY_CACHE_TTL_SECONDS: default TTL for routes without their own cacheTtl (default 3600)
+ * - QUERY_CACHE_MAX_ENTRIES: maximum number of cached results (default 500)
+ *
+ * @module queryCache
+ * @requires config
+ * @requires utils/lruCache
+ */
+
+const config = require('./config');
+const LruCache = require('./utils/lruCache');
+
+const defaultTtlSeconds = config.queryCacheTtlSeconds;
+const maxEntries = config.queryCacheMaxEntries;
+
+const cache = new LruCache({ maxEntries });
+const inflight = new Map();
+const stats = { hits: 0, misses: 0 };
+
+function keyFor(text, params) {
+  return `${text}\u0000${JSON.stringify(params || [])}`;
+}
+
+/**
+ * Return the cached result for a query, or run it and cache the result.
+ *
+ * Concurrent misses for the same key share one database round trip. Failed
+ * queries are never cached.
+ *
+ * @param {string} text - SQL text
+ * @param {Array} params - Query parameters
+ * @param {number} ttlSeconds - How long to keep the result
+ * @param {Function} run - Executes the query, returns a Promise of the result
+ * @returns {Promise<Object>} Query result
+ */
+async function cached(text, params, ttlSeconds, run) {
+  const key = keyFor(text, params);
+
+  const hit = cache.get(key);
+  if (hit !== undefined) {
+    stats.hits += 1;
+    return hit;
+  }
+
+  if (inflight.has(key)) {
+    stats.hits += 1;
+    return inflight.get(key);
+  }
+
+  stats.misses += 1;
+  const promise = run()
+    .then((result) => {
+      cache.set(key, result, ttlSeconds * 1000);
+      return result;
+    })
+    .finally(() => {
+      inflight.delete(key);
+    });
+
+  inflight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Drop every cached result.
+ *
+ * @returns {number} Number of entries removed
+ */
+function flush() {
+  const flushed = cache.size;
+  cache.clear();
+  return flushed;
+}
+
+/**
+ * @returns {Object} Current size, limits and hit/miss counters
+ */
+function getStats() {
+  return {
+    entries: cache.size,
+    maxEntries,
+    defaultTtlSeconds,
+    hits: stats.hits,
+    misses: stats.misses,
+    evictions: cache.evictions,
+  };
+}
+
+module.exports = { cached, flush, getStats, defaultTtlSeconds };
@@ -0,0 +1,47 @@
+/**
+ * Rate Cubes
+ *
+ * Materialized views of per-capita case rates (migrations/0009_create_rate_cubes),
+ * read by the rate routes instead of aggregating fact_cases_weekly and
+ * resolving populations on every request:
+ *
+ *   rate_state_disease_year     yearly cases, population and rate by state and disease
+ *   rate_state_disease_week     weekly cases and rate by state and disease
+ *   rate_national_disease_year  yearly cases, population and rate by disease for the country
+ *
+ * The views only change when refreshed, so every load of cases or
+ * populations must be followed by a refresh. The ingestion commands and the
+ * seed refresh them; scripts/refreshRates.js (`npm run refresh:rates`) does
+ * it on demand, e.g. after editing the facts by hand.
+ *
+ * @module rateCubes
+ */
+
+/** The views, in refresh order: the national cube is built from the state cube */
+const RATE_CUBES = ['rate_state_disease_year', 'rate_state_disease_week', 'rate_national_disease_year'];
+
+/**
+ * Refresh every rate cube and update its planner statistics.
+ *
+ * A concurrent refresh lets the API keep reading the old rows while the new
+ * ones are computed; it is slower, so a database nobody reads from yet (the
+ * seed) can skip it.
+ *
+ * @param {Object} client - Connected pg client
+ * @param {Object} [options]
+ * @param {boolean} [options.concurrently=true]
+ * @returns {Promise<Array<{view: string, rows: number, ms: number}>>} One entry per view
+ */
+async function refreshRateCubes(client, { concurrently = true } = {}) {
+  const refreshed = [];
+  for (const view of RATE_CUBES) {
+    const started = Date.now();
+    await client.query(`REFRESH MATERIALIZED VIEW ${concurrently ? 'CONCURRENTLY ' : ''}${view}`);
+    await client.query(`ANALYZE ${view}`);
+    const count = await client.query(`SELECT COUNT(*) AS rows FROM ${view}`);
+    refreshed.push({ view, rows: Number(count.rows[0].rows), ms: Date.now() - started });
+  }
+  return refreshed;
+}
+
+module.exports = { refreshRateCubes, RATE_CUBES };
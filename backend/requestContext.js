@@ -0,0 +1,83 @@
+/**
+ * Request Context
+ *
+ * Carries per-request information (request ID, matched route, route options)
+ * through async calls without threading `req` into every function. db.js
+ * reads it to apply the current route's query-cache TTL and statement timeout,
+ * to time queries per request and to cancel them when the client goes away;
+ * logger.js reads it to tag every entry with the request ID.
+ *
+ * @module requestContext
+ * @requires async_hooks
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Get the context of the request currently being handled.
+ *
+ * @returns {Object} Context object, or an empty object outside a request
+ *                   (e.g. in scripts)
+ */
+function getContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Middleware that opens the context for every request: its ID, the counters
+ * db.js adds each query's duration to, and an AbortSignal that fires when the
+ * client disconnects before the response is sent (db.js then cancels the
+ * request's running query).
+ */
+function requestScope(req, res, next) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  storage.run(
+    {
+      requestId: req.id,
+      signal: controller.signal,
+      db: { queries: 0, durationMs: 0 },
+    },
+    next
+  );
+}
+
+/**
+ * Build the middleware that extends the request context with a route from
+ * routes/definitions.js. Everything the rest of the middleware chain and the
+ * handler run, including their async continuations, sees this context.
+ *
+ * `sensitive` is set when any of the route's parameters is flagged
+ * `sensitive: true` (e.g. free-text symptom descriptions), so their values are
+ * kept out of the logs.
+ *
+ * @param {Object} route - Route definition
+ * @returns {Function} Express middleware
+ */
+function routeContext(route) {
+  const sensitiveFields = Object.keys(route.query || {}).filter(name => route.query[name].sensitive);
+  const sensitive = sensitiveFields.length > 0;
+
+  return (req, res, next) => {
+    // read by the request logger, which runs outside this context
+    req.sensitiveFields = sensitiveFields;
+    storage.run(
+      {
+        ...getContext(),
+        requestId: req.id,
+        route: route.path,
+        cacheTtl: route.cacheTtl,
+        statementTimeout: route.statementTimeout,
+        sensitive,
+      },
+      next
+    );
+  };
+}
+
+module.exports = { getContext, requestScope, routeContext };
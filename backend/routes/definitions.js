@@ -0,0 +1,508 @@
+/**
+ * API Route Definitions
+ *
+ * Single table of every /api data route: its path, handler and the
+ * declarative schema of the query parameters it accepts (and, under
+ * `params`, of the path parameters in its path). server.js mounts
+ * each entry behind the validate() middleware, so handlers receive parsed,
+ * checked values on req.validated and never read req.query directly.
+ *
+ * Every route also accepts the shared `format` parameter (json, csv, ndjson;
+ * see middleware/responseFormat.js).
+ *
+ * `summary`, `description`, `tags` and `response` (built with the helpers in
+ * openapi.js) only feed the OpenAPI document served at /api/openapi.json.
+ *
+ * `cacheTtl` (seconds) overrides the default query-cache TTL for the route's
+ * queries (see queryCache.js); 0 disables caching.
+ *
+ * `statementTimeout` (milliseconds) overrides DB_STATEMENT_TIMEOUT_MS for the
+ * route's queries (see db.js); a query running longer is cancelled and the
+ * request fails with 504 DATABASE_TIMEOUT.
+ *
+ * @module routes/definitions
+ */
+
+const fields = require('../validation/fields');
+const { rules } = require('../validation/validate');
+const { schema } = require('../openapi');
+
+/** See the population_method type in migrations/0007_resolve_population.up.sql */
+const populationMethod = {
+  type: 'string',
+  enum: ['census', 'interpolated', 'projected', 'nearest'],
+  description: 'How the population behind the figures was obtained: the Census estimate, interpolated ' +
+    'between estimates, projected past the last estimate, or the nearest (only) estimate',
+};
+
+/** Population of each value of a demographic column, with its share of the total */
+const demographicShares = schema.rows({ value: 'string', population: 'number', share: 'number' });
+
+const routes = [
+  {
+    path: '/api/states',
+    summary: 'List all states',
+    tags: ['Reference data'],
+    response: schema.rows({ regionId: 'integer', stateName: 'string' }),
+    handler: require('./states'),
+    cacheTtl: 24 * 60 * 60,
+    statementTimeout: 5000,
+    query: {},
+  },
+  {
+    path: '/api/states/:stateName/profile',
+    summary: 'Profile of one state: population, disease rates and ranks, rising diseases, outliers and deaths',
+    description: 'Computed with the same SQL as the routes it summarizes: casesPer100k and rank match ' +
+      '/api/state-yearly-percapita, highOutlier matches /api/states-high-outliers and estimatedDeaths matches ' +
+      '/api/estimated-deaths-by-state. A disease is rising when its rate is higher than in the previous year.',
+    tags: ['Trends and outliers'],
+    response: schema.record({
+      stateName: 'string',
+      year: 'integer',
+      population: schema.record({
+        total: 'number?',
+        populationMethod: { ...populationMethod, nullable: true },
+        byRace: demographicShares,
+        bySex: demographicShares,
+        byAgeGroup: demographicShares,
+      }),
+      diseases: schema.rows({
+        diseaseId: 'integer',
+        diseaseName: 'string',
+        casesPer100k: 'number?',
+        nationalCasesPer100k: 'number?',
+        rank: 'integer',
+        statesRanked: 'integer',
+        highOutlier: 'boolean',
+        populationMethod,
+      }),
+      rising: schema.rows({ diseaseName: 'string', previousCasesPer100k: 'number', casesPer100k: 'number' }),
+      estimatedDeaths: schema.rows({
+        pathogen: 'string',
+        estimatedDeaths: 'number?',
+        populationMethod: { ...populationMethod, nullable: true },
+      }),
+    }),
+    handler: require('./getStateProfile'),
+    params: {
+      stateName: { ...fields.stateName, required: true },
+    },
+    query: {
+      year: { ...fields.yearWithData('caseYears'), required: true },
+    },
+  },
+  {
+    path: '/api/diseases',
+    summary: 'List diseases',
+    tags: ['Reference data'],
+    response: schema.rows({ diseaseId: 'integer', diseaseName: 'string' }),
+    handler: require('./getDiseases'),
+    cacheTtl: 24 * 60 * 60,
+    statementTimeout: 5000,
+    query: {
+      year: { ...fields.year, description: 'Only list diseases with cases in this year' },
+    },
+  },
+  {
+    path: '/api/diseases/:id',
+    summary: 'Profile of one disease: symptoms, data coverage, national rates, top states and deaths',
+    description: 'topStates ranks the states as /api/state-yearly-percapita does, in the latest year with cases. ' +
+      'deaths is only present for diseases linked to a pathogen of the deaths data (disease_pathogen).',
+    tags: ['Reference data'],
+    response: schema.record({
+      diseaseId: 'integer',
+      diseaseName: 'string',
+      symptoms: 'string?',
+      hasEmbedding: 'boolean',
+      embeddingModel: 'string?',
+      coverage: schema.rows({ year: 'integer', weeks: 'integer', firstWeek: 'integer', lastWeek: 'integer' }),
+      nationalRates: schema.rows({
+        year: 'integer',
+        totalCases: 'number?',
+        population: 'number',
+        casesPer100k: 'number?',
+        populationMethod,
+      }),
+      topStates: {
+        ...schema.record({
+          year: 'integer',
+          states: schema.rows({ stateName: 'string', totalCases: 'number?', casesPer100k: 'number?', populationMethod }),
+        }),
+        nullable: true,
+      },
+      deaths: {
+        ...schema.record({
+          pathogen: 'string',
+          totalDeaths: 'number',
+          byYear: schema.rows({ year: 'integer', deaths: 'number' }),
+        }),
+        nullable: true,
+      },
+    }),
+    handler: require('./getDiseaseDetail'),
+    params: {
+      id: { ...fields.diseaseId, required: true, unknownMessage: 'Unknown disease id {value}' },
+    },
+    query: {},
+  },
+  {
+    path: '/api/state-yearly-percapita',
+    summary: 'Yearly cases per 100k for one disease in every state',
+    tags: ['Case rates'],
+    response: schema.rows({
+      stateName: 'string',
+      diseaseName: 'string',
+      perCapitaYearlyCases: 'number?',
+      populationMethod,
+    }),
+    handler: require('./getStateYearlyPercapita'),
+    query: {
+      year: { ...fields.yearWithData('caseYears'), required: true },
+      diseaseId: { ...fields.diseaseId, required: true },
+    },
+  },
+  {
+    path: '/api/state-weekly-percapita',
+    summary: 'Weekly cases per 100k and the 52-week maximum for the given diseases',
+    tags: ['Case rates'],
+    response: schema.rows({
+      state_name: 'string',
+      disease_name: 'string',
+      perCapitaWeeklyCases: 'decimal?',
+      perCapita52WeekMax: 'decimal?',
+      populationMethod,
+    }),
+    handler: require('./getStateWeeklyPercapita'),
+    query: {
+      year: { ...fields.yearWithData('caseYears'), required: true },
+      week: { ...fields.week, required: true },
+      diseaseIds: {
+        ...fields.diseaseId,
+        type: 'integerList',
+        required: true,
+        description: 'Comma-separated list of disease identifiers',
+      },
+    },
+  },
+  {
+    path: '/api/demographic-options',
+    summary: 'Race, sex and age-group values available as demographic filters',
+    tags: ['Reference data'],
+    response: schema.record({ races: 'string[]', sexes: 'string[]', ageGroups: 'string[]' }),
+    handler: require('./getDemographicOptions'),
+    cacheTtl: 24 * 60 * 60,
+    statementTimeout: 5000,
+    query: {},
+  },
+  {
+    path: '/api/deaths-by-pathogen-demographic',
+    summary: 'Deaths and share of deaths for a pathogen in one demographic group',
+    tags: ['Demographics'],
+    response: schema.record({
+      pathogen: 'string',
+      year: 'integer',
+      race: 'string?',
+      sex: 'string?',
+      ageGroup: 'string?',
+      demographicType: 'string',
+      demographicValue: 'string',
+      totalDeaths: 'number',
+      sumOfTotalDeaths: 'number',
+      percentDeaths: 'number',
+    }),
+    handler: require('./getDeathsByPathogenDemographic'),
+    query: {
+      pathogen: { ...fields.pathogen, required: true },
+      year: { ...fields.yearWithData('deathYears'), required: true },
+      race: { type: 'string', known: 'deathRaces', description: 'Race/ethnicity group' },
+      sex: { type: 'string', known: 'deathSexes', description: 'Sex' },
+      ageGroup: { type: 'string', known: 'deathAgeGroups', description: 'Age group (e.g. "65+ years")' },
+    },
+    rules: [rules.exactlyOne(['race', 'sex', 'ageGroup'])],
+  },
+  {
+    path: '/api/estimated-demographic-cases',
+    summary: 'Estimated cases in one demographic group of a state',
+    description: 'Allocates the state\'s yearly NNDSS cases in proportion to the group\'s share of the population.',
+    tags: ['Demographics'],
+    response: schema.record({
+      stateName: 'string',
+      diseaseName: 'string',
+      year: 'integer',
+      popYear: 'integer',
+      race: 'string',
+      sex: 'string',
+      ageGroup: 'string',
+      population: 'number',
+      populationMethod,
+      totalYearlyCases: 'number',
+      estimatedDemographicCases: 'number',
+      casesPer100k: 'number',
+    }),
+    handler: require('./getEstimatedDemographicCases'),
+    query: {
+      stateName: { ...fields.stateName, required: true },
+      diseaseName: { ...fields.diseaseName, required: true },
+      year: { ...fields.yearWithData('nndssYears'), required: true },
+      race: { type: 'string', required: true, known: 'races', description: 'Race category' },
+      sex: { type: 'string', required: true, known: 'sexes', description: 'Sex category' },
+      ageGroup: { type: 'string', required: true, known: 'ageGroups', description: 'Age group category' },
+    },
+  },
+  {
+    path: '/api/top-states-by-disease',
+    summary: 'Disease with the highest rate in each state',
+    tags: ['Trends and outliers'],
+    response: schema.rows({
+      stateName: 'string',
+      diseaseName: 'string',
+      totalCases: 'integer',
+      totalPopulation: 'integer',
+      casesPer100k: 'decimal?',
+      populationMethod,
+    }),
+    handler: require('./getTopStatesByDisease'),
+    query: {
+      year: { ...fields.yearWithData('caseYears'), default: 2025 },
+    },
+  },
+  {
+    path: '/api/states-rising-4years',
+    summary: 'States whose rate rose every year over a 4-year window',
+    tags: ['Trends and outliers'],
+    response: schema.rows({ stateName: 'string', populationMethod }),
+    handler: require('./getStatesRising4Years'),
+    query: {
+      diseaseName: { ...fields.diseaseName, required: true },
+      startYear: { ...fields.year, required: true, description: 'First year of the 4-year window' },
+      endYear: { ...fields.year, required: true, description: 'Last year of the 4-year window' },
+    },
+    rules: [rules.yearSpan('startYear', 'endYear', 3)],
+  },
+  {
+    path: '/api/states-high-outliers',
+    summary: 'States more than one standard deviation above the mean rate',
+    tags: ['Trends and outliers'],
+    response: schema.rows({
+      stateName: 'string',
+      perCapita: 'number',
+      avgRate: 'number',
+      stdRate: 'number',
+      populationMethod,
+    }),
+    handler: require('./getStatesHighOutliers'),
+    query: {
+      diseaseName: { ...fields.diseaseName, required: true },
+      year: { ...fields.yearWithData('caseYears'), required: true },
+    },
+  },
+  {
+    path: '/api/state-demographic-overunder',
+    summary: 'Share of cases vs share of population for each demographic group',
+    tags: ['Demographics'],
+    response: schema.rows({
+      race: 'string',
+      sex: 'string',
+      ageGroup: 'string',
+      demoCases: 'number',
+      demoPopulation: 'number',
+      shareOfCases: 'number',
+      shareOfPopulation: 'number',
+      overUnderExposure: 'number',
+      populationMethod,
+    }),
+    handler: require('./getStateDemographicOverUnder'),
+    // joins every state's demographic population; the slowest analysis
+    statementTimeout: 60000,
+    query: {
+      stateName: { ...fields.stateName, required: true },
+      diseaseName: { ...fields.diseaseName, required: true },
+      year: { ...fields.yearWithData('nndssYears'), required: true },
+    },
+  },
+  {
+    path: '/api/states-below-national-all-races',
+    summary: 'States where every racial group is below its national death rate',
+    tags: ['Trends and outliers'],
+    response: schema.rows({ stateName: 'string', populationMethod }),
+    handler: require('./getStatesBelowNationalAllRaces'),
+    query: {
+      diseaseName: { ...fields.diseaseName, required: true },
+      year: { ...fields.year, required: true },
+    },
+  },
+  {
+    path: '/api/state-vs-national-trend',
+    summary: 'Yearly state rate compared with the national rate',
+    tags: ['Trends and outliers'],
+    response: schema.rows({
+      year: 'integer',
+      stateCasesPer100k: 'number',
+      nationalCasesPer100k: 'number',
+      populationMethod: { ...populationMethod, nullable: true },
+    }),
+    handler: require('./getStateVsNationalTrend'),
+    query: {
+      diseaseName: { ...fields.diseaseName, required: true },
+      stateName: { ...fields.stateName, required: true },
+      startYear: { ...fields.year, required: true, description: 'First year of the comparison' },
+      endYear: { ...fields.year, required: true, description: 'Last year of the comparison' },
+    },
+    rules: [rules.yearSpan('startYear', 'endYear')],
+  },
+  {
+    path: '/api/state-vs-national-trend-weekly',
+    summary: 'Weekly case totals for a disease in one state',
+    tags: ['Trends and outliers'],
+    response: schema.rows({
+      year: 'integer',
+      week: 'integer',
+      state_name: 'string',
+      disease_name: 'string',
+      total_cases: 'integer',
+    }),
+    handler: require('./getStateVsNationalTrendWeekly'),
+    query: {
+      stateName: { ...fields.stateName, required: true },
+      diseaseName: { ...fields.diseaseName, required: true },
+    },
+  },
+  {
+    path: '/api/estimated-deaths-by-state',
+    summary: 'Estimated deaths from a pathogen in one state',
+    description: 'Applies national age-group death rates to the state\'s age-group population.',
+    tags: ['Demographics'],
+    response: schema.record({
+      state: 'string',
+      year: 'integer',
+      pathogen: 'string',
+      estimated_deaths: 'integer?',
+      populationMethod: { ...populationMethod, nullable: true },
+    }),
+    handler: require('./getEstimatedDeathsByState'),
+    query: {
+      pathogen: { ...fields.pathogen, required: true },
+      year: { ...fields.yearWithData('deathYears'), required: true },
+      state: { ...fields.stateName, required: true },
+    },
+  },
+  {
+    path: '/api/similar-symptoms',
+    summary: 'Diseases whose symptoms are most similar to a free-text description',
+    description: 'Splits the text into present and absent symptoms ("cough, no fever"), then ranks diseases ' +
+      'on the present ones, penalizing matches on the absent ones. Rankings: the cosine distance between ' +
+      'symptom embeddings (vector), full-text matching of the symptom text (text), or both combined with ' +
+      'reciprocal rank fusion (hybrid). Text mode works without an embedding provider; without one, hybrid ' +
+      'mode falls back to it and fallback is EMBEDDINGS_UNAVAILABLE. A text naming only ' +
+      'absent symptoms is rejected with 400 VALIDATION_FAILED. With a stateName, diseases are reordered by ' +
+      'a posterior score that also weighs their incidence in the state over the four weeks up to year/week ' +
+      '(default: the latest week with data).',
+    tags: ['Symptoms'],
+    response: schema.record({
+      mode: { type: 'string', enum: ['hybrid', 'vector', 'text'] },
+      fallback: { type: 'string', enum: ['EMBEDDINGS_UNAVAILABLE'], nullable: true },
+      parsed: schema.record({ present: 'string[]', absent: 'string[]' }),
+      prevalence: {
+        ...schema.record({ stateName: 'string', year: 'integer?', week: 'integer?', weeks: 'integer' }),
+        nullable: true,
+      },
+      results: schema.rows({
+        disease_name: 'string',
+        distance: 'decimal?',
+        similarity: 'decimal?',
+        negated_similarity: 'decimal?',
+        text_rank: 'decimal?',
+        score: 'decimal',
+        matched_terms: 'string[]',
+        negated_terms: 'string[]',
+        incidence_per_100k: 'decimal?',
+        prior: 'decimal?',
+        adjusted_score: 'decimal?',
+      }),
+    }),
+    handler: require('./getSymptoms'),
+    // free-text queries rarely repeat; caching them would only evict useful entries
+    cacheTtl: 0,
+    query: {
+      text: {
+        type: 'string',
+        required: true,
+        maxLength: 1000,
+        sensitive: true,
+        description: 'Free-text symptom description',
+      },
+      mode: {
+        type: 'string',
+        enum: ['hybrid', 'vector', 'text'],
+        default: 'hybrid',
+        description: 'Ranking: embeddings and full text combined, embeddings only, or full text only',
+      },
+      limit: { type: 'integer', min: 1, max: 100, default: 15, description: 'Maximum number of results' },
+      minSimilarity: {
+        type: 'number',
+        min: -1,
+        max: 1,
+        description: 'Minimum cosine similarity (1 - distance) for the embedding ranking; in hybrid mode ' +
+          'diseases below it can still match on text',
+      },
+      stateName: { ...fields.stateName, description: 'Weigh the ranking by recent incidence in this state' },
+      year: { ...fields.yearWithData('caseYears'), description: 'MMWR year the incidence is taken up to' },
+      week: { ...fields.week, description: 'MMWR week the incidence is taken up to' },
+    },
+    rules: [rules.together(['year', 'week']), rules.requires(['year', 'week'], 'stateName')],
+  },
+  {
+    path: '/api/symptom-vocabulary',
+    summary: 'Symptom phrases used in the disease symptom descriptions',
+    description: 'Phrases are normalized (lower case, plural "s" ignored) and de-duplicated. A disease counts ' +
+      'for a symptom when its description contains the symptom\'s words in a row.',
+    tags: ['Symptoms'],
+    response: schema.rows({ symptom: 'string', diseaseCount: 'integer' }),
+    handler: require('./getSymptomVocabulary'),
+    cacheTtl: 24 * 60 * 60,
+    query: {
+      minDiseases: {
+        type: 'integer',
+        min: 1,
+        default: 1,
+        description: 'Only list symptoms mentioned by at least this many diseases',
+      },
+    },
+  },
+  {
+    path: '/api/symptom-suggestions',
+    summary: 'Autocomplete suggestions from the symptom vocabulary',
+    description: 'Symptoms starting with the text come first, then symptoms with a later word starting with ' +
+      'it, then symptoms a typing error away (from four characters on). Within each group, symptoms of more ' +
+      'diseases come first.',
+    tags: ['Symptoms'],
+    response: schema.rows({ symptom: 'string', diseaseCount: 'integer', match: { type: 'string', enum: ['prefix', 'fuzzy'] } }),
+    handler: require('./getSymptomSuggestions'),
+    cacheTtl: 24 * 60 * 60,
+    query: {
+      q: { type: 'string', required: true, maxLength: 100, description: 'Text typed so far' },
+      limit: { type: 'integer', min: 1, max: 50, default: 10, description: 'Maximum number of suggestions' },
+    },
+  },
+  {
+    path: '/api/diseases-with-symptom',
+    summary: 'Diseases whose symptom description mentions a symptom',
+    tags: ['Symptoms'],
+    response: schema.rows({ diseaseId: 'integer', diseaseName: 'string', symptoms: 'string' }),
+    handler: require('./getDiseasesWithSymptom'),
+    cacheTtl: 24 * 60 * 60,
+    query: {
+      symptom: {
+        type: 'string',
+        required: true,
+        maxLength: 200,
+        description: 'Symptom phrase, e.g. from /api/symptom-vocabulary; matched ignoring case and plural "s"',
+      },
+    },
+  },
+];
+
+module.exports = routes.map(route => ({
+  ...route,
+  query: { ...route.query, format: fields.format },
+}));
@@ -16,7 +16,9 @@ const disease = async function (req, res) {
         FROM fact_cases_weekly f
         JOIN dim_disease d ON f.disease_id = d.disease_id
         JOIN dim_region r ON f.region_id = r.region_id
-        JOIN fact_population_state_year p ON p.region_id = f.region_id AND p.year = 2023
+        JOIN resolve_population_state_year(
+          (SELECT MIN(year) FROM fact_cases_weekly), (SELECT MAX(year) FROM fact_cases_weekly)
+        ) p ON p.region_id = f.region_id AND p.year = f.year
         GROUP BY d.disease_name, r.state_name
       )
       SELECT * FROM disease_state
@@ -0,0 +1,26 @@
+const queryCache = require('../queryCache');
+const { clearVocabularies } = require('../validation/reference');
+
+/**
+ * POST /api/admin/cache/flush
+ * 
+ * Empties the query result cache and the reference vocabularies used for
+ * parameter validation. Run after every data load so the API serves the new
+ * data immediately instead of waiting for cached entries to expire.
+ * Requires `Authorization: Bearer <ADMIN_TOKEN>`.
+ * 
+ * @returns {Object} Flush summary:
+ *   - flushed: Number of cached query results removed
+ *   - cache: Cache statistics after the flush
+ * 
+ * @example
+ * POST /api/admin/cache/flush
+ * Response: { flushed: 42, cache: { entries: 0, maxEntries: 500, ... } }
+ */
+const flushCache = async (req, res) => {
+    const flushed = queryCache.flush();
+    clearVocabularies();
+    res.json({ flushed, cache: queryCache.getStats() });
+  };
+
+  module.exports = flushCache;
@@ -0,0 +1,38 @@
+/**
+ * GET /api/docs
+ * 
+ * Interactive API documentation: a Swagger UI page (loaded from a CDN) that
+ * renders /api/openapi.json and lets you try every endpoint from the browser.
+ * 
+ * @returns {string} HTML page
+ * 
+ * @example
+ * GET /api/docs
+ */
+const SWAGGER_UI = 'https://unpkg.com/swagger-ui-dist@5';
+
+const page = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Disease Analytics Platform API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.onload = () => {
+      window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui' });
+    };
+  </script>
+</body>
+</html>
+`;
+
+const getApiDocs = async (req, res) => {
+    res.type('html').send(page);
+  };
+
+  module.exports = getApiDocs;
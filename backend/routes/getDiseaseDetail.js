@@ -0,0 +1,159 @@
+const { query } = require('../db');
+const { NotFoundError, ErrorCodes } = require('../errors');
+
+const TOP_STATES = 5;
+
+/**
+ * GET /api/diseases/:id
+ *
+ * Everything known about one disease, for a disease profile page: its
+ * symptoms, the data available for it, its national rate over time, the
+ * states where it is most common and, for the flu / RSV / COVID-19
+ * pathogens, its deaths.
+ *
+ * @param {number} id - Disease identifier (path parameter)
+ *
+ * @returns {Object} Disease profile:
+ *   - diseaseId, diseaseName
+ *   - symptoms: Symptom description; null when there is none
+ *   - hasEmbedding: Whether the symptom description has an embedding (so the
+ *     disease can be found by /api/similar-symptoms' vector search)
+ *   - embeddingModel: Model of that embedding; null without one
+ *   - coverage: Years with case data, each with the number of weeks in
+ *     which any state reported a count and the first and last of them
+ *   - nationalRates: Cases per 100k for the whole country by year
+ *   - topStates: The five states with the highest rate in the latest year
+ *     with data, ranked as /api/state-yearly-percapita ranks them; null
+ *     without case data
+ *   - deaths: Deaths by year when the disease is linked to a pathogen of the
+ *     deaths data (disease_pathogen); null otherwise
+ *
+ * Reads the rate_state_disease_year and rate_national_disease_year cubes
+ * (see rateCubes.js). Deaths are summed over the age groups, which
+ * partition them.
+ *
+ * @example
+ * GET /api/diseases/2
+ * Response: { diseaseId: 2, diseaseName: "Influenza", hasEmbedding: true, ..., deaths: { pathogen: "Influenza", ... } }
+ */
+const getDiseaseDetail = async (req, res) => {
+  const { id } = req.validated;
+
+  const diseaseSql = `
+    SELECT
+      d.disease_id,
+      d.disease_name,
+      s.symptoms,
+      e.disease_id IS NOT NULL AS has_embedding,
+      e.embedding_model,
+      p.pathogen
+    FROM dim_disease d
+    LEFT JOIN disease_symptoms s ON s.disease_id = d.disease_id
+    LEFT JOIN disease_symptom_embeddings e ON e.disease_id = d.disease_id
+    LEFT JOIN disease_pathogen dp ON dp.disease_id = d.disease_id
+    LEFT JOIN dim_pathogen p ON p.pathogen_id = dp.pathogen_id
+    WHERE d.disease_id = $1;
+  `;
+
+  const coverageSql = `
+    SELECT
+      year,
+      COUNT(DISTINCT week) FILTER (WHERE current_week_cases IS NOT NULL) AS weeks,
+      MIN(week) FILTER (WHERE current_week_cases IS NOT NULL) AS first_week,
+      MAX(week) FILTER (WHERE current_week_cases IS NOT NULL) AS last_week
+    FROM fact_cases_weekly
+    WHERE disease_id = $1
+    GROUP BY year
+    HAVING COUNT(current_week_cases) > 0
+    ORDER BY year;
+  `;
+
+  const nationalSql = `
+    SELECT year, total_cases, population, cases_per_100k, method
+    FROM rate_national_disease_year
+    WHERE disease_id = $1
+    ORDER BY year;
+  `;
+
+  // the latest year with cases, ranked like /api/state-yearly-percapita
+  const topStatesSql = `
+    SELECT
+      c.year,
+      r.state_name,
+      c.total_cases,
+      (COALESCE(c.total_cases, 0)::FLOAT / NULLIF(c.population, 0)) * 100000 AS cases_per_100k,
+      c.method
+    FROM rate_state_disease_year c
+    JOIN dim_region r ON r.region_id = c.region_id
+    WHERE c.disease_id = $1
+      AND c.year = (
+        SELECT MAX(year) FROM rate_state_disease_year WHERE disease_id = $1 AND total_cases IS NOT NULL
+      )
+    ORDER BY cases_per_100k DESC NULLS LAST, r.state_name
+    LIMIT $2;
+  `;
+
+  const deathsSql = `
+    SELECT w.year, SUM(f.deaths) AS deaths
+    FROM fact_flu_rsv_covid_deaths f
+    JOIN disease_pathogen dp ON dp.pathogen_id = f.pathogen_id
+    JOIN dim_mmwr_week w ON f.mmwr_week_id = w.mmwr_week_id
+    JOIN dim_demographic_group g ON f.demographic_group_id = g.demographic_group_id
+    WHERE dp.disease_id = $1
+      AND g.demographic_type = 'Age Group'
+    GROUP BY w.year
+    ORDER BY w.year;
+  `;
+
+  const [diseaseRes, coverageRes, nationalRes, topStatesRes, deathsRes] = await Promise.all([
+    query(diseaseSql, [id]),
+    query(coverageSql, [id]),
+    query(nationalSql, [id]),
+    query(topStatesSql, [id, TOP_STATES]),
+    query(deathsSql, [id]),
+  ]);
+
+  const disease = diseaseRes.rows[0];
+  if (!disease) {
+    throw new NotFoundError(`Unknown disease id ${id}`, ErrorCodes.UNKNOWN_DISEASE);
+  }
+
+  const deathsByYear = deathsRes.rows.map(row => ({ year: row.year, deaths: Number(row.deaths) }));
+
+  res.json({
+    diseaseId: disease.disease_id,
+    diseaseName: disease.disease_name,
+    symptoms: disease.symptoms || null,
+    hasEmbedding: Boolean(disease.has_embedding),
+    embeddingModel: disease.embedding_model || null,
+    coverage: coverageRes.rows.map(row => ({
+      year: row.year,
+      weeks: Number(row.weeks),
+      firstWeek: row.first_week,
+      lastWeek: row.last_week,
+    })),
+    nationalRates: nationalRes.rows.map(row => ({
+      year: row.year,
+      totalCases: row.total_cases === null ? null : Number(row.total_cases),
+      population: Number(row.population),
+      casesPer100k: row.cases_per_100k === null ? null : Number(row.cases_per_100k),
+      populationMethod: row.method,
+    })),
+    topStates: topStatesRes.rows.length === 0 ? null : {
+      year: topStatesRes.rows[0].year,
+      states: topStatesRes.rows.map(row => ({
+        stateName: row.state_name,
+        totalCases: row.total_cases === null ? null : Number(row.total_cases),
+        casesPer100k: row.cases_per_100k === null ? null : Number(row.cases_per_100k),
+        populationMethod: row.method,
+      })),
+    },
+    deaths: !disease.pathogen ? null : {
+      pathogen: disease.pathogen,
+      totalDeaths: deathsByYear.reduce((sum, row) => sum + row.deaths, 0),
+      byYear: deathsByYear,
+    },
+  });
+};
+
+module.exports = getDiseaseDetail;
@@ -1,4 +1,4 @@
-const { pool } = require('../db');
+const { query } = require('../db');
 
 
 /**
@@ -20,43 +20,38 @@ const { pool } = require('../db');
  * Response: [{ diseaseId: 1, diseaseName: "COVID-19" }, ...]
  */
 const getDiseases = async (req, res) => {
-    try {
-      const year = req.query.year ? parseInt(req.query.year, 10) : null;
-  
-      let sql;
-      let params = [];
-  
-      if (!Number.isNaN(year) && year) {
-        sql = `
-          SELECT
-            d.disease_id AS "diseaseId",
-            d.disease_name AS "diseaseName"
-          FROM dim_disease d
-          WHERE EXISTS (
-            SELECT 1
-            FROM fact_cases_weekly f
-            WHERE f.disease_id = d.disease_id
-              AND f.year = $1
-          )
-          ORDER BY d.disease_name;
-        `;
-        params = [year];
-      } else {
-        sql = `
-          SELECT
-            disease_id AS "diseaseId",
-            disease_name AS "diseaseName"
-          FROM dim_disease
-          ORDER BY disease_name;
-        `;
-      }
-  
-      const result = await pool.query(sql, params);
-      res.json(result.rows);
-    } catch (err) {
-      console.error('Error in /api/diseases:', err);
-      res.status(500).json({ error: 'Internal server error' });
+    const { year } = req.validated;
+
+    let sql;
+    let params = [];
+
+    if (year) {
+      sql = `
+        SELECT
+          d.disease_id AS "diseaseId",
+          d.disease_name AS "diseaseName"
+        FROM dim_disease d
+        WHERE EXISTS (
+          SELECT 1
+          FROM fact_cases_weekly f
+          WHERE f.disease_id = d.disease_id
+            AND f.year = $1
+        )
+        ORDER BY d.disease_name;
+      `;
+      params = [year];
+    } else {
+      sql = `
+        SELECT
+          disease_id AS "diseaseId",
+          disease_name AS "diseaseName"
+        FROM dim_disease
+        ORDER BY disease_name;
+      `;
     }
+
+    const result = await query(sql, params);
+    res.json(result.rows);
   };
 
   module.exports = getDiseases;
\ No newline at end of file
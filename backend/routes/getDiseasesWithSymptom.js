@@ -0,0 +1,38 @@
+const { query } = require('../db');
+const { diseasesWithSymptom } = require('../utils/symptomVocabulary');
+
+/**
+ * GET /api/diseases-with-symptom
+ *
+ * The diseases whose symptom description mentions a symptom, matched the
+ * way the symptom vocabulary counts them: the symptom's words in a row,
+ * ignoring case and plural "s" (see utils/symptomVocabulary.js).
+ *
+ * @param {string} symptom - Symptom phrase (required), e.g. from /api/symptom-vocabulary
+ *
+ * @returns {Array<Object>} Diseases by name:
+ *   - diseaseId
+ *   - diseaseName
+ *   - symptoms: The disease's full symptom description
+ *
+ * @example
+ * GET /api/diseases-with-symptom?symptom=rash
+ * Response: [{ diseaseId: 5, diseaseName: "Lyme disease", symptoms: "Expanding bullseye rash ..." }, ...]
+ */
+const getDiseasesWithSymptom = async (req, res) => {
+  const { symptom } = req.validated;
+
+  const result = await query(`
+    SELECT s.disease_id, d.disease_name, s.symptoms
+    FROM disease_symptoms s
+    JOIN dim_disease d ON d.disease_id = s.disease_id
+    ORDER BY d.disease_name
+  `);
+  const matching = new Set(diseasesWithSymptom(result.rows, symptom));
+
+  res.json(result.rows
+    .filter(row => matching.has(row.disease_id))
+    .map(row => ({ diseaseId: row.disease_id, diseaseName: row.disease_name, symptoms: row.symptoms })));
+};
+
+module.exports = getDiseasesWithSymptom;
@@ -1,4 +1,5 @@
-const {pool} = require('../db');
+const { query } = require('../db');
+const { estimatedDeathsSql, readEstimatedDeaths } = require('../stateMetrics');
 
 /**
  * GET /api/estimated-deaths-by-state
@@ -18,97 +19,30 @@ const {pool} = require('../db');
  *   - totalDeaths: Total deaths for the demographic group
  *   - sumOfTotalDeaths: Total deaths for all demographics
  *   - percentDeaths: Percentage of total deaths
+ *   - estimated_deaths: Estimated deaths, rounded; null without deaths or
+ *     population data (as the state profile reports it)
+ *   - populationMethod: Least direct way the state's age-group populations
+ *     were obtained (census < interpolated < projected < nearest); null without data
+ * 
+ * The estimate is stateMetrics.estimatedDeathsSql, which the state profile
+ * also reports.
  * 
  * @example
  * GET /api/estimated-deaths-by-state?pathogen=COVID-19&year=2023
  */
 const getEstimatedDeathsByState = async (req, res) => {
-    try {
-      const { pathogen, year, state } = req.query;
-      console.log('Incoming query:', req.query);
-  
-      // pathogen + year are always required
-      if (!pathogen || !year || !state ) {
-        return res
-          .status(400)
-          .json({ error: 'Missing required query params: pathogen, state, and year are required.' });
-      }
-  
-      //can def get rid of the join with mmwr_week
-  
-      const stateEstimate = `
-              WITH age_group_deaths AS (
-                  SELECT 
-                      d.demographic_value AS age_group,
-                      COALESCE(SUM(f.deaths), 0) AS total_deaths
-                  FROM fact_flu_rsv_covid_deaths f
-                  JOIN dim_pathogen p ON f.pathogen_id = p.pathogen_id
-                  JOIN dim_mmwr_week w ON f.mmwr_week_id = w.mmwr_week_id
-                  JOIN dim_demographic_group d ON f.demographic_group_id = d.demographic_group_id
-                  WHERE p.pathogen = $1
-                      AND w.year = $2
-                      AND d.demographic_type = 'Age Group'
-                  GROUP BY d.demographic_value
-              ),
-              national_population AS (
-                  SELECT 
-                      CASE 
-                          WHEN f.age_group = '0' THEN '0-17 years'
-                          WHEN f.age_group LIKE '%+' THEN '65+ years'
-                          WHEN CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) < 18 THEN '0-17 years'
-                          WHEN CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) >= 18 
-                          AND CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) < 65 THEN '18-64 years'
-                          WHEN CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) >= 65 THEN '65+ years'
-                      END AS age_group,
-                      SUM(f.population) AS total_population
-                  FROM fact_population_state_demo_year f
-                  WHERE f.year = $2
-                  GROUP BY age_group
-              ),
-              state_population_grouped AS (
-                  SELECT 
-                      CASE 
-                          WHEN f.age_group = '0' THEN '0-17 years'
-                          WHEN f.age_group LIKE '%+' THEN '65+ years'
-                          WHEN CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) < 18 THEN '0-17 years'
-                          WHEN CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) >= 18 
-                          AND CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) < 65 THEN '18-64 years'
-                          WHEN CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) >= 65 THEN '65+ years'
-                      END AS age_group,
-                      SUM(f.population) AS state_population
-                  FROM fact_population_state_demo_year f
-                  JOIN dim_region r ON f.region_id = r.region_id
-                  WHERE r.state_name = $3
-                      AND f.year = $2
-                  GROUP BY age_group
-              ),
-              death_rates AS (
-                  SELECT 
-                      a.age_group,
-                      a.total_deaths,
-                      n.total_population,
-                      a.total_deaths / NULLIF(n.total_population, 0) AS death_rate
-                  FROM age_group_deaths a
-                  JOIN national_population n ON a.age_group = n.age_group
-              )
-              SELECT 
-                  SUM(s.state_population * d.death_rate) AS estimated_deaths
-              FROM state_population_grouped s
-              JOIN death_rates d ON s.age_group = d.age_group
-          `;
-  
-      const result = await pool.query(stateEstimate, [pathogen, year, state]);
-      
-      res.json({
-          state,
-          year,
-          pathogen,
-          estimated_deaths: Math.round(result.rows[0]?.estimated_deaths || 0)
-      });
-    } catch (err) {
-      console.error('Error in /api/estimated-deaths-by-state:', err);
-      res.status(500).json({ error: 'Internal server error' });
-    }
+    const { pathogen, year, state } = req.validated;
+
+    const result = await query(estimatedDeathsSql, [[pathogen], year, state]);
+    const { estimatedDeaths, populationMethod } = readEstimatedDeaths(result.rows[0]);
+    
+    res.json({
+        state,
+        year,
+        pathogen,
+        estimated_deaths: estimatedDeaths,
+        populationMethod
+    });
   };
 
   module.exports = getEstimatedDeathsByState;
\ No newline at end of file
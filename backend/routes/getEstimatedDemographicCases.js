@@ -1,4 +1,5 @@
-const { pool } = require('../db');
+const { query } = require('../db');
+const { NotFoundError, ErrorCodes } = require('../errors');
 
 /**
  * GET /api/estimated-demographic-cases
@@ -19,129 +20,120 @@ const { pool } = require('../db');
  * @returns {Object} Estimated case statistics:
  *   - stateName, diseaseName, year, popYear, race, sex, ageGroup
  *   - population: Demographic group population
+ *   - populationMethod: How the year's population was obtained (census,
+ *     interpolated, projected or nearest; see resolve_population_state_demo_year)
  *   - totalYearlyCases: Total cases for state/disease/year
  *   - estimatedDemographicCases: Estimated cases for the demographic group
  *   - casesPer100k: Estimated cases per 100,000 population
+ *
+ * Answers 404 NO_POPULATION_DATA, with the population filters as details,
+ * when there is no population for the demographic group in the state and year.
  * 
  * @example
  * GET /api/estimated-demographic-cases?stateName=California&diseaseName=COVID-19&year=2023&race=White&sex=Male&ageGroup=18-64
  */
 const getEstimatedDemographicCases = async (req, res) => {
-    try {
-      const { stateName, diseaseName, year, race, sex, ageGroup } = req.query;
-  
-      if (!stateName || !diseaseName || !year || !race || !sex || !ageGroup) {
-        return res.status(400).json({ error: 'Missing required query params.' });
-      }
-  
-      const caseYear = Number(year);
-      if (Number.isNaN(caseYear)) {
-        return res.status(400).json({ error: 'Year must be a number' });
-      }
-  
-      // Population only up to 2023
-      const popYear = caseYear === 2024 ? 2023 : caseYear;
-  
-      const sql = `
-        WITH demo_pop AS (
-          SELECT
-            p.population::FLOAT AS population,
-            r.region_id
-          FROM fact_population_state_demo_year p
-          JOIN dim_region r
-            ON p.region_id = r.region_id
-          WHERE r.state_name = $1
-            AND p.year       = $2
-            AND p.race       = $4
-            AND p.sex        = $5
-            AND p.age_group  = $6
-        ),
-        state_pop AS (
-          SELECT
-            SUM(p.population)::FLOAT AS total_state_population
-          FROM fact_population_state_demo_year p
-          JOIN dim_region r
-            ON p.region_id = r.region_id
-          WHERE r.state_name = $1
-            AND p.year       = $2
-        ),
-        state_cases AS (
-          SELECT
-            COALESCE(SUM(f.current_week), 0)::FLOAT AS total_yearly_cases
-          FROM fact_nndss_weekly f
-          JOIN dim_region_ndss r_ndss
-            ON f.region_id = r_ndss.region_id
-          JOIN dim_region r
-            ON UPPER(r_ndss.reporting_area) = UPPER(r.state_name)
-          JOIN dim_disease d
-            ON f.disease_id = d.disease_id
-          WHERE r.state_name        = $1
-            AND d.disease_name      = $3
-            AND f.current_mmwr_year = $7
-        )
+    const { stateName, diseaseName, year: caseYear, race, sex, ageGroup } = req.validated;
+
+    const sql = `
+      WITH demo_pop AS (
+        SELECT
+          p.population::FLOAT AS population,
+          p.method,
+          r.region_id
+        FROM resolve_population_state_demo_year($2::int, $2::int) p
+        JOIN dim_region r
+          ON p.region_id = r.region_id
+        WHERE r.state_name = $1
+          AND p.race       = $4
+          AND p.sex        = $5
+          AND p.age_group  = $6
+      ),
+      state_pop AS (
         SELECT
-          dp.population,
-          dp.region_id,
-          sp.total_state_population,
-          sc.total_yearly_cases,
-          CASE
-            WHEN sp.total_state_population > 0
-            THEN (dp.population / sp.total_state_population) * sc.total_yearly_cases
-            ELSE 0
-          END AS estimated_demographic_cases,
-          CASE
-            WHEN dp.population > 0 AND sp.total_state_population > 0
-            THEN ((dp.population / sp.total_state_population)
-                  * sc.total_yearly_cases
-                  / dp.population) * 100000
-            ELSE 0
-          END AS cases_per_100k
-        FROM demo_pop  dp
-        CROSS JOIN state_pop   sp
-        CROSS JOIN state_cases sc;
-      `;
-  
-      const result = await pool.query(sql, [
-        stateName,
-        popYear,
-        diseaseName,
-        race,
-        sex,
-        ageGroup,
-        caseYear,
-      ]);
-  
-      if (result.rows.length === 0) {
-        return res
-          .status(404)
-          .json({ error: 'No matching demographic population found.' });
-      }
-  
-      const row = result.rows[0];
-  
-      const population = Number(row.population) || 0;
-      const totalYearlyCases = Number(row.total_yearly_cases) || 0;
-      const estimatedDemographicCases =
-        Number(row.estimated_demographic_cases) || 0;
-      const casesPer100k = Number(row.cases_per_100k) || 0;
-  
-      res.json({
-        stateName,
-        diseaseName,
-        year: caseYear,
-        popYear,
-        race,
-        sex,
-        ageGroup,
-        population,
-        totalYearlyCases,
-        estimatedDemographicCases,
-        casesPer100k: Number(casesPer100k.toFixed(2)),
-      });
-    } catch (err) {
-      console.error('Error in /api/estimated-demographic-cases:', err);
-      res.status(500).json({ error: 'Internal server error' });
+          SUM(p.population)::FLOAT AS total_state_population,
+          MAX(p.method) AS method
+        FROM resolve_population_state_demo_year($2::int, $2::int) p
+        JOIN dim_region r
+          ON p.region_id = r.region_id
+        WHERE r.state_name = $1
+      ),
+      state_cases AS (
+        SELECT
+          COALESCE(SUM(f.current_week), 0)::FLOAT AS total_yearly_cases
+        FROM fact_nndss_weekly f
+        JOIN dim_region_ndss r_ndss
+          ON f.region_id = r_ndss.region_id
+        JOIN dim_region r
+          ON UPPER(r_ndss.reporting_area) = UPPER(r.state_name)
+        JOIN dim_disease d
+          ON f.disease_id = d.disease_id
+        WHERE r.state_name        = $1
+          AND d.disease_name      = $3
+          AND f.current_mmwr_year = $2
+      )
+      SELECT
+        dp.population,
+        dp.region_id,
+        GREATEST(dp.method, sp.method) AS population_method,
+        sp.total_state_population,
+        sc.total_yearly_cases,
+        CASE
+          WHEN sp.total_state_population > 0
+          THEN (dp.population / sp.total_state_population) * sc.total_yearly_cases
+          ELSE 0
+        END AS estimated_demographic_cases,
+        CASE
+          WHEN dp.population > 0 AND sp.total_state_population > 0
+          THEN ((dp.population / sp.total_state_population)
+                * sc.total_yearly_cases
+                / dp.population) * 100000
+          ELSE 0
+        END AS cases_per_100k
+      FROM demo_pop  dp
+      CROSS JOIN state_pop   sp
+      CROSS JOIN state_cases sc;
+    `;
+
+    const result = await query(sql, [
+      stateName,
+      caseYear,
+      diseaseName,
+      race,
+      sex,
+      ageGroup,
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(
+        `No matching demographic population found for ${stateName} in ${caseYear}.`,
+        ErrorCodes.NO_POPULATION_DATA,
+        { stateName, year: caseYear, race, sex, ageGroup }
+      );
     }
+
+    const row = result.rows[0];
+
+    const population = Number(row.population) || 0;
+    const totalYearlyCases = Number(row.total_yearly_cases) || 0;
+    const estimatedDemographicCases =
+      Number(row.estimated_demographic_cases) || 0;
+    const casesPer100k = Number(row.cases_per_100k) || 0;
+
+    res.json({
+      stateName,
+      diseaseName,
+      year: caseYear,
+      popYear: caseYear,
+      race,
+      sex,
+      ageGroup,
+      population,
+      populationMethod: row.population_method,
+      totalYearlyCases,
+      estimatedDemographicCases,
+      casesPer100k: Number(casesPer100k.toFixed(2)),
+    });
   };
 
   module.exports = getEstimatedDemographicCases;
\ No newline at end of file
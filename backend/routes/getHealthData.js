@@ -0,0 +1,106 @@
+const { query } = require('../db');
+const { weeksSince } = require('../utils/mmwr');
+const { DATASET: DEATHS_DATASET } = require('../ingest/deaths');
+const getEmbedding = require('../utils/getEmbedding');
+
+function numberOrNull(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function latestWeek(row) {
+  if (!row || numberOrNull(row.year) === null) return null;
+  const year = Number(row.year);
+  const week = Number(row.week);
+  return { year, week, weeksBehind: weeksSince(year, week) };
+}
+
+/**
+ * GET /api/health/data
+ * 
+ * Data-freshness report for alerting on stale loads: the latest MMWR
+ * year/week present in each weekly fact table (with how many weeks behind
+ * the current MMWR week it is), the data-as-of date of the deaths data, the
+ * latest population year, and how many diseases have symptom embeddings for
+ * /api/similar-symptoms, by embedding model.
+ * 
+ * @returns {Object} Freshness report:
+ *   - casesWeekly: Latest { year, week, weeksBehind } in fact_cases_weekly (null when empty)
+ *   - nndssWeekly: Latest { year, week, weeksBehind } in fact_nndss_weekly (null when empty)
+ *   - deathsWeekly: Latest { year, week, weeksBehind, dataAsOf } in fact_flu_rsv_covid_deaths
+ *     (null when empty); dataAsOf is the source's as-of date at the last load
+ *   - population: { latestYear, latestDemographicYear }
+ *   - embeddings: { diseasesWithEmbeddings, totalDiseases, queryModel, models }; models lists
+ *     { model, dimensions, diseases } per stored embedding model. Symptom search only uses
+ *     the embeddings of queryModel, the model it embeds queries with.
+ *   - checkedAt: ISO timestamp of the check
+ * 
+ * @example
+ * GET /api/health/data
+ * Response: { casesWeekly: { year: 2025, week: 38, weeksBehind: 4 }, ..., embeddings: { diseasesWithEmbeddings: 120, totalDiseases: 134 } }
+ */
+const getHealthData = async (req, res) => {
+    const [cases, nndss, deaths, population, embeddings] = await Promise.all([
+      query(`
+        SELECT year, week
+        FROM fact_cases_weekly
+        ORDER BY year DESC, week DESC
+        LIMIT 1
+      `),
+      query(`
+        SELECT current_mmwr_year AS year, current_mmwr_week AS week
+        FROM fact_nndss_weekly
+        ORDER BY current_mmwr_year DESC, current_mmwr_week DESC
+        LIMIT 1
+      `),
+      query(`
+        SELECT
+          w.year,
+          w.week,
+          (SELECT data_as_of::TEXT FROM data_loads WHERE dataset = $1) AS data_as_of
+        FROM fact_flu_rsv_covid_deaths f
+        JOIN dim_mmwr_week w ON f.mmwr_week_id = w.mmwr_week_id
+        ORDER BY w.year DESC, w.week DESC
+        LIMIT 1
+      `, [DEATHS_DATASET]),
+      query(`
+        SELECT
+          (SELECT MAX(year) FROM fact_population_state_year) AS latest_year,
+          (SELECT MAX(year) FROM fact_population_state_demo_year) AS latest_demographic_year
+      `),
+      query(`
+        SELECT
+          (SELECT COUNT(DISTINCT disease_id) FROM disease_symptom_embeddings) AS with_embeddings,
+          (SELECT COUNT(*) FROM dim_disease) AS total_diseases,
+          (SELECT json_agg(m ORDER BY m.model, m.dimensions)
+           FROM (
+             SELECT embedding_model AS model, embedding_dimensions AS dimensions, COUNT(*)::INT AS diseases
+             FROM disease_symptom_embeddings
+             GROUP BY embedding_model, embedding_dimensions
+           ) m) AS models
+      `),
+    ]);
+
+    const deathsWeek = latestWeek(deaths.rows[0]);
+    const pop = population.rows[0] || {};
+    const emb = embeddings.rows[0] || {};
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      casesWeekly: latestWeek(cases.rows[0]),
+      nndssWeekly: latestWeek(nndss.rows[0]),
+      deathsWeekly: deathsWeek && { ...deathsWeek, dataAsOf: deaths.rows[0].data_as_of || null },
+      population: {
+        latestYear: numberOrNull(pop.latest_year),
+        latestDemographicYear: numberOrNull(pop.latest_demographic_year),
+      },
+      embeddings: {
+        diseasesWithEmbeddings: Number(emb.with_embeddings) || 0,
+        totalDiseases: Number(emb.total_diseases) || 0,
+        queryModel: getEmbedding.provider.model,
+        models: emb.models || [],
+      },
+      checkedAt: new Date().toISOString(),
+    });
+  };
+
+  module.exports = getHealthData;
@@ -0,0 +1,79 @@
+const { pool, query } = require('../db');
+const config = require('../config');
+const getEmbedding = require('../utils/getEmbedding');
+
+// a probe that hangs is as bad as one that fails
+const CHECK_TIMEOUT_MS = config.healthCheckTimeoutMs;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function check(run) {
+  const start = Date.now();
+  try {
+    const details = await withTimeout(run(), CHECK_TIMEOUT_MS);
+    return { status: 'ok', latencyMs: Date.now() - start, ...details };
+  } catch (err) {
+    return { status: 'failed', latencyMs: Date.now() - start, error: err.message };
+  }
+}
+
+/**
+ * GET /api/health/ready
+ * 
+ * Readiness probe. Unlike /api/health, which only shows the process is up,
+ * this checks that a connection can be taken from the Postgres pool and that
+ * the pgvector extension used by /api/similar-symptoms is installed.
+ * Responds 200 when every check passes and 503 otherwise, with the result of
+ * each check in both cases. The embeddings check only reports whether symptom
+ * search is enabled (an embedding API key is configured); it never makes the
+ * server unready.
+ * 
+ * @returns {Object} Readiness report:
+ *   - status: "ready" or "unavailable"
+ *   - checks.database: { status, latencyMs, pool: { total, idle, waiting } }
+ *   - checks.pgvector: { status, latencyMs, version }
+ *   - checks.embeddings: { status: "ok" | "disabled" }
+ * 
+ * @example
+ * GET /api/health/ready
+ * Response: { status: "ready", checks: { database: { status: "ok", latencyMs: 3, ... }, pgvector: { ... } } }
+ */
+const getHealthReady = async (req, res) => {
+  const database = await check(async () => {
+    await query('SELECT 1');
+    return {
+      pool: { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount },
+    };
+  });
+
+  // pgvector can only be checked once the database answers
+  const pgvector = database.status !== 'ok'
+    ? { status: 'skipped' }
+    : await check(async () => {
+      const result = await query(
+        "SELECT extversion FROM pg_extension WHERE extname = 'vector'"
+      );
+      if (result.rows.length === 0) {
+        throw new Error('pgvector extension is not installed');
+      }
+      return { version: result.rows[0].extversion };
+    });
+
+  const { name: provider, model } = getEmbedding.provider;
+  const embeddings = { status: getEmbedding.isAvailable() ? 'ok' : 'disabled', provider, model };
+
+  const ready = database.status === 'ok' && pgvector.status === 'ok';
+  res.set('Cache-Control', 'no-store');
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'unavailable',
+    checks: { database, pgvector, embeddings },
+  });
+};
+
+module.exports = getHealthReady;
@@ -0,0 +1,26 @@
+const { pool } = require('../db');
+const queryCache = require('../queryCache');
+const metrics = require('../metrics');
+
+/**
+ * GET /api/metrics
+ * 
+ * Prometheus scrape endpoint: request counts, latency histograms per route,
+ * error counts by status, SQL query latency per route, pg pool client counts
+ * and query cache statistics (see metrics.js for the full list).
+ * 
+ * @returns {string} Metrics in the Prometheus text exposition format
+ * 
+ * @example
+ * GET /api/metrics
+ * Response:
+ * # TYPE http_requests_total counter
+ * http_requests_total{method="GET",route="/api/states",status="200"} 12
+ * ...
+ */
+const getMetrics = async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.type(metrics.CONTENT_TYPE).send(metrics.render(pool, queryCache.getStats()));
+  };
+
+  module.exports = getMetrics;
@@ -0,0 +1,25 @@
+const routes = require('./definitions');
+const { buildSpec } = require('../openapi');
+
+let spec = null;
+
+/**
+ * GET /api/openapi.json
+ * 
+ * Serves the OpenAPI 3 document for the API, generated from the route table
+ * and validation schemas in routes/definitions.js so it cannot drift from
+ * what the server actually accepts. Clients can be generated from it.
+ * 
+ * @returns {Object} OpenAPI 3.0 document
+ * 
+ * @example
+ * GET /api/openapi.json
+ * Response: { openapi: "3.0.3", info: { ... }, paths: { "/api/states": { ... }, ... } }
+ */
+const getOpenApiSpec = async (req, res) => {
+    // the route table is fixed at startup, so the document is built once
+    if (!spec) spec = buildSpec(routes);
+    res.json(spec);
+  };
+
+  module.exports = getOpenApiSpec;
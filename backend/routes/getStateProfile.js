@@ -0,0 +1,171 @@
+const { query } = require('../db');
+const { NotFoundError, ErrorCodes } = require('../errors');
+const { yearlyRatesSql, highOutliersSql, estimatedDeathsSql, readEstimatedDeaths } = require('../stateMetrics');
+
+// order age groups ("0", "1-4", "5-17", ..., "75+") by their first year
+const byAge = (a, b) => parseInt(a.value, 10) - parseInt(b.value, 10);
+const byValue = (a, b) => a.value.localeCompare(b.value);
+
+/**
+ * Population of each value of one demographic column, with its share of the
+ * breakdown's total.
+ *
+ * @param {Array<Object>} rows - resolve_population_state_demo_year rows
+ * @param {string} column - 'race', 'sex' or 'age_group'
+ * @param {Function} order - Sort comparator for the entries
+ * @returns {Array<{value: string, population: number, share: number}>}
+ */
+function breakdown(rows, column, order) {
+  const totals = new Map();
+  let total = 0;
+  for (const row of rows) {
+    const population = Number(row.population);
+    totals.set(row[column], (totals.get(row[column]) || 0) + population);
+    total += population;
+  }
+  return [...totals.entries()]
+    .map(([value, population]) => ({ value, population, share: total ? population / total : 0 }))
+    .sort(order);
+}
+
+/**
+ * GET /api/states/:stateName/profile
+ *
+ * One state at a glance: its population, how every disease compares with
+ * the other states and the country in a year, which diseases are rising,
+ * and its estimated flu / RSV / COVID-19 deaths.
+ *
+ * The figures come from the same SQL as the routes they summarize (see
+ * stateMetrics.js), so they agree with them:
+ * - casesPer100k and rank: /api/state-yearly-percapita
+ * - highOutlier: the state is listed by /api/states-high-outliers
+ * - estimatedDeaths: /api/estimated-deaths-by-state
+ * - rising compares the years as /api/states-rising-4years does
+ *
+ * @param {string} stateName - Full state name (path parameter)
+ * @param {number} year - Year to profile (required)
+ *
+ * @returns {Object} State profile:
+ *   - stateName, year
+ *   - population: total, populationMethod, and byRace / bySex / byAgeGroup
+ *     breakdowns ({ value, population, share }) of the demographic estimates
+ *   - diseases: One entry per disease with cases data in the state, by name:
+ *     casesPer100k, nationalCasesPer100k, rank among statesRanked states
+ *     (1 = highest rate), highOutlier, populationMethod
+ *   - rising: Diseases whose rate is higher than in the previous year, with
+ *     both rates
+ *   - estimatedDeaths: { pathogen, estimatedDeaths, populationMethod } per
+ *     pathogen; estimatedDeaths and populationMethod are null without data
+ *
+ * @example
+ * GET /api/states/Maine/profile?year=2024
+ */
+const getStateProfile = async (req, res) => {
+  const { stateName, year } = req.validated;
+
+  const populationSql = `
+    SELECT p.population, p.method
+    FROM dim_region r
+    LEFT JOIN resolve_population_state_year($1, $1) p ON p.region_id = r.region_id
+    WHERE r.state_name = $2;
+  `;
+
+  const demographicsSql = `
+    SELECT p.race, p.sex, p.age_group, p.population
+    FROM resolve_population_state_demo_year($1, $1) p
+    JOIN dim_region r ON r.region_id = p.region_id
+    WHERE r.state_name = $2;
+  `;
+
+  const diseasesSql = `
+    WITH rates AS (${yearlyRatesSql}),
+    ranked AS (
+      SELECT
+        region_id,
+        disease_id,
+        per_capita,
+        method,
+        RANK() OVER (PARTITION BY disease_id ORDER BY per_capita DESC NULLS LAST) AS rank,
+        COUNT(*) OVER (PARTITION BY disease_id) AS states_ranked
+      FROM rates
+    ),
+    outliers AS (${highOutliersSql})
+    SELECT
+      d.disease_id,
+      d.disease_name,
+      k.per_capita,
+      k.method,
+      k.rank,
+      k.states_ranked,
+      n.cases_per_100k AS national_per_capita,
+      o.region_id IS NOT NULL AS high_outlier,
+      -- years are compared on the cube's rates, as /api/states-rising-4years compares them
+      cur.cases_per_100k AS rate,
+      prev.cases_per_100k AS previous_rate
+    FROM ranked k
+    JOIN dim_region r ON r.region_id = k.region_id
+    JOIN dim_disease d ON d.disease_id = k.disease_id
+    LEFT JOIN rate_national_disease_year n ON n.disease_id = k.disease_id AND n.year = $1
+    LEFT JOIN outliers o ON o.region_id = k.region_id AND o.disease_id = k.disease_id
+    LEFT JOIN rate_state_disease_year cur
+      ON cur.region_id = k.region_id AND cur.disease_id = k.disease_id AND cur.year = $1
+    LEFT JOIN rate_state_disease_year prev
+      ON prev.region_id = k.region_id AND prev.disease_id = k.disease_id AND prev.year = $1 - 1
+    WHERE r.state_name = $2
+    ORDER BY d.disease_name;
+  `;
+
+  const [populationRes, demographicsRes, diseasesRes, pathogensRes] = await Promise.all([
+    query(populationSql, [year, stateName]),
+    query(demographicsSql, [year, stateName]),
+    query(diseasesSql, [year, stateName]),
+    query('SELECT pathogen FROM dim_pathogen ORDER BY pathogen'),
+  ]);
+
+  const population = populationRes.rows[0];
+  if (!population) {
+    throw new NotFoundError(`Unknown stateName "${stateName}"`, ErrorCodes.UNKNOWN_STATE);
+  }
+
+  const pathogens = pathogensRes.rows.map(row => row.pathogen);
+  const deathsRes = await query(estimatedDeathsSql, [pathogens, year, stateName]);
+  const deathsByPathogen = new Map(deathsRes.rows.map(row => [row.pathogen, row]));
+
+  const diseases = diseasesRes.rows;
+
+  res.json({
+    stateName,
+    year,
+    population: {
+      total: population.population === null ? null : Number(population.population),
+      populationMethod: population.method,
+      byRace: breakdown(demographicsRes.rows, 'race', byValue),
+      bySex: breakdown(demographicsRes.rows, 'sex', byValue),
+      byAgeGroup: breakdown(demographicsRes.rows, 'age_group', byAge),
+    },
+    diseases: diseases.map(row => ({
+      diseaseId: row.disease_id,
+      diseaseName: row.disease_name,
+      casesPer100k: row.per_capita === null ? null : Number(row.per_capita),
+      nationalCasesPer100k: row.national_per_capita === null ? null : Number(row.national_per_capita),
+      rank: Number(row.rank),
+      statesRanked: Number(row.states_ranked),
+      highOutlier: Boolean(row.high_outlier),
+      populationMethod: row.method,
+    })),
+    rising: diseases
+      .filter(row => row.rate !== null && row.previous_rate !== null && Number(row.rate) > Number(row.previous_rate))
+      .map(row => ({
+        diseaseName: row.disease_name,
+        previousCasesPer100k: Number(row.previous_rate),
+        casesPer100k: Number(row.rate),
+      })),
+    // read as /api/estimated-deaths-by-state reads them; null without data
+    estimatedDeaths: pathogens.map(pathogen => ({
+      pathogen,
+      ...readEstimatedDeaths(deathsByPathogen.get(pathogen)),
+    })),
+  });
+};
+
+module.exports = getStateProfile;
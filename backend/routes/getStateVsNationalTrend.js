@@ -1,4 +1,4 @@
-const { pool } = require('../db');
+const { query } = require('../db');
 
 /**
  * GET /api/state-vs-national-trend
@@ -16,54 +16,49 @@ const { pool } = require('../db');
  *   - year: Year of the data point
  *   - stateCasesPer100k: State-level cases per 100,000
  *   - nationalCasesPer100k: National-level cases per 100,000
+ *   - populationMethod: Least direct way a population behind the year's rates
+ *     was obtained (census < interpolated < projected < nearest); null without data
+ * 
+ * Reads the rate_state_disease_year and rate_national_disease_year cubes (see
+ * rateCubes.js). The national rate is every state's cases over the
+ * population of every state.
  * 
  * @example
  * GET /api/state-vs-national-trend?diseaseName=COVID-19&stateName=California&startYear=2020&endYear=2023
  */
 const getStateVsNationalTrend = async (req, res) => {
-    try {
-      const { diseaseName, stateName, startYear, endYear } = req.query;
-      const y0 = parseInt(startYear, 10), y1 = parseInt(endYear, 10);
-      if (!diseaseName || !stateName || isNaN(y0) || isNaN(y1) || y1 < y0) {
-        return res.status(400).json({ error: 'diseaseName, stateName, startYear, endYear required' });
-      }
-      const stateSql = `
-        SELECT f.year, SUM(f.current_week_cases)::NUMERIC / NULLIF(p.population,0) * 100000 AS state_rate
-        FROM fact_cases_weekly f
-        JOIN dim_region r ON f.region_id = r.region_id
-        JOIN dim_disease d ON f.disease_id = d.disease_id
-        JOIN fact_population_state_year p ON p.region_id = r.region_id AND p.year = LEAST(f.year, 2023)
-        WHERE r.state_name = $1 AND d.disease_name = $2 AND f.year BETWEEN $3 AND $4
-        GROUP BY f.year, p.population
-        ORDER BY f.year
-        `;
-      const stRes = await pool.query(stateSql, [stateName, diseaseName, y0, y1]);
-      
-      const natlSql = `
-        SELECT f.year, SUM(f.current_week_cases)::NUMERIC / NULLIF(SUM(p.population),0) * 100000 AS natl_rate
-        FROM fact_cases_weekly f
-        JOIN dim_disease d ON f.disease_id = d.disease_id
-        JOIN fact_population_state_year p ON p.region_id = f.region_id AND p.year = LEAST(f.year, 2023)
-        WHERE d.disease_name = $1 AND f.year BETWEEN $2 AND $3
-        GROUP BY f.year
-        ORDER BY f.year`;
-      const natlRes = await pool.query(natlSql, [diseaseName, y0, y1]);
-      
-      const data = [];
-      for(const yr of Array.from({length:y1-y0+1},(_,i)=>y0+i)) {
-        const stObj = stRes.rows.find(r=>parseInt(r.year,10)===yr);
-        const ntObj = natlRes.rows.find(r=>parseInt(r.year,10)===yr);
-        data.push({
-          year: yr,
-          stateCasesPer100k: stObj ? Number(stObj.state_rate):0,
-          nationalCasesPer100k: ntObj ? Number(ntObj.natl_rate):0
-        });
-      }
-      res.json(data);
-    } catch(err) {
-      console.error('Error in /api/state-vs-national-trend:', err);
-      res.status(500).json({ error: 'Internal server error' });
+    const { diseaseName, stateName, startYear: y0, endYear: y1 } = req.validated;
+    const stateSql = `
+      SELECT c.year, c.cases_per_100k AS state_rate, c.method
+      FROM rate_state_disease_year c
+      JOIN dim_region r ON c.region_id = r.region_id
+      JOIN dim_disease d ON c.disease_id = d.disease_id
+      WHERE r.state_name = $1 AND d.disease_name = $2 AND c.year BETWEEN $3 AND $4
+      ORDER BY c.year
+      `;
+    const stRes = await query(stateSql, [stateName, diseaseName, y0, y1]);
+    
+    const natlSql = `
+      SELECT n.year, n.cases_per_100k AS natl_rate, n.method
+      FROM rate_national_disease_year n
+      JOIN dim_disease d ON n.disease_id = d.disease_id
+      WHERE d.disease_name = $1 AND n.year BETWEEN $2 AND $3
+      ORDER BY n.year`;
+    const natlRes = await query(natlSql, [diseaseName, y0, y1]);
+    
+    const data = [];
+    for(const yr of Array.from({length:y1-y0+1},(_,i)=>y0+i)) {
+      const stObj = stRes.rows.find(r=>parseInt(r.year,10)===yr);
+      const ntObj = natlRes.rows.find(r=>parseInt(r.year,10)===yr);
+      data.push({
+        year: yr,
+        stateCasesPer100k: stObj ? Number(stObj.state_rate):0,
+        nationalCasesPer100k: ntObj ? Number(ntObj.natl_rate):0,
+        // the national population includes the state's, so its method is never more direct
+        populationMethod: (ntObj && ntObj.method) || (stObj && stObj.method) || null
+      });
     }
+    res.json(data);
   };
 
   module.exports = getStateVsNationalTrend;
\ No newline at end of file
@@ -1,4 +1,4 @@
-const { pool } = require('../db');
+const { query } = require('../db');
 
 /**
  * GET /api/states-below-national-all-races
@@ -12,84 +12,85 @@ const { pool } = require('../db');
  * 
  * @returns {Array<Object>} Array of low-risk states:
  *   - stateName: Name of the state
+ *   - populationMethod: Least direct way the state's population for the year
+ *     was obtained (census < interpolated < projected < nearest)
  * 
  * @example
  * GET /api/states-below-national-all-races?diseaseName=COVID-19&year=2023
  */
 const getStatesBelowNationalAllRaces = async (req, res) => {
-    try {
-      const { diseaseName, year } = req.query;
-      const yr = parseInt(year, 10);
-  
-      if (!diseaseName || isNaN(yr)) {
-        return res.status(400).json({ error: 'diseaseName and year required' });
-      }
-  
-      const sql = `
-      SELECT
-        fd.race,
-        SUM(fd.deaths)::NUMERIC
-          / NULLIF(SUM(pop.population), 0) AS natl_rate
-      FROM fact_deaths fd
-      JOIN fact_population_state_demo_year pop
-        ON fd.year      = pop.year
-      AND fd.race      = pop.race
-      AND fd.sex       = pop.sex
-      AND fd.age_group = pop.age_group
-      WHERE fd.disease_name = $1
-        AND fd.year         = $2
-      GROUP BY fd.race
-    ),
-  
-    state_race_rates AS ()
-      SELECT
-        r.state_name,
-        fd.race,
-        SUM(fd.deaths)::NUMERIC
-          / NULLIF(SUM(pop.population), 0) AS state_rate
-      FROM fact_deaths fd
-      JOIN fact_population_state_demo_year pop
-        ON fd.year      = pop.year
-      AND fd.race      = pop.race
-      AND fd.sex       = pop.sex
-      AND fd.age_group = pop.age_group
-      AND fd.region_id = pop.region_id
-      JOIN dim_region r
-        ON pop.region_id = r.region_id
-      WHERE fd.disease_name = $1
-        AND fd.year         = $2
-      GROUP BY r.state_name, fd.race
-    ),
-  
-    state_vs_national AS (
-      SELECT
-        s.state_name,
-        s.race,
-        s.state_rate,
-        n.natl_rate,
-        CASE
-          WHEN s.state_rate < n.natl_rate THEN 1 ELSE 0
-        END AS is_below_nat
-      FROM state_race_rates s
-      JOIN national_race_rates n
-        ON s.race = n.race
-    )
-  
+    const { diseaseName, year: yr } = req.validated;
+
+    const sql = `
+  WITH pop AS (
+    SELECT * FROM resolve_population_state_demo_year($2::int, $2::int)
+  ),
+
+  national_race_rates AS (
     SELECT
-      state_name AS "stateName"
-    FROM state_vs_national
-    GROUP BY state_name
-    HAVING MIN(is_below_nat) = 1
-    ORDER BY state_name;
-  
-      `;
-  
-      const result = await pool.query(sql, [diseaseName, yr]);
-      res.json(result.rows);
-    } catch (err) {
-      console.error('Error in /api/states-below-national-all-races:', err);
-      res.status(500).json({ error: 'Internal server error' });
-    }
+      fd.race,
+      SUM(fd.deaths)::NUMERIC
+        / NULLIF(SUM(pop.population), 0) AS natl_rate
+    FROM fact_deaths fd
+    JOIN pop
+      ON fd.year      = pop.year
+    AND fd.race      = pop.race
+    AND fd.sex       = pop.sex
+    AND fd.age_group = pop.age_group
+    AND fd.region_id = pop.region_id
+    WHERE fd.disease_name = $1
+      AND fd.year         = $2
+    GROUP BY fd.race
+  ),
+
+  state_race_rates AS (
+    SELECT
+      r.state_name,
+      fd.race,
+      SUM(fd.deaths)::NUMERIC
+        / NULLIF(SUM(pop.population), 0) AS state_rate,
+      MAX(pop.method) AS method
+    FROM fact_deaths fd
+    JOIN pop
+      ON fd.year      = pop.year
+    AND fd.race      = pop.race
+    AND fd.sex       = pop.sex
+    AND fd.age_group = pop.age_group
+    AND fd.region_id = pop.region_id
+    JOIN dim_region r
+      ON pop.region_id = r.region_id
+    WHERE fd.disease_name = $1
+      AND fd.year         = $2
+    GROUP BY r.state_name, fd.race
+  ),
+
+  state_vs_national AS (
+    SELECT
+      s.state_name,
+      s.race,
+      s.state_rate,
+      n.natl_rate,
+      s.method,
+      CASE
+        WHEN s.state_rate < n.natl_rate THEN 1 ELSE 0
+      END AS is_below_nat
+    FROM state_race_rates s
+    JOIN national_race_rates n
+      ON s.race = n.race
+  )
+
+  SELECT
+    state_name AS "stateName",
+    MAX(method) AS "populationMethod"
+  FROM state_vs_national
+  GROUP BY state_name
+  HAVING MIN(is_below_nat) = 1
+  ORDER BY state_name;
+
+    `;
+
+    const result = await query(sql, [diseaseName, yr]);
+    res.json(result.rows);
   };
   
 
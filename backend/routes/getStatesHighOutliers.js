@@ -1,4 +1,5 @@
-const { pool } = require('../db');
+const { query } = require('../db');
+const { highOutliersSql } = require('../stateMetrics');
 
 /**
  * GET /api/states-high-outliers
@@ -16,55 +17,39 @@ const { pool } = require('../db');
  *   - avgRate: National average rate
  *   - stdRate: Standard deviation of rates
  * 
+ * Reads the rate_state_disease_year cube (see rateCubes.js) through
+ * stateMetrics.highOutliersSql, which the state profile flags outliers with.
+ * 
  * @example
  * GET /api/states-high-outliers?diseaseName=Influenza&year=2023
  */
 const getStatesHighOutliers = async (req, res) => {
-    try {
-      const { diseaseName, year } = req.query;
-      const yr = parseInt(year, 10);
-      if (!diseaseName || isNaN(yr)) {
-        return res.status(400).json({ error: 'diseaseName and year required' });
-      }
-      const sql = `
-        WITH state_stats AS (
-          SELECT 
-            r.state_name,
-            SUM(cw.current_week_cases)::NUMERIC / NULLIF(p.population, 0) * 100000 AS per_capita
-          FROM fact_cases_weekly cw
-          JOIN dim_region r ON cw.region_id = r.region_id
-          JOIN dim_disease d ON cw.disease_id = d.disease_id
-          JOIN fact_population_state_year p ON p.region_id = r.region_id AND p.year = LEAST($2, 2023)
-          WHERE d.disease_name = $1 AND cw.year = $2
-          GROUP BY r.state_name, p.population
-        ),
-        agg_stats AS (
-          SELECT AVG(per_capita) as avg_rate, STDDEV(per_capita) as std_rate
-          FROM state_stats
-        )
-        SELECT 
-          s.state_name AS "stateName",
-          s.per_capita AS "perCapita",
-          a.avg_rate AS "avgRate",
-          a.std_rate AS "stdRate"
-        FROM state_stats s, agg_stats a
-        WHERE s.per_capita > (a.avg_rate + a.std_rate)
-        ORDER BY s.per_capita DESC;
-      `;
-      const q = await pool.query(sql, [diseaseName, yr]);
-      
-      const outliers = q.rows.map(row => ({
-        stateName: row.stateName,
-        perCapita: Number(row.perCapita),
-        avgRate: Number(row.avgRate),
-        stdRate: Number(row.stdRate)
-      }));
-      
-      res.json(outliers);
-    } catch (err) {
-      console.error('Error in /api/states-high-outliers:', err);
-      res.status(500).json({ error: 'Internal server error' });
-    }
+    const { diseaseName, year: yr } = req.validated;
+    const sql = `
+      WITH outliers AS (${highOutliersSql})
+      SELECT 
+        r.state_name AS "stateName",
+        o.per_capita AS "perCapita",
+        o.avg_rate AS "avgRate",
+        o.std_rate AS "stdRate",
+        o.method AS "populationMethod"
+      FROM outliers o
+      JOIN dim_region r ON o.region_id = r.region_id
+      JOIN dim_disease d ON o.disease_id = d.disease_id
+      WHERE d.disease_name = $2
+      ORDER BY o.per_capita DESC;
+    `;
+    const q = await query(sql, [yr, diseaseName]);
+    
+    const outliers = q.rows.map(row => ({
+      stateName: row.stateName,
+      perCapita: Number(row.perCapita),
+      avgRate: Number(row.avgRate),
+      stdRate: Number(row.stdRate),
+      populationMethod: row.populationMethod
+    }));
+    
+    res.json(outliers);
   };
 
   module.exports = getStatesHighOutliers;
\ No newline at end of file
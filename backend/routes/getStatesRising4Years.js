@@ -1,4 +1,4 @@
-const { pool } = require('../db');
+const { query } = require('../db');
 
 /**
  * GET /api/states-rising-4years
@@ -13,60 +13,52 @@ const { pool } = require('../db');
  * 
  * @returns {Array<Object>} Array of states with rising trends:
  *   - stateName: Name of the state with increasing rates
+ *   - populationMethod: Least direct way any of the four years' populations
+ *     was obtained (census < interpolated < projected < nearest)
+ * 
+ * Reads the rate_state_disease_year cube (see rateCubes.js).
  * 
  * @example
  * GET /api/states-rising-4years?diseaseName=COVID-19&startYear=2020&endYear=2023
  */
 const getStatesRising4Years = async (req, res) => {
-    try {
-      const { diseaseName, startYear, endYear } = req.query;
-      const y0 = parseInt(startYear, 10);
-      const y3 = parseInt(endYear, 10);
-  
-      if (!diseaseName || isNaN(y0) || isNaN(y3) || y3 - y0 !== 3) {
-        return res.status(400).json({ error: 'Provide diseaseName, startYear, endYear (4-year window)' });
-      }
-  
-      const sql = `
-        WITH per_year AS (
-          SELECT
-            r.state_name,
-            f.year,
-            SUM(f.current_week_cases)::NUMERIC / NULLIF(p.population, 0) * 100000 AS rate
-          FROM fact_cases_weekly f
-          JOIN dim_disease d ON f.disease_id = d.disease_id
-          JOIN dim_region r ON f.region_id = r.region_id
-          JOIN fact_population_state_year p
-            ON p.region_id = r.region_id
-           AND p.year = LEAST(f.year, 2023)
-          WHERE f.year BETWEEN $1 AND $2
-            AND d.disease_name = $3
-          GROUP BY r.state_name, f.year, p.population
-        ),
-        with_lag AS (
-          SELECT
-            state_name,
-            year,
-            rate,
-            LAG(rate) OVER (PARTITION BY state_name ORDER BY year) AS prev_rate
-          FROM per_year
-        )
+    const { diseaseName, startYear: y0, endYear: y3 } = req.validated;
+
+    const sql = `
+      WITH per_year AS (
         SELECT
-          state_name AS "stateName"
-        FROM with_lag
-        GROUP BY state_name
-        HAVING
-          COUNT(*) = ($2 - $1 + 1)
-          AND BOOL_AND(prev_rate IS NULL OR rate > prev_rate)
-        ORDER BY state_name;
-      `;
-  
-      const q = await pool.query(sql, [y0, y3, diseaseName]);
-      res.json(q.rows);
-    } catch (err) {
-      console.error('Error in /api/states-rising-4years:', err);
-      res.status(500).json({ error: 'Internal server error' });
-    }
+          r.state_name,
+          c.year,
+          c.cases_per_100k AS rate,
+          c.method
+        FROM rate_state_disease_year c
+        JOIN dim_disease d ON c.disease_id = d.disease_id
+        JOIN dim_region r ON c.region_id = r.region_id
+        WHERE c.year BETWEEN $1 AND $2
+          AND d.disease_name = $3
+      ),
+      with_lag AS (
+        SELECT
+          state_name,
+          year,
+          rate,
+          method,
+          LAG(rate) OVER (PARTITION BY state_name ORDER BY year) AS prev_rate
+        FROM per_year
+      )
+      SELECT
+        state_name AS "stateName",
+        MAX(method) AS "populationMethod"
+      FROM with_lag
+      GROUP BY state_name
+      HAVING
+        COUNT(*) = ($2 - $1 + 1)
+        AND BOOL_AND(prev_rate IS NULL OR rate > prev_rate)
+      ORDER BY state_name;
+    `;
+
+    const q = await query(sql, [y0, y3, diseaseName]);
+    res.json(q.rows);
   };
 
   module.exports = getStatesRising4Years;
\ No newline at end of file
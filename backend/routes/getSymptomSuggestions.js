@@ -0,0 +1,33 @@
+const { query } = require('../db');
+const { vocabularyOf, suggestSymptoms } = require('../utils/symptomVocabulary');
+
+/**
+ * GET /api/symptom-suggestions
+ *
+ * Autocomplete for the symptom checker: vocabulary symptoms that start with
+ * (or have a word starting with) what the user has typed, followed by ones a
+ * typing error away (see utils/symptomVocabulary.js).
+ *
+ * @param {string} q - Text typed so far (required)
+ * @param {number} [limit=10] - Maximum number of suggestions
+ *
+ * @returns {Array<Object>} Best suggestion first:
+ *   - symptom: Symptom phrase
+ *   - diseaseCount: Number of diseases whose description mentions it
+ *   - match: 'prefix' or 'fuzzy'
+ *
+ * @example
+ * GET /api/symptom-suggestions?q=fevr
+ * Response: [{ symptom: "fever", diseaseCount: 7, match: "fuzzy" }, ...]
+ */
+const getSymptomSuggestions = async (req, res) => {
+  const { q, limit } = req.validated;
+
+  const result = await query('SELECT disease_id, symptoms FROM disease_symptoms ORDER BY disease_id');
+  const suggestions = suggestSymptoms(vocabularyOf(result.rows), q, limit)
+    .map(({ symptom, diseaseIds, match }) => ({ symptom, diseaseCount: diseaseIds.length, match }));
+
+  res.json(suggestions);
+};
+
+module.exports = getSymptomSuggestions;
@@ -0,0 +1,32 @@
+const { query } = require('../db');
+const { vocabularyOf } = require('../utils/symptomVocabulary');
+
+/**
+ * GET /api/symptom-vocabulary
+ *
+ * The symptom phrases used in the disease symptom descriptions, with how many
+ * diseases mention each (see utils/symptomVocabulary.js). Shows which
+ * phrasing the symptom checker knows.
+ *
+ * @param {number} [minDiseases=1] - Only symptoms of at least this many diseases
+ *
+ * @returns {Array<Object>} Most common symptom first:
+ *   - symptom: Symptom phrase
+ *   - diseaseCount: Number of diseases whose description mentions it
+ *
+ * @example
+ * GET /api/symptom-vocabulary?minDiseases=3
+ * Response: [{ symptom: "fever", diseaseCount: 7 }, { symptom: "cough", diseaseCount: 5 }, ...]
+ */
+const getSymptomVocabulary = async (req, res) => {
+  const { minDiseases } = req.validated;
+
+  const result = await query('SELECT disease_id, symptoms FROM disease_symptoms ORDER BY disease_id');
+  const vocabulary = vocabularyOf(result.rows)
+    .filter(entry => entry.diseaseIds.length >= minDiseases)
+    .map(entry => ({ symptom: entry.symptom, diseaseCount: entry.diseaseIds.length }));
+
+  res.json(vocabulary);
+};
+
+module.exports = getSymptomVocabulary;
@@ -1,53 +1,310 @@
-const { pool } = require('../db');
+const { query } = require('../db');
 const getEmbedding = require("../utils/getEmbedding");
+const parseSymptomQuery = require('../utils/parseSymptomQuery');
+const { mmwrWeekOf, weekStart } = require('../utils/mmwr');
+const { ServiceUnavailableError, ValidationError, ErrorCodes } = require('../errors');
+
+// reciprocal rank fusion constant: a disease ranked r in a list scores 1 / (RRF_K + r)
+const RRF_K = 60;
+
+// how much a match on an absent symptom counts against a match on the present ones
+const NEGATION_WEIGHT = 0.5;
+
+// the prior is the state's incidence over this many weeks, up to the given week
+const PREVALENCE_WEEKS = 4;
+
+// cases per 100k added to every disease's incidence, so a disease without
+// recent cases keeps a small prior instead of none
+const PRIOR_PSEUDO_RATE = 1;
+
+// how sharply the likelihood grows with the match: a disease whose cosine
+// similarity (or text rank, in text mode) is 0.1 higher is e times as likely
+const LIKELIHOOD_TEMPERATURE = 0.1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Embedding of the symptoms, or null when the provider finds nothing in them
+ * to embed (the local provider rejects text of stop words alone, whose
+ * vector would have no direction); the vector half of the ranking is then
+ * skipped for them.
+ * @param {string} text
+ * @returns {Promise<number[]|null>}
+ */
+async function embedSymptoms(text) {
+  try {
+    return await getEmbedding(text);
+  } catch (err) {
+    if (err instanceof RangeError) return null;
+    throw err;
+  }
+}
+
+/**
+ * The PREVALENCE_WEEKS MMWR weeks ending with the given one.
+ * @returns {{ years: Array<number>, weeks: Array<number> }}
+ */
+function prevalenceWindow(year, week) {
+  const years = [];
+  const weeks = [];
+  const end = weekStart(year, week).getTime();
+  for (let i = 0; i < PREVALENCE_WEEKS; i += 1) {
+    const w = mmwrWeekOf(new Date(end - i * 7 * DAY_MS));
+    years.push(w.year);
+    weeks.push(w.week);
+  }
+  return { years, weeks };
+}
 
 /**
  * GET /api/similar-symptoms
- * 
- * Takes free-text symptom input, embeds it via OpenAI embeddings, and returns
- * the most similar diseases using pgvector cosine distance.
- * 
+ *
+ * Takes free-text symptom input and returns the diseases whose symptom text
+ * matches it best. The text is first split into present and absent symptoms
+ * ("cough, no fever"; see utils/parseSymptomQuery.js). Diseases are ranked on
+ * the present symptoms, and a match on the absent ones counts against them
+ * (NEGATION_WEIGHT times the absent match is subtracted). Two rankings are
+ * available:
+ *  - vector: pgvector cosine distance between an embedding of the symptoms
+ *    (from the configured embedding provider, see embeddings/) and the
+ *    stored embeddings of the provider's model; present and absent symptoms
+ *    are embedded separately, and symptoms with nothing to embed (stop words
+ *    alone) are left out of it
+ *  - text: PostgreSQL full-text ranking (ts_rank_cd, english configuration)
+ *    of disease_symptoms.symptoms against any of the symptoms' words
+ * The default hybrid mode fuses both with reciprocal rank fusion, so a
+ * disease naming the exact symptom ranks high even when the embedding only
+ * loosely agrees. Text mode needs no embedding provider, and hybrid mode
+ * falls back to it when none is configured (the response's fallback says so).
+ *
+ * With a stateName, the ranking also weighs how common each disease is there
+ * right now, Bayes-style: the prior of a disease is its share of the state's
+ * cases per 100k over the PREVALENCE_WEEKS weeks up to year/week (the latest
+ * week with data when not given; read from the rate_state_disease_week cube),
+ * each incidence raised by PRIOR_PSEUDO_RATE. The likelihood grows
+ * exponentially with the cosine similarity, less the negation penalty (the
+ * text rank in text mode; the fused rank of hybrid mode is too flat to serve;
+ * see LIKELIHOOD_TEMPERATURE). The adjusted score is the posterior: prior
+ * times likelihood, normalized over the candidates.
+ *
  * @param {string} text - Symptom description (required)
- * 
- * @returns {Array<Object>} Top matches:
- *  - disease_name
- *  - distance (cosine distance; lower = more similar)
+ * @param {string} [mode=hybrid] - hybrid, vector or text
+ * @param {number} [limit=15] - Maximum number of results
+ * @param {number} [minSimilarity] - Leave out of the vector ranking diseases
+ *   whose cosine similarity is below this (in hybrid mode they can still
+ *   match on text)
+ * @param {string} [stateName] - Weigh the ranking by incidence in this state
+ * @param {number} [year] - MMWR year the incidence is taken up to (with week and stateName)
+ * @param {number} [week] - MMWR week the incidence is taken up to (with year and stateName)
+ *
+ * @returns {Object}
+ *  - mode: The ranking used (text when hybrid fell back to it)
+ *  - fallback: EMBEDDINGS_UNAVAILABLE when hybrid mode fell back to the text
+ *    ranking because no embedding provider is configured; null otherwise
+ *  - parsed: { present, absent } symptoms the text was understood to describe
+ *  - prevalence: { stateName, year, week, weeks } the incidence was taken
+ *    from, or null without a stateName
+ *  - results: best matches first, each with
+ *    - disease_name
+ *    - distance (cosine distance to the present symptoms; lower = more similar; null in text mode)
+ *    - similarity (1 - distance)
+ *    - negated_similarity (cosine similarity to the absent symptoms; null without any)
+ *    - text_rank (full-text rank of the present symptoms; null without a matching word)
+ *    - score (the similarity or text rank less the negation penalty, or the
+ *      fused rank; results are ordered by it without a stateName)
+ *    - matched_terms (words of the present symptoms found in the disease's symptom text)
+ *    - negated_terms (words of the absent symptoms found in it)
+ *    - incidence_per_100k, prior, adjusted_score (the prevalence weighting;
+ *      results are ordered by adjusted_score; null without a stateName)
+ * @throws {ValidationError} 400 VALIDATION_FAILED when the text only names absent symptoms
+ * @throws {ServiceUnavailableError} 503 EMBEDDINGS_UNAVAILABLE in vector mode
+ *   without an embedding provider
+ * @throws {ServiceUnavailableError} 503 EMBEDDINGS_MODEL_MISMATCH when every
+ *   stored embedding comes from another model
  */
 const getSimilarSymptoms = async (req, res) => {
-  try {
-    const text = req.query.text;
-    if (!text || text.trim() === "") {
-      return res.status(400).json({ error: "Need to pass in your symptoms." });
+  const { text, limit, minSimilarity, stateName } = req.validated;
+  const { model, dimensions } = getEmbedding.provider;
+  const fallback = req.validated.mode === 'hybrid' && !getEmbedding.isAvailable()
+    ? ErrorCodes.EMBEDDINGS_UNAVAILABLE
+    : null;
+  const mode = fallback ? 'text' : req.validated.mode;
+  const useVectors = mode !== 'text';
+
+  const parsed = parseSymptomQuery(text);
+  if (parsed.present.length === 0) {
+    throw new ValidationError([{
+      field: 'text',
+      reason: 'format',
+      message: 'text must name at least one symptom that is present',
+    }]);
+  }
+  const presentText = parsed.present.join(', ');
+  const absentText = parsed.absent.length > 0 ? parsed.absent.join(', ') : null;
+
+  const embedding = useVectors ? await embedSymptoms(presentText) : null;
+  const absentEmbedding = useVectors && absentText ? await embedSymptoms(absentText) : null;
+
+  let prevalence = null;
+  let recentWeeks = { years: null, weeks: null };
+  if (stateName) {
+    let { year, week } = req.validated;
+    if (year === null) {
+      const latest = await query(`
+        SELECT c.year, c.week
+        FROM rate_state_disease_week c
+        JOIN dim_region r ON r.region_id = c.region_id
+        WHERE r.state_name = $1
+        ORDER BY c.year DESC, c.week DESC
+        LIMIT 1
+      `, [stateName]);
+      if (latest.rows.length > 0) ({ year, week } = latest.rows[0]);
     }
+    prevalence = { stateName, year, week, weeks: PREVALENCE_WEEKS };
+    if (year !== null) recentWeeks = prevalenceWindow(year, week);
+  }
 
-    const embedding = await getEmbedding(text);
-
-    const sql = `
-      WITH user_symptom AS (
-        SELECT $1::float4[]::vector AS embedding
-      ),
-      similarity AS (
-        SELECT
-          d.disease_name,
-          (e.symptom_embedding <=> u.embedding) AS cosine_distance
-        FROM disease_symptom_embeddings e
-        JOIN dim_disease d ON d.disease_id = e.disease_id
-        CROSS JOIN user_symptom u
-      )
+  const sql = `
+    WITH query_terms AS (
+      -- each word of the present symptoms with its lexeme; stop words have none
+      SELECT DISTINCT ON (lexeme) lexeme, lower(token) AS term
+      FROM ts_debug('english', $4), unnest(lexemes) AS lexeme
+      ORDER BY lexeme, lower(token)
+    ),
+    negated_terms AS (
+      SELECT DISTINCT ON (lexeme) lexeme, lower(token) AS term
+      FROM ts_debug('english', COALESCE($8, '')), unnest(lexemes) AS lexeme
+      WHERE lexeme NOT IN (SELECT lexeme FROM query_terms)
+      ORDER BY lexeme, lower(token)
+    ),
+    text_search AS (
       SELECT
-        disease_name,
-        ROUND(cosine_distance::numeric, 5) AS distance
-      FROM similarity
-      ORDER BY cosine_distance
-      LIMIT 15;
-    `;
-
-    const result = await pool.query(sql, [embedding]);
-    res.json(result.rows);
-  } catch (err) {
-    console.error("Error in /api/similar-symptoms:", err);
-    res.status(500).json({ error: "Internal server error" });
+        s.disease_id,
+        ts_rank_cd(doc.document, (SELECT string_agg(quote_literal(lexeme), ' | ')::tsquery FROM query_terms)) AS text_rank,
+        COALESCE(ts_rank_cd(doc.document, (SELECT string_agg(quote_literal(lexeme), ' | ')::tsquery FROM negated_terms)), 0)
+          AS negated_rank,
+        ARRAY(
+          SELECT t.term FROM query_terms t
+          WHERE t.lexeme = ANY(tsvector_to_array(doc.document))
+          ORDER BY t.term
+        ) AS matched_terms,
+        ARRAY(
+          SELECT t.term FROM negated_terms t
+          WHERE t.lexeme = ANY(tsvector_to_array(doc.document))
+          ORDER BY t.term
+        ) AS negated_terms
+      FROM disease_symptoms s
+      CROSS JOIN LATERAL (SELECT to_tsvector('english', s.symptoms) AS document) doc
+    ),
+    text_ranked AS (
+      SELECT disease_id, text_score,
+             ROW_NUMBER() OVER (ORDER BY text_score DESC, disease_id) AS text_position
+      FROM (
+        SELECT disease_id, text_rank - ${NEGATION_WEIGHT} * negated_rank AS text_score
+        FROM text_search
+        WHERE cardinality(matched_terms) > 0
+      ) matches
+    ),
+    vector_ranked AS (
+      SELECT disease_id, cosine_distance, negated_distance, vector_score,
+             ROW_NUMBER() OVER (ORDER BY vector_score DESC, disease_id) AS vector_position
+      FROM (
+        SELECT disease_id, cosine_distance, negated_distance,
+               1 - cosine_distance - ${NEGATION_WEIGHT} * GREATEST(COALESCE(1 - negated_distance, 0), 0) AS vector_score
+        FROM (
+          SELECT e.disease_id,
+                 (e.symptom_embedding <=> $1::float4[]::vector) AS cosine_distance,
+                 (e.symptom_embedding <=> $9::float4[]::vector) AS negated_distance
+          FROM disease_symptom_embeddings e
+          WHERE $5 <> 'text' AND $1::float4[] IS NOT NULL
+            AND e.embedding_model = $2 AND e.embedding_dimensions = $3
+        ) candidates
+        WHERE $6::float8 IS NULL OR 1 - cosine_distance >= $6::float8
+      ) scored
+    ),
+    results AS (
+      SELECT
+        d.disease_id,
+        d.disease_name,
+        v.cosine_distance,
+        v.negated_distance,
+        ts.text_rank,
+        CASE $5
+          WHEN 'vector' THEN v.vector_score
+          WHEN 'text' THEN t.text_score
+          ELSE COALESCE(1.0 / (${RRF_K} + v.vector_position), 0) + COALESCE(1.0 / (${RRF_K} + t.text_position), 0)
+        END AS score,
+        CASE $5 WHEN 'text' THEN t.text_score ELSE COALESCE(v.vector_score, 0) END AS evidence,
+        COALESCE(ts.matched_terms, '{}') AS matched_terms,
+        COALESCE(ts.negated_terms, '{}') AS negated_terms
+      FROM dim_disease d
+      LEFT JOIN vector_ranked v ON v.disease_id = d.disease_id
+      LEFT JOIN text_ranked t ON t.disease_id = d.disease_id
+      LEFT JOIN text_search ts ON ts.disease_id = d.disease_id
+      WHERE CASE $5
+        WHEN 'vector' THEN v.disease_id IS NOT NULL
+        WHEN 'text' THEN t.disease_id IS NOT NULL
+        ELSE v.disease_id IS NOT NULL OR t.disease_id IS NOT NULL
+      END
+    ),
+    incidence AS (
+      SELECT c.disease_id, SUM(c.cases_per_100k) AS per_100k
+      FROM rate_state_disease_week c
+      JOIN dim_region r ON r.region_id = c.region_id
+      JOIN unnest($11::int[], $12::int[]) AS w (year, week) ON w.year = c.year AND w.week = c.week
+      WHERE r.state_name = $10
+      GROUP BY c.disease_id
+    ),
+    weighted AS (
+      SELECT
+        results.*,
+        COALESCE(i.per_100k, 0) AS incidence_per_100k,
+        (COALESCE(i.per_100k, 0) + ${PRIOR_PSEUDO_RATE})
+          / SUM(COALESCE(i.per_100k, 0) + ${PRIOR_PSEUDO_RATE}) OVER () AS prior,
+        exp(evidence / ${LIKELIHOOD_TEMPERATURE}) AS likelihood
+      FROM results
+      LEFT JOIN incidence i ON i.disease_id = results.disease_id
+    ),
+    posterior AS (
+      SELECT weighted.*, prior * likelihood / SUM(prior * likelihood) OVER () AS adjusted_score
+      FROM weighted
+    )
+    SELECT
+      disease_name,
+      ROUND(cosine_distance::numeric, 5) AS distance,
+      ROUND((1 - cosine_distance)::numeric, 5) AS similarity,
+      ROUND((1 - negated_distance)::numeric, 5) AS negated_similarity,
+      ROUND(NULLIF(text_rank, 0)::numeric, 5) AS text_rank,
+      ROUND(score::numeric, 5) AS score,
+      matched_terms,
+      negated_terms,
+      CASE WHEN $10::text IS NOT NULL THEN ROUND(incidence_per_100k::numeric, 5) END AS incidence_per_100k,
+      CASE WHEN $10::text IS NOT NULL THEN ROUND(prior::numeric, 5) END AS prior,
+      CASE WHEN $10::text IS NOT NULL THEN ROUND(adjusted_score::numeric, 5) END AS adjusted_score
+    FROM posterior
+    ORDER BY CASE WHEN $10::text IS NOT NULL THEN adjusted_score END DESC NULLS LAST, score DESC, cosine_distance, disease_name
+    LIMIT $7;
+  `;
+
+  const result = await query(sql, [
+    embedding, model, dimensions, presentText, mode, minSimilarity, limit, absentText, absentEmbedding,
+    stateName, recentWeeks.years, recentWeeks.weeks,
+  ]);
+  if (embedding && !result.rows.some(row => row.distance !== null)) {
+    const stored = await query(`
+      SELECT DISTINCT embedding_model AS model, embedding_dimensions AS dimensions
+      FROM disease_symptom_embeddings
+      ORDER BY 1, 2
+    `);
+    if (stored.rows.length > 0 && !stored.rows.some(r => r.model === model && r.dimensions === dimensions)) {
+      const models = stored.rows.map(r => `${r.model} (${r.dimensions})`).join(', ');
+      throw new ServiceUnavailableError(
+        ErrorCodes.EMBEDDINGS_MODEL_MISMATCH,
+        `Symptom embeddings were generated with ${models}, but queries are embedded with ${model} (${dimensions}); regenerate the embeddings`
+      );
+    }
   }
+  res.json({ mode, fallback, parsed, prevalence, results: result.rows });
 };
 
 module.exports = getSimilarSymptoms;
@@ -1,4 +1,4 @@
-const { pool } = require('../db');
+const { query } = require('../db');
 
 /**
  * GET /api/top-states-by-disease
@@ -14,49 +14,47 @@ const { pool } = require('../db');
  *   - totalCases: Total cases for the disease
  *   - totalPopulation: State population
  *   - casesPer100k: Cases per 100,000 population
+ *   - populationMethod: How the state's population for the year was obtained
+ * 
+ * Reads the rate_state_disease_year cube (see rateCubes.js).
  * 
  * @example
  * GET /api/top-states-by-disease?year=2023
  */
 const getTopStatesByDisease = async (req, res) => {
-    try {
-      const year = parseInt(req.query.year, 10) || 2025;
-      
-      const sql = `
-        WITH state_disease_rates AS (
-          SELECT 
-            r.state_name AS "stateName",
-            d.disease_name AS "diseaseName",
-            SUM(f.current_week_cases) AS "totalCases",
-            p.population AS "totalPopulation",
-            (SUM(f.current_week_cases)::NUMERIC / NULLIF(p.population, 0)) * 100000 AS "casesPer100k",
-            ROW_NUMBER() OVER (
-              PARTITION BY r.state_name 
-              ORDER BY (SUM(f.current_week_cases)::NUMERIC / NULLIF(p.population, 0)) * 100000 DESC NULLS LAST
-            ) AS rank
-          FROM fact_cases_weekly f
-          JOIN dim_region r ON f.region_id = r.region_id
-          JOIN dim_disease d ON f.disease_id = d.disease_id
-          JOIN fact_population_state_year p ON p.region_id = r.region_id AND p.year = LEAST($1, 2023)
-          WHERE f.year = $1
-          GROUP BY r.state_name, d.disease_name, p.population
-        )
+    const { year } = req.validated;
+    
+    const sql = `
+      WITH state_disease_rates AS (
         SELECT 
-          "stateName", 
-          "diseaseName", 
-          "totalCases", 
-          "totalPopulation", 
-          "casesPer100k"
-        FROM state_disease_rates
-        WHERE rank = 1
-        ORDER BY "stateName" ASC;`;
-      
-      const result = await pool.query(sql, [year]);
-      res.json(result.rows);
-    } catch (err) {
-      console.error('Error in /api/top-states-by-disease:', err);
-      res.status(500).json({ error: 'Internal server error' });
-    }
+          r.state_name AS "stateName",
+          d.disease_name AS "diseaseName",
+          c.total_cases AS "totalCases",
+          c.population AS "totalPopulation",
+          c.method AS "populationMethod",
+          c.cases_per_100k AS "casesPer100k",
+          ROW_NUMBER() OVER (
+            PARTITION BY r.state_name 
+            ORDER BY c.cases_per_100k DESC NULLS LAST
+          ) AS rank
+        FROM rate_state_disease_year c
+        JOIN dim_region r ON c.region_id = r.region_id
+        JOIN dim_disease d ON c.disease_id = d.disease_id
+        WHERE c.year = $1
+      )
+      SELECT 
+        "stateName", 
+        "diseaseName", 
+        "totalCases", 
+        "totalPopulation", 
+        "casesPer100k",
+        "populationMethod"
+      FROM state_disease_rates
+      WHERE rank = 1
+      ORDER BY "stateName" ASC;`;
+    
+    const result = await query(sql, [year]);
+    res.json(result.rows);
   };
   
   module.exports = getTopStatesByDisease;
\ No newline at end of file
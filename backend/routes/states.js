@@ -1,4 +1,4 @@
-const { pool } = require('../db');
+const { query } = require('../db');
 
 /**
  * GET /api/states
@@ -15,18 +15,13 @@ const { pool } = require('../db');
  * Response: [{ regionId: "12", stateName: "California" }, ...]
  */
 const getStates = async (req, res) => {
-    try {
-      const result = await pool.query(
-        `SELECT region_id AS "regionId",
-                state_name AS "stateName"
-         FROM dim_region
-         ORDER BY state_name;`
-      );
-      res.json(result.rows);
-    } catch (err) {
-      console.error('Error in /api/states:', err);
-      res.status(500).json({ error: 'Internal server error' });
-    }
+    const result = await query(
+      `SELECT region_id AS "regionId",
+              state_name AS "stateName"
+       FROM dim_region
+       ORDER BY state_name;`
+    );
+    res.json(result.rows);
   };
 
   module.exports = getStates;
\ No newline at end of file
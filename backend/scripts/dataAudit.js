@@ -0,0 +1,66 @@
+/**
+ * Data-quality audit command (see auditor.js)
+ *
+ *   npm run data-audit                                   markdown report on stdout
+ *   npm run data-audit -- --format json                  JSON report on stdout
+ *   npm run data-audit -- --output audit.md              write the report to a file
+ *   npm run data-audit -- --strict                       warnings fail the audit too
+ *   npm run ingest:nndss -- week.csv && npm run data-audit   gate a load on the audit
+ *
+ * Exits 0 when the audit passes (warnings included, unless --strict), 1 when
+ * a check fails and 2 on bad arguments.
+ */
+
+const fs = require('fs');
+const config = require('../config');
+
+config.validateOrExit();
+const { pool } = require('../db');
+const { runAudit, formatMarkdown } = require('../auditor');
+
+const USAGE = 'Usage: npm run data-audit -- [--format markdown|json] [--output FILE] [--strict]';
+
+const FORMATS = new Set(['markdown', 'json']);
+
+function parseArgs(args) {
+  const options = { format: 'markdown', output: null, strict: false };
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === '--strict') options.strict = true;
+    else if (args[i] === '--format' && FORMATS.has(args[i + 1])) options.format = args[++i];
+    else if (args[i] === '--output' && args[i + 1] && !args[i + 1].startsWith('-')) options.output = args[++i];
+    else return null;
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const client = await pool.connect();
+  let report;
+  try {
+    report = await runAudit(client, { strict: options.strict });
+  } finally {
+    client.release();
+    await pool.end();
+  }
+
+  const text = options.format === 'json' ? `${JSON.stringify(report, null, 2)}\n` : formatMarkdown(report);
+  if (options.output) {
+    fs.writeFileSync(options.output, text);
+    const { pass, warn, fail } = report.counts;
+    console.log(`Data audit ${report.status}: ${pass} passed, ${warn} warnings, ${fail} failed. Report written to ${options.output}`);
+  } else {
+    process.stdout.write(text);
+  }
+  if (report.status === 'fail') process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -1,40 +1,82 @@
+/**
+ * Generate symptom embeddings with the configured provider (see embeddings/generate.js)
+ *
+ *   npm run generate:embeddings                                embed new and changed symptom texts
+ *   npm run generate:embeddings -- --dry-run                   report what would be embedded, change nothing
+ *   npm run generate:embeddings -- --disease Measles           only this disease (name or id; repeatable)
+ *   npm run generate:embeddings -- --batch-size 50             texts per provider request (default 100)
+ *
+ * Only texts without an up-to-date embedding are sent to the provider, so
+ * running it again is cheap, and a run that was interrupted continues where
+ * it stopped. Switching EMBEDDING_PROVIDER re-embeds everything with the new
+ * model. Flush the API's query cache afterwards (POST /api/admin/cache/flush)
+ * so symptom search uses the new vectors.
+ */
 
-require("dotenv").config();
-const { pool } = require("../db");
-const getEmbedding = require("../utils/getEmbedding");
+const config = require('../config');
+
+config.validateOrExit();
+const { pool } = require('../db');
+const getEmbedding = require('../utils/getEmbedding');
+const { generateEmbeddings, BATCH_SIZE } = require('../embeddings/generate');
+
+const USAGE = 'Usage: npm run generate:embeddings -- [--dry-run] [--disease <name | id>]... [--batch-size <n>]';
+
+function parseArgs(args) {
+  const options = { dryRun: false, diseases: [], batchSize: BATCH_SIZE };
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--disease' && i + 1 < args.length) {
+      options.diseases.push(args[++i]);
+    } else if (arg === '--batch-size' && /^[1-9]\d*$/.test(args[i + 1] || '')) {
+      options.batchSize = Number(args[++i]);
+    } else {
+      return null;
+    }
+  }
+  return options;
+}
 
 async function main() {
-  console.log("Fetching symptoms…");
-
-  const { rows } = await pool.query(`
-    SELECT disease_id, symptoms
-    FROM disease_symptoms
-    ORDER BY disease_id;
-  `);
-
-  for (const row of rows) {
-    const { disease_id, symptoms } = row;
-
-    console.log(`Embedding disease_id ${disease_id}...`);
-    const embedding = await getEmbedding(symptoms);
-    const embeddingStr = `[${embedding.join(",")}]`;
-    await pool.query(
-      `
-      INSERT INTO disease_symptom_embeddings (disease_id, symptom_embedding)
-      VALUES ($1, $2::vector)
-      ON CONFLICT (disease_id)
-      DO UPDATE SET symptom_embedding = EXCLUDED.symptom_embedding;
-      `,
-      [disease_id, embeddingStr]
-    );
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.error(USAGE);
+    process.exit(2);
   }
 
-  console.log("All embeddings generated and stored.");
-  await pool.end();
-  process.exit(0);
+  const provider = getEmbedding.provider;
+  if (!options.dryRun && !provider.isAvailable()) {
+    throw new Error(`The ${provider.name} embedding provider is not configured (OPENAI_API_KEY is required for openai).`);
+  }
+
+  const client = await pool.connect();
+  try {
+    const summary = await generateEmbeddings(client, provider, {
+      ...options,
+      onBatch: (batch, done, total) => console.log(`Embedded ${done}/${total}`),
+      retry: {
+        onRetry: (err, attempt, delayMs) => console.log(`${err.message}; retry ${attempt} in ${delayMs / 1000} s`),
+      },
+    });
+    const stale = summary.stale.new + summary.stale.changed + summary.stale.model;
+
+    console.log(`${provider.name} ${summary.model}: ${summary.current} up to date, ${stale} to embed `
+      + `(${summary.stale.new} new, ${summary.stale.changed} changed, ${summary.stale.model} from another model)`);
+    if (options.dryRun) {
+      if (stale > 0) console.log(`Would embed: ${summary.diseases.join(', ')}`);
+      console.log('Dry run: nothing was saved.');
+    } else {
+      console.log(`Embedded ${summary.embedded} symptom texts in ${summary.batches} requests.`);
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
 }
 
 main().catch((err) => {
-  console.error("Error generating embeddings:", err);
+  console.error(err.message);
   process.exit(1);
 });
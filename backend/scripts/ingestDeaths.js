@@ -0,0 +1,76 @@
+/**
+ * Load a CDC provisional flu / RSV / COVID-19 deaths CSV export (see ingest/deaths.js)
+ *
+ *   npm run ingest:deaths -- deaths-2025-10.csv             load the file
+ *   npm run ingest:deaths -- deaths-2025-10.csv --dry-run   validate and report, change nothing
+ *   curl -s "$EXPORT_URL" | npm run ingest:deaths -- -      read the CSV from stdin
+ *
+ * Run it monthly with the full export: counts are upserted, so unchanged
+ * weeks stay as they are and revised counts replace the old ones. The
+ * export's data-as-of date is recorded in data_loads and reported by
+ * GET /api/health/data. Flush the API's query cache afterwards
+ * (POST /api/admin/cache/flush) so responses pick up the new counts.
+ */
+
+const fs = require('fs');
+const config = require('../config');
+
+config.validateOrExit();
+const { pool } = require('../db');
+const { ingestDeaths } = require('../ingest/deaths');
+
+const USAGE = 'Usage: npm run ingest:deaths -- <file.csv | -> [--dry-run]';
+
+function parseArgs(args) {
+  const options = { file: null, dryRun: false };
+  for (const arg of args) {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (options.file === null && (arg === '-' || !arg.startsWith('-'))) options.file = arg;
+    else return null;
+  }
+  return options.file === null ? null : options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  let input;
+  if (options.file === '-') {
+    process.stdin.setEncoding('utf8');
+    input = process.stdin;
+  } else {
+    input = fs.createReadStream(options.file, 'utf8');
+  }
+
+  const client = await pool.connect();
+  try {
+    const summary = await ingestDeaths(client, input, { dryRun: options.dryRun });
+    const { inserted, updated, unchanged } = summary.deaths;
+    const weeks = summary.weeks.length <= 3
+      ? summary.weeks.join(', ')
+      : `${summary.weeks[0]} to ${summary.weeks[summary.weeks.length - 1]} (${summary.weeks.length} weeks)`;
+
+    console.log(`Read ${summary.rows} rows for MMWR week ${weeks}, data as of ${summary.dataAsOf}; ${summary.suppressed} suppressed counts.`);
+    console.log(`Skipped ${summary.skipped.jurisdiction} rows of other jurisdictions and ${summary.skipped.overall} overall rows.`);
+    console.log(`fact_flu_rsv_covid_deaths: ${inserted} inserted, ${updated} updated, ${unchanged} unchanged`);
+    if (summary.newPathogens.length > 0) {
+      console.log(`New pathogens: ${summary.newPathogens.join(', ')}`);
+      console.log('Link each to its disease in disease_pathogen, or no disease profile reports its deaths.');
+    }
+    if (summary.newWeeks > 0) console.log(`New MMWR weeks: ${summary.newWeeks}`);
+    if (summary.newDemographicGroups.length > 0) console.log(`New demographic groups: ${summary.newDemographicGroups.join(', ')}`);
+    if (options.dryRun) console.log('Dry run: nothing was saved.');
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
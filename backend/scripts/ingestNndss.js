@@ -0,0 +1,84 @@
+/**
+ * Load a CDC NNDSS weekly tables CSV export (see ingest/nndss.js)
+ *
+ *   npm run ingest:nndss -- nndss-2025-w40.csv             load the file
+ *   npm run ingest:nndss -- nndss-2025-w40.csv --dry-run   validate and report, change nothing
+ *   curl -s "$EXPORT_URL" | npm run ingest:nndss -- -      read the CSV from stdin
+ *
+ * Loading a week again is safe: rows are upserted, so unchanged counts stay
+ * as they are and revised counts replace the old ones. The rate cubes are
+ * refreshed after the load (see rateCubes.js). Flush the API's query cache
+ * afterwards (POST /api/admin/cache/flush) so responses pick up the
+ * new week.
+ */
+
+const fs = require('fs');
+const config = require('../config');
+
+config.validateOrExit();
+const { pool } = require('../db');
+const { ingestNndss } = require('../ingest/nndss');
+const { refreshRateCubes } = require('../rateCubes');
+
+const USAGE = 'Usage: npm run ingest:nndss -- <file.csv | -> [--dry-run]';
+
+function parseArgs(args) {
+  const options = { file: null, dryRun: false };
+  for (const arg of args) {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (options.file === null && (arg === '-' || !arg.startsWith('-'))) options.file = arg;
+    else return null;
+  }
+  return options.file === null ? null : options;
+}
+
+function describeCounts({ inserted, updated, unchanged }) {
+  return `${inserted} inserted, ${updated} updated, ${unchanged} unchanged`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  let input;
+  if (options.file === '-') {
+    process.stdin.setEncoding('utf8');
+    input = process.stdin;
+  } else {
+    input = fs.createReadStream(options.file, 'utf8');
+  }
+
+  const client = await pool.connect();
+  try {
+    const summary = await ingestNndss(client, input, { dryRun: options.dryRun });
+    const weeks = summary.weeks.length <= 3
+      ? summary.weeks.join(', ')
+      : `${summary.weeks[0]} to ${summary.weeks[summary.weeks.length - 1]} (${summary.weeks.length} weeks)`;
+
+    console.log(`Read ${summary.rows} rows for MMWR week ${weeks || '-'}; ${summary.notAvailable} without a count (N, NN, NP, U).`);
+    console.log(`fact_nndss_weekly: ${describeCounts(summary.nndss)}`);
+    console.log(`fact_cases_weekly: ${describeCounts(summary.cases)}`);
+    if (summary.newReportingAreas.length > 0) console.log(`New reporting areas: ${summary.newReportingAreas.join(', ')}`);
+    if (summary.newDiseases.length > 0) {
+      console.log(`New diseases: ${summary.newDiseases.join(', ')}`);
+      console.log('Link any flu / RSV / COVID-19 disease among them to its pathogen in disease_pathogen.');
+    }
+    if (options.dryRun) {
+      console.log('Dry run: nothing was saved.');
+    } else {
+      await refreshRateCubes(client);
+      console.log('Rate cubes refreshed.');
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
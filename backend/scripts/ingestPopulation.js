@@ -0,0 +1,76 @@
+/**
+ * Load a Census population estimates CSV (see ingest/population.js)
+ *
+ *   npm run ingest:population -- NST-EST2024-ALLDATA.csv             state totals
+ *   npm run ingest:population -- SC-EST2024-ALLDATA6.csv             states by race, sex and age
+ *   npm run ingest:population -- SC-EST2024-ALLDATA6.csv --dry-run   validate and report, change nothing
+ *   curl -s "$ESTIMATES_URL" | npm run ingest:population -- -        read the CSV from stdin
+ *
+ * Loading a vintage again, or a newer vintage, is safe: estimates are
+ * upserted, so revised years replace the old figures. State totals refresh
+ * the rate cubes after the load (see rateCubes.js). Flush the API's query
+ * cache afterwards (POST /api/admin/cache/flush) so rates use the new
+ * populations.
+ */
+
+const fs = require('fs');
+const config = require('../config');
+
+config.validateOrExit();
+const { pool } = require('../db');
+const { ingestPopulation } = require('../ingest/population');
+const { refreshRateCubes } = require('../rateCubes');
+
+const USAGE = 'Usage: npm run ingest:population -- <file.csv | -> [--dry-run]';
+
+const TABLES = { state: 'fact_population_state_year', demographic: 'fact_population_state_demo_year' };
+
+function parseArgs(args) {
+  const options = { file: null, dryRun: false };
+  for (const arg of args) {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (options.file === null && (arg === '-' || !arg.startsWith('-'))) options.file = arg;
+    else return null;
+  }
+  return options.file === null ? null : options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  let input;
+  if (options.file === '-') {
+    process.stdin.setEncoding('utf8');
+    input = process.stdin;
+  } else {
+    input = fs.createReadStream(options.file, 'utf8');
+  }
+
+  const client = await pool.connect();
+  try {
+    const summary = await ingestPopulation(client, input, { dryRun: options.dryRun });
+    const { inserted, updated, unchanged } = summary.population;
+
+    console.log(`Read ${summary.rows} ${summary.kind} estimate rows for ${summary.years.join(', ')}.`);
+    console.log(`${TABLES[summary.kind]}: ${inserted} inserted, ${updated} updated, ${unchanged} unchanged`);
+    if (summary.skippedAreas.length > 0) console.log(`Skipped areas not in dim_region: ${summary.skippedAreas.join(', ')}`);
+    if (options.dryRun) {
+      console.log('Dry run: nothing was saved.');
+    } else if (summary.kind === 'state') {
+      await refreshRateCubes(client);
+      console.log('Rate cubes refreshed.');
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+/**
+ * Database migrations command
+ *
+ *   npm run migrate                  apply every pending migration
+ *   npm run migrate -- up --to 0003  apply pending migrations up to 0003
+ *   npm run migrate -- down [steps]  revert the latest migration(s), default 1
+ *   npm run migrate -- status        list applied, pending and modified migrations
+ *
+ * Connects with the settings from config.js. See migrator.js.
+ */
+
+const config = require('../config');
+
+config.validateOrExit();
+const { pool } = require('../db');
+const migrator = require('../migrator');
+
+const USAGE = 'Usage: npm run migrate -- [up [--to VERSION] | down [STEPS] | status]';
+
+function parseArgs(args) {
+  const [command = 'up', ...rest] = args;
+
+  if (command === 'up') {
+    const toIndex = rest.indexOf('--to');
+    const to = toIndex >= 0 ? rest[toIndex + 1] : undefined;
+    if (toIndex >= 0 && !/^\d{4}$/.test(to || '')) return null;
+    return { command, to };
+  }
+  if (command === 'down') {
+    const steps = rest.length > 0 ? Number(rest[0]) : 1;
+    if (!Number.isInteger(steps) || steps < 1) return null;
+    return { command, steps };
+  }
+  if (command === 'status') return { command };
+  return null;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const client = await pool.connect();
+  try {
+    if (options.command === 'status') {
+      const rows = await migrator.status(client);
+      for (const row of rows) {
+        const when = row.appliedAt ? ` (${new Date(row.appliedAt).toISOString()})` : '';
+        console.log(`${row.version}_${row.name}: ${row.state}${when}`);
+      }
+      if (rows.some(row => row.state === 'changed' || row.state === 'missing')) {
+        process.exitCode = 1;
+      }
+    } else if (options.command === 'up') {
+      const applied = await migrator.up(client, { to: options.to });
+      console.log(applied.length > 0 ? `Applied: ${applied.join(', ')}` : 'Database is up to date.');
+    } else {
+      const reverted = await migrator.down(client, { steps: options.steps });
+      console.log(reverted.length > 0 ? `Reverted: ${reverted.join(', ')}` : 'No migrations to revert.');
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+/**
+ * Refresh the rate cubes (see rateCubes.js)
+ *
+ *   npm run refresh:rates
+ *
+ * The ingestion commands and the seed already refresh them; run this after
+ * changing case or population facts any other way. Flush the API's query
+ * cache afterwards (POST /api/admin/cache/flush) so responses pick up the new
+ * rates.
+ */
+
+const config = require('../config');
+
+config.validateOrExit();
+const { pool } = require('../db');
+const { refreshRateCubes } = require('../rateCubes');
+
+const USAGE = 'Usage: npm run refresh:rates';
+
+async function main() {
+  if (process.argv.length > 2) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const client = await pool.connect();
+  try {
+    for (const { view, rows, ms } of await refreshRateCubes(client)) {
+      console.log(`${view}: ${rows} rows (${(ms / 1000).toFixed(1)} s)`);
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
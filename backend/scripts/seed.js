@@ -0,0 +1,61 @@
+/**
+ * Load the synthetic demo dataset (see seeder.js)
+ *
+ *   npm run seed                 seed an empty database (run `npm run migrate` first)
+ *   npm run seed -- --reset      replace the data in every seeded table
+ *   npm run seed -- --seed 42    use another PRNG seed
+ *
+ * Only local databases (DB_HOST localhost / 127.0.0.1 / ::1) are seeded
+ * unless --force is given, so the shared instance cannot be overwritten by
+ * accident.
+ */
+
+const config = require('../config');
+
+config.validateOrExit();
+const { pool } = require('../db');
+const { seedDatabase, isLocalHost } = require('../seeder');
+
+const USAGE = 'Usage: npm run seed -- [--reset] [--seed N] [--force]';
+
+function parseArgs(args) {
+  const options = { reset: false, force: false, seed: undefined };
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === '--reset') options.reset = true;
+    else if (args[i] === '--force') options.force = true;
+    else if (args[i] === '--seed' && /^\d+$/.test(args[i + 1] || '')) options.seed = Number(args[++i]);
+    else return null;
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (!isLocalHost(config.dbHost) && !options.force) {
+    console.error(`Refusing to seed ${config.dbHost}: it is not a local database. Pass --force to seed it anyway.`);
+    process.exit(1);
+  }
+
+  const client = await pool.connect();
+  try {
+    const started = Date.now();
+    await seedDatabase(client, {
+      reset: options.reset,
+      seed: options.seed,
+      onTable: (table, rows) => console.log(`${table}: ${rows} rows`),
+    });
+    console.log(`Seeded ${config.dbName} in ${((Date.now() - started) / 1000).toFixed(1)} s.`);
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
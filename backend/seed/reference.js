@@ -0,0 +1,189 @@
+/**
+ * Reference data for the synthetic demo database (see seeder.js).
+ *
+ * Populations are rounded 2020 census counts; disease rates, seasonality and
+ * demographic shares are plausible orders of magnitude, not real statistics.
+ *
+ * @module seed/reference
+ */
+
+/** [state name, postal code, 2020 population] */
+const STATES = [
+  ['Alabama', 'AL', 5024000], ['Alaska', 'AK', 733000], ['Arizona', 'AZ', 7152000],
+  ['Arkansas', 'AR', 3012000], ['California', 'CA', 39538000], ['Colorado', 'CO', 5774000],
+  ['Connecticut', 'CT', 3606000], ['Delaware', 'DE', 990000], ['District of Columbia', 'DC', 690000],
+  ['Florida', 'FL', 21538000], ['Georgia', 'GA', 10712000], ['Hawaii', 'HI', 1455000],
+  ['Idaho', 'ID', 1839000], ['Illinois', 'IL', 12813000], ['Indiana', 'IN', 6786000],
+  ['Iowa', 'IA', 3190000], ['Kansas', 'KS', 2938000], ['Kentucky', 'KY', 4506000],
+  ['Louisiana', 'LA', 4658000], ['Maine', 'ME', 1362000], ['Maryland', 'MD', 6177000],
+  ['Massachusetts', 'MA', 7030000], ['Michigan', 'MI', 10077000], ['Minnesota', 'MN', 5706000],
+  ['Mississippi', 'MS', 2961000], ['Missouri', 'MO', 6155000], ['Montana', 'MT', 1084000],
+  ['Nebraska', 'NE', 1962000], ['Nevada', 'NV', 3105000], ['New Hampshire', 'NH', 1378000],
+  ['New Jersey', 'NJ', 9289000], ['New Mexico', 'NM', 2118000], ['New York', 'NY', 20201000],
+  ['North Carolina', 'NC', 10439000], ['North Dakota', 'ND', 779000], ['Ohio', 'OH', 11799000],
+  ['Oklahoma', 'OK', 3959000], ['Oregon', 'OR', 4237000], ['Pennsylvania', 'PA', 13003000],
+  ['Rhode Island', 'RI', 1097000], ['South Carolina', 'SC', 5118000], ['South Dakota', 'SD', 887000],
+  ['Tennessee', 'TN', 6911000], ['Texas', 'TX', 29146000], ['Utah', 'UT', 3272000],
+  ['Vermont', 'VT', 643000], ['Virginia', 'VA', 8631000], ['Washington', 'WA', 7705000],
+  ['West Virginia', 'WV', 1794000], ['Wisconsin', 'WI', 5894000], ['Wyoming', 'WY', 577000],
+];
+
+/**
+ * Notifiable diseases with case data.
+ * - weeklyRate: mean weekly cases per 100,000 people
+ * - peakWeek / seasonality: MMWR week of the seasonal peak and its amplitude (0-1)
+ * - yearFactor: multiplier per year (missing years use 1)
+ * - trend: yearly growth applied on top, e.g. 0.12 for +12% a year
+ * - pathogen: the PATHOGENS entry of its deaths data, if any
+ */
+const DISEASES = [
+  {
+    name: 'COVID-19',
+    pathogen: 'COVID-19',
+    weeklyRate: 60,
+    peakWeek: 1,
+    seasonality: 0.5,
+    yearFactor: { 2020: 3, 2021: 4, 2022: 2.5, 2023: 1.2 },
+    symptoms: 'Fever or chills, dry cough, shortness of breath, fatigue, muscle aches, headache, ' +
+      'new loss of taste or smell, sore throat, congestion, nausea and diarrhea.',
+  },
+  {
+    name: 'Influenza',
+    pathogen: 'Influenza',
+    weeklyRate: 25,
+    peakWeek: 6,
+    seasonality: 0.9,
+    yearFactor: { 2020: 0.6, 2021: 0.2, 2022: 1.3 },
+    symptoms: 'Sudden high fever, chills, cough, sore throat, runny or stuffy nose, muscle and body aches, ' +
+      'headache and extreme fatigue.',
+  },
+  {
+    name: 'RSV',
+    pathogen: 'RSV',
+    weeklyRate: 8,
+    peakWeek: 50,
+    seasonality: 0.9,
+    yearFactor: { 2020: 0.4, 2021: 0.7, 2022: 1.6 },
+    symptoms: 'Runny nose, decreased appetite, cough, sneezing, fever and wheezing; infants may show ' +
+      'irritability, decreased activity and breathing difficulties.',
+  },
+  {
+    name: 'Salmonellosis',
+    weeklyRate: 0.3,
+    peakWeek: 30,
+    seasonality: 0.5,
+    symptoms: 'Diarrhea that can be bloody, fever and stomach cramps starting six hours to six days after ' +
+      'eating contaminated food, sometimes with nausea, vomiting and headache.',
+  },
+  {
+    name: 'Lyme disease',
+    weeklyRate: 0.6,
+    peakWeek: 27,
+    seasonality: 0.8,
+    trend: 0.12,
+    symptoms: 'Expanding bullseye rash at the site of a tick bite, fever, chills, headache, fatigue, ' +
+      'muscle and joint aches and swollen lymph nodes; later joint swelling and facial palsy.',
+  },
+  {
+    name: 'Pertussis',
+    weeklyRate: 0.12,
+    peakWeek: 32,
+    seasonality: 0.3,
+    yearFactor: { 2020: 0.5, 2021: 0.2, 2022: 0.3, 2024: 2.5, 2025: 2 },
+    symptoms: 'Runny nose and mild cough progressing to severe coughing fits with a high-pitched whoop, ' +
+      'vomiting after coughing and exhaustion; infants may have pauses in breathing.',
+  },
+  {
+    name: 'Hepatitis A',
+    weeklyRate: 0.03,
+    peakWeek: 20,
+    seasonality: 0.1,
+    symptoms: 'Yellow skin and eyes (jaundice), dark urine, clay-colored stool, fatigue, nausea, vomiting, ' +
+      'stomach pain, loss of appetite, fever and joint pain.',
+  },
+  {
+    name: 'Measles',
+    weeklyRate: 0.004,
+    peakWeek: 12,
+    seasonality: 0.4,
+    yearFactor: { 2024: 2, 2025: 8 },
+    symptoms: 'High fever, cough, runny nose and red watery eyes, followed by tiny white spots inside the ' +
+      'mouth and a red blotchy rash that spreads from the face down the body.',
+  },
+];
+
+/** Race/ethnicity categories with their approximate national population share */
+const RACES = [
+  ['White', 0.58],
+  ['Hispanic', 0.19],
+  ['Black', 0.12],
+  ['Asian', 0.06],
+  ['Multiracial', 0.035],
+  ['American Indian/Alaska Native', 0.015],
+];
+
+const SEXES = [['Female', 0.505], ['Male', 0.495]];
+
+/**
+ * Census age groups with their population share and relative mortality from
+ * respiratory disease (the deaths facts weight by it).
+ */
+const AGE_GROUPS = [
+  ['0-4', 0.06, 0.15],
+  ['5-17', 0.16, 0.02],
+  ['18-24', 0.09, 0.03],
+  ['25-44', 0.27, 0.1],
+  ['45-64', 0.25, 0.6],
+  ['65-74', 0.10, 2.5],
+  ['75+', 0.07, 8],
+];
+
+/**
+ * Pathogens of the weekly deaths data: deaths per 100,000 people per week at
+ * the seasonal peak, by year.
+ */
+const PATHOGENS = [
+  { name: 'COVID-19', peakWeek: 2, weeklyRate: { 2020: 3, 2021: 4, 2022: 2, 2023: 0.8, 2024: 0.5, 2025: 0.4 } },
+  { name: 'Influenza', peakWeek: 6, weeklyRate: { 2020: 0.2, 2021: 0.02, 2022: 0.3, 2023: 0.2, 2024: 0.35, 2025: 0.3 } },
+  { name: 'RSV', peakWeek: 51, weeklyRate: { 2020: 0.03, 2021: 0.05, 2022: 0.12, 2023: 0.08, 2024: 0.08, 2025: 0.07 } },
+];
+
+/**
+ * Demographic breakdowns of the weekly deaths data and each value's share of
+ * deaths. The age groups are the broad bands /api/estimated-deaths-by-state
+ * maps census age groups onto.
+ */
+const DEATH_DEMOGRAPHICS = {
+  'Age Group': [['0-17 years', 0.01], ['18-64 years', 0.22], ['65+ years', 0.77]],
+  Sex: [['Male', 0.54], ['Female', 0.46]],
+  'Race/Ethnicity': [
+    ['White', 0.66], ['Hispanic', 0.13], ['Black', 0.13], ['Asian', 0.04],
+    ['Multiracial', 0.02], ['American Indian/Alaska Native', 0.02],
+  ],
+};
+
+/** Diseases of the yearly deaths facts, with deaths per 100,000 people per year by year */
+const DEATH_DISEASES = [
+  { name: 'COVID-19', yearlyRate: { 2020: 100, 2021: 140, 2022: 75, 2023: 22 } },
+  { name: 'Influenza', yearlyRate: { 2020: 6, 2021: 1, 2022: 8, 2023: 7 } },
+];
+
+/** Years covered by each part of the dataset */
+const YEARS = {
+  cases: [2020, 2021, 2022, 2023, 2024, 2025],
+  nndss: [2022, 2023, 2024, 2025],
+  population: [2020, 2021, 2022, 2023],
+  deaths: [2020, 2021, 2022, 2023, 2024, 2025],
+};
+
+module.exports = {
+  STATES,
+  DISEASES,
+  RACES,
+  SEXES,
+  AGE_GROUPS,
+  PATHOGENS,
+  DEATH_DEMOGRAPHICS,
+  DEATH_DISEASES,
+  YEARS,
+};
@@ -0,0 +1,378 @@
+/**
+ * Synthetic Demo Data
+ *
+ * Generates a realistic, fully synthetic surveillance dataset and loads it
+ * into a database created by the migrations, so every API route returns
+ * meaningful results without access to the shared RDS instance:
+ *
+ * - every state and DC, with yearly and race / sex / age group populations;
+ * - eight diseases with seasonal weekly case counts over several MMWR years,
+ *   as both case facts and NNDSS reporting-area facts;
+ * - weekly flu / RSV / COVID-19 deaths by demographic group and yearly deaths
+ *   by state and demographic;
+ * - symptom descriptions with deterministic embeddings (utils/hashEmbedding,
+ *   the local embedding provider).
+ *
+ * The generator is seeded, so the same seed always produces the same rows;
+ * states differ in rate levels and trends, so the outlier, rising-trend and
+ * below-national analyses all have states to report.
+ *
+ * Run through scripts/seed.js (`npm run seed`).
+ *
+ * @module seeder
+ * @requires seed/reference
+ * @requires utils/mmwr
+ * @requires utils/hashEmbedding
+ * @requires embeddings
+ * @requires embeddings/generate
+ * @requires ingest/nndss
+ * @requires rateCubes
+ */
+
+const reference = require('./seed/reference');
+const { weekStart, weeksInYear } = require('./utils/mmwr');
+const hashEmbedding = require('./utils/hashEmbedding');
+const { MODEL: LOCAL_EMBEDDING_MODEL } = require('./embeddings/local');
+const { EMBEDDING_DIMENSIONS } = require('./embeddings');
+const { contentHash } = require('./embeddings/generate');
+const { NATIONAL_REPORTING_AREA } = require('./ingest/nndss');
+const { refreshRateCubes } = require('./rateCubes');
+
+const DEFAULT_SEED = 5500;
+const BATCH_SIZE = 5000;
+
+/** Tables the seed fills, in dependency order */
+const TABLES = [
+  'dim_region', 'dim_disease', 'dim_region_ndss', 'dim_pathogen', 'dim_mmwr_week', 'dim_demographic_group',
+  'disease_pathogen',
+  'fact_population_state_year', 'fact_population_state_demo_year',
+  'fact_cases_weekly', 'fact_nndss_weekly',
+  'fact_flu_rsv_covid_deaths', 'fact_deaths',
+  'disease_symptoms', 'disease_symptom_embeddings',
+];
+
+// hosts that cannot be the shared instance; only these are seeded by default
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '::1']);
+
+/** mulberry32: small, fast, seedable PRNG returning floats in [0, 1) */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const uniform = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const normal = (mean = 0, sd = 1) => {
+    const u = 1 - uniform();
+    return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * uniform());
+  };
+  // count drawn around `mean`: Poisson-like spread, never negative
+  const count = (mean) => {
+    if (mean <= 0) return 0;
+    if (mean < 30) {
+      // Knuth's algorithm is exact and cheap for small means
+      const limit = Math.exp(-mean);
+      let k = 0;
+      let p = uniform();
+      while (p > limit) {
+        k += 1;
+        p *= uniform();
+      }
+      return k;
+    }
+    return Math.max(0, Math.round(normal(mean, Math.sqrt(mean))));
+  };
+  return { uniform, normal, count, logNormal: sd => Math.exp(normal(0, sd)) };
+}
+
+function seasonal(week, peakWeek, amplitude) {
+  return 1 + amplitude * Math.cos((2 * Math.PI * (week - peakWeek)) / 52);
+}
+
+function weeksOf(years) {
+  return years.flatMap(year => Array.from({ length: weeksInYear(year) }, (_, i) => ({ year, week: i + 1 })));
+}
+
+function table(columns, types) {
+  return { columns, types, rows: [] };
+}
+
+/**
+ * Build every row of the demo dataset in memory.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.seed=5500] - PRNG seed; the same seed gives the same data
+ * @returns {Object<string, {columns: string[], types: string[], rows: Array[]}>} Rows by table, in TABLES order
+ */
+function generateDataset({ seed = DEFAULT_SEED } = {}) {
+  const random = createRandom(seed);
+  const { STATES, DISEASES, RACES, SEXES, AGE_GROUPS, PATHOGENS, DEATH_DEMOGRAPHICS, DEATH_DISEASES, YEARS } = reference;
+  const lastPopulationYear = YEARS.population[YEARS.population.length - 1];
+
+  const data = {
+    dim_region: table(['region_id', 'state_name', 'state_code'], ['int', 'text', 'text']),
+    dim_disease: table(['disease_id', 'disease_name'], ['int', 'text']),
+    dim_region_ndss: table(['region_id', 'reporting_area'], ['int', 'text']),
+    dim_pathogen: table(['pathogen_id', 'pathogen'], ['int', 'text']),
+    disease_pathogen: table(['disease_id', 'pathogen_id'], ['int', 'int']),
+    dim_mmwr_week: table(['mmwr_week_id', 'year', 'week', 'week_ending_date'], ['int', 'int', 'int', 'date']),
+    dim_demographic_group: table(['demographic_group_id', 'demographic_type', 'demographic_value'], ['int', 'text', 'text']),
+    fact_population_state_year: table(['region_id', 'year', 'population'], ['int', 'int', 'bigint']),
+    fact_population_state_demo_year: table(
+      ['region_id', 'year', 'race', 'sex', 'age_group', 'population'],
+      ['int', 'int', 'text', 'text', 'text', 'bigint']
+    ),
+    fact_cases_weekly: table(
+      ['region_id', 'disease_id', 'year', 'week', 'current_week_cases'],
+      ['int', 'int', 'int', 'int', 'int']
+    ),
+    fact_nndss_weekly: table(
+      ['region_id', 'disease_id', 'current_mmwr_year', 'current_mmwr_week', 'current_week'],
+      ['int', 'int', 'int', 'int', 'int']
+    ),
+    fact_flu_rsv_covid_deaths: table(
+      ['pathogen_id', 'mmwr_week_id', 'demographic_group_id', 'deaths'],
+      ['int', 'int', 'int', 'int']
+    ),
+    fact_deaths: table(
+      ['disease_name', 'year', 'region_id', 'race', 'sex', 'age_group', 'deaths'],
+      ['text', 'int', 'int', 'text', 'text', 'text', 'int']
+    ),
+    disease_symptoms: table(['disease_id', 'symptoms'], ['int', 'text']),
+    disease_symptom_embeddings: table(
+      ['disease_id', 'symptom_embedding', 'embedding_model', 'embedding_dimensions', 'content_hash'],
+      ['int', 'vector', 'text', 'int', 'text']
+    ),
+  };
+
+  // --- dimensions ---
+  const states = STATES.map(([name, code, population], i) => ({
+    regionId: i + 1,
+    name,
+    code,
+    population,
+    growth: random.normal(0.005, 0.007),
+    // shares drift a little from the national mix in each state
+    raceShares: normalize(RACES.map(([, share]) => share * random.logNormal(0.35))),
+  }));
+  for (const state of states) data.dim_region.rows.push([state.regionId, state.name, state.code]);
+
+  DISEASES.forEach((disease, i) => {
+    data.dim_disease.rows.push([i + 1, disease.name]);
+    data.disease_symptoms.rows.push([i + 1, disease.symptoms]);
+    data.disease_symptom_embeddings.rows.push([
+      i + 1, hashEmbedding(disease.symptoms, EMBEDDING_DIMENSIONS), LOCAL_EMBEDDING_MODEL, EMBEDDING_DIMENSIONS,
+      contentHash(disease.symptoms),
+    ]);
+  });
+
+  states.forEach((state, i) => data.dim_region_ndss.rows.push([i + 1, state.name.toUpperCase()]));
+  const nationalNdssId = states.length + 1;
+  data.dim_region_ndss.rows.push([nationalNdssId, NATIONAL_REPORTING_AREA]);
+
+  PATHOGENS.forEach((pathogen, i) => data.dim_pathogen.rows.push([i + 1, pathogen.name]));
+  DISEASES.forEach((disease, i) => {
+    if (disease.pathogen) {
+      data.disease_pathogen.rows.push([i + 1, PATHOGENS.findIndex(({ name }) => name === disease.pathogen) + 1]);
+    }
+  });
+
+  const weekIds = new Map();
+  weeksOf(YEARS.deaths).forEach(({ year, week }, i) => {
+    const ending = new Date(weekStart(year, week).getTime() + 6 * 24 * 60 * 60 * 1000);
+    weekIds.set(`${year}-${week}`, i + 1);
+    data.dim_mmwr_week.rows.push([i + 1, year, week, ending.toISOString().slice(0, 10)]);
+  });
+
+  const groups = [];
+  for (const [type, values] of Object.entries(DEATH_DEMOGRAPHICS)) {
+    for (const [value, share] of values) {
+      groups.push({ id: groups.length + 1, share });
+      data.dim_demographic_group.rows.push([groups.length, type, value]);
+    }
+  }
+
+  // --- population ---
+  const populationOf = (state, year) =>
+    Math.round(state.population * (1 + state.growth) ** (Math.min(year, lastPopulationYear) - 2020));
+
+  for (const state of states) {
+    for (const year of YEARS.population) {
+      const total = populationOf(state, year);
+      data.fact_population_state_year.rows.push([state.regionId, year, total]);
+      RACES.forEach(([race], r) => {
+        for (const [sex, sexShare] of SEXES) {
+          for (const [ageGroup, ageShare] of AGE_GROUPS) {
+            const population = Math.round(total * state.raceShares[r] * sexShare * ageShare);
+            data.fact_population_state_demo_year.rows.push([state.regionId, year, race, sex, ageGroup, population]);
+          }
+        }
+      });
+    }
+  }
+
+  // --- weekly cases (case facts, and the same counts as NNDSS facts) ---
+  const nndssYears = new Set(YEARS.nndss);
+  const caseWeeks = weeksOf(YEARS.cases);
+  DISEASES.forEach((disease, d) => {
+    const diseaseId = d + 1;
+    const national = new Map();
+
+    for (const state of states) {
+      const level = random.logNormal(0.35);
+      const trend = (disease.trend || 0) + random.normal(0, 0.06);
+      const yearNoise = new Map(YEARS.cases.map(year => [year, random.logNormal(0.05)]));
+
+      for (const { year, week } of caseWeeks) {
+        const yearFactor = (disease.yearFactor && disease.yearFactor[year]) || 1;
+        const mean = (populationOf(state, year) / 100000) * disease.weeklyRate *
+          seasonal(week, disease.peakWeek, disease.seasonality) *
+          level * yearFactor * yearNoise.get(year) * (1 + trend) ** (year - YEARS.cases[0]);
+        const cases = random.count(mean);
+
+        data.fact_cases_weekly.rows.push([state.regionId, diseaseId, year, week, cases]);
+        if (nndssYears.has(year)) {
+          data.fact_nndss_weekly.rows.push([state.regionId, diseaseId, year, week, cases]);
+          const key = `${year}-${week}`;
+          national.set(key, (national.get(key) || 0) + cases);
+        }
+      }
+    }
+
+    for (const [key, cases] of national) {
+      const [year, week] = key.split('-').map(Number);
+      data.fact_nndss_weekly.rows.push([nationalNdssId, diseaseId, year, week, cases]);
+    }
+  });
+
+  // --- weekly deaths by pathogen and demographic group ---
+  const nationalPopulation = year => states.reduce((sum, state) => sum + populationOf(state, year), 0);
+  PATHOGENS.forEach((pathogen, p) => {
+    for (const { year, week } of weeksOf(YEARS.deaths)) {
+      const mean = (nationalPopulation(year) / 100000) * pathogen.weeklyRate[year] *
+        seasonal(week, pathogen.peakWeek, 0.8) / 1.8;
+      const weekId = weekIds.get(`${year}-${week}`);
+      for (const group of groups) {
+        data.fact_flu_rsv_covid_deaths.rows.push([p + 1, weekId, group.id, random.count(mean * group.share)]);
+      }
+    }
+  });
+
+  // --- yearly deaths by state and demographic ---
+  const ageMortality = normalize(AGE_GROUPS.map(([, share, mortality]) => share * mortality))
+    .map((weight, a) => weight / AGE_GROUPS[a][1]);
+  for (const disease of DEATH_DISEASES) {
+    for (const state of states) {
+      // one level per state, shared by every race, so some states are below
+      // the national rate for all races
+      const level = random.logNormal(0.25);
+      const raceLevels = RACES.map(() => random.logNormal(0.05));
+      for (const year of YEARS.population) {
+        const total = populationOf(state, year);
+        RACES.forEach(([race], r) => {
+          for (const [sex, sexShare] of SEXES) {
+            AGE_GROUPS.forEach(([ageGroup, ageShare], a) => {
+              const population = total * state.raceShares[r] * sexShare * ageShare;
+              const mean = (population / 100000) * disease.yearlyRate[year] * ageMortality[a] * level * raceLevels[r];
+              data.fact_deaths.rows.push([disease.name, year, state.regionId, race, sex, ageGroup, random.count(mean)]);
+            });
+          }
+        });
+      }
+    }
+  }
+
+  return data;
+}
+
+function normalize(weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  return weights.map(w => w / sum);
+}
+
+/**
+ * Insert rows in batches, one statement per batch: each column is sent as a
+ * single array parameter and expanded with unnest().
+ */
+async function insertRows(client, name, { columns, types, rows }) {
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const batch = rows.slice(start, start + BATCH_SIZE);
+    // node-postgres cannot send vector[] parameters, so vectors travel as text
+    const params = columns.map((_, c) => batch.map(row => (types[c] === 'vector' ? `[${row[c].join(',')}]` : row[c])));
+    const selects = types.map((type, c) => (type === 'vector' ? `$${c + 1}::text[]` : `$${c + 1}::${type}[]`));
+    const casts = types.map((type, c) => (type === 'vector' ? `c${c}::vector` : `c${c}`));
+    await client.query(
+      `INSERT INTO ${name} (${columns.join(', ')})
+       SELECT ${casts.join(', ')}
+       FROM unnest(${selects.join(', ')}) AS t(${columns.map((_, c) => `c${c}`).join(', ')})`,
+      params
+    );
+  }
+}
+
+/**
+ * Load the generated dataset in one transaction. With `reset`, every seeded
+ * table is emptied first; otherwise seeding a database that already has data
+ * fails. The rate cubes are refreshed afterwards.
+ *
+ * @param {Object} client - Connected pg client (migrations already applied)
+ * @param {Object} [options]
+ * @param {boolean} [options.reset=false]
+ * @param {number} [options.seed]
+ * @param {Function} [options.onTable] - Called with (table, rowCount) after each table is loaded
+ * @returns {Promise<Object<string, number>>} Row count per table
+ */
+async function seedDatabase(client, { reset = false, seed, onTable = () => {} } = {}) {
+  const data = generateDataset({ seed });
+  const counts = {};
+
+  await client.query('BEGIN');
+  try {
+    if (reset) {
+      await client.query(`TRUNCATE ${TABLES.join(', ')} RESTART IDENTITY CASCADE`);
+    } else {
+      const existing = await client.query('SELECT EXISTS (SELECT 1 FROM dim_region) AS seeded');
+      if (existing.rows[0].seeded) {
+        throw new Error('The database already has data; use --reset to replace it');
+      }
+    }
+
+    for (const name of TABLES) {
+      await insertRows(client, name, data[name]);
+      counts[name] = data[name].rows.length;
+      onTable(name, counts[name]);
+    }
+
+    // explicit ids were inserted, so move each serial sequence past them
+    for (const [name, column] of [
+      ['dim_region', 'region_id'], ['dim_disease', 'disease_id'], ['dim_region_ndss', 'region_id'],
+      ['dim_pathogen', 'pathogen_id'], ['dim_mmwr_week', 'mmwr_week_id'], ['dim_demographic_group', 'demographic_group_id'],
+    ]) {
+      await client.query(
+        `SELECT setval(pg_get_serial_sequence('${name}', '${column}'), (SELECT MAX(${column}) FROM ${name}))`
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+  // fresh statistics, or the planner treats the new tables as nearly empty
+  // until autovacuum gets to them
+  await client.query(`ANALYZE ${TABLES.join(', ')}`);
+  await refreshRateCubes(client, { concurrently: false });
+  return counts;
+}
+
+/**
+ * @param {string} host - Database host
+ * @returns {boolean} Whether the host is this machine
+ */
+function isLocalHost(host) {
+  return LOCAL_HOSTS.has(host);
+}
+
+module.exports = { generateDataset, seedDatabase, isLocalHost, TABLES, NATIONAL_REPORTING_AREA };
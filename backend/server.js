@@ -8,20 +8,32 @@
  * @module server
  * @requires express
  * @requires cors
- * @requires dotenv
+ * @requires config
  */
 
-require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const config = require('./config.json');
-require("dotenv").config();
+const config = require('./config');
+const requestId = require('./middleware/requestId');
+const cacheHeaders = require('./middleware/cacheHeaders');
+const { responseFormat } = require('./middleware/responseFormat');
+const requireAdmin = require('./middleware/requireAdmin');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const requestLogger = require('./middleware/requestLogger');
+const requestMetrics = require('./middleware/requestMetrics');
+const { requestScope, routeContext } = require('./requestContext');
+const logger = require('./logger');
 
 
 const app = express();
+app.set('etag', 'strong');
 
 // middleware
-app.use(cors({ origin: '*' }));
+app.use(requestId);
+app.use(requestScope);
+app.use(requestLogger);
+app.use(requestMetrics);
+app.use(cors({ origin: '*', exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 
 
@@ -35,47 +47,83 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+const getHealthReady = require('./routes/getHealthReady');
+const getHealthData = require('./routes/getHealthData');
 
-//const { disease } = require('./routes/disease');
-
-const getStates = require('./routes/states');
-const getDiseases = require('./routes/getDiseases');
-const getStateYearlyPercapita = require('./routes/getStateYearlyPercapita');
-const getStateWeeklyPercapita = require('./routes/getStateWeeklyPercapita');
-const getDemographicOptions = require('./routes/getDemographicOptions');
-const getDeathsByPathogenDemographic = require('./routes/getDeathsByPathogenDemographic');
-const getEstimatedDemographicCases = require('./routes/getEstimatedDemographicCases');
-const getTopStatesByDisease = require('./routes/getTopStatesByDisease');
-const getStatesRising4Years = require('./routes/getStatesRising4Years');
-const getStatesHighOutliers = require('./routes/getStatesHighOutliers');
-const getStateDemographicOverUnder = require('./routes/getStateDemographicOverUnder');
-const getStatesBelowNationalAllRaces = require('./routes/getStatesBelowNationalAllRaces');
-const getStateVsNationalTrend = require('./routes/getStateVsNationalTrend');
-const getStateVsNationalTrendWeekly = require('./routes/getStateVsNationalTrendWeekly');
-const getEstimatedDeathsByState = require('./routes/getEstimatedDeathsByState');
-const getSimilarSymptoms = require('./routes/getSymptoms')
-
-
-app.get('/api/states', getStates);
-app.get('/api/diseases', getDiseases);
-app.get('/api/state-yearly-percapita', getStateYearlyPercapita);
-app.get('/api/state-weekly-percapita', getStateWeeklyPercapita);
-app.get('/api/demographic-options', getDemographicOptions);
-app.get('/api/deaths-by-pathogen-demographic', getDeathsByPathogenDemographic);
-app.get('/api/estimated-demographic-cases', getEstimatedDemographicCases);
-app.get('/api/top-states-by-disease', getTopStatesByDisease);
-app.get('/api/states-rising-4years', getStatesRising4Years);
-app.get('/api/states-high-outliers', getStatesHighOutliers);
-app.get('/api/state-demographic-overunder', getStateDemographicOverUnder);
-app.get('/api/states-below-national-all-races', getStatesBelowNationalAllRaces);
-app.get('/api/state-vs-national-trend', getStateVsNationalTrend);
-app.get('/api/state-vs-national-trend-weekly', getStateVsNationalTrendWeekly);
-app.get('/api/estimated-deaths-by-state', getEstimatedDeathsByState);
-app.get('/api/similar-symptoms', getSimilarSymptoms);
+/**
+ * Readiness probe: Postgres pool connectivity and pgvector
+ *
+ * @route GET /api/health/ready
+ * @returns {Object} 200 - { status: "ready", checks }
+ * @returns {Object} 503 - { status: "unavailable", checks }
+ */
+app.get('/api/health/ready', getHealthReady);
+
+/**
+ * Data freshness: latest loaded MMWR weeks, population year, embeddings
+ *
+ * @route GET /api/health/data
+ * @returns {Object} 200 - { casesWeekly, nndssWeekly, population, embeddings, checkedAt }
+ */
+app.get('/api/health/data', getHealthData);
+
+const getMetrics = require('./routes/getMetrics');
+
+/**
+ * Prometheus metrics: request counts and latency, errors, pool and cache stats
+ *
+ * @route GET /api/metrics
+ * @returns {string} 200 - Prometheus text exposition format
+ */
+app.get('/api/metrics', getMetrics);
+
+const routes = require('./routes/definitions');
+const flushCache = require('./routes/flushCache');
+const getOpenApiSpec = require('./routes/getOpenApiSpec');
+const getApiDocs = require('./routes/getApiDocs');
+const { validate } = require('./validation/validate');
+
+// every data route is validated against its declared query schema and can
+// answer as JSON, CSV or NDJSON
+for (const route of routes) {
+  app.get(
+    route.path,
+    routeContext(route),
+    cacheHeaders(route),
+    validate(route),
+    responseFormat(route),
+    route.handler
+  );
+}
+
+/**
+ * OpenAPI document generated from the route table, and interactive docs
+ *
+ * @route GET /api/openapi.json
+ * @route GET /api/docs
+ */
+app.get('/api/openapi.json', getOpenApiSpec);
+app.get('/api/docs', getApiDocs);
+
+/**
+ * Flush the query cache after a data load
+ *
+ * @route POST /api/admin/cache/flush
+ * @returns {Object} 200 - { flushed, cache }
+ */
+app.post('/api/admin/cache/flush', requireAdmin, flushCache);
+
+// unmatched /api paths and every thrown error share one error envelope
+app.use('/api', notFound);
+app.use(errorHandler);
 
 if (require.main === module) {
-  app.listen(config.server_port, () => {
-    console.log(`Server listening on port ${config.server_port}`);
+  config.validateOrExit();
+  if (!require('./utils/getEmbedding').isAvailable()) {
+    logger.warn('OPENAI_API_KEY is not set for EMBEDDING_PROVIDER=openai; /api/similar-symptoms only works with mode=text');
+  }
+  app.listen(config.serverPort, () => {
+    logger.info('server listening', { port: config.serverPort, config: config.describe() });
   });
 }
 
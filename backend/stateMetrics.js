@@ -0,0 +1,143 @@
+/**
+ * State Metrics
+ *
+ * SQL shared by the per-state routes and the state profile
+ * (/api/states/:stateName/profile), so the profile reports the same numbers
+ * as the routes it summarizes:
+ *
+ *   yearlyRatesSql      cases per 100k by state and disease (/api/state-yearly-percapita)
+ *   highOutliersSql     rates above the mean + 1 SD of all states (/api/states-high-outliers)
+ *   estimatedDeathsSql  deaths estimated from national age-group rates (/api/estimated-deaths-by-state)
+ *
+ * The first two read the rate_state_disease_year cube (see rateCubes.js).
+ *
+ * @module stateMetrics
+ */
+
+/**
+ * Cases per 100k of every state and disease in year $1. A state without a
+ * reported count has a rate of 0, so every state is ranked.
+ *
+ * Columns: region_id, disease_id, per_capita (FLOAT), method
+ */
+const yearlyRatesSql = `
+  SELECT
+    c.region_id,
+    c.disease_id,
+    (COALESCE(c.total_cases, 0)::FLOAT / NULLIF(c.population, 0)) * 100000 AS per_capita,
+    c.method
+  FROM rate_state_disease_year c
+  WHERE c.year = $1
+`;
+
+/**
+ * States whose rate of a disease in year $1 is above the mean plus one
+ * standard deviation of every state's rate of it. States without a reported
+ * count are left out of the statistics.
+ *
+ * Columns: region_id, disease_id, per_capita, avg_rate, std_rate (NUMERIC), method
+ */
+const highOutliersSql = `
+  SELECT region_id, disease_id, per_capita, avg_rate, std_rate, method
+  FROM (
+    SELECT
+      c.region_id,
+      c.disease_id,
+      c.cases_per_100k AS per_capita,
+      c.method,
+      AVG(c.cases_per_100k) OVER (PARTITION BY c.disease_id) AS avg_rate,
+      STDDEV(c.cases_per_100k) OVER (PARTITION BY c.disease_id) AS std_rate
+    FROM rate_state_disease_year c
+    WHERE c.year = $1
+  ) s
+  WHERE per_capita > avg_rate + std_rate
+`;
+
+/**
+ * Deaths from each of the pathogens $1 (a text array) in year $2 estimated
+ * for state $3: the national death rate of each age group applied to the
+ * state's population in it. One row per pathogen with deaths data, so a
+ * single query covers every pathogen.
+ *
+ * Columns: pathogen, estimated_deaths, population_method (least direct way
+ *   the state's age-group populations were obtained)
+ */
+const estimatedDeathsSql = `
+  WITH age_group_deaths AS (
+    SELECT
+      p.pathogen,
+      d.demographic_value AS age_group,
+      COALESCE(SUM(f.deaths), 0) AS total_deaths
+    FROM fact_flu_rsv_covid_deaths f
+    JOIN dim_pathogen p ON f.pathogen_id = p.pathogen_id
+    JOIN dim_mmwr_week w ON f.mmwr_week_id = w.mmwr_week_id
+    JOIN dim_demographic_group d ON f.demographic_group_id = d.demographic_group_id
+    WHERE p.pathogen = ANY($1::text[])
+      AND w.year = $2
+      AND d.demographic_type = 'Age Group'
+    GROUP BY p.pathogen, d.demographic_value
+  ),
+  national_population AS (
+    SELECT
+      CASE
+        WHEN f.age_group = '0' THEN '0-17 years'
+        WHEN f.age_group LIKE '%+' THEN '65+ years'
+        WHEN CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) < 18 THEN '0-17 years'
+        WHEN CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) >= 18
+        AND CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) < 65 THEN '18-64 years'
+        WHEN CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) >= 65 THEN '65+ years'
+      END AS age_group,
+      SUM(f.population) AS total_population
+    FROM resolve_population_state_demo_year($2::int, $2::int) f
+    GROUP BY age_group
+  ),
+  state_population_grouped AS (
+    SELECT
+      CASE
+        WHEN f.age_group = '0' THEN '0-17 years'
+        WHEN f.age_group LIKE '%+' THEN '65+ years'
+        WHEN CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) < 18 THEN '0-17 years'
+        WHEN CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) >= 18
+        AND CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) < 65 THEN '18-64 years'
+        WHEN CAST(SPLIT_PART(f.age_group, '-', 1) AS INTEGER) >= 65 THEN '65+ years'
+      END AS age_group,
+      SUM(f.population) AS state_population,
+      MAX(f.method) AS method
+    FROM resolve_population_state_demo_year($2::int, $2::int) f
+    JOIN dim_region r ON f.region_id = r.region_id
+    WHERE r.state_name = $3
+    GROUP BY age_group
+  ),
+  death_rates AS (
+    SELECT
+      a.pathogen,
+      a.age_group,
+      a.total_deaths,
+      n.total_population,
+      a.total_deaths / NULLIF(n.total_population, 0) AS death_rate
+    FROM age_group_deaths a
+    JOIN national_population n ON a.age_group = n.age_group
+  )
+  SELECT
+    d.pathogen,
+    SUM(s.state_population * d.death_rate) AS estimated_deaths,
+    MAX(s.method) AS population_method
+  FROM state_population_grouped s
+  JOIN death_rates d ON s.age_group = d.age_group
+  GROUP BY d.pathogen
+`;
+
+/**
+ * The estimate of an estimatedDeathsSql row, rounded to whole deaths. Both
+ * values are null without a row (no deaths data for the pathogen) or without
+ * an estimate (no population data).
+ *
+ * @param {Object} [row]
+ * @returns {{ estimatedDeaths: ?number, populationMethod: ?string }}
+ */
+function readEstimatedDeaths(row) {
+  if (!row || row.estimated_deaths === null) return { estimatedDeaths: null, populationMethod: null };
+  return { estimatedDeaths: Math.round(Number(row.estimated_deaths)), populationMethod: row.population_method };
+}
+
+module.exports = { yearlyRatesSql, highOutliersSql, estimatedDeathsSql, readEstimatedDeaths };
@@ -0,0 +1,115 @@
+/**
+ * CSV helpers (RFC 4180): formatting for the text/csv response format and
+ * parsing for the data ingestion commands.
+ */
+
+/**
+ * Format one value as a CSV cell. null/undefined become empty cells, objects
+ * and arrays are embedded as JSON, and cells containing delimiters, quotes or
+ * line breaks are quoted.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<*>} values
+ * @returns {string} One CSV line including the trailing CRLF
+ */
+function formatRow(values) {
+  return `${values.map(formatCell).join(',')}\r\n`;
+}
+
+/**
+ * Collect the column names of a list of records, in first-seen order.
+ *
+ * @param {Array<Object>} records
+ * @returns {Array<string>}
+ */
+function columnsOf(records) {
+  const columns = new Set();
+  for (const record of records) {
+    for (const key of Object.keys(record)) columns.add(key);
+  }
+  return [...columns];
+}
+
+/**
+ * Incremental CSV parser: feed it text in chunks of any size (e.g. from a
+ * file stream) and it returns the rows completed so far. Quoted cells may
+ * contain delimiters, doubled quotes and line breaks; CRLF and LF line
+ * endings and a leading byte order mark are accepted.
+ *
+ * @returns {{ push: function(string): Array<Array<string>>, end: function(): Array<Array<string>> }}
+ *   push() parses a chunk; end() flushes the last row once the input is done
+ */
+function createParser() {
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let quotePending = false; // saw a quote inside a quoted cell: closing or escaped?
+  let skipLineFeed = false; // the previous chunk ended with the CR of a CRLF
+  let atStart = true;
+
+  const endRow = (rows) => {
+    row.push(cell);
+    rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  return {
+    push(chunk) {
+      const rows = [];
+      let text = chunk;
+      if (atStart) {
+        text = text.replace(/^\uFEFF/, '');
+        atStart = text.length === 0;
+      }
+      for (let i = 0; i < text.length; i += 1) {
+        const char = text[i];
+        if (skipLineFeed) {
+          skipLineFeed = false;
+          if (char === '\n') continue;
+        }
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            cell += '"';
+            continue;
+          }
+          inQuotes = false;
+        }
+        if (inQuotes) {
+          if (char === '"') quotePending = true;
+          else cell += char;
+        } else if (char === '"' && cell === '') {
+          inQuotes = true;
+        } else if (char === ',') {
+          row.push(cell);
+          cell = '';
+        } else if (char === '\r' || char === '\n') {
+          endRow(rows);
+          skipLineFeed = char === '\r';
+        } else {
+          cell += char;
+        }
+      }
+      return rows;
+    },
+    end() {
+      const rows = [];
+      if (row.length > 0 || cell !== '' || inQuotes) endRow(rows);
+      inQuotes = false;
+      quotePending = false;
+      return rows;
+    },
+  };
+}
+
+module.exports = { formatCell, formatRow, columnsOf, createParser };
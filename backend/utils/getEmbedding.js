@@ -1,25 +1,33 @@
-const OpenAI = require("openai");
+const config = require("../config");
+const { createProvider } = require("../embeddings");
+const { ServiceUnavailableError, ErrorCodes } = require("../errors");
 
-if (!process.env.OPENAI_API_KEY) {
-    throw new Error("Missing OPENAI_API_KEY in environment variables");
-  }
-
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// without an API key the server still starts; only symptom search is disabled
+const provider = createProvider(config.embeddingProvider, { openaiApiKey: config.openaiApiKey });
 
 /**
- * Get an embedding for a piece of text using OpenAI.
+ * Get an embedding for a piece of text from the configured provider
+ * (EMBEDDING_PROVIDER, see embeddings/).
  * @param {string} text
  * @returns {Promise<number[]>} embedding as a JS array of floats
+ * @throws {ServiceUnavailableError} 503 EMBEDDINGS_UNAVAILABLE when the provider is not configured (no OPENAI_API_KEY)
  */
 async function getEmbedding(text) {
-  const response = await client.embeddings.create({
-    model: "text-embedding-3-small",
-    input: text,
-  });
+  if (!provider.isAvailable()) {
+    throw new ServiceUnavailableError(
+      ErrorCodes.EMBEDDINGS_UNAVAILABLE,
+      "Symptom search is unavailable: no embedding API key is configured"
+    );
+  }
 
-  return response.data[0].embedding;
+  const [embedding] = await provider.embed([text]);
+  return embedding;
 }
 
+/** Whether embeddings can be generated (e.g. OPENAI_API_KEY is configured for the openai provider). */
+getEmbedding.isAvailable = () => provider.isAvailable();
+
+/** The provider queries are embedded with: { name, model, dimensions, ... } */
+getEmbedding.provider = provider;
+
 module.exports = getEmbedding;
@@ -0,0 +1,45 @@
+const crypto = require("crypto");
+
+const DIMENSIONS = 1536;
+
+// words that say nothing about which disease a description points to
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "is",
+  "it", "may", "of", "on", "or", "the", "to", "with", "which", "that", "can",
+]);
+
+/**
+ * Deterministic bag-of-words embedding: every word is hashed to a signed
+ * position in the vector and the result is L2-normalized, so texts that share
+ * words have a small cosine distance. No external service is needed, which
+ * makes it suitable for seeded demo databases and tests; it does not capture
+ * meaning the way a language model embedding does.
+ *
+ * Text without any word outside STOP_WORDS (empty, punctuation only, ...)
+ * has no direction to normalize, and pgvector's cosine distance to a zero
+ * vector is NaN, so it is rejected.
+ *
+ * @param {string} text
+ * @param {number} [dimensions=1536] - Matches disease_symptom_embeddings
+ * @returns {number[]} Unit-length vector
+ * @throws {RangeError} When the text has no words to embed
+ */
+function hashEmbedding(text, dimensions = DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+
+  for (const word of words) {
+    if (STOP_WORDS.has(word)) continue;
+    const digest = crypto.createHash("sha256").update(word).digest();
+    const index = digest.readUInt32BE(0) % dimensions;
+    vector[index] += digest[4] & 1 ? 1 : -1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  if (norm === 0) {
+    throw new RangeError(`Cannot embed "${text}": its embedding has no direction (no words besides stop words)`);
+  }
+  return vector.map(x => x / norm);
+}
+
+module.exports = hashEmbedding;
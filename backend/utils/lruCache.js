@@ -0,0 +1,64 @@
+/**
+ * Size-bounded LRU cache with per-entry TTL.
+ *
+ * Backed by a Map, whose insertion order doubles as recency order: reads move
+ * an entry to the end, and when the cache is full the first (least recently
+ * used) entry is evicted.
+ */
+class LruCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Maximum number of entries kept
+   */
+  constructor({ maxEntries }) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {*} Cached value, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      this.evictions += 1;
+    }
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LruCache;
@@ -0,0 +1,65 @@
+/**
+ * MMWR week helpers.
+ *
+ * CDC surveillance data is reported by MMWR week: weeks run Sunday to
+ * Saturday, and week 1 of a year is the first week with at least four days
+ * in that calendar year (so it is the week containing January 4th).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * @param {number} year - MMWR year
+ * @returns {Date} Sunday (UTC midnight) that starts week 1 of the year
+ */
+function firstWeekStart(year) {
+  const jan4 = Date.UTC(year, 0, 4);
+  return new Date(jan4 - new Date(jan4).getUTCDay() * DAY_MS);
+}
+
+/**
+ * @param {number} year - MMWR year
+ * @param {number} week - MMWR week (1-53)
+ * @returns {Date} Sunday (UTC midnight) that starts the week
+ */
+function weekStart(year, week) {
+  return new Date(firstWeekStart(year).getTime() + (week - 1) * WEEK_MS);
+}
+
+/**
+ * @param {number} year - MMWR year
+ * @returns {number} Number of MMWR weeks in the year (52 or 53)
+ */
+function weeksInYear(year) {
+  return Math.round((firstWeekStart(year + 1) - firstWeekStart(year)) / WEEK_MS);
+}
+
+/**
+ * MMWR year and week a date falls in.
+ *
+ * @param {Date} date
+ * @returns {{ year: number, week: number }}
+ */
+function mmwrWeekOf(date) {
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  let year = date.getUTCFullYear() + 1;
+  while (firstWeekStart(year).getTime() > day) year -= 1;
+  const week = Math.floor((day - firstWeekStart(year).getTime()) / WEEK_MS) + 1;
+  return { year, week };
+}
+
+/**
+ * Whole MMWR weeks between a week and the week containing `now`.
+ *
+ * @param {number} year - MMWR year
+ * @param {number} week - MMWR week
+ * @param {Date} [now=new Date()]
+ * @returns {number} 0 for the current week, 1 for last week, ...
+ */
+function weeksSince(year, week, now = new Date()) {
+  const current = mmwrWeekOf(now);
+  return Math.round((weekStart(current.year, current.week) - weekStart(year, week)) / WEEK_MS);
+}
+
+module.exports = { mmwrWeekOf, weekStart, weeksInYear, weeksSince };
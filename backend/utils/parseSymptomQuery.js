@@ -0,0 +1,96 @@
+/**
+ * Negation-aware parsing of free-text symptom descriptions.
+ *
+ * "cough and sore throat, no fever or rash" describes two symptoms the
+ * patient has and two they do not. Embedding the whole string would match
+ * diseases with fever just as well, so /api/similar-symptoms ranks on the
+ * present symptoms and penalizes matches on the absent ones.
+ *
+ * The text is split into clauses at punctuation and at "but"/"however". In a
+ * clause, a negation cue ("no", "not", "without", "denies", "free of",
+ * "don't have", ...) makes everything after it absent, up to the end of the
+ * clause: "cough without fever or chills" has the present symptom "cough"
+ * and the absent symptoms "fever" and "chills".
+ */
+
+// single-word cues; any word ending in n't ("don't", "hasn't") is one as well
+const NEGATION_CUES = new Set([
+  'no', 'not', 'without', 'never', 'none', 'neither', 'nor', 'denies', 'deny', 'denied', 'lacks',
+]);
+
+// two-word cues, matched before the single words
+const NEGATION_PHRASES = new Set(['free of', 'absence of', 'negative for', 'rules out', 'ruled out']);
+
+// words that join symptoms within a clause
+const CONNECTORS = new Set(['and', 'or', 'nor', 'with', 'plus', 'also', 'as', 'well']);
+
+// words between a cue and the symptom ("no signs of any fever")
+const FILLERS = new Set([
+  'a', 'an', 'any', 'some', 'of', 'i', 'been', 'just', 'only', 'signs', 'sign',
+  'have', 'has', 'had', 'having', 'get', 'experience', 'experiencing', 'feel', 'feeling',
+]);
+
+const CLAUSE_BREAK = /[,;.!?\n]+|\b(?:but|however|although|though|yet)\b/;
+
+/**
+ * Split a run of words into symptoms at the connectors, dropping the
+ * filler words each one starts with.
+ *
+ * @param {Array<string>} words
+ * @returns {Array<string>}
+ */
+function toSymptoms(words) {
+  const symptoms = [];
+  let current = [];
+  const flush = () => {
+    while (current.length > 0 && FILLERS.has(current[0])) current.shift();
+    if (current.length > 0) symptoms.push(current.join(' '));
+    current = [];
+  };
+  for (const word of words) {
+    if (CONNECTORS.has(word)) flush();
+    else current.push(word);
+  }
+  flush();
+  return symptoms;
+}
+
+/**
+ * @param {string} text - Free-text symptom description
+ * @returns {{ present: Array<string>, absent: Array<string> }} Symptoms the
+ *   text says the patient has and does not have, lower case, without
+ *   duplicates, in the order they appear
+ */
+function parseSymptomQuery(text) {
+  const present = new Set();
+  const absent = new Set();
+
+  for (const clause of String(text).toLowerCase().split(CLAUSE_BREAK)) {
+    const words = clause.match(/[a-z0-9]+(?:['’-][a-z0-9]+)*/g) || [];
+    const before = [];
+    const after = [];
+    let negated = false;
+
+    for (let i = 0; i < words.length; i += 1) {
+      if (negated) {
+        // a further cue ("neither fever nor chills") starts another symptom
+        after.push(NEGATION_CUES.has(words[i]) ? 'nor' : words[i]);
+      } else if (i + 1 < words.length && NEGATION_PHRASES.has(`${words[i]} ${words[i + 1]}`)) {
+        negated = true;
+        i += 1;
+      } else if (NEGATION_CUES.has(words[i]) || /n['’]t$/.test(words[i])) {
+        negated = true;
+      } else {
+        before.push(words[i]);
+      }
+    }
+
+    for (const symptom of toSymptoms(before)) present.add(symptom);
+    for (const symptom of toSymptoms(after)) absent.add(symptom);
+  }
+
+  for (const symptom of present) absent.delete(symptom);
+  return { present: [...present], absent: [...absent] };
+}
+
+module.exports = parseSymptomQuery;
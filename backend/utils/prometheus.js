@@ -0,0 +1,182 @@
+/**
+ * Minimal Prometheus metric types and text exposition format (version 0.0.4).
+ *
+ * Just enough for the API's own metrics: counters, gauges and histograms with
+ * labels, rendered by a registry for the /api/metrics endpoint.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * Base class: one metric family with a value per label combination.
+ */
+class Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description shown in # HELP
+   * @param {Array<string>} [labelNames=[]]
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  key(labels) {
+    return JSON.stringify(this.labelNames.map(n => (labels[n] === undefined ? '' : String(labels[n]))));
+  }
+
+  labelsOf(key) {
+    const values = JSON.parse(key);
+    const labels = {};
+    this.labelNames.forEach((n, i) => { labels[n] = values[i]; });
+    return labels;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  /**
+   * @param {Object} [labels={}]
+   * @param {number} [amount=1]
+   */
+  inc(labels = {}, amount = 1) {
+    const key = this.key(labels);
+    this.series.set(key, (this.series.get(key) || 0) + amount);
+  }
+
+  /**
+   * Set the current value; for counters, the running total of a count kept
+   * elsewhere (e.g. the query cache's own statistics).
+   *
+   * @param {Object} labels
+   * @param {number} value
+   */
+  set(labels, value) {
+    this.series.set(this.key(labels), value);
+  }
+
+  render() {
+    let out = this.header();
+    for (const [key, value] of this.series) {
+      out += `${this.name}${formatLabels(this.labelsOf(key))} ${formatValue(value)}\n`;
+    }
+    return out;
+  }
+}
+
+class Gauge extends Counter {
+  get type() {
+    return 'gauge';
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {Array<string>} labelNames
+   * @param {Array<number>} buckets - Upper bounds, ascending
+   */
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  /**
+   * @param {Object} labels
+   * @param {number} value - Observed value (e.g. seconds)
+   */
+  observe(labels, value) {
+    const key = this.key(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, entry);
+    }
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) entry.counts[index] += 1;
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  render() {
+    let out = this.header();
+    for (const [key, entry] of this.series) {
+      const labels = this.labelsOf(key);
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += entry.counts[i];
+        out += `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}\n`;
+      });
+      out += `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}\n`;
+      out += `${this.name}_sum${formatLabels(labels)} ${formatValue(entry.sum)}\n`;
+      out += `${this.name}_count${formatLabels(labels)} ${entry.count}\n`;
+    }
+    return out;
+  }
+}
+
+/**
+ * A set of metrics rendered together.
+ */
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * @param {Metric} metric
+   * @returns {Metric} The same metric, for chaining into a const
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @returns {string} Every metric in the text exposition format
+   */
+  render() {
+    return this.metrics.map(m => m.render()).join('');
+  }
+
+  resetAll() {
+    this.metrics.forEach(m => m.reset());
+  }
+}
+
+module.exports = { Counter, Gauge, Histogram, Registry, CONTENT_TYPE };
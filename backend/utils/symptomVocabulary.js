@@ -0,0 +1,185 @@
+/**
+ * Symptom vocabulary: the symptom phrases used in disease_symptoms, for
+ * autocomplete on the symptom checker.
+ *
+ * Each description is split into phrases the way a query is (see
+ * utils/parseSymptomQuery.js), and each phrase is cut back to the symptom
+ * it names: "followed by tiny white spots inside the mouth" is "tiny white
+ * spots".
+ * Phrases are grouped by a normalized key (lower case, plural "s" dropped),
+ * so "muscle aches" and "muscle ache" count as one symptom. A disease has a
+ * symptom when its description contains the key's words in a row, so "fever"
+ * also counts the diseases with "high fever".
+ */
+
+const parseSymptomQuery = require('./parseSymptomQuery');
+
+// words that start a qualifier: the rest of the phrase says where, when or
+// how ("rash at the site of a tick bite", "diarrhea that can be bloody")
+const QUALIFIERS = new Set(['at', 'after', 'before', 'that', 'which', 'starting', 'from', 'inside', 'spreads']);
+
+// words that lead up to a symptom ("followed by tiny white spots", "infants may show irritability")
+const LEAD_INS = new Set([
+  'followed', 'by', 'later', 'then', 'sometimes', 'progressing', 'to', 'infants', 'may', 'can', 'show', 'have',
+]);
+
+// longer phrases are descriptions rather than symptoms, shorter ones stray words ("six")
+const MAX_WORDS = 4;
+const MIN_LENGTH = 4;
+
+// typo suggestions need this much typed text, and may differ from it by one
+// edit per FUZZY_CHARS_PER_EDIT characters
+const FUZZY_MIN_LENGTH = 4;
+const FUZZY_CHARS_PER_EDIT = 4;
+
+// singular of a plural word: "aches" -> "ache", "rashes" -> "rash"
+function normalizeWord(word) {
+  if (word.length <= 3 || !word.endsWith('s') || word.endsWith('ss')) return word;
+  const singular = word.slice(0, -1);
+  return /(?:sh|x|ss)e$/.test(singular) ? singular.slice(0, -1) : singular;
+}
+
+/** @returns {string} Key phrases are grouped by */
+function symptomKey(phrase) {
+  return (phrase.toLowerCase().match(/[a-z0-9]+(?:['’-][a-z0-9]+)*/g) || []).map(normalizeWord).join(' ');
+}
+
+/**
+ * Diseases whose description mentions a symptom.
+ *
+ * @param {Array<{disease_id: number, symptoms: string}>} rows - disease_symptoms rows
+ * @param {string} symptom - Symptom phrase, in any wording with the same key
+ * @returns {Array<number>} Disease ids, ascending
+ */
+function diseasesWithSymptom(rows, symptom) {
+  const key = symptomKey(symptom);
+  if (key === '') return [];
+  return rows
+    .filter(row => ` ${symptomKey(row.symptoms)} `.includes(` ${key} `))
+    .map(row => row.disease_id)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * @param {string} text - Symptom description
+ * @returns {Array<string>} Symptom phrases, in order
+ */
+function extractSymptoms(text) {
+  const { present, absent } = parseSymptomQuery(String(text).replace(/[()]/g, ','));
+  const phrases = [];
+  for (const phrase of [...present, ...absent]) {
+    const words = phrase.split(' ');
+    let start = 0;
+    while (start < words.length && LEAD_INS.has(words[start])) start += 1;
+    let end = start;
+    while (end < words.length && !QUALIFIERS.has(words[end])) end += 1;
+
+    const symptom = words.slice(start, end);
+    if (symptom.join(' ').length >= MIN_LENGTH && symptom.length <= MAX_WORDS) phrases.push(symptom.join(' '));
+  }
+  return phrases;
+}
+
+/**
+ * Build the vocabulary from disease_symptoms rows.
+ *
+ * @param {Array<{disease_id: number, symptoms: string}>} rows
+ * @returns {Array<{symptom: string, key: string, diseaseIds: Array<number>}>} Most
+ *   frequent symptom first, then alphabetical; `symptom` is the most common
+ *   wording of the key
+ */
+function buildSymptomVocabulary(rows) {
+  const wordingsByKey = new Map();
+  for (const row of rows) {
+    for (const phrase of extractSymptoms(row.symptoms)) {
+      const key = symptomKey(phrase);
+      if (!wordingsByKey.has(key)) wordingsByKey.set(key, new Map());
+      const wordings = wordingsByKey.get(key);
+      wordings.set(phrase, (wordings.get(phrase) || 0) + 1);
+    }
+  }
+
+  return [...wordingsByKey.entries()]
+    .map(([key, wordings]) => {
+      const symptom = [...wordings.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+      return { symptom, key, diseaseIds: diseasesWithSymptom(rows, symptom) };
+    })
+    .sort((a, b) => b.diseaseIds.length - a.diseaseIds.length || a.symptom.localeCompare(b.symptom));
+}
+
+// vocabularies already built, by the disease_symptoms rows they were built from
+const vocabularies = new WeakMap();
+
+/**
+ * buildSymptomVocabulary() of a query result, built once per result. The
+ * query cache hands every request the same rows until their TTL expires, so
+ * the routes share one vocabulary instead of rebuilding it on each keystroke;
+ * it goes away with the cached rows. The vocabulary is shared: do not modify it.
+ *
+ * @param {Array<{disease_id: number, symptoms: string}>} rows
+ * @returns {Array<Object>} See buildSymptomVocabulary()
+ */
+function vocabularyOf(rows) {
+  if (!vocabularies.has(rows)) vocabularies.set(rows, Object.freeze(buildSymptomVocabulary(rows)));
+  return vocabularies.get(rows);
+}
+
+/** Edit distance between two strings, counting a swap of neighbouring letters as one edit */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j += 1) d[0][j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Autocomplete suggestions for what the user has typed so far.
+ *
+ * Prefix matches come first: symptoms starting with the text, then symptoms
+ * with a later word starting with it. Symptoms whose start (or a word's
+ * start) is within a few typing errors of the text follow as fuzzy matches.
+ * Within each group, symptoms of more diseases come first.
+ *
+ * @param {Array<Object>} vocabulary - From buildSymptomVocabulary()
+ * @param {string} text - What has been typed
+ * @param {number} limit
+ * @returns {Array<{symptom: string, diseaseIds: Array<number>, match: string}>}
+ *   match is 'prefix' or 'fuzzy'
+ */
+function suggestSymptoms(vocabulary, text, limit) {
+  const typed = text.toLowerCase().replace(/\s+/g, ' ').trim();
+  const maxEdits = Math.floor(typed.length / FUZZY_CHARS_PER_EDIT);
+
+  const ranked = [];
+  for (const entry of vocabulary) {
+    const symptom = entry.symptom.toLowerCase();
+    const starts = [0, ...[...symptom.matchAll(/ /g)].map(m => m.index + 1)];
+
+    const isTypo = i => editDistance(typed, symptom.slice(i, i + typed.length)) <= maxEdits;
+
+    let rank = null;
+    if (symptom.startsWith(typed)) rank = 0;
+    else if (starts.some(i => symptom.startsWith(typed, i))) rank = 1;
+    else if (typed.length >= FUZZY_MIN_LENGTH && starts.some(isTypo)) rank = 2;
+    if (rank !== null) ranked.push({ entry, rank });
+  }
+
+  // the vocabulary is already ordered by frequency, and sort() is stable
+  return ranked
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, limit)
+    .map(({ entry, rank }) => ({
+      symptom: entry.symptom,
+      diseaseIds: entry.diseaseIds,
+      match: rank < 2 ? 'prefix' : 'fuzzy',
+    }));
+}
+
+module.exports = { buildSymptomVocabulary, vocabularyOf, suggestSymptoms, diseasesWithSymptom, extractSymptoms };
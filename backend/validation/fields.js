@@ -0,0 +1,102 @@
+/**
+ * Shared Query Parameter Definitions
+ *
+ * Reusable field definitions for the per-route schemas in routes/definitions.js.
+ * Routes spread these and add route-specific flags, e.g.
+ * `{ ...fields.year, required: true }`.
+ *
+ * Supported keys on a field definition:
+ * - type: 'string' | 'integer' | 'number' | 'integerList'
+ * - required: reject the request when the parameter is missing or empty
+ * - default: value used when an optional parameter is missing
+ * - min / max: inclusive bounds for integers and numbers (applied to every list item)
+ * - maxLength: maximum length for strings
+ * - enum: fixed set of allowed values
+ * - known: name of a reference vocabulary (see validation/reference.js)
+ *          the value must belong to
+ * - unknownCode: error code (see errors.js) reported, with a 404, when the
+ *          value is well-formed but not in the `known` vocabulary
+ * - unknownMessage: message for that case; `{value}` is replaced by the value
+ * - description: human readable description of the parameter
+ * - sensitive: keep the value out of the logs (see logger.js)
+ *
+ * @module validation/fields
+ * @requires errors
+ */
+
+const { ErrorCodes } = require('../errors');
+
+const year = {
+  type: 'integer',
+  min: 1900,
+  max: 2100,
+  description: 'MMWR year',
+};
+
+/**
+ * Year that must have rows in the given fact table vocabulary
+ * ('caseYears', 'nndssYears' or 'deathYears').
+ *
+ * @param {string} vocabulary
+ * @returns {Object} Field definition
+ */
+function yearWithData(vocabulary) {
+  return {
+    ...year,
+    known: vocabulary,
+    unknownCode: ErrorCodes.NO_DATA_FOR_YEAR,
+    unknownMessage: 'No data available for year {value}',
+  };
+}
+
+const week = {
+  type: 'integer',
+  min: 1,
+  max: 53,
+  description: 'MMWR week number',
+};
+
+const stateName = {
+  type: 'string',
+  known: 'states',
+  unknownCode: ErrorCodes.UNKNOWN_STATE,
+  description: 'Full state name (e.g. "California")',
+};
+
+const diseaseName = {
+  type: 'string',
+  known: 'diseases',
+  unknownCode: ErrorCodes.UNKNOWN_DISEASE,
+  description: 'Disease name as listed by /api/diseases',
+};
+
+const diseaseId = {
+  type: 'integer',
+  min: 1,
+  known: 'diseaseIds',
+  unknownCode: ErrorCodes.UNKNOWN_DISEASE,
+  description: 'Disease identifier as listed by /api/diseases',
+};
+
+const pathogen = {
+  type: 'string',
+  known: 'pathogens',
+  description: 'Pathogen name (e.g. "COVID-19")',
+};
+
+const format = {
+  type: 'string',
+  enum: ['json', 'csv', 'ndjson'],
+  description: 'Response format; overrides the Accept header',
+};
+
+module.exports = {
+  format,
+  year,
+  yearWithData,
+  week,
+  stateName,
+  diseaseName,
+  diseaseId,
+  pathogen,
+};
@@ -0,0 +1,96 @@
+/**
+ * Reference Vocabularies
+ *
+ * Loads the sets of known values (state names, disease names, demographic
+ * categories, ...) that request parameters are checked against. Each
+ * vocabulary is read from its dimension table on first use and kept in memory
+ * for REFRESH_MS, so validation does not add a query to every request.
+ *
+ * If a vocabulary cannot be loaded (database unreachable, empty table) the
+ * lookup resolves to null and validation skips the membership check; the
+ * route's own query then reports the underlying problem.
+ *
+ * @module validation/reference
+ * @requires db
+ * @requires logger
+ */
+
+const { pool } = require('../db');
+const logger = require('../logger');
+
+const REFRESH_MS = 10 * 60 * 1000;
+
+/**
+ * SQL used to load each vocabulary. Every query returns a single `value` column.
+ */
+const VOCABULARIES = {
+  states: 'SELECT state_name AS value FROM dim_region',
+  diseases: 'SELECT disease_name AS value FROM dim_disease',
+  diseaseIds: 'SELECT disease_id AS value FROM dim_disease',
+  pathogens: 'SELECT pathogen AS value FROM dim_pathogen',
+  races: 'SELECT DISTINCT race AS value FROM fact_population_state_demo_year',
+  sexes: 'SELECT DISTINCT sex AS value FROM fact_population_state_demo_year',
+  ageGroups: 'SELECT DISTINCT age_group AS value FROM fact_population_state_demo_year',
+  caseYears: 'SELECT DISTINCT year AS value FROM fact_cases_weekly',
+  nndssYears: 'SELECT DISTINCT current_mmwr_year AS value FROM fact_nndss_weekly',
+  deathYears: `SELECT DISTINCT w.year AS value
+               FROM fact_flu_rsv_covid_deaths f
+               JOIN dim_mmwr_week w ON f.mmwr_week_id = w.mmwr_week_id`,
+  deathRaces: `SELECT demographic_value AS value FROM dim_demographic_group
+               WHERE demographic_type = 'Race/Ethnicity'`,
+  deathSexes: `SELECT demographic_value AS value FROM dim_demographic_group
+               WHERE demographic_type = 'Sex'`,
+  deathAgeGroups: `SELECT demographic_value AS value FROM dim_demographic_group
+                   WHERE demographic_type = 'Age Group'`,
+};
+
+const cache = new Map();
+
+async function load(name) {
+  try {
+    const result = await pool.query(VOCABULARIES[name]);
+    const values = new Set(result.rows.map(r => r.value));
+    return values.size > 0 ? values : null;
+  } catch (err) {
+    logger.warn('could not load reference vocabulary', { vocabulary: name, err });
+    return null;
+  }
+}
+
+/**
+ * Get a reference vocabulary by name.
+ *
+ * Concurrent callers share the same in-flight load. Failed or empty loads are
+ * not cached, so the next request retries.
+ *
+ * @param {string} name - Key of VOCABULARIES
+ * @returns {Promise<Set|null>} Known values, or null when unavailable
+ */
+async function getVocabulary(name) {
+  if (!VOCABULARIES[name]) {
+    throw new Error(`Unknown reference vocabulary "${name}"`);
+  }
+
+  const entry = cache.get(name);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.promise;
+  }
+
+  const promise = load(name);
+  cache.set(name, { promise, expiresAt: Date.now() + REFRESH_MS });
+
+  const values = await promise;
+  if (!values) {
+    cache.delete(name);
+  }
+  return values;
+}
+
+/**
+ * Drop every cached vocabulary so the next lookup reloads from the database.
+ */
+function clearVocabularies() {
+  cache.clear();
+}
+
+module.exports = { getVocabulary, clearVocabularies, VOCABULARIES };
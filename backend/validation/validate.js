@@ -0,0 +1,335 @@
+/**
+ * Request Validation
+ *
+ * Declarative parameter validation shared by every /api route.
+ * A route declares its query parameters, its path parameters (`params`, for
+ * paths such as /api/diseases/:id; see validation/fields.js) and optional
+ * cross-field rules; the validate() middleware parses req.query and
+ * req.params against that schema, collects every problem at once and either fails the request with a
+ * single error listing all invalid fields, or stores the parsed values on
+ * req.validated for the handler.
+ *
+ * @module validation/validate
+ * @requires validation/reference
+ * @requires errors
+ */
+
+const { getVocabulary } = require('./reference');
+const { ValidationError, NotFoundError } = require('../errors');
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+function isMissing(raw) {
+  return raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+}
+
+function parseInteger(field, text) {
+  if (!INTEGER_PATTERN.test(text)) {
+    return { error: { field, reason: 'type', message: `${field} must be an integer` } };
+  }
+  return { value: parseInt(text, 10) };
+}
+
+function checkBounds(field, def, value) {
+  if (def.min !== undefined && value < def.min) {
+    return { field, reason: 'range', message: `${field} must be at least ${def.min}` };
+  }
+  if (def.max !== undefined && value > def.max) {
+    return { field, reason: 'range', message: `${field} must be at most ${def.max}` };
+  }
+  return null;
+}
+
+/**
+ * Parse one raw query value according to its field definition.
+ *
+ * @param {string} field - Parameter name
+ * @param {Object} def - Field definition
+ * @param {*} raw - Raw value from req.query
+ * @returns {{ value: * } | { error: Object }}
+ */
+function parseField(field, def, raw) {
+  if (def.type === 'integerList') {
+    const text = Array.isArray(raw) ? raw.join(',') : String(raw);
+    const items = text.split(',').map(s => s.trim()).filter(s => s !== '');
+    const values = [];
+    for (const item of items) {
+      const parsed = parseInteger(field, item);
+      if (parsed.error) {
+        return { error: { ...parsed.error, message: `${field} must be a comma-separated list of integers` } };
+      }
+      const boundsError = checkBounds(field, def, parsed.value);
+      if (boundsError) return { error: boundsError };
+      values.push(parsed.value);
+    }
+    return { value: values };
+  }
+
+  if (Array.isArray(raw) || typeof raw !== 'string') {
+    return { error: { field, reason: 'type', message: `${field} must be a single value` } };
+  }
+
+  const text = raw.trim();
+
+  if (def.type === 'integer') {
+    const parsed = parseInteger(field, text);
+    if (parsed.error) return parsed;
+    const boundsError = checkBounds(field, def, parsed.value);
+    return boundsError ? { error: boundsError } : parsed;
+  }
+
+  if (def.type === 'number') {
+    if (!NUMBER_PATTERN.test(text)) {
+      return { error: { field, reason: 'type', message: `${field} must be a number` } };
+    }
+    const value = parseFloat(text);
+    const boundsError = checkBounds(field, def, value);
+    return boundsError ? { error: boundsError } : { value };
+  }
+
+  if (def.maxLength !== undefined && text.length > def.maxLength) {
+    return {
+      error: { field, reason: 'range', message: `${field} must be at most ${def.maxLength} characters` },
+    };
+  }
+  return { value: text };
+}
+
+/**
+ * Check a parsed value against the field's enum and reference vocabulary.
+ *
+ * @returns {Promise<Object|null>} Error detail, or null when the value is allowed
+ */
+async function checkMembership(field, def, value) {
+  const items = Array.isArray(value) ? value : [value];
+
+  if (def.enum) {
+    const bad = items.find(item => !def.enum.includes(item));
+    if (bad !== undefined) {
+      return {
+        field,
+        reason: 'enum',
+        message: `${field} must be one of: ${def.enum.join(', ')}`,
+      };
+    }
+  }
+
+  if (def.known) {
+    const known = await getVocabulary(def.known);
+    if (known) {
+      const bad = items.find(item => !known.has(item));
+      if (bad !== undefined) {
+        return {
+          field,
+          reason: 'unknown',
+          message: def.unknownMessage
+            ? def.unknownMessage.replace('{value}', bad)
+            : `Unknown ${field} "${bad}"`,
+          code: def.unknownCode,
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a query object (and the path parameters) against a route schema.
+ *
+ * @param {Object} route - Route definition with `query` and `params` fields and optional `rules`
+ * @param {Object} query - Raw query parameters
+ * @param {Object} [params] - Raw path parameters
+ * @returns {Promise<{ values: Object, errors: Array<Object> }>}
+ *   values holds every successfully parsed parameter (including defaults);
+ *   errors lists one { field, reason, message } entry per problem.
+ */
+async function validateQuery(route, query, params = {}) {
+  const fields = [
+    ...Object.entries(route.params || {}).map(([field, def]) => [field, def, params[field]]),
+    ...Object.entries(route.query || {}).map(([field, def]) => [field, def, query[field]]),
+  ];
+  const values = {};
+  const errors = [];
+
+  for (const [field, def, raw] of fields) {
+
+    if (isMissing(raw)) {
+      if (def.required) {
+        errors.push({ field, reason: 'required', message: `${field} is required` });
+      } else {
+        values[field] = def.default !== undefined ? def.default : null;
+      }
+      continue;
+    }
+
+    const parsed = parseField(field, def, raw);
+    if (parsed.error) {
+      errors.push(parsed.error);
+      continue;
+    }
+
+    if (def.type === 'integerList' && parsed.value.length === 0) {
+      if (def.required) {
+        errors.push({ field, reason: 'required', message: `${field} is required` });
+      } else {
+        values[field] = def.default !== undefined ? def.default : [];
+      }
+      continue;
+    }
+
+    const membershipError = await checkMembership(field, def, parsed.value);
+    if (membershipError) {
+      errors.push(membershipError);
+      continue;
+    }
+
+    values[field] = parsed.value;
+  }
+
+  const invalid = new Set(errors.map(e => e.field));
+  for (const rule of route.rules || []) {
+    if (rule.fields.some(f => invalid.has(f))) continue;
+    const error = rule.check(values);
+    if (error) errors.push(error);
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Turn validation errors into the ApiError the request fails with.
+ *
+ * Malformed input always wins (400 VALIDATION_FAILED). When every problem is
+ * a well-formed value that simply is not in the database (unknown state,
+ * unknown disease, year without data), the request fails with 404 and the
+ * field's specific code instead. Either way every problem is listed in details.
+ *
+ * @param {Array<Object>} errors
+ * @returns {ApiError}
+ */
+function toError(errors) {
+  const details = errors.map(({ code, ...detail }) => detail);
+  const lookupMiss = errors.find(e => e.code);
+
+  if (lookupMiss && errors.every(e => e.code)) {
+    return new NotFoundError(lookupMiss.message, lookupMiss.code, details);
+  }
+  return new ValidationError(details);
+}
+
+/**
+ * Build the validation middleware for a route.
+ *
+ * @param {Object} route - Route definition (see routes/definitions.js)
+ * @returns {Function} Express middleware
+ */
+function validate(route) {
+  return async (req, res, next) => {
+    const { values, errors } = await validateQuery(route, req.query, req.params);
+    if (errors.length > 0) {
+      throw toError(errors);
+    }
+    req.validated = values;
+    next();
+  };
+}
+
+/**
+ * Cross-field rules. Each rule lists the fields it depends on (it is skipped
+ * when any of them already failed) and a check returning an error or null.
+ */
+const rules = {
+  /**
+   * Exactly one of the given optional fields must be provided.
+   * @param {Array<string>} names
+   */
+  exactlyOne(names) {
+    return {
+      fields: names,
+      description: `Exactly one of ${names.join(', ')} must be provided`,
+      check(values) {
+        const provided = names.filter(n => values[n] !== null && values[n] !== undefined);
+        if (provided.length === 1) return null;
+        return {
+          field: names.join('|'),
+          reason: 'exclusive',
+          message: `Provide exactly one of ${names.join(', ')}`,
+        };
+      },
+    };
+  },
+
+  /**
+   * The given optional fields must be provided together or not at all.
+   * @param {Array<string>} names
+   */
+  together(names) {
+    return {
+      fields: names,
+      description: `${names.join(', ')} must be provided together`,
+      check(values) {
+        const provided = names.filter(n => values[n] !== null && values[n] !== undefined);
+        if (provided.length === 0 || provided.length === names.length) return null;
+        const missing = names.find(n => !provided.includes(n));
+        return {
+          field: missing,
+          reason: 'required',
+          message: `${missing} is required with ${provided.join(', ')}`,
+        };
+      },
+    };
+  },
+
+  /**
+   * `needed` must be provided whenever any of the given fields is.
+   * @param {Array<string>} names
+   * @param {string} needed
+   */
+  requires(names, needed) {
+    return {
+      fields: [...names, needed],
+      description: `${names.join(', ')} require ${needed}`,
+      check(values) {
+        const provided = names.filter(n => values[n] !== null && values[n] !== undefined);
+        if (provided.length === 0 || (values[needed] !== null && values[needed] !== undefined)) return null;
+        return {
+          field: needed,
+          reason: 'required',
+          message: `${needed} is required with ${provided.join(', ')}`,
+        };
+      },
+    };
+  },
+
+  /**
+   * `to` must not be before `from`; with `span`, it must be exactly `span` years later.
+   * @param {string} from
+   * @param {string} to
+   * @param {number} [span]
+   */
+  yearSpan(from, to, span) {
+    return {
+      fields: [from, to],
+      description: span === undefined
+        ? `${to} must be greater than or equal to ${from}`
+        : `${to} must equal ${from} + ${span}`,
+      check(values) {
+        const start = values[from];
+        const end = values[to];
+        if (start === null || end === null) return null;
+        if (span === undefined ? end >= start : end - start === span) return null;
+        return {
+          field: to,
+          reason: 'range',
+          message: span === undefined
+            ? `${to} must be greater than or equal to ${from}`
+            : `${to} must be exactly ${span} years after ${from}`,
+        };
+      },
+    };
+  },
+};
+
+module.exports = { validate, validateQuery, rules };
@@ -5,6 +5,7 @@ import { safeFetch, formatPer100k } from '../utils';
 export default function SimilarSymptoms() {
     const [input, setInput] = useState('');
     const [data, setData] = useState([]);
+    const [parsed, setParsed] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
 
@@ -17,11 +18,13 @@ export default function SimilarSymptoms() {
         try {
             const url = `${config.apiBaseUrl}/api/similar-symptoms?text=${encodeURIComponent(input)}`;
             const response = await safeFetch(url);
-            setData(response);
+            setData(response.results);
+            setParsed(response.parsed);
         } catch (err) {
             console.error('Error:', err);
             setError(err.message || 'Failed to load similar diseases');
             setData([]);
+            setParsed(null);
         } finally {
             setLoading(false);
         }
@@ -65,6 +68,12 @@ export default function SimilarSymptoms() {
                 Search
             </button>
 
+            {parsed && !loading && (
+                <p style={{ marginTop: '1rem', color: 'var(--text-secondary)' }}>
+                    Searching for: <strong>{parsed.present.join(', ')}</strong>
+                    {parsed.absent.length > 0 && <> &middot; without: <strong>{parsed.absent.join(', ')}</strong></>}
+                </p>
+            )}
             {loading && <p style={{ marginTop: '1rem' }}>Searching...</p>}
             {error && <p style={{ marginTop: '1rem', color: 'red' }}>{error}</p>}
         </div>
@@ -11,6 +11,7 @@ export default function WeeklyRates() {
     const [filters, setFilters] = useState({ week: 1, disease: '' });
     const [diseases, setDiseases] = useState([]);
     const [error, setError] = useState(null);
+    const [csvUrl, setCsvUrl] = useState(null);
     const [showNonZeroOnly, setShowNonZeroOnly] = useState(false);
     const [sortMode, setSortMode] = useState('alpha');
 
@@ -48,6 +49,7 @@ export default function WeeklyRates() {
             const url = `${config.apiBaseUrl}/api/state-weekly-percapita?year=${year}&week=${filterValues.week}&diseaseIds=${disease.diseaseId}`;
             const result = await safeFetch(url);
             setData(result || []);
+            setCsvUrl(`${url}&format=csv`);
         } catch (err) {
             console.error('Error loading data:', err);
             setError(err.message || 'Failed to load data');
@@ -119,6 +121,15 @@ export default function WeeklyRates() {
 
             <div className="card">
                 <h3>Weekly Data - Week {filters.week}, {year}</h3>
+                {csvUrl && data.length > 0 && (
+                    <a
+                        href={csvUrl}
+                        download
+                        style={{ display: 'inline-block', marginBottom: 'var(--spacing-md)', color: 'var(--primary)' }}
+                    >
+                        ⬇ Download CSV
+                    </a>
+                )}
                 {error && (
                     <div style={{
                         background: 'rgba(255, 8, 68, 0.1)',
@@ -11,6 +11,7 @@ export default function YearlyRates() {
     const [filters, setFilters] = useState({ disease: '' });
     const [diseases, setDiseases] = useState([]);
     const [error, setError] = useState(null);
+    const [csvUrl, setCsvUrl] = useState(null);
     const [showNonZeroOnly, setShowNonZeroOnly] = useState(false);
 
     useEffect(() => {
@@ -46,6 +47,7 @@ export default function YearlyRates() {
             const url = `${config.apiBaseUrl}/api/state-yearly-percapita?year=${year}&diseaseId=${disease.diseaseId}`;
             const result = await safeFetch(url);
             setData(result || []);
+            setCsvUrl(`${url}&format=csv`);
         } catch (err) {
             console.error('Error loading data:', err);
             setError(err.message || 'Failed to load data');
@@ -104,6 +106,15 @@ export default function YearlyRates() {
                 <h3 style={{ marginBottom: 'var(--spacing-lg)' }}>
                     {filters.disease || 'Select a disease'} - {year}
                 </h3>
+                {csvUrl && data.length > 0 && (
+                    <a
+                        href={csvUrl}
+                        download
+                        style={{ display: 'inline-block', marginBottom: 'var(--spacing-md)', color: 'var(--primary)' }}
+                    >
+                        ⬇ Download CSV
+                    </a>
+                )}
                 {error && (
                     <div style={{
                         background: 'rgba(255, 8, 68, 0.1)',
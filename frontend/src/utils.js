@@ -148,7 +148,13 @@ export async function safeFetch(url, options = {}) {
     });
     
     if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      // API errors use the { code, message, details, requestId } envelope
+      const body = await response.json().catch(() => null);
+      const error = new Error(body?.message || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      error.code = body?.code;
+      error.details = body?.details;
+      throw error;
     }
     
     return await response.json();